@@ -15,6 +15,7 @@ class OcrFieldIndicator {
    * @property {string|number|null} value - Field value
    * @property {number} confidence - Confidence score (0-100)
    * @property {boolean} [lowConfidence=false] - Whether field is flagged as low confidence
+   * @property {number[]|null} [pages] - PDF page(s) the field was read from (ocrMetadata.fieldPages)
    */
 
   /**
@@ -83,12 +84,24 @@ class OcrFieldIndicator {
     }
   }
 
+  /**
+   * Describe the PDF page(s) a field was read from
+   * @param {number[]|null} pages - Page numbers
+   * @returns {string} - Hebrew description, empty for single-page documents
+   */
+  static formatPages(pages) {
+    if (!Array.isArray(pages) || pages.length === 0) {
+      return '';
+    }
+    return pages.length === 1 ? `עמוד ${pages[0]}` : `עמודים ${pages.join(', ')}`;
+  }
+
   /**
    * Render a field indicator
    * @param {FieldIndicatorOptions} options - Field options
    * @returns {string} - HTML string
    */
-  static render({ label, value, confidence, lowConfidence = false }) {
+  static render({ label, value, confidence, lowConfidence = false, pages = null }) {
     const displayValue = value !== null && value !== undefined && value !== ''
       ? value
       : 'לא זוהה';
@@ -97,6 +110,7 @@ class OcrFieldIndicator {
     const confidenceIcon = OcrFieldIndicator.getConfidenceIcon(confidence);
     const confidenceColor = OcrFieldIndicator.getConfidenceColor(confidence);
     const confidenceDesc = OcrFieldIndicator.getConfidenceDescription(confidence);
+    const pagesText = OcrFieldIndicator.formatPages(pages);
 
     return `
       <div class="ocr-field-indicator"
@@ -107,6 +121,7 @@ class OcrFieldIndicator {
 
         <div class="field-indicator-header">
           <span class="field-label">${label}</span>
+          ${pagesText ? `<span class="field-page">${pagesText}</span>` : ''}
           <span class="confidence-badge"
                 style="color: ${confidenceColor};"
                 aria-label="${Math.round(confidence)}% ביטחון">
@@ -162,10 +177,11 @@ class OcrFieldIndicator {
    * @param {FieldIndicatorOptions} options - Field options
    * @returns {string} - HTML string
    */
-  static renderCompact({ label, value, confidence }) {
+  static renderCompact({ label, value, confidence, pages = null }) {
     const displayValue = value !== null && value !== undefined && value !== ''
       ? value
       : 'לא זוהה';
+    const pagesText = OcrFieldIndicator.formatPages(pages);
 
     const confidenceIcon = OcrFieldIndicator.getConfidenceIcon(confidence);
     const confidenceColor = OcrFieldIndicator.getConfidenceColor(confidence);
@@ -174,6 +190,7 @@ class OcrFieldIndicator {
       <div class="ocr-field-indicator-compact">
         <span class="field-label">${label}:</span>
         <span class="field-value">${displayValue}</span>
+        ${pagesText ? `<span class="field-page">(${pagesText})</span>` : ''}
         <span class="confidence-icon" style="color: ${confidenceColor};">
           <i class="fas ${confidenceIcon}"></i>
         </span>
@@ -234,7 +251,10 @@ class OcrFieldIndicator {
       'date': 'תאריך',
       'invoiceNum': 'מספר חשבונית',
       'vendor': 'ספק',
-      'description': 'תיאור'
+      'description': 'תיאור',
+      'paymentMethod': 'אמצעי תשלום',
+      'vendorTaxId': 'ח.פ / עוסק מורשה',
+      'lineItems': 'שורות חשבונית'
     };
 
     return fieldNames[fieldName] || fieldName;
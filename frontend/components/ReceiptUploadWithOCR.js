@@ -24,6 +24,10 @@ class ReceiptUploadWithOCR {
    * @property {string} ocrMetadata.documentType - Document type (RECEIPT/INVOICE)
    * @property {string} ocrMetadata.fileName - Original file name
    * @property {string[]} ocrMetadata.lowConfidenceFields - Fields with low confidence
+   * @property {number} ocrMetadata.pageCount - Number of pages read (PDF invoices may have several)
+   * @property {Object|null} ocrMetadata.fieldPages - PDF page(s) each field was read from
+   * @property {Object|null} draft - Draft expense the result was saved as ({ draftId, receiptKey }),
+   *   or null when it could not be saved
    * @property {File} receiptFile - Original file for later upload
    * @property {string} receiptBase64 - Base64 encoded receipt for preview
    */
@@ -192,6 +196,8 @@ class ReceiptUploadWithOCR {
     }
 
     const { extractedFields, ocrMetadata } = this.ocrResult;
+    const fieldPages = ocrMetadata.fieldPages || {};
+    const isPdf = this.currentFile?.type === 'application/pdf';
 
     return `
       <div class="ocr-preview-container">
@@ -208,7 +214,12 @@ class ReceiptUploadWithOCR {
         </div>
 
         <div class="preview-thumbnail">
-          <img src="${this.currentBase64}" alt="תצוגה מקדימה של קבלה">
+          ${isPdf ? `
+            <div class="pdf-placeholder">
+              <i class="fas fa-file-pdf"></i>
+              <span class="page-count">${ocrMetadata.pageCount > 1 ? `${ocrMetadata.pageCount} עמודים` : 'עמוד אחד'}</span>
+            </div>
+          ` : `<img src="${this.currentBase64}" alt="תצוגה מקדימה של קבלה">`}
           <div class="thumbnail-overlay">
             <span class="file-name">${ocrMetadata.fileName}</span>
           </div>
@@ -217,10 +228,10 @@ class ReceiptUploadWithOCR {
         <div class="extracted-fields-summary">
           <h4>שדות שזוהו:</h4>
           <div class="fields-grid">
-            ${this.renderFieldIndicator('סכום', extractedFields.amount, extractedFields.confidence?.amount)}
-            ${this.renderFieldIndicator('תאריך', extractedFields.date, extractedFields.confidence?.date)}
-            ${this.renderFieldIndicator('מספר חשבונית', extractedFields.invoiceNum, extractedFields.confidence?.invoiceNum)}
-            ${this.renderFieldIndicator('ספק', extractedFields.vendor, extractedFields.confidence?.vendor)}
+            ${this.renderFieldIndicator('סכום', extractedFields.amount, extractedFields.confidence?.amount, fieldPages.amount)}
+            ${this.renderFieldIndicator('תאריך', extractedFields.date, extractedFields.confidence?.date, fieldPages.date)}
+            ${this.renderFieldIndicator('מספר חשבונית', extractedFields.invoiceNum, extractedFields.confidence?.invoiceNum, fieldPages.invoiceNum)}
+            ${this.renderFieldIndicator('ספק', extractedFields.vendor, extractedFields.confidence?.vendor, fieldPages.vendor)}
           </div>
 
           ${ocrMetadata.lowConfidenceFields.length > 0 ? `
@@ -243,8 +254,9 @@ class ReceiptUploadWithOCR {
 
   /**
    * Render individual field indicator
+   * @param {number[]} [pages] - PDF page(s) the field was read from
    */
-  renderFieldIndicator(label, value, confidence) {
+  renderFieldIndicator(label, value, confidence, pages) {
     const displayValue = value !== null && value !== undefined && value !== ''
       ? value
       : 'לא זוהה';
@@ -264,6 +276,7 @@ class ReceiptUploadWithOCR {
       <div class="field-indicator" data-confidence="${confidenceClass}">
         <div class="field-label">
           <span>${label}</span>
+          ${pages && pages.length > 0 ? `<span class="field-page">${OcrFieldIndicator.formatPages(pages)}</span>` : ''}
           <i class="fas ${confidenceIcon} confidence-icon"></i>
         </div>
         <div class="field-value">${displayValue}</div>
@@ -516,6 +529,7 @@ class ReceiptUploadWithOCR {
       this.ocrResult = {
         extractedFields: result.data.extractedFields,
         ocrMetadata: result.data.ocrMetadata,
+        draft: result.data.draft || null,
         receiptFile: this.currentFile,
         receiptBase64: this.currentBase64
       };
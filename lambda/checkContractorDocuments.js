@@ -0,0 +1,140 @@
+// lambda/checkContractorDocuments.js
+// Scheduled check of contractor compliance documents
+//
+// Triggered daily by an EventBridge schedule rule (e.g. cron(0 5 * * ? *)), not by API Gateway.
+// Refreshes every contractor's `complianceStatus` (valid / expiring / expired) and emails the
+// company's admins and managers about documents that expire within 30 days or have expired.
+//
+// A repeated run is safe: each document records the status it was notified for
+// (`notifiedStatus`), so a document is emailed once when it starts expiring and once
+// when it has expired.
+
+const {
+  getCurrentTimestamp,
+  getToday,
+  dynamoOperation,
+  scanAllPages,
+  COMPANY_TABLE_NAMES
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('checkContractorDocuments');
+const { getAlertRecipients } = require('./shared/budget-alerts');
+const { sendContractorDocumentsEmail } = require('./shared/email-utils');
+const {
+  getContractorCompliance,
+  getPendingExpiryNotices
+} = require('./shared/contractor-documents');
+
+exports.handler = async () => {
+  const today = getToday();
+  const summary = { companies: 0, contractors: 0, notices: 0, failed: 0 };
+
+  const contractorsByCompany = {};
+  for (const contractor of await scanContractorsWithDocuments()) {
+    (contractorsByCompany[contractor.companyId] = contractorsByCompany[contractor.companyId] || []).push(contractor);
+  }
+
+  for (const [companyId, contractors] of Object.entries(contractorsByCompany)) {
+    summary.companies++;
+    summary.contractors += contractors.length;
+    try {
+      summary.notices += await processCompany(companyId, contractors, today);
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to check contractor documents for company', {
+        companyId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.info('Contractor documents check completed', { date: today, ...summary });
+  return summary;
+};
+
+// All contractors that have documents
+async function scanContractorsWithDocuments() {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    FilterExpression: 'attribute_exists(documents)',
+    ProjectionExpression: 'companyId, contractorId, #name, documents, complianceStatus, updatedAt',
+    ExpressionAttributeNames: { '#name': 'name' }
+  };
+
+  return scanAllPages(params);
+}
+
+// Store the contractor's status and the statuses its documents were notified for
+// Conditioned on updatedAt: a contractor edited during the run is picked up by the next run
+async function saveComplianceStatus(contractor, complianceStatus, documents) {
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      Key: { companyId: contractor.companyId, contractorId: contractor.contractorId },
+      UpdateExpression: 'SET documents = :documents, complianceStatus = :complianceStatus, complianceCheckedAt = :now',
+      ConditionExpression: 'updatedAt = :previousUpdatedAt',
+      ExpressionAttributeValues: {
+        ':documents': documents,
+        ':complianceStatus': complianceStatus,
+        ':now': getCurrentTimestamp(),
+        ':previousUpdatedAt': contractor.updatedAt
+      }
+    });
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      logger.warn('Contractor changed during documents check, status not saved', {
+        companyId: contractor.companyId,
+        contractorId: contractor.contractorId
+      });
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Refresh the company's contractors and email the new notices; returns the number of notices sent
+async function processCompany(companyId, contractors, today) {
+  const notices = [];
+
+  for (const contractor of contractors) {
+    const { status } = getContractorCompliance(contractor, today);
+    const pending = getPendingExpiryNotices(contractor, today);
+    if (pending.length === 0 && status === contractor.complianceStatus) {
+      continue;
+    }
+
+    const notifiedStatuses = {};
+    pending.forEach(notice => { notifiedStatuses[notice.document.documentId] = notice.status; });
+    const documents = contractor.documents.map(document => notifiedStatuses[document.documentId]
+      ? { ...document, notifiedStatus: notifiedStatuses[document.documentId] }
+      : document);
+
+    if (await saveComplianceStatus(contractor, status, documents)) {
+      notices.push(...pending.map(({ document, status: documentStatus }) => ({
+        contractorId: contractor.contractorId,
+        contractorName: contractor.name || '',
+        type: document.type,
+        expiryDate: document.expiryDate,
+        status: documentStatus
+      })));
+    }
+  }
+
+  if (notices.length > 0) {
+    const [companyResult, recipients] = await Promise.all([
+      dynamoOperation('get', { TableName: COMPANY_TABLE_NAMES.COMPANIES, Key: { companyId } }),
+      getAlertRecipients(companyId)
+    ]);
+    if (recipients.length > 0) {
+      await sendContractorDocumentsEmail({
+        to: recipients,
+        companyName: (companyResult.Item || {}).name || '',
+        notices
+      });
+    }
+  }
+
+  return notices.length;
+}
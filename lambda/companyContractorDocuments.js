@@ -0,0 +1,345 @@
+// lambda/companyContractorDocuments.js
+// Company-scoped contractor compliance documents (insurance, licenses, certificates)
+//
+// Routes:
+//   GET    /contractors/documents?contractorId=...                - documents with expiry status and view URLs
+//   POST   /contractors/documents/upload-url                      - pre-signed upload URL { contractorId, fileName, fileType, fileSize }
+//   POST   /contractors/documents                                 - add an uploaded document { contractorId, type, expiryDate, documentKey, documentNumber, notes }
+//   DELETE /contractors/documents?contractorId=...&documentId=... - remove a document
+//
+// Files are uploaded to the receipts bucket with the same validation as receipts.
+// A removed document's file is kept in the bucket (it may be needed for an audit).
+
+// AWS SDK v3 - modular imports for smaller bundle size
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  generateContractorDocumentId,
+  getCurrentTimestamp,
+  getToday,
+  dynamoOperation,
+  COMPANY_TABLE_NAMES,
+  SYSTEM_CONTRACTORS,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyContractorDocuments');
+const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.CONTRACTOR);
+const { withSecureCors } = require('./shared/cors-config');
+const {
+  validateUploadRequest,
+  createSecurityErrorResponse
+} = require('./shared/file-validator');
+const {
+  CONTRACTOR_DOCUMENT_TYPES,
+  MAX_CONTRACTOR_DOCUMENTS,
+  getDocumentKeyPrefix,
+  validateContractorDocument,
+  getDocumentStatus,
+  getContractorCompliance,
+  getWithholdingCertificateExpiry
+} = require('./shared/contractor-documents');
+
+const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || 'construction-expenses-receipts-702358134603';
+const DOCUMENT_URL_EXPIRY = 3600; // 1 hour expiry for on-demand URLs
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+    const path = event.path || '';
+
+    // All authenticated users can view contractors and their documents
+    if (event.httpMethod === 'GET') {
+      return await getDocuments(event, companyId);
+    }
+
+    // Same permission as editing the contractor
+    if (!hasPermission(userRole, PERMISSIONS.EDIT_ALL_CONTRACTORS) &&
+        !hasPermission(userRole, PERMISSIONS.EDIT_OWN_CONTRACTORS)) {
+      return createErrorResponse(403, 'You do not have permission to manage contractor documents. Contact an admin to upgrade your role.');
+    }
+
+    if (path.endsWith('/upload-url')) {
+      if (event.httpMethod !== 'POST') {
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+      return await createUploadUrl(event, companyId, userId, userRole);
+    }
+
+    switch (event.httpMethod) {
+      case 'POST':
+        return await addDocument(event, companyId, userId, userRole);
+      case 'DELETE':
+        return await deleteDocument(event, companyId, userId, userRole);
+      default:
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+  } catch (error) {
+    logger.error('ERROR in companyContractorDocuments handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error during contractor documents operation');
+  }
+});
+
+async function getContractor(companyId, contractorId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    Key: { companyId, contractorId }
+  });
+  return result.Item;
+}
+
+// Load a contractor the user may attach documents to; returns { contractor } or { error }
+async function getEditableContractor(companyId, contractorId, userId, userRole) {
+  if (!contractorId) {
+    return { error: createErrorResponse(400, 'Missing contractorId') };
+  }
+  if (contractorId === SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId) {
+    return { error: createErrorResponse(400, 'לא ניתן לצרף מסמכים לספק ברירת המחדל') };
+  }
+
+  const contractor = await getContractor(companyId, contractorId);
+  if (!contractor) {
+    return { error: createErrorResponse(404, 'Contractor not found') };
+  }
+
+  // For users with only EDIT_OWN permission, verify they own this contractor
+  if (!hasPermission(userRole, PERMISSIONS.EDIT_ALL_CONTRACTORS) && contractor.userId !== userId) {
+    return { error: createErrorResponse(403, 'You can only manage documents of contractors you created') };
+  }
+
+  return { contractor };
+}
+
+// Store the document list with the compliance status derived from it
+// A withholding certificate also updates the expiry used for the withholding rate.
+// Conditioned on updatedAt so concurrent edits cannot overwrite each other
+async function saveDocuments(contractor, documents) {
+  const timestamp = getCurrentTimestamp();
+  const updates = ['documents = :documents', 'complianceStatus = :complianceStatus', 'updatedAt = :timestamp'];
+  const values = {
+    ':documents': documents,
+    ':complianceStatus': getContractorCompliance({ documents }, getToday()).status,
+    ':timestamp': timestamp
+  };
+
+  const certificateExpiry = getWithholdingCertificateExpiry(documents);
+  if (certificateExpiry && certificateExpiry !== contractor.withholdingCertificateExpiry) {
+    updates.push('withholdingCertificateExpiry = :certificateExpiry');
+    values[':certificateExpiry'] = certificateExpiry;
+  }
+
+  let condition = 'attribute_not_exists(updatedAt)';
+  if (contractor.updatedAt) {
+    condition = 'updatedAt = :previousUpdatedAt';
+    values[':previousUpdatedAt'] = contractor.updatedAt;
+  }
+
+  try {
+    const result = await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      Key: { companyId: contractor.companyId, contractorId: contractor.contractorId },
+      UpdateExpression: `SET ${updates.join(', ')}`,
+      ConditionExpression: condition,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    });
+    return { contractor: result.Attributes };
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return { error: createErrorResponse(409, 'Contractor was modified by another user. Please refresh and try again.') };
+    }
+    throw error;
+  }
+}
+
+// Documents with their expiry status and a fresh view URL, newest expiry first
+async function buildDocumentsResponse(contractor) {
+  const today = getToday();
+  const documents = await Promise.all((contractor.documents || []).map(async (document) => ({
+    ...document,
+    status: getDocumentStatus(document, today),
+    url: await getSignedUrl(s3, new GetObjectCommand({
+      Bucket: RECEIPTS_BUCKET,
+      Key: document.documentKey
+    }), { expiresIn: DOCUMENT_URL_EXPIRY })
+  })));
+  documents.sort((a, b) => b.expiryDate.localeCompare(a.expiryDate));
+
+  return {
+    contractorId: contractor.contractorId,
+    documents,
+    compliance: getContractorCompliance(contractor, today)
+  };
+}
+
+async function getDocuments(event, companyId) {
+  const { contractorId } = event.queryStringParameters || {};
+  if (!contractorId) {
+    return createErrorResponse(400, 'Missing contractorId parameter');
+  }
+
+  const contractor = await getContractor(companyId, contractorId);
+  if (!contractor) {
+    return createErrorResponse(404, 'Contractor not found');
+  }
+
+  return createResponse(200, {
+    success: true,
+    ...await buildDocumentsResponse(contractor)
+  });
+}
+
+// Pre-signed upload URL under the contractor's document prefix
+async function createUploadUrl(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { contractorId, fileName, fileType, fileSize } = requestBody;
+
+  const { error } = await getEditableContractor(companyId, contractorId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  if (!fileType || !fileName) {
+    return createErrorResponse(400, 'fileType and fileName are required');
+  }
+
+  // SECURITY: Same validation as receipt uploads
+  const validation = validateUploadRequest({
+    fileName,
+    fileType,
+    fileSize,
+    uploadType: 'document'
+  });
+
+  if (!validation.valid) {
+    const securityError = createSecurityErrorResponse(validation.error, {
+      securityReason: validation.securityReason,
+      fileName,
+      fileType,
+      companyId,
+      userId
+    });
+
+    return createErrorResponse(
+      securityError.statusCode,
+      securityError.error,
+      { securityReason: securityError.securityReason }
+    );
+  }
+
+  const documentKey = `${getDocumentKeyPrefix(companyId, contractorId)}document-${Date.now()}-${Math.random().toString(36).substring(7)}${validation.extension}`;
+
+  const uploadUrl = await getSignedUrl(s3, new PutObjectCommand({
+    Bucket: RECEIPTS_BUCKET,
+    Key: documentKey,
+    ContentType: validation.mimeType
+  }), { expiresIn: 300 }); // 5 minutes
+
+  return createResponse(200, {
+    success: true,
+    uploadUrl, // Use this URL to upload the file via PUT
+    documentKey, // Send back with POST /contractors/documents
+    expiresIn: 300
+  });
+}
+
+async function addDocument(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { contractorId } = requestBody;
+
+  const { contractor, error } = await getEditableContractor(companyId, contractorId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  const existingDocuments = contractor.documents || [];
+  if (existingDocuments.length >= MAX_CONTRACTOR_DOCUMENTS) {
+    return createErrorResponse(400, `A contractor can have at most ${MAX_CONTRACTOR_DOCUMENTS} documents`);
+  }
+
+  const { valid, errors, document } = validateContractorDocument(requestBody, { companyId, contractorId });
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const newDocument = {
+    documentId: generateContractorDocumentId(),
+    ...document,
+    uploadedBy: userId,
+    uploadedAt: getCurrentTimestamp()
+  };
+
+  const saved = await saveDocuments(contractor, [...existingDocuments, newDocument]);
+  if (saved.error) {
+    return saved.error;
+  }
+
+  auditLog.logUpdate({
+    resourceId: contractorId,
+    companyId,
+    userId,
+    userRole,
+    after: { document: newDocument },
+    request: event
+  });
+
+  return createResponse(201, {
+    success: true,
+    message: newDocument.type === CONTRACTOR_DOCUMENT_TYPES.WITHHOLDING_CERTIFICATE
+      ? 'Document added successfully, withholding certificate expiry updated'
+      : 'Document added successfully',
+    document: newDocument,
+    ...await buildDocumentsResponse(saved.contractor)
+  });
+}
+
+async function deleteDocument(event, companyId, userId, userRole) {
+  const { contractorId, documentId } = event.queryStringParameters || {};
+  if (!documentId) {
+    return createErrorResponse(400, 'Missing documentId parameter');
+  }
+
+  const { contractor, error } = await getEditableContractor(companyId, contractorId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  const existingDocuments = contractor.documents || [];
+  const document = existingDocuments.find(entry => entry.documentId === documentId);
+  if (!document) {
+    return createErrorResponse(404, 'Document not found');
+  }
+
+  const saved = await saveDocuments(contractor, existingDocuments.filter(entry => entry.documentId !== documentId));
+  if (saved.error) {
+    return saved.error;
+  }
+
+  auditLog.logUpdate({
+    resourceId: contractorId,
+    companyId,
+    userId,
+    userRole,
+    before: { document },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Document removed successfully',
+    ...await buildDocumentsResponse(saved.contractor)
+  });
+}
@@ -1,5 +1,10 @@
 // lambda/companyContractors.js
 // Company-scoped contractors management Lambda function
+//
+// Besides CRUD on /contractors:
+//   GET  /contractors/duplicates - likely duplicate pairs, by tax ID and name similarity
+//   POST /contractors/merge      - merge duplicates into a surviving contractor { survivorId, duplicateIds }
+//   POST /contractors/aliases    - learn an OCR vendor name for a contractor { contractorId, vendorName, vendorTaxId? }
 
 const {
   createResponse,
@@ -7,8 +12,10 @@ const {
   getCompanyUserFromEvent,
   generateContractorId,
   getCurrentTimestamp,
+  getToday,
   debugLog,
   dynamoOperation,
+  queryAllPages,
   COMPANY_TABLE_NAMES,
   SYSTEM_CONTRACTORS,
   USER_ROLES,
@@ -17,9 +24,25 @@ const {
 } = require('./shared/company-utils');
 const { createLogger } = require('./shared/logger');
 const logger = createLogger('companyContractors');
-const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const { createAuditLogger, AUDIT_ACTIONS, RESOURCE_TYPES } = require('./shared/audit-logger');
 const auditLog = createAuditLogger(RESOURCE_TYPES.CONTRACTOR);
 const { withSecureCors, CACHE_DURATIONS } = require('./shared/cors-config');
+const { validateWithholdingFields } = require('./shared/withholding-tax');
+const { getContractorCompliance } = require('./shared/contractor-documents');
+const { validateAndSanitize, normalizeIsraeliId, CONTRACTOR_SCHEMA } = require('./shared/input-validator');
+const {
+  hasContractorName,
+  addContractorAlias,
+  removeContractorAlias
+} = require('./shared/contractor-matcher');
+const {
+  findDuplicateContractors,
+  validateMergeRequest,
+  buildMergedContractor,
+  findInvoiceConflicts,
+  repointTemplates
+} = require('./shared/contractor-merge');
+const { loadRecurringTemplates, saveRecurringTemplates } = require('./shared/recurring-expenses');
 
 // Apply 60 second cache for GET requests (contractors rarely change)
 exports.handler = withSecureCors(async (event) => {
@@ -30,6 +53,36 @@ exports.handler = withSecureCors(async (event) => {
   try {
     // Get company and user context from JWT token
     const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+    const path = event.path || '';
+
+    if (path.endsWith('/duplicates')) {
+      if (event.httpMethod !== 'GET') {
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+      return await getDuplicateSuggestions(companyId);
+    }
+
+    if (path.endsWith('/aliases')) {
+      if (event.httpMethod !== 'POST') {
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+      // Learned while adding an expense, so anyone who can add expenses teaches the matcher
+      if (!hasPermission(userRole, PERMISSIONS.CREATE_EXPENSES)) {
+        return createErrorResponse(403, 'You do not have permission to add expenses');
+      }
+      return await learnContractorAlias(event, companyId, userId, userRole);
+    }
+
+    if (path.endsWith('/merge')) {
+      if (event.httpMethod !== 'POST') {
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+      // Merging deletes the duplicates - same permission as deleting
+      if (!hasPermission(userRole, PERMISSIONS.DELETE_CONTRACTORS)) {
+        return createErrorResponse(403, 'You do not have permission to merge contractors. Only admins and managers can merge.');
+      }
+      return await mergeContractors(event, companyId, userId, userRole);
+    }
 
     switch (event.httpMethod) {
       case 'GET':
@@ -89,6 +142,12 @@ async function getContractors(companyId, userId, userRole) {
     return (a.name || '').localeCompare(b.name || '', 'he');
   });
 
+  // Document expiry as of today (the stored complianceStatus is refreshed once a day)
+  const today = getToday();
+  contractors.forEach(contractor => {
+    contractor.compliance = getContractorCompliance(contractor, today);
+  });
+
   return createResponse(200, {
     success: true,
     contractors: contractors,
@@ -96,6 +155,15 @@ async function getContractors(companyId, userId, userRole) {
   });
 }
 
+// Check a contractor tax ID; returns { value } (normalized, '' if not given) or { error }
+function validateTaxId(taxId) {
+  const { valid, errors, sanitized } = validateAndSanitize({ taxId }, { taxId: CONTRACTOR_SCHEMA.taxId });
+  if (!valid) {
+    return { error: createErrorResponse(400, `${errors.join(', ')} (ח.פ / עוסק מורשה / ת.ז)`) };
+  }
+  return { value: sanitized.taxId || '' };
+}
+
 // Create a new contractor
 async function createContractor(event, companyId, userId, userRole) {
   const requestBody = JSON.parse(event.body || '{}');
@@ -141,6 +209,20 @@ async function createContractor(event, companyId, userId, userRole) {
     return createErrorResponse(400, 'Rating must be between 1 and 5');
   }
 
+  // Tax ID (ח.פ / עוסק מורשה / ת.ז) - check digit, stored as 9 digits
+  const taxId = validateTaxId(requestBody.taxId);
+  if (taxId.error) {
+    return taxId.error;
+  }
+  contractor.taxId = taxId.value;
+
+  // Withholding tax (ניכוי במקור) - rate and certificate expiry
+  const withholding = validateWithholdingFields(requestBody);
+  if (!withholding.valid) {
+    return createErrorResponse(400, `Invalid withholding settings: ${withholding.errors.join(', ')}`);
+  }
+  Object.assign(contractor, withholding.fields);
+
   const params = {
     TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
     Item: contractor,
@@ -185,17 +267,21 @@ async function updateContractor(event, companyId, userId, userRole) {
   }
 
   // For users with only EDIT_OWN permission, verify they own this contractor
-  if (!hasPermission(userRole, PERMISSIONS.EDIT_ALL_CONTRACTORS)) {
-    const existingContractor = await dynamoOperation('get', {
+  // The stored tax ID is needed too, to tell whether it is being changed
+  const canEditAll = hasPermission(userRole, PERMISSIONS.EDIT_ALL_CONTRACTORS);
+  let existingContractor = null;
+  if (!canEditAll || requestBody.taxId !== undefined) {
+    const result = await dynamoOperation('get', {
       TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
       Key: { companyId, contractorId }
     });
+    existingContractor = result.Item;
 
-    if (!existingContractor.Item) {
+    if (!existingContractor) {
       return createErrorResponse(404, 'Contractor not found');
     }
 
-    if (existingContractor.Item.userId !== userId) {
+    if (!canEditAll && existingContractor.userId !== userId) {
       return createErrorResponse(403, 'You can only edit contractors you created');
     }
   }
@@ -205,7 +291,21 @@ async function updateContractor(event, companyId, userId, userRole) {
   const expressionAttributeNames = {};
   const expressionAttributeValues = {};
   
-  const updateableFields = ['name', 'contactPerson', 'phone', 'email', 'address', 'specialty', 'licenseNumber', 'taxId', 'paymentTerms', 'notes', 'status', 'rating'];
+  const updateableFields = ['name', 'contactPerson', 'phone', 'email', 'address', 'specialty', 'licenseNumber', 'paymentTerms', 'notes', 'status', 'rating'];
+
+  // Tax ID (ח.פ / עוסק מורשה / ת.ז) - an empty value clears it
+  // Validated only when changed, so contractors saved before the check-digit validation
+  // can still be edited; an unchanged tax ID is left as stored
+  if (requestBody.taxId !== undefined &&
+    String(requestBody.taxId ?? '').trim() !== String(existingContractor.taxId ?? '').trim()) {
+    const taxId = validateTaxId(requestBody.taxId);
+    if (taxId.error) {
+      return taxId.error;
+    }
+    updateExpressions.push('#taxId = :taxId');
+    expressionAttributeNames['#taxId'] = 'taxId';
+    expressionAttributeValues[':taxId'] = taxId.value;
+  }
   
   updateableFields.forEach(field => {
     if (requestBody[field] !== undefined) {
@@ -221,6 +321,17 @@ async function updateContractor(event, companyId, userId, userRole) {
     }
   });
   
+  // Withholding tax (ניכוי במקור) - empty values clear the setting
+  const withholding = validateWithholdingFields(requestBody);
+  if (!withholding.valid) {
+    return createErrorResponse(400, `Invalid withholding settings: ${withholding.errors.join(', ')}`);
+  }
+  Object.entries(withholding.fields).forEach(([field, value]) => {
+    updateExpressions.push(`#${field} = :${field}`);
+    expressionAttributeNames[`#${field}`] = field;
+    expressionAttributeValues[`:${field}`] = value;
+  });
+
   if (updateExpressions.length === 0) {
     return createErrorResponse(400, 'No fields to update');
   }
@@ -300,4 +411,302 @@ async function deleteContractor(event, companyId, userId, userRole) {
     message: 'Contractor deleted successfully',
     deletedContractor: result.Attributes
   });
-}
\ No newline at end of file
+}
+
+async function queryCompanyContractors(companyId) {
+  return queryAllPages({
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    KeyConditionExpression: 'companyId = :companyId',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  });
+}
+
+// Likely duplicate contractors, for the user to review and merge
+async function getDuplicateSuggestions(companyId) {
+  const suggestions = findDuplicateContractors(await queryCompanyContractors(companyId));
+
+  return createResponse(200, {
+    success: true,
+    suggestions,
+    count: suggestions.length
+  });
+}
+
+// Items of a company table that belong to the given contractors
+async function queryByContractors(tableName, companyId, contractorIds, attribute = 'contractorId') {
+  const values = { ':companyId': companyId };
+  const placeholders = contractorIds.map((contractorId, index) => {
+    values[`:contractor${index}`] = contractorId;
+    return `:contractor${index}`;
+  });
+
+  const params = {
+    TableName: tableName,
+    KeyConditionExpression: 'companyId = :companyId',
+    FilterExpression: `${attribute} IN (${placeholders.join(', ')})`,
+    ExpressionAttributeValues: values
+  };
+
+  return queryAllPages(params);
+}
+
+// Point an expense or work to the surviving contractor
+// Conditioned on its current contractor, so a record reassigned meanwhile is left alone
+async function repointRecord(tableName, key, fromContractorId, toContractorId) {
+  try {
+    await dynamoOperation('update', {
+      TableName: tableName,
+      Key: key,
+      UpdateExpression: 'SET contractorId = :survivorId, updatedAt = :updatedAt',
+      ConditionExpression: 'contractorId = :duplicateId',
+      ExpressionAttributeValues: {
+        ':survivorId': toContractorId,
+        ':duplicateId': fromContractorId,
+        ':updatedAt': getCurrentTimestamp()
+      }
+    });
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Point a receipt draft's contractor match to the surviving contractor
+// Conditioned on the matched contractor, so a draft the user re-matched meanwhile is left alone
+async function repointDraftMatch(draft, fromContractorId, survivor) {
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId: draft.companyId, draftId: draft.draftId },
+      UpdateExpression: 'SET contractorMatch.contractorId = :survivorId, contractorMatch.#name = :survivorName, updatedAt = :updatedAt',
+      ConditionExpression: 'contractorMatch.contractorId = :duplicateId',
+      ExpressionAttributeNames: { '#name': 'name' },
+      ExpressionAttributeValues: {
+        ':survivorId': survivor.contractorId,
+        ':survivorName': survivor.name,
+        ':duplicateId': fromContractorId,
+        ':updatedAt': getCurrentTimestamp()
+      }
+    });
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Merge duplicate contractors into a surviving one
+// The survivor is updated first and the duplicates deleted last, so a merge that fails
+// halfway can simply be repeated.
+async function mergeContractors(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { valid, errors, survivorId, duplicateIds } = validateMergeRequest(
+    requestBody,
+    SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId
+  );
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const contractors = await Promise.all([survivorId, ...duplicateIds].map(contractorId =>
+    dynamoOperation('get', {
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      Key: { companyId, contractorId }
+    }).then(result => result.Item)
+  ));
+  if (contractors.some(contractor => !contractor)) {
+    return createErrorResponse(404, 'Contractor not found');
+  }
+  const [survivor, ...duplicates] = contractors;
+
+  // Survivor: aliases, missing details and documents of the duplicates
+  const merged = buildMergedContractor(survivor, duplicates, getToday());
+  const updatedSurvivor = await updateContractorFields(survivor, merged);
+  if (!updatedSurvivor) {
+    return createErrorResponse(409, 'Contractor was modified by another user. Please refresh and try again.');
+  }
+
+  // Expenses and works of the duplicates
+  const expenses = await queryByContractors(COMPANY_TABLE_NAMES.EXPENSES, companyId, [survivorId, ...duplicateIds]);
+  const works = await queryByContractors(COMPANY_TABLE_NAMES.WORKS, companyId, duplicateIds);
+  const drafts = await queryByContractors(COMPANY_TABLE_NAMES.EXPENSE_DRAFTS, companyId, duplicateIds, 'contractorMatch.contractorId');
+  const invoiceConflicts = findInvoiceConflicts(expenses, survivorId);
+
+  const moved = { expenses: 0, works: 0, recurringExpenses: 0, drafts: 0 };
+  for (const expense of expenses.filter(entry => entry.contractorId !== survivorId)) {
+    if (await repointRecord(COMPANY_TABLE_NAMES.EXPENSES, { companyId, expenseId: expense.expenseId }, expense.contractorId, survivorId)) {
+      moved.expenses++;
+    }
+  }
+  for (const work of works) {
+    if (await repointRecord(COMPANY_TABLE_NAMES.WORKS, { companyId, workId: work.workId }, work.contractorId, survivorId)) {
+      moved.works++;
+    }
+  }
+  // Receipt drafts matched to a duplicate would be confirmed against a deleted contractor
+  for (const draft of drafts) {
+    if (await repointDraftMatch(draft, draft.contractorMatch.contractorId, updatedSurvivor)) {
+      moved.drafts++;
+    }
+  }
+
+  // Recurring expense templates (stored on the company item)
+  const { templates, updatedAt: templatesUpdatedAt } = await loadRecurringTemplates(companyId);
+  const repointed = repointTemplates(templates, duplicateIds, survivorId);
+  if (repointed.moved > 0) {
+    await saveRecurringTemplates(companyId, repointed.templates, templatesUpdatedAt);
+    moved.recurringExpenses = repointed.moved;
+  }
+
+  await Promise.all(duplicateIds.map(contractorId => dynamoOperation('delete', {
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    Key: { companyId, contractorId }
+  })));
+
+  auditLog.logAction({
+    action: AUDIT_ACTIONS.MERGE,
+    resourceId: survivorId,
+    companyId,
+    userId,
+    userRole,
+    data: { survivorId, duplicateIds, aliases: updatedSurvivor.aliases },
+    metadata: {
+      ...moved,
+      mergedContractors: duplicates,
+      invoiceConflicts: invoiceConflicts.length
+    },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: `${duplicates.length} contractors merged successfully`,
+    contractor: updatedSurvivor,
+    moved,
+    invoiceConflicts
+  });
+}
+
+// Set fields on a contractor, conditioned on updatedAt; returns the updated contractor or null on a conflict
+async function updateContractorFields(contractor, fields) {
+  const expressionAttributeNames = { '#updatedAt': 'updatedAt' };
+  const expressionAttributeValues = { ':updatedAt': getCurrentTimestamp() };
+  const updateExpressions = ['#updatedAt = :updatedAt'];
+  Object.entries(fields).forEach(([field, value]) => {
+    updateExpressions.push(`#${field} = :${field}`);
+    expressionAttributeNames[`#${field}`] = field;
+    expressionAttributeValues[`:${field}`] = value;
+  });
+
+  let condition = 'attribute_not_exists(updatedAt)';
+  if (contractor.updatedAt) {
+    condition = 'updatedAt = :previousUpdatedAt';
+    expressionAttributeValues[':previousUpdatedAt'] = contractor.updatedAt;
+  }
+
+  try {
+    const result = await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      Key: { companyId: contractor.companyId, contractorId: contractor.contractorId },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ConditionExpression: condition,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    });
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Learn the vendor name of a receipt for the contractor the user chose for it
+// Called when the user picks a different contractor than OCR suggested. The latest
+// correction wins: the alias is removed from any other contractor it was learned for.
+// A tax ID read from the receipt is kept too if the contractor has none yet and the
+// user may edit the contractor - the alias alone only needs permission to add expenses.
+async function learnContractorAlias(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { errors, sanitized } = validateAndSanitize(requestBody, {
+    contractorId: { type: 'id', required: true }
+  });
+
+  // Stored as read from the receipt, not HTML-encoded, so it matches the next receipt -
+  // supplier names contain quotes and parentheses (כהן חשמל בע"מ)
+  const vendorName = typeof requestBody.vendorName === 'string' ? requestBody.vendorName.trim() : '';
+  if (!vendorName) {
+    errors.push('vendorName is required');
+  } else if (vendorName.length > 100) {
+    errors.push('vendorName must not exceed 100 characters');
+  } else if (/[\x00-\x1f<>]/.test(vendorName)) {
+    errors.push('vendorName contains invalid characters');
+  }
+  if (errors.length > 0) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+  const { contractorId } = sanitized;
+
+  // Every unmatched receipt would be sent to the default contractor
+  if (contractorId === SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId) {
+    return createResponse(200, { success: true, learned: false });
+  }
+
+  const contractors = await queryCompanyContractors(companyId);
+  const contractor = contractors.find(entry => entry.contractorId === contractorId);
+  if (!contractor) {
+    return createErrorResponse(404, 'Contractor not found');
+  }
+
+  const fields = {};
+  if (!hasContractorName(contractor, vendorName)) {
+    fields.aliases = addContractorAlias(contractor.aliases, vendorName);
+  }
+
+  const canEditContractor = hasPermission(userRole, PERMISSIONS.EDIT_ALL_CONTRACTORS) ||
+    (hasPermission(userRole, PERMISSIONS.EDIT_OWN_CONTRACTORS) && contractor.userId === userId);
+  const vendorTaxId = normalizeIsraeliId(requestBody.vendorTaxId);
+  if (canEditContractor && vendorTaxId && !contractor.taxId &&
+      !contractors.some(entry => entry.taxId && normalizeIsraeliId(entry.taxId) === vendorTaxId)) {
+    fields.taxId = vendorTaxId;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return createResponse(200, { success: true, learned: false, contractor });
+  }
+
+  const updatedContractor = await updateContractorFields(contractor, fields);
+  if (!updatedContractor) {
+    return createErrorResponse(409, 'Contractor was modified by another user. Please refresh and try again.');
+  }
+
+  // Earlier corrections of the same vendor name to other contractors no longer apply
+  const previousOwners = contractors.filter(entry => entry.contractorId !== contractorId &&
+    (entry.aliases || []).some(alias => hasContractorName({ name: alias }, vendorName)));
+  for (const owner of previousOwners) {
+    await updateContractorFields(owner, { aliases: removeContractorAlias(owner.aliases, vendorName) });
+  }
+
+  auditLog.logUpdate({
+    resourceId: contractorId,
+    companyId,
+    userId,
+    userRole,
+    before: { aliases: contractor.aliases || [], taxId: contractor.taxId || '' },
+    after: { aliases: updatedContractor.aliases || [], taxId: updatedContractor.taxId || '' },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    learned: true,
+    contractor: updatedContractor
+  });
+}
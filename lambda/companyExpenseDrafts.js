@@ -0,0 +1,678 @@
+// lambda/companyExpenseDrafts.js
+// Draft expenses inbox - receipts read by OCR that wait to be confirmed as expenses
+//
+// Routes:
+//   GET    /expenses/drafts?batchId=...&status=... - list drafts (with the batch progress when batchId is given)
+//   PUT    /expenses/drafts                         - correct a draft's fields { draftId, fields }
+//   DELETE /expenses/drafts?draftId=...             - discard a draft and its receipt
+//   POST   /expenses/drafts/batch                   - start a batch upload { files: [{ fileName, fileType, fileSize }] }
+//                                                     returns one pre-signed upload URL per receipt
+//   POST   /expenses/drafts/batch/start             - queue the uploaded receipts for OCR { batchId }
+//   POST   /expenses/drafts/confirm                 - create expenses from drafts
+//                                                     { draftId, expense? } - one draft, with the user's corrections
+//                                                     { draftIds, projectId? } - several ready drafts as read
+//
+// Receipts are read in the background by the scheduled processReceiptBatches Lambda, so a
+// batch is not limited by the size and time limits of the instant OCR request; receipts read
+// by the instant OCR request (processReceiptOCR) are saved here as ready drafts. Users see
+// their own drafts; admins and managers (EDIT_ALL_EXPENSES) see the whole company's.
+// Drafts do not count against the tier's expense limit - it is checked when they are confirmed.
+
+// AWS SDK v3 - modular imports for smaller bundle size
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  generateReceiptBatchId,
+  generateDraftId,
+  getCurrentTimestamp,
+  dynamoOperation,
+  queryAllPages,
+  COMPANY_TABLE_NAMES,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyExpenseDrafts');
+const { createAuditLogger, RESOURCE_TYPES, AUDIT_ACTIONS } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.EXPENSE);
+const fileAuditLog = createAuditLogger(RESOURCE_TYPES.FILE);
+const { withSecureCors } = require('./shared/cors-config');
+const { checkExpenseBatchLimit, decrementExpenseCounter } = require('./shared/limit-checker');
+const { createCompanyExpense } = require('./shared/expense-create');
+const { checkBudgetAlerts, getSpendingChanges } = require('./shared/budget-alerts');
+const {
+  DRAFT_STATUS,
+  DRAFT_SOURCES,
+  DRAFT_EDITABLE_STATUSES,
+  validateBatchFiles,
+  buildReceiptKey,
+  validateDraftEdits,
+  applyDraftEdits,
+  buildExpenseFromDraft,
+  summarizeBatch
+} = require('./shared/receipt-batches');
+
+const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || 'construction-expenses-receipts-702358134603';
+const UPLOAD_URL_EXPIRY = 900; // 15 minutes - a batch takes longer to upload than one receipt
+const RECEIPT_URL_EXPIRY = 3600; // 1 hour expiry for on-demand URLs
+
+// Drafts checked or confirmed in parallel (keeps DynamoDB request bursts small)
+const DRAFT_CONCURRENCY = 5;
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+    const path = event.path || '';
+
+    // Same permission as creating a single expense
+    if (!hasPermission(userRole, PERMISSIONS.CREATE_EXPENSES)) {
+      return createErrorResponse(403, 'You do not have permission to create expenses. Contact an admin to upgrade your role.');
+    }
+
+    if (event.httpMethod === 'GET') {
+      return await listDrafts(event, companyId, userId, userRole);
+    }
+    if (event.httpMethod === 'PUT') {
+      return await updateDraftFields(event, companyId, userId, userRole);
+    }
+    if (event.httpMethod === 'DELETE') {
+      return await discardDraft(event, companyId, userId, userRole);
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+
+    if (path.endsWith('/batch/start')) {
+      return await startBatch(event, companyId, userId, userRole);
+    }
+    if (path.endsWith('/batch')) {
+      return await createBatch(event, companyId, userId, userRole);
+    }
+    if (path.endsWith('/confirm')) {
+      return await confirmDrafts(event, companyId, userId, userRole);
+    }
+
+    return createErrorResponse(404, 'Route not found');
+  } catch (error) {
+    logger.error('ERROR in companyExpenseDrafts handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error while processing draft expenses');
+  }
+});
+
+// Run fn over items, DRAFT_CONCURRENCY at a time
+async function inBatches(items, fn) {
+  for (let i = 0; i < items.length; i += DRAFT_CONCURRENCY) {
+    await Promise.all(items.slice(i, i + DRAFT_CONCURRENCY).map(fn));
+  }
+}
+
+// Users work on their own drafts; EDIT_ALL_EXPENSES sees every draft of the company
+function canAccessDraft(draft, userId, userRole) {
+  return draft.userId === userId || hasPermission(userRole, PERMISSIONS.EDIT_ALL_EXPENSES);
+}
+
+// All drafts of the company, optionally of one batch
+async function queryDrafts(companyId, batchId) {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+    KeyConditionExpression: 'companyId = :companyId',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  };
+  if (batchId) {
+    params.FilterExpression = 'batchId = :batchId';
+    params.ExpressionAttributeValues[':batchId'] = batchId;
+  }
+
+  return queryAllPages(params);
+}
+
+async function getDraft(companyId, draftId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+    Key: { companyId, draftId }
+  });
+  return result.Item || null;
+}
+
+// Draft as returned to the browser, with a short-lived URL to view its receipt
+async function formatDraft(draft) {
+  const receiptViewUrl = draft.receiptKey && draft.status !== DRAFT_STATUS.UPLOADING
+    ? await getSignedUrl(s3, new GetObjectCommand({ Bucket: RECEIPTS_BUCKET, Key: draft.receiptKey }), {
+      expiresIn: RECEIPT_URL_EXPIRY
+    })
+    : null;
+  return { ...draft, receiptViewUrl };
+}
+
+// List the drafts the user can see, newest first
+async function listDrafts(event, companyId, userId, userRole) {
+  const { batchId, status } = event.queryStringParameters || {};
+
+  if (status && !Object.values(DRAFT_STATUS).includes(status)) {
+    return createErrorResponse(400, `status must be one of: ${Object.values(DRAFT_STATUS).join(', ')}`);
+  }
+
+  const drafts = (await queryDrafts(companyId, batchId))
+    .filter(draft => canAccessDraft(draft, userId, userRole))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const listed = status ? drafts.filter(draft => draft.status === status) : drafts;
+
+  return createResponse(200, {
+    success: true,
+    drafts: await Promise.all(listed.map(formatDraft)),
+    summary: summarizeBatch(drafts),
+    ...(batchId ? { batchId } : {})
+  });
+}
+
+// Create a batch: one draft per receipt, each with its own pre-signed upload URL
+async function createBatch(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+
+  const validation = validateBatchFiles(requestBody.files);
+  if (!validation.valid) {
+    return createErrorResponse(400, `Invalid batch: ${validation.errors.join(', ')}`);
+  }
+
+  const batchId = generateReceiptBatchId();
+  const timestamp = getCurrentTimestamp();
+  const drafts = validation.files.map(file => ({
+    companyId,
+    draftId: generateDraftId(),
+    batchId,
+    userId,
+    source: DRAFT_SOURCES.BATCH,
+    status: DRAFT_STATUS.UPLOADING,
+    receiptKey: buildReceiptKey(companyId, file.extension),
+    fileName: file.fileName,
+    fileType: file.fileType,
+    fileSize: file.fileSize,
+    attempts: 0,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }));
+
+  // Upload URLs are returned in the order of the files
+  const uploadUrls = new Map();
+  await inBatches(drafts, async (draft) => {
+    await dynamoOperation('put', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Item: draft,
+      ConditionExpression: 'attribute_not_exists(draftId)'
+    });
+
+    uploadUrls.set(draft.draftId, await getSignedUrl(s3, new PutObjectCommand({
+      Bucket: RECEIPTS_BUCKET,
+      Key: draft.receiptKey,
+      ContentType: draft.fileType
+    }), { expiresIn: UPLOAD_URL_EXPIRY }));
+  });
+  const uploads = drafts.map(draft => ({
+    draftId: draft.draftId,
+    fileName: draft.fileName,
+    uploadUrl: uploadUrls.get(draft.draftId)
+  }));
+
+  fileAuditLog.logAction({
+    action: AUDIT_ACTIONS.FILE_UPLOAD,
+    resourceId: batchId,
+    companyId,
+    userId,
+    userRole,
+    metadata: { receiptCount: uploads.length, receiptBatch: true },
+    request: event
+  });
+
+  return createResponse(201, {
+    success: true,
+    batchId,
+    uploads,
+    expiresIn: UPLOAD_URL_EXPIRY
+  });
+}
+
+// Queue the receipts of a batch that reached S3; receipts that did not are marked failed
+async function startBatch(event, companyId, userId, userRole) {
+  const { batchId } = JSON.parse(event.body || '{}');
+  if (!batchId) {
+    return createErrorResponse(400, 'batchId is required');
+  }
+
+  const drafts = (await queryDrafts(companyId, batchId)).filter(draft => canAccessDraft(draft, userId, userRole));
+  if (drafts.length === 0) {
+    return createErrorResponse(404, 'Batch not found');
+  }
+
+  await inBatches(drafts.filter(draft => draft.status === DRAFT_STATUS.UPLOADING), async (draft) => {
+    let uploaded = true;
+    try {
+      await s3.send(new HeadObjectCommand({ Bucket: RECEIPTS_BUCKET, Key: draft.receiptKey }));
+    } catch (error) {
+      if (error.name !== 'NotFound' && error.$metadata?.httpStatusCode !== 404) {
+        throw error;
+      }
+      uploaded = false;
+    }
+
+    const update = uploaded
+      ? { status: DRAFT_STATUS.QUEUED, lastError: null }
+      : { status: DRAFT_STATUS.FAILED, lastError: 'The receipt file was not uploaded' };
+
+    try {
+      await dynamoOperation('update', {
+        TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+        Key: { companyId, draftId: draft.draftId },
+        UpdateExpression: 'SET #status = :status, lastError = :lastError, updatedAt = :updatedAt',
+        ConditionExpression: '#status = :uploading',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':status': update.status,
+          ':lastError': update.lastError,
+          ':uploading': DRAFT_STATUS.UPLOADING,
+          ':updatedAt': getCurrentTimestamp()
+        }
+      });
+      Object.assign(draft, update);
+    } catch (error) {
+      // Started twice - the other request already moved the draft on
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  });
+
+  return createResponse(200, {
+    success: true,
+    batchId,
+    summary: summarizeBatch(drafts)
+  });
+}
+
+// Correct the fields of a ready (or failed) draft before it is confirmed
+async function updateDraftFields(event, companyId, userId, userRole) {
+  const { draftId, fields } = JSON.parse(event.body || '{}');
+  if (!draftId) {
+    return createErrorResponse(400, 'draftId is required');
+  }
+
+  const validation = validateDraftEdits(fields);
+  if (!validation.valid) {
+    return createErrorResponse(400, `Invalid draft fields: ${validation.errors.join(', ')}`);
+  }
+
+  const draft = await getDraft(companyId, draftId);
+  if (!draft || !canAccessDraft(draft, userId, userRole)) {
+    return createErrorResponse(404, 'Draft not found');
+  }
+  if (!DRAFT_EDITABLE_STATUSES.includes(draft.status)) {
+    return createErrorResponse(409, `Draft is still ${draft.status}`);
+  }
+
+  const update = applyDraftEdits(draft, validation.fields);
+
+  if (validation.fields.projectId) {
+    const project = await dynamoOperation('get', {
+      TableName: COMPANY_TABLE_NAMES.PROJECTS,
+      Key: { companyId, projectId: validation.fields.projectId }
+    });
+    if (!project.Item) {
+      return createErrorResponse(400, 'Project not found');
+    }
+  }
+
+  // The user's choice of contractor replaces the OCR match
+  if (validation.fields.contractorId !== undefined) {
+    update.contractorMatch = null;
+    if (validation.fields.contractorId) {
+      const contractor = await dynamoOperation('get', {
+        TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+        Key: { companyId, contractorId: validation.fields.contractorId }
+      });
+      if (!contractor.Item) {
+        return createErrorResponse(400, 'Contractor not found');
+      }
+      update.contractorMatch = {
+        contractorId: contractor.Item.contractorId,
+        name: contractor.Item.name,
+        confidence: 100,
+        matchedBy: 'user'
+      };
+    }
+  }
+
+  // A failed draft the user filled in can be confirmed with the ready ones
+  update.status = DRAFT_STATUS.READY;
+  update.lastError = null;
+  update.updatedAt = getCurrentTimestamp();
+
+  const names = { '#previousUpdatedAt': 'updatedAt' };
+  const values = { ':previousUpdatedAt': draft.updatedAt };
+  const assignments = Object.entries(update).map(([field, value], index) => {
+    names[`#f${index}`] = field;
+    values[`:f${index}`] = value;
+    return `#f${index} = :f${index}`;
+  });
+
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId, draftId },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      // Not confirmed, discarded or edited by another request meanwhile
+      ConditionExpression: '#previousUpdatedAt = :previousUpdatedAt',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'The draft was changed or confirmed meanwhile. Please reload the drafts.');
+    }
+    throw error;
+  }
+
+  const updated = { ...draft, ...update };
+
+  auditLog.logUpdate({
+    resourceId: draftId,
+    companyId,
+    userId,
+    userRole,
+    before: draft,
+    after: updated,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Draft updated successfully',
+    draft: await formatDraft(updated)
+  });
+}
+
+// Discard a draft that will not become an expense, and its receipt
+async function discardDraft(event, companyId, userId, userRole) {
+  const { draftId } = event.queryStringParameters || {};
+  if (!draftId) {
+    return createErrorResponse(400, 'draftId query parameter is required');
+  }
+
+  const draft = await getDraft(companyId, draftId);
+  if (!draft || !canAccessDraft(draft, userId, userRole)) {
+    return createErrorResponse(404, 'Draft not found');
+  }
+  // A draft being read would be recreated by the worker's update
+  if (draft.status === DRAFT_STATUS.PROCESSING) {
+    return createErrorResponse(409, 'The receipt is being read. Please try again in a minute.');
+  }
+  // The expense being created keeps the receipt
+  if (draft.status === DRAFT_STATUS.CONFIRMING) {
+    return createErrorResponse(409, 'The draft is being confirmed. Please reload the drafts.');
+  }
+
+  try {
+    await dynamoOperation('delete', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId, draftId },
+      ConditionExpression: '#status = :status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': draft.status }
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'The draft was changed or confirmed meanwhile. Please reload the drafts.');
+    }
+    throw error;
+  }
+
+  // The receipt belongs to no expense - a failed delete only leaves an orphaned file
+  try {
+    await s3.send(new DeleteObjectCommand({ Bucket: RECEIPTS_BUCKET, Key: draft.receiptKey }));
+  } catch (error) {
+    logger.warn('Failed to delete receipt of discarded draft', {
+      companyId,
+      draftId,
+      receiptKey: draft.receiptKey,
+      error: error.message
+    });
+  }
+
+  fileAuditLog.logDelete({
+    resourceId: draft.receiptKey,
+    companyId,
+    userId,
+    userRole,
+    deletedData: {
+      draftId,
+      batchId: draft.batchId || null,
+      fileName: draft.fileName,
+      status: draft.status,
+      extractedFields: draft.extractedFields || null
+    },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Draft discarded successfully',
+    draftId
+  });
+}
+
+// Claim a draft for confirmation so a repeated confirm cannot create its expense twice
+// Returns the claim's updatedAt, or null when the draft changed or was claimed meanwhile
+async function claimDraft(draft) {
+  const claimedAt = getCurrentTimestamp();
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId: draft.companyId, draftId: draft.draftId },
+      UpdateExpression: 'SET #status = :confirming, updatedAt = :claimedAt',
+      ConditionExpression: 'updatedAt = :previousUpdatedAt AND #status IN (:ready, :failed)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':confirming': DRAFT_STATUS.CONFIRMING,
+        ':claimedAt': claimedAt,
+        ':previousUpdatedAt': draft.updatedAt,
+        ':ready': DRAFT_STATUS.READY,
+        ':failed': DRAFT_STATUS.FAILED
+      }
+    });
+    return claimedAt;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Give a claimed draft back to the user after its expense could not be created
+async function releaseDraft(draft, claimedAt) {
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId: draft.companyId, draftId: draft.draftId },
+      UpdateExpression: 'SET #status = :status, updatedAt = :updatedAt',
+      ConditionExpression: '#status = :confirming AND updatedAt = :claimedAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': draft.status,
+        ':updatedAt': getCurrentTimestamp(),
+        ':confirming': DRAFT_STATUS.CONFIRMING,
+        ':claimedAt': claimedAt
+      }
+    });
+  } catch (error) {
+    logger.warn('Failed to release claimed draft', {
+      companyId: draft.companyId,
+      draftId: draft.draftId,
+      error: error.message
+    });
+  }
+}
+
+// Create one expense from a draft and remove the draft
+// Returns { expense, complianceWarning? } or { error }
+async function confirmDraft(event, companyId, userId, userRole, draft, overrides, limitReserved) {
+  const claimedAt = await claimDraft(draft);
+  if (!claimedAt) {
+    if (limitReserved) {
+      await decrementExpenseCounter(companyId);
+    }
+    const message = 'The draft was changed or confirmed meanwhile. Please reload the drafts.';
+    return { error: message, errorResponse: createErrorResponse(409, message) };
+  }
+
+  let created;
+  try {
+    created = await createCompanyExpense(companyId, draft.userId, userRole, buildExpenseFromDraft(draft, overrides), {
+      limitReserved,
+      historyComment: `Confirmed from receipt ${draft.fileName}`
+    });
+  } catch (error) {
+    logger.error('Failed to confirm draft expense', { companyId, draftId: draft.draftId, error: error.message });
+    await releaseDraft(draft, claimedAt);
+    return { error: 'Internal error while creating the expense' };
+  }
+
+  if (created.errorResponse) {
+    await releaseDraft(draft, claimedAt);
+    return { error: JSON.parse(created.errorResponse.body).message, errorResponse: created.errorResponse };
+  }
+
+  await dynamoOperation('delete', {
+    TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+    Key: { companyId, draftId: draft.draftId }
+  });
+
+  auditLog.logCreate({
+    resourceId: created.expense.expenseId,
+    companyId,
+    userId,
+    userRole,
+    data: created.expense,
+    metadata: { fromDraft: true, draftId: draft.draftId, batchId: draft.batchId || null },
+    request: event
+  });
+
+  return created;
+}
+
+// Confirm one draft (with the user's corrections) or several ready drafts as they were read
+async function confirmDrafts(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+
+  if (requestBody.draftId) {
+    const draft = await getDraft(companyId, requestBody.draftId);
+    if (!draft || !canAccessDraft(draft, userId, userRole)) {
+      return createErrorResponse(404, 'Draft not found');
+    }
+    // A failed draft can still be confirmed once the user filled in the fields
+    if (!DRAFT_EDITABLE_STATUSES.includes(draft.status)) {
+      return createErrorResponse(409, `Draft is still ${draft.status}`);
+    }
+
+    const created = await confirmDraft(event, companyId, userId, userRole, draft, requestBody.expense || {}, false);
+    if (created.errorResponse) {
+      return created.errorResponse;
+    }
+    if (created.error) {
+      return createErrorResponse(500, created.error);
+    }
+
+    await checkBudgetAlerts(companyId, getSpendingChanges([], [created.expense]));
+
+    return createResponse(201, {
+      success: true,
+      message: 'Expense created successfully',
+      expense: created.expense,
+      ...(created.complianceWarning ? { complianceWarning: created.complianceWarning } : {})
+    });
+  }
+
+  const { draftIds } = requestBody;
+  if (!Array.isArray(draftIds) || draftIds.length === 0) {
+    return createErrorResponse(400, 'draftId or a non-empty draftIds array is required');
+  }
+
+  const results = draftIds.map(draftId => ({ draftId }));
+  await inBatches(results, async (result) => {
+    const draft = await getDraft(companyId, result.draftId);
+    if (!draft || !canAccessDraft(draft, userId, userRole)) {
+      result.error = 'Draft not found';
+    } else if (draft.status !== DRAFT_STATUS.READY) {
+      result.error = `Draft is ${draft.status}`;
+    } else {
+      result.draft = draft;
+    }
+  });
+
+  const toConfirm = results.filter(result => result.draft);
+  if (toConfirm.length === 0) {
+    return createErrorResponse(400, 'None of the drafts is ready to be confirmed');
+  }
+
+  // Tier limit for the whole batch - reserves a slot for every draft
+  const limitCheck = await checkExpenseBatchLimit(companyId, toConfirm.length);
+  if (!limitCheck.allowed) {
+    return createErrorResponse(403, limitCheck.message, {
+      reason: limitCheck.reason,
+      currentUsage: limitCheck.currentUsage,
+      limit: limitCheck.limit,
+      remaining: limitCheck.remaining,
+      suggestedTier: limitCheck.suggestedTier,
+      upgradeUrl: limitCheck.upgradeUrl
+    });
+  }
+
+  const overrides = requestBody.projectId ? { projectId: requestBody.projectId } : {};
+  const createdExpenses = [];
+  await inBatches(toConfirm, async (result) => {
+    // Each expense releases its reserved slot if it is rejected
+    const created = await confirmDraft(event, companyId, userId, userRole, result.draft, overrides, true);
+    if (created.error) {
+      result.error = created.error;
+      return;
+    }
+    result.expenseId = created.expense.expenseId;
+    createdExpenses.push(created.expense);
+  });
+
+  // One budget check for all affected projects rather than one per draft
+  if (createdExpenses.length > 0) {
+    await checkBudgetAlerts(companyId, getSpendingChanges([], createdExpenses));
+  }
+
+  return createResponse(200, {
+    success: true,
+    message: `${createdExpenses.length} expenses created successfully`,
+    summary: {
+      requested: draftIds.length,
+      created: createdExpenses.length,
+      failed: results.length - createdExpenses.length
+    },
+    results: results.map(({ draftId, expenseId, error }) => ({
+      draftId,
+      status: expenseId ? 'created' : 'failed',
+      ...(expenseId ? { expenseId } : { error })
+    }))
+  });
+}
@@ -0,0 +1,378 @@
+// lambda/companyExpenseImport.js
+// Bulk import of expenses from CSV / Excel files
+//
+// Routes:
+//   POST /expenses/import - { fileName, csv | rows, hasHeader?, columnMap?, defaults?,
+//                             createMissingContractors?, dryRun?, skipInvalid? }
+//
+// The file is sent either as CSV text (`csv`) or as the cell rows of an Excel sheet
+// (`rows`, read by the browser). Without a columnMap the mapping is suggested from the
+// header row. A dry run (the default) validates every row and returns a per-row report
+// without writing anything; `dryRun: false` imports the rows. The tier limit is checked
+// for the whole batch before the first expense is created.
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  generateContractorId,
+  generateImportId,
+  getCurrentTimestamp,
+  dynamoOperation,
+  COMPANY_TABLE_NAMES,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyExpenseImport');
+const { createAuditLogger, RESOURCE_TYPES, AUDIT_ACTIONS } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.EXPENSE);
+const contractorAuditLog = createAuditLogger(RESOURCE_TYPES.CONTRACTOR);
+const { withSecureCors } = require('./shared/cors-config');
+const { validateField, VALIDATION_RULES } = require('./shared/input-validator');
+const {
+  checkExpenseBatchLimit,
+  decrementExpenseCounter,
+  getCompanyUsage
+} = require('./shared/limit-checker');
+const { createCompanyExpense, invoiceExists } = require('./shared/expense-create');
+const { checkBudgetAlerts, getSpendingChanges } = require('./shared/budget-alerts');
+const {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  suggestColumnMap,
+  validateColumnMap,
+  buildReferenceIndex,
+  validateImportRows,
+  loadImportReferences
+} = require('./shared/expense-import');
+
+// Rows checked or created in parallel (keeps DynamoDB request bursts small)
+const IMPORT_CONCURRENCY = 5;
+
+// Data rows echoed back while the column mapping is incomplete
+const SAMPLE_ROW_COUNT = 5;
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+
+    if (event.httpMethod !== 'POST') {
+      return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+
+    // Same permission as creating a single expense
+    if (!hasPermission(userRole, PERMISSIONS.CREATE_EXPENSES)) {
+      return createErrorResponse(403, 'You do not have permission to create expenses. Contact an admin to upgrade your role.');
+    }
+
+    return await importExpenses(event, companyId, userId, userRole);
+  } catch (error) {
+    logger.error('ERROR in companyExpenseImport handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error during expense import');
+  }
+});
+
+// Run fn over items, IMPORT_CONCURRENCY at a time
+async function inBatches(items, fn) {
+  for (let i = 0; i < items.length; i += IMPORT_CONCURRENCY) {
+    await Promise.all(items.slice(i, i + IMPORT_CONCURRENCY).map(fn));
+  }
+}
+
+// Read the file rows from the request - { rows } or { errorResponse }
+function readImportRows(requestBody) {
+  if (typeof requestBody.csv === 'string') {
+    return { rows: parseCsv(requestBody.csv) };
+  }
+  if (Array.isArray(requestBody.rows) && requestBody.rows.every(Array.isArray)) {
+    const rows = requestBody.rows
+      .map(cells => cells.map(value => (value === null || value === undefined ? '' : String(value).trim())))
+      .filter(cells => cells.some(value => value !== ''));
+    return { rows };
+  }
+  return { errorResponse: createErrorResponse(400, 'Provide the file as csv text or as rows of cells') };
+}
+
+// Shape of a row in the import report
+function formatRowResult(result, status, extra = {}) {
+  return {
+    row: result.row,
+    status,
+    errors: result.errors,
+    expense: result.expense,
+    newContractor: result.newContractor,
+    ...extra
+  };
+}
+
+// Mark rows whose invoice is already recorded for the contractor (GSI check, as in POST /expenses)
+async function markRecordedInvoices(results) {
+  const toCheck = results.filter(result =>
+    result.valid && !result.newContractor && result.expense.invoiceNum
+  );
+  await inBatches(toCheck, async (result) => {
+    if (await invoiceExists(result.expense.contractorId, result.expense.invoiceNum)) {
+      result.errors.push(`Invoice number ${result.expense.invoiceNum} already exists for this contractor`);
+      result.valid = false;
+    }
+  });
+}
+
+// Create the contractors named in the file that do not exist yet
+// Returns { normalized name: contractorId }
+async function createMissingContractors(event, companyId, userId, userRole, names) {
+  const contractorIds = {};
+  for (const name of names) {
+    const timestamp = getCurrentTimestamp();
+    const contractor = {
+      companyId,
+      contractorId: generateContractorId(),
+      userId, // User who created the contractor
+      name,
+      contactPerson: '',
+      phone: '',
+      email: '',
+      address: '',
+      specialty: '',
+      licenseNumber: '',
+      taxId: '',
+      paymentTerms: '',
+      notes: 'Created by expense import',
+      status: 'active',
+      rating: null,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await dynamoOperation('put', {
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      Item: contractor,
+      ConditionExpression: 'attribute_not_exists(contractorId)'
+    });
+
+    contractorAuditLog.logCreate({
+      resourceId: contractor.contractorId,
+      companyId,
+      userId,
+      userRole,
+      data: contractor,
+      metadata: { imported: true },
+      request: event
+    });
+
+    contractorIds[name] = contractor.contractorId;
+  }
+  return contractorIds;
+}
+
+// Validate the import (dry run) or import the valid rows
+async function importExpenses(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const dryRun = requestBody.dryRun !== false;
+  const createContractors = requestBody.createMissingContractors === true;
+  const defaults = {
+    paymentMethod: requestBody.defaults?.paymentMethod || '',
+    vatTreatment: requestBody.defaults?.vatTreatment || ''
+  };
+
+  const fileName = requestBody.fileName || 'import';
+  const fileNameValidation = validateField(fileName, 'fileName', VALIDATION_RULES.shortText);
+  if (!fileNameValidation.valid) {
+    return createErrorResponse(400, fileNameValidation.error);
+  }
+
+  if (createContractors && !hasPermission(userRole, PERMISSIONS.CREATE_CONTRACTORS)) {
+    return createErrorResponse(403, 'You do not have permission to create contractors. Contact an admin to upgrade your role.');
+  }
+
+  const { rows: fileRows, errorResponse } = readImportRows(requestBody);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  const hasHeader = requestBody.hasHeader !== false;
+  const headers = hasHeader ? (fileRows[0] || []) : [];
+  const dataRows = hasHeader ? fileRows.slice(1) : fileRows;
+
+  if (dataRows.length === 0) {
+    return createErrorResponse(400, 'The file contains no expense rows');
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return createErrorResponse(400, `An import can contain at most ${MAX_IMPORT_ROWS} rows - split the file into smaller files`);
+  }
+
+  const columnCount = Math.max(...fileRows.map(cells => cells.length));
+  const columnMap = requestBody.columnMap || suggestColumnMap(headers);
+  const mappingErrors = validateColumnMap(columnMap, columnCount, defaults);
+  if (mappingErrors.length > 0) {
+    if (!dryRun) {
+      return createErrorResponse(400, `Invalid column mapping: ${mappingErrors.join(', ')}`);
+    }
+    // Let the user complete the mapping before the rows are validated
+    return createResponse(200, {
+      success: true,
+      dryRun: true,
+      headers,
+      columnCount,
+      columnMap,
+      mappingErrors,
+      sampleRows: dataRows.slice(0, SAMPLE_ROW_COUNT)
+    });
+  }
+
+  const references = await loadImportReferences(companyId);
+  const results = validateImportRows(dataRows, columnMap, buildReferenceIndex(references), {
+    defaults,
+    createMissingContractors: createContractors,
+    firstRowNumber: hasHeader ? 2 : 1
+  });
+  await markRecordedInvoices(results);
+
+  const validResults = results.filter(result => result.valid);
+  const newContractors = [...new Set(
+    validResults.filter(result => result.newContractor).map(result => result.expense.contractorName)
+  )];
+  const summary = {
+    totalRows: results.length,
+    validRows: validResults.length,
+    invalidRows: results.length - validResults.length,
+    newContractors
+  };
+
+  if (dryRun) {
+    const usage = (await getCompanyUsage(companyId)).expenses;
+    const remaining = usage.unlimited ? null : Math.max(0, usage.limit - usage.current);
+    return createResponse(200, {
+      success: true,
+      dryRun: true,
+      headers,
+      columnCount,
+      columnMap,
+      mappingErrors: [],
+      summary,
+      limit: {
+        unlimited: usage.unlimited,
+        remaining,
+        allowed: usage.unlimited || validResults.length <= remaining
+      },
+      rows: results.map(result => formatRowResult(result, result.valid ? 'valid' : 'invalid'))
+    });
+  }
+
+  if (summary.invalidRows > 0 && requestBody.skipInvalid !== true) {
+    return createErrorResponse(400, `${summary.invalidRows} rows have errors. Fix the file or import only the valid rows.`);
+  }
+  if (validResults.length === 0) {
+    return createErrorResponse(400, 'No valid rows to import');
+  }
+
+  // Tier limit for the whole batch - reserves a slot for every valid row
+  const limitCheck = await checkExpenseBatchLimit(companyId, validResults.length);
+  if (!limitCheck.allowed) {
+    return createErrorResponse(403, limitCheck.message, {
+      reason: limitCheck.reason,
+      currentUsage: limitCheck.currentUsage,
+      limit: limitCheck.limit,
+      remaining: limitCheck.remaining,
+      suggestedTier: limitCheck.suggestedTier,
+      upgradeUrl: limitCheck.upgradeUrl
+    });
+  }
+
+  let contractorIds;
+  try {
+    contractorIds = await createMissingContractors(event, companyId, userId, userRole, newContractors);
+  } catch (error) {
+    await decrementExpenseCounter(companyId, validResults.length);
+    throw error;
+  }
+
+  const importId = generateImportId();
+  const rowReports = new Map();
+  const createdExpenses = [];
+  await inBatches(validResults, async (result) => {
+    const { expense: row } = result;
+    const requestExpense = {
+      date: row.date,
+      invoiceNum: row.invoiceNum,
+      amount: row.amount,
+      paymentMethod: row.paymentMethod,
+      description: row.description,
+      vatTreatment: row.vatTreatment,
+      projectId: row.projectId,
+      contractorId: result.newContractor ? contractorIds[row.contractorName] : row.contractorId,
+      workId: row.workId
+    };
+
+    let created;
+    try {
+      // Each expense releases its reserved slot if it is rejected
+      created = await createCompanyExpense(companyId, userId, userRole, requestExpense, {
+        limitReserved: true,
+        historyComment: `Imported from ${fileName}`
+      });
+    } catch (error) {
+      logger.error('Failed to import expense row', { companyId, importId, row: result.row, error: error.message });
+      rowReports.set(result, formatRowResult(result, 'failed', { errors: ['Internal error while creating the expense'] }));
+      return;
+    }
+
+    if (created.errorResponse) {
+      const { message } = JSON.parse(created.errorResponse.body);
+      rowReports.set(result, formatRowResult(result, 'failed', { errors: [message] }));
+      return;
+    }
+
+    auditLog.logCreate({
+      resourceId: created.expense.expenseId,
+      companyId,
+      userId,
+      userRole,
+      data: created.expense,
+      metadata: { imported: true, importId, fileName, row: result.row },
+      request: event
+    });
+    createdExpenses.push(created.expense);
+    rowReports.set(result, formatRowResult(result, 'created', { expenseId: created.expense.expenseId }));
+  });
+
+  // One budget check for all affected projects rather than one per row
+  if (createdExpenses.length > 0) {
+    await checkBudgetAlerts(companyId, getSpendingChanges([], createdExpenses));
+  }
+
+  const rows = results.map(result => rowReports.get(result) || formatRowResult(result, 'skipped'));
+  const importSummary = {
+    ...summary,
+    created: rows.filter(row => row.status === 'created').length,
+    failed: rows.filter(row => row.status === 'failed').length,
+    skipped: rows.filter(row => row.status === 'skipped').length
+  };
+
+  auditLog.logAction({
+    action: AUDIT_ACTIONS.IMPORT,
+    resourceId: importId,
+    companyId,
+    userId,
+    userRole,
+    data: { fileName },
+    metadata: importSummary,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    dryRun: false,
+    importId,
+    message: `${importSummary.created} expenses imported successfully`,
+    summary: importSummary,
+    rows
+  });
+}
@@ -0,0 +1,563 @@
+// lambda/companyExpensePayments.js
+// Company-scoped payment ledger for expenses (installments, post-dated cheques)
+//
+// Routes:
+//   GET    /expenses/payments?expenseId=...            - list payments and balance
+//   POST   /expenses/payments                          - record a payment { expenseId, date, amount, paymentMethod, ... }
+//   DELETE /expenses/payments?expenseId=...&paymentId=... - remove a payment
+//   GET    /expenses/cheques?status=...&dueFrom=...&dueTo=...&contractorId=... - company cheque register
+//   GET    /expenses/cheques/upcoming?days=N           - open cheques due in the next N days
+//   PUT    /expenses/cheques                           - change cheque state { expenseId, paymentId, chequeStatus, comment }
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  getCurrentTimestamp,
+  addDays,
+  dynamoOperation,
+  queryAllPages,
+  COMPANY_TABLE_NAMES,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyExpensePayments');
+const { createAuditLogger, RESOURCE_TYPES, AUDIT_ACTIONS } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.PAYMENT);
+const { withSecureCors } = require('./shared/cors-config');
+const { validateField, VALIDATION_RULES } = require('./shared/input-validator');
+const {
+  CHEQUE_STATUS,
+  CHEQUE_PAYMENT_METHOD,
+  OPEN_CHEQUE_STATUSES,
+  MAX_DUE_WITHIN_DAYS,
+  MAX_PAYMENTS_PER_EXPENSE,
+  validatePaymentInput,
+  buildPayment,
+  isSettlingPayment,
+  calculateExpenseBalance,
+  deriveStatusFromBalance,
+  isValidChequeTransition,
+  buildChequeRegister,
+  summarizeCheques
+} = require('./shared/expense-payments');
+const { roundCurrency } = require('./shared/vat-utils');
+const { getPaymentWithholding } = require('./shared/withholding-tax');
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+
+    // Cheque register routes
+    if (event.path && event.path.includes('/cheques')) {
+      switch (event.httpMethod) {
+        case 'GET':
+          return await getChequeRegister(event, companyId, userId, userRole);
+        case 'PUT':
+          if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+            return createErrorResponse(403, 'You do not have permission to update cheques. Only admins and managers can manage payments.');
+          }
+          return await updateChequeStatus(event, companyId, userId, userRole);
+        default:
+          return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+    }
+
+    switch (event.httpMethod) {
+      case 'GET':
+        // All authenticated users can view payments of expenses they can view
+        return await getPayments(event, companyId, userId, userRole);
+      case 'POST':
+        // Only admin and manager record payments
+        if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+          return createErrorResponse(403, 'You do not have permission to record payments. Only admins and managers can manage payments.');
+        }
+        return await addPayment(event, companyId, userId, userRole);
+      case 'DELETE':
+        if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+          return createErrorResponse(403, 'You do not have permission to delete payments. Only admins and managers can manage payments.');
+        }
+        return await deletePayment(event, companyId, userId, userRole);
+      default:
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+  } catch (error) {
+    logger.error('ERROR in companyExpensePayments handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error during payments operation');
+  }
+});
+
+// Load an expense and enforce the same visibility rules as GET /expenses
+async function getExpenseForUser(companyId, expenseId, userId, userRole) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    Key: { companyId, expenseId }
+  });
+
+  if (!result.Item) {
+    return { error: createErrorResponse(404, 'Expense not found') };
+  }
+
+  // Editors only see expenses they created
+  if (userRole === 'editor' && result.Item.userId !== userId) {
+    return { error: createErrorResponse(403, 'You can only view payments of expenses you created') };
+  }
+
+  return { expense: result.Item };
+}
+
+// Load the contractor of an expense (undefined if it no longer exists)
+async function getContractor(companyId, contractorId) {
+  if (!contractorId) {
+    return undefined;
+  }
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    Key: { companyId, contractorId }
+  });
+  return result.Item;
+}
+
+// Build the response summary for an expense's ledger
+function buildLedgerSummary(expense, payments) {
+  const balance = calculateExpenseBalance(expense.amount, payments);
+  const withheldAmount = roundCurrency(
+    payments.filter(isSettlingPayment).reduce((sum, p) => sum + (p.withholdingAmount || 0), 0)
+  );
+  return {
+    expenseId: expense.expenseId,
+    expenseAmount: expense.amount,
+    paidAmount: balance.paidAmount,
+    withheldAmount,
+    outstandingAmount: balance.outstandingAmount,
+    isFullyPaid: balance.isFullyPaid,
+    status: expense.status,
+    payments: [...payments].sort((a, b) => (a.dueDate || a.date).localeCompare(b.dueDate || b.date))
+  };
+}
+
+// Persist a new payments list together with the recomputed balance
+// Conditioned on updatedAt so concurrent ledger edits cannot overwrite each other
+async function saveLedger(expense, payments, { userId, userRole, action }) {
+  const balance = calculateExpenseBalance(expense.amount, payments);
+  const currentStatus = expense.status || 'pending';
+  const newStatus = deriveStatusFromBalance(currentStatus, balance);
+  const timestamp = getCurrentTimestamp();
+
+  const setExpressions = [
+    '#payments = :payments',
+    '#paidAmount = :paidAmount',
+    '#outstandingAmount = :outstandingAmount',
+    '#updatedAt = :updatedAt'
+  ];
+  const expressionAttributeNames = {
+    '#payments': 'payments',
+    '#paidAmount': 'paidAmount',
+    '#outstandingAmount': 'outstandingAmount',
+    '#updatedAt': 'updatedAt'
+  };
+  const expressionAttributeValues = {
+    ':payments': payments,
+    ':paidAmount': balance.paidAmount,
+    ':outstandingAmount': balance.outstandingAmount,
+    ':updatedAt': timestamp
+  };
+
+  let conditionExpression = 'attribute_not_exists(#updatedAt)';
+  if (expense.updatedAt) {
+    conditionExpression = '#updatedAt = :previousUpdatedAt';
+    expressionAttributeValues[':previousUpdatedAt'] = expense.updatedAt;
+  }
+
+  // Paid status is derived from the balance - record the change in the approval history
+  if (newStatus !== currentStatus) {
+    setExpressions.push(
+      '#status = :status',
+      '#statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :historyEntry)'
+    );
+    expressionAttributeNames['#status'] = 'status';
+    expressionAttributeNames['#statusHistory'] = 'statusHistory';
+    expressionAttributeValues[':status'] = newStatus;
+    expressionAttributeValues[':emptyList'] = [];
+    expressionAttributeValues[':historyEntry'] = [{
+      action,
+      fromStatus: currentStatus,
+      toStatus: newStatus,
+      userId,
+      userRole,
+      comment: '',
+      timestamp
+    }];
+    if (newStatus === 'paid') {
+      setExpressions.push('#paidAt = :updatedAt');
+      expressionAttributeNames['#paidAt'] = 'paidAt';
+    }
+  }
+
+  const result = await dynamoOperation('update', {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    Key: { companyId: expense.companyId, expenseId: expense.expenseId },
+    UpdateExpression: `SET ${setExpressions.join(', ')}`,
+    ConditionExpression: conditionExpression,
+    ExpressionAttributeNames: expressionAttributeNames,
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW'
+  });
+
+  return result.Attributes;
+}
+
+// Get the payment ledger of an expense
+async function getPayments(event, companyId, userId, userRole) {
+  const { expenseId } = event.queryStringParameters || {};
+  if (!expenseId) {
+    return createErrorResponse(400, 'Missing expenseId parameter');
+  }
+
+  const { expense, error } = await getExpenseForUser(companyId, expenseId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  return createResponse(200, {
+    success: true,
+    ...buildLedgerSummary(expense, expense.payments || [])
+  });
+}
+
+// Record a payment against an expense
+async function addPayment(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { expenseId } = requestBody;
+
+  if (!expenseId) {
+    return createErrorResponse(400, 'Missing required field: expenseId');
+  }
+
+  const { valid, errors, payment } = validatePaymentInput(requestBody);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const { expense, error } = await getExpenseForUser(companyId, expenseId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  if (expense.status === 'rejected') {
+    return createErrorResponse(400, 'Cannot record payments for a rejected expense');
+  }
+
+  const existingPayments = expense.payments || [];
+  if (existingPayments.length >= MAX_PAYMENTS_PER_EXPENSE) {
+    return createErrorResponse(400, `An expense can have at most ${MAX_PAYMENTS_PER_EXPENSE} payments`);
+  }
+
+  const { outstandingAmount } = calculateExpenseBalance(expense.amount, existingPayments);
+  if (payment.amount > outstandingAmount) {
+    return createErrorResponse(400, `Payment amount exceeds the outstanding balance of ₪${outstandingAmount}`);
+  }
+
+  // Withholding tax (ניכוי במקור) at the contractor's rate on the payment date
+  const contractor = await getContractor(companyId, expense.contractorId);
+
+  const newPayment = buildPayment(payment, getPaymentWithholding(payment, expense, contractor), userId);
+
+  let updatedExpense;
+  try {
+    updatedExpense = await saveLedger(expense, [...existingPayments, newPayment], {
+      userId,
+      userRole,
+      action: 'payment_recorded'
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Expense was modified by another user. Please refresh and try again.');
+    }
+    throw error;
+  }
+
+  auditLog.logCreate({
+    resourceId: newPayment.paymentId,
+    companyId,
+    userId,
+    userRole,
+    data: { expenseId, ...newPayment },
+    request: event
+  });
+
+  return createResponse(201, {
+    success: true,
+    message: 'Payment recorded successfully',
+    payment: newPayment,
+    ...buildLedgerSummary(updatedExpense, updatedExpense.payments || [])
+  });
+}
+
+// Remove a payment from an expense
+async function deletePayment(event, companyId, userId, userRole) {
+  const { expenseId, paymentId } = event.queryStringParameters || {};
+  if (!expenseId || !paymentId) {
+    return createErrorResponse(400, 'Missing expenseId or paymentId parameter');
+  }
+
+  const { expense, error } = await getExpenseForUser(companyId, expenseId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  const existingPayments = expense.payments || [];
+  const paymentToDelete = existingPayments.find(p => p.paymentId === paymentId);
+  if (!paymentToDelete) {
+    return createErrorResponse(404, 'Payment not found');
+  }
+
+  let updatedExpense;
+  try {
+    updatedExpense = await saveLedger(expense, existingPayments.filter(p => p.paymentId !== paymentId), {
+      userId,
+      userRole,
+      action: 'payment_removed'
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Expense was modified by another user. Please refresh and try again.');
+    }
+    throw error;
+  }
+
+  auditLog.logDelete({
+    resourceId: paymentId,
+    companyId,
+    userId,
+    userRole,
+    deletedData: { expenseId, ...paymentToDelete },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Payment deleted successfully',
+    ...buildLedgerSummary(updatedExpense, updatedExpense.payments || [])
+  });
+}
+
+// Read every expense of the company that has a payment ledger
+async function queryExpensesWithPayments(companyId, userId, userRole) {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    KeyConditionExpression: 'companyId = :companyId',
+    FilterExpression: 'attribute_exists(payments)',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  };
+
+  // Editors only see expenses they created
+  if (userRole === 'editor') {
+    params.FilterExpression += ' AND userId = :userId';
+    params.ExpressionAttributeValues[':userId'] = userId;
+  }
+
+  return queryAllPages(params);
+}
+
+// Build ID -> name maps for projects and contractors
+async function getNameLookups(companyId) {
+  const [projectItems, contractorItems] = await Promise.all([
+    queryAllPages({
+      TableName: COMPANY_TABLE_NAMES.PROJECTS,
+      KeyConditionExpression: 'companyId = :companyId',
+      ExpressionAttributeValues: { ':companyId': companyId }
+    }),
+    queryAllPages({
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      KeyConditionExpression: 'companyId = :companyId',
+      ExpressionAttributeValues: { ':companyId': companyId }
+    })
+  ]);
+
+  const projects = {};
+  projectItems.forEach(p => { projects[p.projectId] = p.name; });
+  const contractors = {};
+  contractorItems.forEach(c => { contractors[c.contractorId] = c.name; });
+
+  return { projects, contractors };
+}
+
+// Get the company cheque register, or open cheques due in the next N days
+async function getChequeRegister(event, companyId, userId, userRole) {
+  const queryParams = event.queryStringParameters || {};
+  const filters = {};
+  const errors = [];
+
+  const dateParams = ['dueFrom', 'dueTo'];
+  dateParams.forEach(param => {
+    if (queryParams[param]) {
+      const validation = validateField(queryParams[param], param, VALIDATION_RULES.date);
+      if (!validation.valid) {
+        errors.push(validation.error);
+      } else {
+        filters[param] = queryParams[param];
+      }
+    }
+  });
+
+  if (queryParams.status) {
+    if (!Object.values(CHEQUE_STATUS).includes(queryParams.status)) {
+      errors.push(`status must be one of: ${Object.values(CHEQUE_STATUS).join(', ')}`);
+    } else {
+      filters.status = queryParams.status;
+    }
+  }
+
+  if (queryParams.contractorId) {
+    const validation = validateField(queryParams.contractorId, 'contractorId', VALIDATION_RULES.id);
+    if (!validation.valid) {
+      errors.push(validation.error);
+    } else {
+      filters.contractorId = queryParams.contractorId;
+    }
+  }
+
+  // Upcoming view: open cheques due between today and today + N days
+  const isUpcoming = event.path.endsWith('/upcoming');
+  let days = null;
+  if (isUpcoming) {
+    days = parseInt(queryParams.days || '7', 10);
+    if (isNaN(days) || days < 0 || days > MAX_DUE_WITHIN_DAYS) {
+      errors.push(`days must be a number between 0 and ${MAX_DUE_WITHIN_DAYS}`);
+    } else {
+      const today = getCurrentTimestamp().split('T')[0];
+      filters.dueFrom = today;
+      filters.dueTo = addDays(today, days);
+    }
+  }
+
+  if (errors.length > 0) {
+    return createErrorResponse(400, `Invalid query parameters: ${errors.join(', ')}`);
+  }
+
+  const [expenses, lookups] = await Promise.all([
+    queryExpensesWithPayments(companyId, userId, userRole),
+    getNameLookups(companyId)
+  ]);
+
+  let cheques = buildChequeRegister(expenses, lookups, filters);
+  if (isUpcoming && !filters.status) {
+    cheques = cheques.filter(cheque => OPEN_CHEQUE_STATUSES.includes(cheque.chequeStatus));
+  }
+
+  auditLog.logRead({
+    resourceId: 'cheque-register',
+    companyId,
+    userId,
+    userRole,
+    count: cheques.length,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    cheques,
+    summary: summarizeCheques(cheques),
+    filters: { ...filters, ...(days !== null ? { days } : {}) }
+  });
+}
+
+// Move a cheque through its lifecycle (issued -> deposited -> cleared / bounced / cancelled)
+async function updateChequeStatus(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { expenseId, paymentId, chequeStatus } = requestBody;
+  const comment = typeof requestBody.comment === 'string' ? requestBody.comment.trim() : '';
+
+  if (!expenseId || !paymentId || !chequeStatus) {
+    return createErrorResponse(400, 'Missing required fields: expenseId, paymentId, chequeStatus');
+  }
+
+  if (!Object.values(CHEQUE_STATUS).includes(chequeStatus)) {
+    return createErrorResponse(400, `Invalid cheque status. Must be one of: ${Object.values(CHEQUE_STATUS).join(', ')}`);
+  }
+
+  if (comment) {
+    const validation = validateField(comment, 'comment', VALIDATION_RULES.shortText);
+    if (!validation.valid) {
+      return createErrorResponse(400, validation.error);
+    }
+  }
+
+  const { expense, error } = await getExpenseForUser(companyId, expenseId, userId, userRole);
+  if (error) {
+    return error;
+  }
+
+  const payments = expense.payments || [];
+  const cheque = payments.find(p => p.paymentId === paymentId);
+  if (!cheque || cheque.paymentMethod !== CHEQUE_PAYMENT_METHOD) {
+    return createErrorResponse(404, 'Cheque not found');
+  }
+
+  const fromStatus = cheque.chequeStatus || CHEQUE_STATUS.ISSUED;
+  if (!isValidChequeTransition(fromStatus, chequeStatus)) {
+    return createErrorResponse(400, `Cannot change cheque status from ${fromStatus} to ${chequeStatus}`);
+  }
+
+  // A re-deposited bounced cheque counts toward the balance again - it must still fit
+  if (fromStatus === CHEQUE_STATUS.BOUNCED && chequeStatus === CHEQUE_STATUS.DEPOSITED) {
+    const { outstandingAmount } = calculateExpenseBalance(expense.amount, payments);
+    if (cheque.amount > outstandingAmount) {
+      return createErrorResponse(400, `Cheque amount exceeds the outstanding balance of ₪${outstandingAmount}`);
+    }
+  }
+
+  const timestamp = getCurrentTimestamp();
+  const updatedCheque = {
+    ...cheque,
+    chequeStatus,
+    chequeStatusHistory: [
+      ...(cheque.chequeStatusHistory || []),
+      { fromStatus, toStatus: chequeStatus, userId, comment, timestamp }
+    ]
+  };
+  if (chequeStatus === CHEQUE_STATUS.DEPOSITED) updatedCheque.depositedAt = timestamp;
+  if (chequeStatus === CHEQUE_STATUS.CLEARED) updatedCheque.clearedAt = timestamp;
+  if (chequeStatus === CHEQUE_STATUS.BOUNCED) updatedCheque.bouncedAt = timestamp;
+  if (chequeStatus === CHEQUE_STATUS.CANCELLED) updatedCheque.cancelledAt = timestamp;
+
+  let updatedExpense;
+  try {
+    updatedExpense = await saveLedger(
+      expense,
+      payments.map(p => (p.paymentId === paymentId ? updatedCheque : p)),
+      { userId, userRole, action: `cheque_${chequeStatus}` }
+    );
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Expense was modified by another user. Please refresh and try again.');
+    }
+    throw error;
+  }
+
+  auditLog.logAction({
+    action: AUDIT_ACTIONS.STATUS_CHANGE,
+    resourceId: paymentId,
+    companyId,
+    userId,
+    userRole,
+    data: { expenseId, chequeNumber: cheque.chequeNumber, chequeStatus },
+    metadata: { fromStatus, toStatus: chequeStatus, comment },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: `Cheque status changed to ${chequeStatus}`,
+    cheque: updatedCheque,
+    ...buildLedgerSummary(updatedExpense, updatedExpense.payments || [])
+  });
+}
@@ -9,16 +9,16 @@ const {
   createResponse,
   createErrorResponse,
   getCompanyUserFromEvent,
-  generateExpenseId,
   getCurrentTimestamp,
-  debugLog,
   dynamoOperation,
+  queryAllPages,
   COMPANY_TABLE_NAMES,
-  SYSTEM_PROJECTS,
   SYSTEM_CONTRACTORS,
   USER_ROLES,
   PERMISSIONS,
-  hasPermission
+  EXPENSE_STATUS,
+  hasPermission,
+  getExpenseTransition
 } = require('./shared/company-utils');
 
 // S3 client for generating pre-signed URLs
@@ -27,30 +27,49 @@ const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || 'construction-expenses-re
 const RECEIPT_URL_EXPIRY = 3600; // 1 hour expiry for on-demand URLs
 const { createLogger } = require('./shared/logger');
 const logger = createLogger('companyExpenses');
-const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const { createAuditLogger, RESOURCE_TYPES, AUDIT_ACTIONS } = require('./shared/audit-logger');
 const auditLog = createAuditLogger(RESOURCE_TYPES.EXPENSE);
 
-const {
-  checkExpenseLimit,
-  decrementExpenseCounter
-} = require('./shared/limit-checker');
+const { decrementExpenseCounter } = require('./shared/limit-checker');
 
 const { withSecureCors } = require('./shared/cors-config');
 const { validateAndSanitize, EXPENSE_SCHEMA, checkDangerousPatterns } = require('./shared/input-validator');
+const {
+  buildExpenseSearchText,
+  parseExpenseFilters,
+  findIdsByName,
+  buildExpenseFilterExpression,
+  sortExpenses,
+  encodeCursor,
+  decodeCursor
+} = require('./shared/expense-query');
+const {
+  CHEQUE_PAYMENT_METHOD,
+  validatePaymentInput,
+  buildPayment,
+  calculateExpenseBalance,
+  deriveStatusFromBalance
+} = require('./shared/expense-payments');
 
-// VAT rate for Israeli invoices (18%)
-const VAT_RATE = 0.18;
-
-/**
- * Calculate VAT breakdown from total amount
- * @param {number} totalAmount - The total amount including VAT
- * @returns {Object} { baseAmount, vatAmount, vatRate }
- */
-function calculateVAT(totalAmount) {
-  const baseAmount = Math.round((totalAmount / (1 + VAT_RATE)) * 100) / 100;
-  const vatAmount = Math.round((totalAmount - baseAmount) * 100) / 100;
-  return { baseAmount, vatAmount, vatRate: VAT_RATE };
-}
+const {
+  VAT_TREATMENTS,
+  getVatRateForDate,
+  calculateVATBreakdown,
+  roundCurrency
+} = require('./shared/vat-utils');
+const { getExpenseWithholding, getPaymentWithholding } = require('./shared/withholding-tax');
+const { validateAllocations, getAllocationFields } = require('./shared/expense-allocations');
+const { validateLineItems } = require('./shared/expense-line-items');
+const {
+  loadCompanyVatRates,
+  validateVatTreatment,
+  isValidReceiptUrl,
+  validateProjectExists,
+  validateAllocationTargets,
+  createCompanyExpense
+} = require('./shared/expense-create');
+const { validateBudgetLineExists } = require('./shared/project-budget');
+const { checkBudgetAlerts, getSpendingChanges } = require('./shared/budget-alerts');
 
 /**
  * Check if a receiptUrl is an S3 key (not a full URL)
@@ -161,6 +180,11 @@ exports.handler = withSecureCors(async (event, context) => {
         // All authenticated users can view expenses (viewers included)
         return await getExpenses(companyId, userId, userRole, event);
       case 'POST':
+        // Approval workflow: POST /expenses/status { expenseId, status, comment }
+        // Permission is checked per transition against ROLE_PERMISSIONS
+        if (event.path && event.path.endsWith('/status')) {
+          return await transitionExpenseStatus(event, companyId, userId, userRole);
+        }
         // Check CREATE permission (admin, manager, editor can create)
         if (!hasPermission(userRole, PERMISSIONS.CREATE_EXPENSES)) {
           return createErrorResponse(403, 'You do not have permission to create expenses. Contact an admin to upgrade your role.');
@@ -193,82 +217,127 @@ exports.handler = withSecureCors(async (event, context) => {
   }
 });
 
-// Get all expenses for the company (with optional pagination)
+// Get expenses for the company with optional filtering, sorting and pagination
+// Query parameters: projectId, contractorId, workId, dateFrom, dateTo, minAmount,
+// maxAmount, paymentMethod, status, q (free text), sortBy, sortOrder, limit, cursor
+// When the whole matching set is read (sortBy given, or no limit) the response also has
+// `totals` ({ count, amount }) of all matching expenses, not only the returned page
 async function getExpenses(companyId, userId, userRole, event) {
-  // Parse pagination parameters from query string
   const queryParams = event.queryStringParameters || {};
-  const limit = parseInt(queryParams.limit) || 0; // 0 means no limit (return all)
-  const cursor = queryParams.cursor; // Base64-encoded LastEvaluatedKey
-
-  const params = {
-    TableName: COMPANY_TABLE_NAMES.EXPENSES,
-    KeyConditionExpression: 'companyId = :companyId',
-    ExpressionAttributeValues: {
-      ':companyId': companyId
-    }
-  };
-
-  // Apply pagination if limit is specified
-  if (limit > 0) {
-    params.Limit = Math.min(limit, 100); // Cap at 100 to prevent abuse
-  }
+  const limit = Math.min(parseInt(queryParams.limit) || 0, 100); // 0 means no limit (return all), cap at 100 to prevent abuse
+  const cursor = decodeCursor(queryParams.cursor); // Base64-encoded LastEvaluatedKey or sorted-listing offset
 
-  // If cursor provided, decode and use as ExclusiveStartKey
-  if (cursor) {
-    try {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
-    } catch (e) {
-      logger.warn('Invalid pagination cursor', { cursor, error: e.message });
-      // Ignore invalid cursor and start from beginning
-    }
+  if (queryParams.cursor && !cursor) {
+    logger.warn('Invalid pagination cursor', { cursor: queryParams.cursor });
+    // Ignore invalid cursor and start from beginning
   }
 
-  const result = await dynamoOperation('query', params);
-
-  // Filter data based on user permissions
-  // Editors see only their own expenses; Viewers, Admins, Managers see all
-  let filteredExpenses = result.Items || [];
-  if (userRole === USER_ROLES.EDITOR) {
-    filteredExpenses = filteredExpenses.filter(expense => expense.userId === userId);
+  const { valid, errors, filters } = parseExpenseFilters(queryParams);
+  if (!valid) {
+    return createErrorResponse(400, `Invalid query parameters: ${errors.join(', ')}`);
   }
 
-  // Fetch projects, contractors, and works to get names
-  const [projectsResult, contractorsResult, worksResult] = await Promise.all([
-    dynamoOperation('query', {
+  // Fetch projects, contractors, and works first - needed for names and for free-text search on names
+  const [projects, contractors, works] = await Promise.all([
+    queryAllPages({
       TableName: COMPANY_TABLE_NAMES.PROJECTS,
       KeyConditionExpression: 'companyId = :companyId',
       ExpressionAttributeValues: { ':companyId': companyId }
     }),
-    dynamoOperation('query', {
+    queryAllPages({
       TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
       KeyConditionExpression: 'companyId = :companyId',
       ExpressionAttributeValues: { ':companyId': companyId }
     }),
-    dynamoOperation('query', {
+    queryAllPages({
       TableName: COMPANY_TABLE_NAMES.WORKS,
       KeyConditionExpression: 'companyId = :companyId',
       ExpressionAttributeValues: { ':companyId': companyId }
     })
   ]);
 
+  // Editors see only their own expenses; Viewers, Admins, Managers see all
+  // Applied in the DynamoDB filter so pagination stays consistent
+  const filterExpression = buildExpenseFilterExpression(filters, {
+    userId: userRole === USER_ROLES.EDITOR ? userId : null,
+    searchProjectIds: findIdsByName(projects, 'projectId', filters.q),
+    searchContractorIds: findIdsByName(contractors, 'contractorId', filters.q)
+  });
+
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    KeyConditionExpression: 'companyId = :companyId',
+    ExpressionAttributeValues: {
+      ':companyId': companyId
+    }
+  };
+
+  if (filterExpression) {
+    params.FilterExpression = filterExpression.FilterExpression;
+    params.ExpressionAttributeNames = filterExpression.ExpressionAttributeNames;
+    Object.assign(params.ExpressionAttributeValues, filterExpression.ExpressionAttributeValues);
+  }
+
+  let pageItems;
+  let nextCursor = null;
+  let totals = null;
+  const getTotals = items => ({
+    count: items.length,
+    amount: roundCurrency(items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0))
+  });
+
+  if (filters.sortBy) {
+    // Sorting needs the full matching set; page through it by offset
+    const allItems = await queryAllPages(params);
+    totals = getTotals(allItems);
+    sortExpenses(allItems, filters.sortBy, filters.sortOrder);
+
+    const offset = cursor && Number.isInteger(cursor.offset) && cursor.offset > 0 ? cursor.offset : 0;
+    pageItems = limit > 0 ? allItems.slice(offset, offset + limit) : allItems.slice(offset);
+    if (limit > 0 && offset + limit < allItems.length) {
+      nextCursor = encodeCursor({ offset: offset + limit });
+    }
+  } else if (limit > 0) {
+    // DynamoDB applies Limit before FilterExpression, so keep reading until the page is full
+    if (cursor && cursor.offset === undefined) {
+      params.ExclusiveStartKey = cursor;
+    }
+    pageItems = [];
+    let lastEvaluatedKey;
+    do {
+      params.Limit = limit - pageItems.length;
+      const result = await dynamoOperation('query', params);
+      pageItems.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    } while (lastEvaluatedKey && pageItems.length < limit);
+
+    if (lastEvaluatedKey) {
+      nextCursor = encodeCursor(lastEvaluatedKey);
+    }
+  } else {
+    pageItems = await queryAllPages(params);
+    totals = getTotals(pageItems);
+  }
+
   // Create lookup maps
   const projectsMap = {};
-  (projectsResult.Items || []).forEach(p => {
+  projects.forEach(p => {
     projectsMap[p.projectId] = p.name;
   });
 
   const contractorsMap = {};
-  (contractorsResult.Items || []).forEach(c => {
+  contractors.forEach(c => {
     contractorsMap[c.contractorId] = c.name;
   });
 
   const worksMap = {};
-  (worksResult.Items || []).forEach(w => {
+  works.forEach(w => {
     worksMap[w.workId] = w.name;
   });
 
   // Filter out deprecated fields and add names
-  const cleanedExpenses = filteredExpenses.map(expense => {
+  const cleanedExpenses = pageItems.map(expense => {
     const cleaned = { ...expense };
     delete cleaned.contractorSignature;
     delete cleaned.paymentTerms;
@@ -277,11 +346,18 @@ async function getExpenses(companyId, userId, userRole, event) {
     cleaned.projectName = projectsMap[expense.projectId] || '';
     cleaned.contractorName = contractorsMap[expense.contractorId] || '';
     cleaned.workName = worksMap[expense.workId] || '';
+    if (Array.isArray(expense.allocations)) {
+      cleaned.allocations = expense.allocations.map(line => ({
+        ...line,
+        projectName: projectsMap[line.projectId] || '',
+        workName: worksMap[line.workId] || ''
+      }));
+    }
 
     return cleaned;
   });
 
-  // Generate fresh pre-signed URLs for receipt S3 keys
+  // Generate fresh pre-signed URLs for receipt S3 keys - only for the returned page
   // This ensures receipt links never expire (URLs are generated on-demand)
   const expensesWithUrls = await processReceiptUrls(cleanedExpenses);
 
@@ -298,13 +374,16 @@ async function getExpenses(companyId, userId, userRole, event) {
   const response = {
     success: true,
     expenses: expensesWithUrls,
-    count: expensesWithUrls.length
+    count: expensesWithUrls.length,
+    filters
   };
+  if (totals) {
+    response.totals = totals;
+  }
 
-  // Add pagination info if limit was specified
-  if (limit > 0 && result.LastEvaluatedKey) {
-    // Encode the cursor as Base64 for safe URL transmission
-    response.nextCursor = Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64');
+  if (nextCursor) {
+    // Cursor is Base64 encoded for safe URL transmission
+    response.nextCursor = nextCursor;
     response.hasMore = true;
   } else {
     response.hasMore = false;
@@ -315,170 +394,13 @@ async function getExpenses(companyId, userId, userRole, event) {
 
 // Create a new expense
 async function createExpense(event, companyId, userId, userRole) {
-  // Check if company can create new expense (tier limit check)
-  const limitCheck = await checkExpenseLimit(companyId);
-
-  if (!limitCheck.allowed) {
-    return createErrorResponse(403, limitCheck.message, {
-      reason: limitCheck.reason,
-      currentUsage: limitCheck.currentUsage,
-      limit: limitCheck.limit,
-      suggestedTier: limitCheck.suggestedTier,
-      upgradeUrl: limitCheck.upgradeUrl
-    });
-  }
-
   const requestBody = JSON.parse(event.body || '{}');
 
-  // Security: Check for dangerous patterns in string inputs
-  // Skip URL fields (receiptUrl) as they contain valid special characters (& $ = etc.)
-  const urlFields = ['receiptUrl'];
-  for (const [key, value] of Object.entries(requestBody)) {
-    if (typeof value === 'string' && !urlFields.includes(key)) {
-      const patternCheck = checkDangerousPatterns(value);
-      if (!patternCheck.safe) {
-        logger.warn('Dangerous pattern detected in expense creation', { field: key, companyId, userId });
-        return createErrorResponse(400, `Invalid characters detected in ${key}`);
-      }
-    }
-  }
-
-  // Validate receiptUrl if provided - accepts S3 keys OR full S3 URLs from our bucket
-  if (requestBody.receiptUrl && typeof requestBody.receiptUrl === 'string') {
-    // Check if it's a valid S3 key (new format): companyId/receipts/receipt-timestamp-random.ext
-    const validS3KeyPattern = /^[a-zA-Z0-9_-]+\/receipts\/receipt-\d+-[a-z0-9]+\.(jpg|jpeg|png|gif|webp|pdf)$/i;
-    // Check if it's a valid full S3 URL (old format for backward compatibility)
-    const validS3UrlPatterns = [
-      /^https:\/\/construction-expenses-receipts-\d+\.s3\.amazonaws\.com\//,
-      /^https:\/\/construction-expenses-receipts-\d+\.s3\.[a-z0-9-]+\.amazonaws\.com\//
-    ];
-    const isValidS3Key = validS3KeyPattern.test(requestBody.receiptUrl);
-    const isValidS3Url = validS3UrlPatterns.some(pattern => pattern.test(requestBody.receiptUrl));
-
-    if (!isValidS3Key && !isValidS3Url) {
-      logger.warn('Invalid receiptUrl pattern', { receiptUrl: requestBody.receiptUrl.substring(0, 100), companyId, userId });
-      return createErrorResponse(400, 'Invalid receipt URL format');
-    }
+  const { expense, complianceWarning, errorResponse } = await createCompanyExpense(companyId, userId, userRole, requestBody);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  // Validate required fields early
-  // Note: projectId and contractorId are optional - will default to system values if not provided
-  const required = ['invoiceNum', 'amount', 'paymentMethod', 'date'];
-  const missing = required.filter(field => !requestBody[field]);
-
-  if (missing.length > 0) {
-    return createErrorResponse(400, `Missing required fields: ${missing.join(', ')}`);
-  }
-
-  // Auto-assign to General Expenses project if no projectId provided
-  let finalProjectId = requestBody.projectId;
-  if (!finalProjectId || finalProjectId.trim() === '') {
-    finalProjectId = SYSTEM_PROJECTS.GENERAL_EXPENSES.projectId;
-    debugLog('Auto-assigning expense to General Expenses project', { companyId });
-  }
-
-  // Auto-assign to General Contractor if no contractorId provided
-  let finalContractorId = requestBody.contractorId;
-  if (!finalContractorId || finalContractorId.trim() === '') {
-    finalContractorId = SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId;
-    debugLog('Auto-assigning expense to General Contractor', { companyId });
-  }
-
-  // FIX BUG #5: Validate amount early (before creating expense object)
-  const parsedAmount = parseFloat(requestBody.amount);
-  if (isNaN(parsedAmount) || parsedAmount <= 0) {
-    return createErrorResponse(400, 'Amount must be a positive number');
-  }
-  if (parsedAmount > 100000000) {
-    return createErrorResponse(400, 'Amount exceeds maximum limit (100,000,000)');
-  }
-
-  // FIX BUG #4: Validate payment method against allowed values
-  const VALID_PAYMENT_METHODS = ['העברה בנקאית', 'צ\'ק', 'מזומן', 'כרטיס אשראי'];
-  if (!VALID_PAYMENT_METHODS.includes(requestBody.paymentMethod.trim())) {
-    return createErrorResponse(400, `Invalid payment method. Must be one of: ${VALID_PAYMENT_METHODS.join(', ')}`);
-  }
-
-  // FIX BUG #1: Validate date format and validity
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(requestBody.date)) {
-    return createErrorResponse(400, 'Date must be in YYYY-MM-DD format');
-  }
-  const dateObj = new Date(requestBody.date);
-  if (isNaN(dateObj.getTime())) {
-    return createErrorResponse(400, 'Invalid date value');
-  }
-
-  // FIX BUG #2: Validate foreign key relationships
-  // Skip contractor validation if using system contractor (it may not exist in DB yet for migration)
-  const validationPromises = [
-    validateProjectExists(companyId, finalProjectId)
-  ];
-
-  // Only validate contractor exists if not using system default
-  if (finalContractorId !== SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId) {
-    validationPromises.push(validateContractorExists(companyId, finalContractorId));
-  }
-
-  try {
-    await Promise.all(validationPromises);
-  } catch (fkError) {
-    return createErrorResponse(400, `Foreign key validation error: ${fkError.message}`);
-  }
-
-  // Efficient duplicate invoice check using GSI (O(1) instead of O(n))
-  // Uses contractor-invoiceNum-index GSI for fast lookups by contractorId + invoiceNum
-  // Invoice numbers are unique per contractor (different contractors can have same invoice number)
-  const duplicateCheckParams = {
-    TableName: COMPANY_TABLE_NAMES.EXPENSES,
-    IndexName: 'contractor-invoiceNum-index',
-    KeyConditionExpression: 'contractorId = :contractorId AND invoiceNum = :invoiceNum',
-    ExpressionAttributeValues: {
-      ':contractorId': finalContractorId,
-      ':invoiceNum': requestBody.invoiceNum
-    },
-    Limit: 1  // We only need to know if one exists
-  };
-
-  const duplicateCheck = await dynamoOperation('query', duplicateCheckParams);
-  if (duplicateCheck.Items && duplicateCheck.Items.length > 0) {
-    return createErrorResponse(409, `Invoice number ${requestBody.invoiceNum} already exists for this contractor`);
-  }
-
-  // Calculate VAT breakdown from total amount
-  const { baseAmount, vatAmount, vatRate } = calculateVAT(parsedAmount);
-
-  const expense = {
-    companyId,
-    expenseId: generateExpenseId(),
-    userId, // User who created the expense
-    workId: requestBody.workId || '',
-    projectId: finalProjectId, // May be auto-assigned to General Expenses
-    contractorId: finalContractorId, // May be auto-assigned to General Contractor
-    invoiceNum: requestBody.invoiceNum,
-    amount: parsedAmount,
-    baseAmount, // Amount before VAT (מחיר לפני מע"מ)
-    vatAmount,  // VAT portion (מע"מ)
-    vatRate,    // VAT rate (0.18)
-    paymentMethod: requestBody.paymentMethod.trim(),
-    date: requestBody.date,
-    description: requestBody.description || '',
-    receiptUrl: requestBody.receiptUrl || '', // URL to uploaded receipt image
-    status: requestBody.status || 'pending',
-    createdAt: getCurrentTimestamp(),
-    updatedAt: getCurrentTimestamp()
-  };
-
-  const params = {
-    TableName: COMPANY_TABLE_NAMES.EXPENSES,
-    Item: expense,
-    ConditionExpression: 'attribute_not_exists(expenseId)'
-  };
-
-  await dynamoOperation('put', params);
-
-  // Note: Expense counter already incremented in checkExpenseLimit() for atomic limit checking
-
   // Clean deprecated fields before returning
   const cleaned = { ...expense };
   delete cleaned.contractorSignature;
@@ -494,39 +416,26 @@ async function createExpense(event, companyId, userId, userRole) {
     request: event
   });
 
+  await checkBudgetAlerts(companyId, getSpendingChanges([], [expense]));
+
   return createResponse(201, {
     success: true,
     message: 'Expense created successfully',
-    expense: cleaned
+    expense: cleaned,
+    ...(complianceWarning ? { complianceWarning } : {})
   });
 }
 
-// Helper functions for foreign key validation
-async function validateProjectExists(companyId, projectId) {
-  const params = {
-    TableName: COMPANY_TABLE_NAMES.PROJECTS,
-    Key: { companyId, projectId }
-  };
 
-  const result = await dynamoOperation('get', params);
-  if (!result.Item) {
-    throw new Error(`Project with ID ${projectId} not found`);
+// Load a contractor for withholding tax purposes (undefined for the general contractor or if deleted)
+async function getContractorIfExists(companyId, contractorId) {
+  if (!contractorId || contractorId === SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId) {
+    return undefined;
   }
-
-  return result.Item;
-}
-
-async function validateContractorExists(companyId, contractorId) {
-  const params = {
+  const result = await dynamoOperation('get', {
     TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
     Key: { companyId, contractorId }
-  };
-
-  const result = await dynamoOperation('get', params);
-  if (!result.Item) {
-    throw new Error(`Contractor with ID ${contractorId} not found`);
-  }
-
+  });
   return result.Item;
 }
 
@@ -556,37 +465,58 @@ async function updateExpense(event, companyId, userId, userRole) {
     if (existingExpense.userId !== userId) {
       return createErrorResponse(403, 'You can only edit expenses you created');
     }
+
+    // Once approved or paid, only approvers may change the expense
+    const lockedStatuses = [EXPENSE_STATUS.APPROVED, EXPENSE_STATUS.PAID];
+    if (lockedStatuses.includes(existingExpense.status)) {
+      return createErrorResponse(403, 'Approved or paid expenses can only be edited by a manager or admin');
+    }
+  }
+
+  // Status changes must go through the approval workflow
+  if (requestBody.status !== undefined && requestBody.status !== existingExpense.status) {
+    return createErrorResponse(400, 'Expense status cannot be changed directly. Use POST /expenses/status');
+  }
+
+  // Allocated expenses change projects and budget lines through their allocation lines
+  // (an empty array or null clears the allocations)
+  const allocationsProvided = requestBody.allocations !== undefined;
+  const hasNewAllocations = Array.isArray(requestBody.allocations) && requestBody.allocations.length > 0;
+  const isAllocated = Array.isArray(existingExpense.allocations) && existingExpense.allocations.length > 0;
+  if (isAllocated && !allocationsProvided &&
+      ['projectId', 'workId', 'budgetLineId'].some(field =>
+        requestBody[field] !== undefined && requestBody[field] !== (existingExpense[field] || ''))) {
+    return createErrorResponse(400, 'This expense is allocated across several projects. Send allocations to change its projects');
   }
 
   // Build update expression dynamically
   const updateExpressions = [];
+  const removeExpressions = [];
   const expressionAttributeNames = {};
   const expressionAttributeValues = {};
   
-  const updateableFields = ['projectId', 'contractorId', 'invoiceNum', 'amount', 'paymentMethod', 'date', 'description', 'status', 'receiptUrl', 'workId'];
+  // amount is written together with its VAT breakdown below
+  const updateableFields = ['projectId', 'contractorId', 'invoiceNum', 'paymentMethod', 'date', 'description', 'receiptUrl', 'workId', 'budgetLineId'];
+
+  const vatTreatmentError = validateVatTreatment(requestBody.vatTreatment);
+  if (vatTreatmentError) {
+    return createErrorResponse(400, vatTreatmentError);
+  }
 
   // Validate receiptUrl if provided - accepts S3 keys OR full S3 URLs from our bucket
-  if (requestBody.receiptUrl && typeof requestBody.receiptUrl === 'string') {
-    // Check if it's a valid S3 key (new format): companyId/receipts/receipt-timestamp-random.ext
-    const validS3KeyPattern = /^[a-zA-Z0-9_-]+\/receipts\/receipt-\d+-[a-z0-9]+\.(jpg|jpeg|png|gif|webp|pdf)$/i;
-    // Check if it's a valid full S3 URL (old format for backward compatibility)
-    const validS3UrlPatterns = [
-      /^https:\/\/construction-expenses-receipts-\d+\.s3\.amazonaws\.com\//,
-      /^https:\/\/construction-expenses-receipts-\d+\.s3\.[a-z0-9-]+\.amazonaws\.com\//
-    ];
-    const isValidS3Key = validS3KeyPattern.test(requestBody.receiptUrl);
-    const isValidS3Url = validS3UrlPatterns.some(pattern => pattern.test(requestBody.receiptUrl));
-
-    if (!isValidS3Key && !isValidS3Url) {
-      logger.warn('Invalid receiptUrl pattern in update', { receiptUrl: requestBody.receiptUrl.substring(0, 100), companyId, userId });
-      return createErrorResponse(400, 'Invalid receipt URL format');
-    }
+  if (requestBody.receiptUrl && typeof requestBody.receiptUrl === 'string' && !isValidReceiptUrl(requestBody.receiptUrl)) {
+    logger.warn('Invalid receiptUrl pattern in update', { receiptUrl: requestBody.receiptUrl.substring(0, 100), companyId, userId });
+    return createErrorResponse(400, 'Invalid receipt URL format');
   }
 
   // Fields that are part of GSI keys - cannot be empty strings in DynamoDB
   const gsiKeyFields = ['invoiceNum', 'contractorId'];
 
   updateableFields.forEach(field => {
+    // projectId/workId/budgetLineId are taken from the first allocation line below
+    if (hasNewAllocations && ['projectId', 'workId', 'budgetLineId'].includes(field)) {
+      return;
+    }
     if (requestBody[field] !== undefined) {
       // Skip empty strings for GSI key fields (DynamoDB doesn't allow them)
       if (gsiKeyFields.includes(field) && requestBody[field] === '') {
@@ -595,14 +525,75 @@ async function updateExpense(event, companyId, userId, userRole) {
       }
       updateExpressions.push(`#${field} = :${field}`);
       expressionAttributeNames[`#${field}`] = field;
-      expressionAttributeValues[`:${field}`] = field === 'amount' ? parseFloat(requestBody[field]) : requestBody[field];
+      expressionAttributeValues[`:${field}`] = requestBody[field];
     }
   });
 
-  // Recalculate VAT fields if amount is being updated
-  if (requestBody.amount !== undefined) {
-    const newAmount = parseFloat(requestBody.amount);
-    const { baseAmount, vatAmount, vatRate } = calculateVAT(newAmount);
+  // The budget line must belong to the expense's (possibly new) project
+  // Moving the expense to another project drops a line that was not re-assigned
+  if (!hasNewAllocations) {
+    const targetProjectId = requestBody.projectId !== undefined ? requestBody.projectId : existingExpense.projectId;
+    if (requestBody.budgetLineId) {
+      try {
+        validateBudgetLineExists(await validateProjectExists(companyId, targetProjectId), requestBody.budgetLineId);
+      } catch (fkError) {
+        return createErrorResponse(400, `Foreign key validation error: ${fkError.message}`);
+      }
+    } else if (requestBody.budgetLineId === undefined && existingExpense.budgetLineId &&
+               targetProjectId !== existingExpense.projectId) {
+      updateExpressions.push('#budgetLineId = :budgetLineId');
+      expressionAttributeNames['#budgetLineId'] = 'budgetLineId';
+      expressionAttributeValues[':budgetLineId'] = '';
+    }
+  }
+
+  // Recalculate the VAT breakdown when the amount, date or VAT treatment changes
+  // Otherwise the stored breakdown is kept as-is (historical rates are preserved)
+  const existingEnteredAmount = existingExpense.vatTreatment === VAT_TREATMENTS.PRE_VAT
+    ? existingExpense.baseAmount
+    : existingExpense.amount;
+  const vatInputsChanged =
+    (requestBody.amount !== undefined && parseFloat(requestBody.amount) !== existingEnteredAmount) ||
+    (requestBody.date !== undefined && requestBody.date !== existingExpense.date) ||
+    (requestBody.vatTreatment !== undefined && requestBody.vatTreatment !== (existingExpense.vatTreatment || VAT_TREATMENTS.STANDARD));
+
+  let breakdown = {
+    amount: existingExpense.amount,
+    baseAmount: existingExpense.baseAmount,
+    date: requestBody.date || existingExpense.date
+  };
+
+  if (vatInputsChanged) {
+    const vatTreatment = requestBody.vatTreatment || existingExpense.vatTreatment || VAT_TREATMENTS.STANDARD;
+    // Pre-VAT expenses are entered (and edited) as their amount before VAT
+    let enteredAmount;
+    if (requestBody.amount !== undefined) {
+      enteredAmount = parseFloat(requestBody.amount);
+    } else {
+      enteredAmount = vatTreatment === VAT_TREATMENTS.PRE_VAT && existingExpense.baseAmount !== undefined
+        ? existingExpense.baseAmount
+        : existingExpense.amount;
+    }
+    if (isNaN(enteredAmount) || enteredAmount <= 0 || enteredAmount > 100000000) {
+      return createErrorResponse(400, 'Amount must be a positive number up to 100,000,000');
+    }
+
+    const vatRates = await loadCompanyVatRates(companyId);
+    const vat = calculateVATBreakdown(enteredAmount, {
+      vatRate: getVatRateForDate(vatRates, requestBody.date || existingExpense.date),
+      vatTreatment
+    });
+    const newAmount = vat.amount;
+    const { baseAmount, vatAmount, vatRate } = vat;
+    breakdown = { ...breakdown, amount: newAmount, baseAmount };
+
+    updateExpressions.push('#amount = :amount');
+    expressionAttributeNames['#amount'] = 'amount';
+    expressionAttributeValues[':amount'] = newAmount;
+
+    updateExpressions.push('#vatTreatment = :vatTreatment');
+    expressionAttributeNames['#vatTreatment'] = 'vatTreatment';
+    expressionAttributeValues[':vatTreatment'] = vat.vatTreatment;
 
     updateExpressions.push('#baseAmount = :baseAmount');
     expressionAttributeNames['#baseAmount'] = 'baseAmount';
@@ -615,28 +606,157 @@ async function updateExpense(event, companyId, userId, userRole) {
     updateExpressions.push('#vatRate = :vatRate');
     expressionAttributeNames['#vatRate'] = 'vatRate';
     expressionAttributeValues[':vatRate'] = vatRate;
+
+    // Keep the payment ledger balance in sync with the new amount
+    const payments = existingExpense.payments || [];
+    const balance = calculateExpenseBalance(newAmount, payments);
+    if (balance.paidAmount > newAmount) {
+      return createErrorResponse(400, `Amount cannot be less than the ₪${balance.paidAmount} already paid`);
+    }
+
+    updateExpressions.push('#paidAmount = :paidAmount', '#outstandingAmount = :outstandingAmount');
+    expressionAttributeNames['#paidAmount'] = 'paidAmount';
+    expressionAttributeNames['#outstandingAmount'] = 'outstandingAmount';
+    expressionAttributeValues[':paidAmount'] = balance.paidAmount;
+    expressionAttributeValues[':outstandingAmount'] = balance.outstandingAmount;
+
+    // Paid status is derived from the balance once payments are recorded
+    const currentStatus = existingExpense.status || EXPENSE_STATUS.PENDING;
+    const derivedStatus = payments.length > 0 ? deriveStatusFromBalance(currentStatus, balance) : currentStatus;
+    if (derivedStatus !== currentStatus) {
+      updateExpressions.push(
+        '#status = :status',
+        '#statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :historyEntry)'
+      );
+      expressionAttributeNames['#status'] = 'status';
+      expressionAttributeNames['#statusHistory'] = 'statusHistory';
+      expressionAttributeValues[':status'] = derivedStatus;
+      expressionAttributeValues[':emptyList'] = [];
+      expressionAttributeValues[':historyEntry'] = [{
+        action: 'amount_changed',
+        fromStatus: currentStatus,
+        toStatus: derivedStatus,
+        userId,
+        userRole,
+        comment: '',
+        timestamp: getCurrentTimestamp()
+      }];
+    }
+  }
+
+  // Re-estimate withholding tax when the amount, date or contractor changes
+  const newContractorId = requestBody.contractorId || existingExpense.contractorId;
+  if (vatInputsChanged || newContractorId !== existingExpense.contractorId) {
+    const contractor = await getContractorIfExists(companyId, newContractorId);
+    const withholding = getExpenseWithholding(breakdown, contractor);
+
+    updateExpressions.push('#withholdingRate = :withholdingRate', '#withholdingAmount = :withholdingAmount', '#netPayable = :netPayable');
+    expressionAttributeNames['#withholdingRate'] = 'withholdingRate';
+    expressionAttributeNames['#withholdingAmount'] = 'withholdingAmount';
+    expressionAttributeNames['#netPayable'] = 'netPayable';
+    expressionAttributeValues[':withholdingRate'] = withholding.withholdingRate;
+    expressionAttributeValues[':withholdingAmount'] = withholding.withholdingAmount;
+    expressionAttributeValues[':netPayable'] = withholding.netPayable;
+  }
+
+  // Resolve allocation lines against the (possibly new) total
+  // Existing lines are re-checked when only the amount changes, so fixed amounts must be updated with it
+  if (hasNewAllocations || (isAllocated && !allocationsProvided && vatInputsChanged)) {
+    const allocationResult = validateAllocations(hasNewAllocations ? requestBody.allocations : existingExpense.allocations, breakdown.amount);
+    if (!allocationResult.valid) {
+      return createErrorResponse(400, `Invalid allocations: ${allocationResult.errors.join(', ')}`);
+    }
+    if (hasNewAllocations) {
+      try {
+        await validateAllocationTargets(companyId, allocationResult.allocations);
+      } catch (fkError) {
+        return createErrorResponse(400, `Foreign key validation error: ${fkError.message}`);
+      }
+    }
+
+    Object.entries(getAllocationFields(allocationResult.allocations)).forEach(([field, value]) => {
+      updateExpressions.push(`#${field} = :${field}`);
+      expressionAttributeNames[`#${field}`] = field;
+      expressionAttributeValues[`:${field}`] = value;
+    });
+  } else if (allocationsProvided && !hasNewAllocations && isAllocated) {
+    ['allocations', 'allocationProjectIds', 'allocationWorkIds'].forEach(field => {
+      removeExpressions.push(`#${field}`);
+      expressionAttributeNames[`#${field}`] = field;
+    });
+  }
+
+  // Line items are re-checked against a changed total the same way
+  // (an empty array or null removes them)
+  const lineItemsProvided = requestBody.lineItems !== undefined;
+  const hasNewLineItems = Array.isArray(requestBody.lineItems) && requestBody.lineItems.length > 0;
+  const hasLineItems = Array.isArray(existingExpense.lineItems) && existingExpense.lineItems.length > 0;
+  if (hasNewLineItems || (hasLineItems && !lineItemsProvided && vatInputsChanged)) {
+    const lineItemResult = validateLineItems(hasNewLineItems ? requestBody.lineItems : existingExpense.lineItems, breakdown);
+    if (!lineItemResult.valid) {
+      return createErrorResponse(400, `Invalid line items: ${lineItemResult.errors.join(', ')}`);
+    }
+
+    updateExpressions.push('#lineItems = :lineItems', '#lineItemsIncludeVat = :lineItemsIncludeVat');
+    expressionAttributeNames['#lineItems'] = 'lineItems';
+    expressionAttributeNames['#lineItemsIncludeVat'] = 'lineItemsIncludeVat';
+    expressionAttributeValues[':lineItems'] = lineItemResult.lineItems;
+    expressionAttributeValues[':lineItemsIncludeVat'] = lineItemResult.includesVat;
+  } else if (lineItemsProvided && !hasNewLineItems && hasLineItems) {
+    ['lineItems', 'lineItemsIncludeVat'].forEach(field => {
+      removeExpressions.push(`#${field}`);
+      expressionAttributeNames[`#${field}`] = field;
+    });
   }
   
-  if (updateExpressions.length === 0) {
+  if (updateExpressions.length === 0 && removeExpressions.length === 0) {
     return createErrorResponse(400, 'No fields to update');
   }
   
+  // Keep the search text in sync with the description and invoice number
+  if (expressionAttributeValues[':description'] !== undefined || expressionAttributeValues[':invoiceNum'] !== undefined) {
+    updateExpressions.push('#searchText = :searchText');
+    expressionAttributeNames['#searchText'] = 'searchText';
+    expressionAttributeValues[':searchText'] = buildExpenseSearchText({
+      description: expressionAttributeValues[':description'] !== undefined
+        ? expressionAttributeValues[':description'] : existingExpense.description,
+      invoiceNum: expressionAttributeValues[':invoiceNum'] !== undefined
+        ? expressionAttributeValues[':invoiceNum'] : existingExpense.invoiceNum
+    });
+  }
+
   // Always update the updatedAt field
   updateExpressions.push('#updatedAt = :updatedAt');
   expressionAttributeNames['#updatedAt'] = 'updatedAt';
   expressionAttributeValues[':updatedAt'] = getCurrentTimestamp();
 
+  // The balance and derived status were computed from the payments read above -
+  // condition on updatedAt so a concurrent payment or edit cannot be overwritten
+  let conditionExpression = 'attribute_exists(expenseId) AND attribute_not_exists(#updatedAt)';
+  if (existingExpense.updatedAt) {
+    conditionExpression = 'attribute_exists(expenseId) AND #updatedAt = :previousUpdatedAt';
+    expressionAttributeValues[':previousUpdatedAt'] = existingExpense.updatedAt;
+  }
+
   const params = {
     TableName: COMPANY_TABLE_NAMES.EXPENSES,
     Key: { companyId, expenseId },
-    UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+    UpdateExpression: `SET ${updateExpressions.join(', ')}${removeExpressions.length > 0 ? ` REMOVE ${removeExpressions.join(', ')}` : ''}`,
     ExpressionAttributeNames: expressionAttributeNames,
     ExpressionAttributeValues: expressionAttributeValues,
-    ConditionExpression: 'attribute_exists(expenseId)',
+    ConditionExpression: conditionExpression,
     ReturnValues: 'ALL_NEW'
   };
 
-  const result = await dynamoOperation('update', params);
+  let result;
+  try {
+    result = await dynamoOperation('update', params);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Expense was modified by another user. Please refresh and try again.');
+    }
+    throw error;
+  }
 
   // Clean deprecated fields before returning
   const cleaned = { ...result.Attributes };
@@ -659,6 +779,9 @@ async function updateExpense(event, companyId, userId, userRole) {
     request: event
   });
 
+  // Both the old and the new projects' spending may have changed
+  await checkBudgetAlerts(companyId, getSpendingChanges([existingExpense], [result.Attributes]));
+
   return createResponse(200, {
     success: true,
     message: 'Expense updated successfully',
@@ -666,6 +789,201 @@ async function updateExpense(event, companyId, userId, userRole) {
   });
 }
 
+// Move an expense through the approval workflow
+// Body: { expenseId, status, comment } - comment is required when rejecting
+async function transitionExpenseStatus(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { expenseId, status } = requestBody;
+  const comment = typeof requestBody.comment === 'string' ? requestBody.comment.trim() : '';
+
+  if (!expenseId || !status) {
+    return createErrorResponse(400, 'Missing required fields: expenseId, status');
+  }
+
+  if (!Object.values(EXPENSE_STATUS).includes(status)) {
+    return createErrorResponse(400, `Invalid status. Must be one of: ${Object.values(EXPENSE_STATUS).join(', ')}`);
+  }
+
+  if (comment) {
+    const patternCheck = checkDangerousPatterns(comment);
+    if (!patternCheck.safe) {
+      logger.warn('Dangerous pattern detected in status comment', { companyId, userId });
+      return createErrorResponse(400, 'Invalid characters detected in comment');
+    }
+    if (comment.length > 1000) {
+      return createErrorResponse(400, 'Comment must not exceed 1000 characters');
+    }
+  }
+
+  const existingResult = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    Key: { companyId, expenseId }
+  });
+
+  if (!existingResult.Item) {
+    return createErrorResponse(404, 'Expense not found');
+  }
+
+  const existingExpense = existingResult.Item;
+  const fromStatus = existingExpense.status || EXPENSE_STATUS.PENDING;
+
+  const { allowed, transition, reason } = getExpenseTransition(userRole, fromStatus, status);
+  if (!allowed) {
+    return createErrorResponse(transition ? 403 : 400, reason);
+  }
+
+  // Submitters can only resubmit their own expenses unless they can edit all expenses
+  if (transition.action === 'resubmit' &&
+      !hasPermission(userRole, PERMISSIONS.EDIT_ALL_EXPENSES) &&
+      existingExpense.userId !== userId) {
+    return createErrorResponse(403, 'You can only resubmit expenses you created');
+  }
+
+  if (transition.requiresComment && !comment) {
+    return createErrorResponse(400, 'A reason is required when rejecting an expense');
+  }
+
+  // Paid is derived from the payment ledger - an expense paid in full while
+  // pending becomes paid as soon as it is approved
+  const payments = existingExpense.payments || [];
+  const balance = calculateExpenseBalance(existingExpense.amount, payments);
+  const toStatus = transition.action === 'approve' && payments.length > 0
+    ? deriveStatusFromBalance(status, balance)
+    : status;
+
+  const timestamp = getCurrentTimestamp();
+  const historyEntry = {
+    action: transition.action,
+    fromStatus,
+    toStatus,
+    userId,
+    userRole,
+    comment,
+    timestamp
+  };
+
+  const setExpressions = [
+    '#status = :status',
+    '#statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :historyEntry)',
+    '#updatedAt = :updatedAt'
+  ];
+  const expressionAttributeNames = {
+    '#status': 'status',
+    '#statusHistory': 'statusHistory',
+    '#updatedAt': 'updatedAt'
+  };
+  const expressionAttributeValues = {
+    ':status': toStatus,
+    ':fromStatus': fromStatus,
+    ':historyEntry': [historyEntry],
+    ':emptyList': [],
+    ':updatedAt': timestamp
+  };
+
+  if (transition.action === 'approve') {
+    setExpressions.push('#approvedBy = :actor', '#approvedAt = :updatedAt');
+    expressionAttributeNames['#approvedBy'] = 'approvedBy';
+    expressionAttributeNames['#approvedAt'] = 'approvedAt';
+    expressionAttributeValues[':actor'] = userId;
+    if (toStatus === EXPENSE_STATUS.PAID) {
+      setExpressions.push('#paidAt = :updatedAt');
+      expressionAttributeNames['#paidAt'] = 'paidAt';
+    }
+  } else if (transition.action === 'reject') {
+    setExpressions.push('#rejectedBy = :actor', '#rejectedAt = :updatedAt', '#rejectionReason = :comment');
+    expressionAttributeNames['#rejectedBy'] = 'rejectedBy';
+    expressionAttributeNames['#rejectedAt'] = 'rejectedAt';
+    expressionAttributeNames['#rejectionReason'] = 'rejectionReason';
+    expressionAttributeValues[':actor'] = userId;
+    expressionAttributeValues[':comment'] = comment;
+  } else if (transition.action === 'mark_paid') {
+    setExpressions.push('#paidAt = :updatedAt');
+    expressionAttributeNames['#paidAt'] = 'paidAt';
+
+    // Settle any outstanding balance with a payment in the expense's own payment method
+    if (balance.outstandingAmount > 0) {
+      // A cheque needs its number - it has to be recorded as a payment
+      if (existingExpense.paymentMethod === CHEQUE_PAYMENT_METHOD) {
+        return createErrorResponse(400, 'Record the cheque as a payment before marking a cheque-paid expense as paid');
+      }
+
+      const { valid, errors, payment } = validatePaymentInput({
+        date: timestamp.split('T')[0],
+        amount: balance.outstandingAmount,
+        paymentMethod: existingExpense.paymentMethod,
+        notes: comment || 'Balance settled when marked as paid'
+      });
+      if (!valid) {
+        return createErrorResponse(400, `Cannot settle the outstanding balance: ${errors.join(', ')}`);
+      }
+
+      const contractor = await getContractorIfExists(companyId, existingExpense.contractorId);
+      const settlement = buildPayment(payment, getPaymentWithholding(payment, existingExpense, contractor), userId);
+      const settledBalance = calculateExpenseBalance(existingExpense.amount, [...payments, settlement]);
+
+      setExpressions.push('#payments = :payments', '#paidAmount = :paidAmount', '#outstandingAmount = :outstandingAmount');
+      expressionAttributeNames['#payments'] = 'payments';
+      expressionAttributeNames['#paidAmount'] = 'paidAmount';
+      expressionAttributeNames['#outstandingAmount'] = 'outstandingAmount';
+      expressionAttributeValues[':payments'] = [...payments, settlement];
+      expressionAttributeValues[':paidAmount'] = settledBalance.paidAmount;
+      expressionAttributeValues[':outstandingAmount'] = settledBalance.outstandingAmount;
+    }
+  }
+
+  // Condition on the current status so concurrent transitions cannot both succeed;
+  // when the ledger is rewritten or read for the status also guard against concurrent payments
+  let conditionExpression = 'attribute_exists(expenseId) AND (#status = :fromStatus OR attribute_not_exists(#status))';
+  if ((expressionAttributeValues[':payments'] || toStatus !== status) && existingExpense.updatedAt) {
+    conditionExpression += ' AND #updatedAt = :previousUpdatedAt';
+    expressionAttributeValues[':previousUpdatedAt'] = existingExpense.updatedAt;
+  }
+
+  let result;
+  try {
+    result = await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSES,
+      Key: { companyId, expenseId },
+      UpdateExpression: `SET ${setExpressions.join(', ')}`,
+      ConditionExpression: conditionExpression,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Expense status was changed by another user. Please refresh and try again.');
+    }
+    throw error;
+  }
+
+  const cleaned = { ...result.Attributes };
+  delete cleaned.contractorSignature;
+  delete cleaned.paymentTerms;
+
+  auditLog.logAction({
+    action: AUDIT_ACTIONS.STATUS_CHANGE,
+    resourceId: expenseId,
+    companyId,
+    userId,
+    userRole,
+    data: { status: toStatus },
+    metadata: { transition: transition.action, fromStatus, toStatus, comment },
+    request: event
+  });
+
+  // Rejected expenses are not counted as project spending
+  if (fromStatus === EXPENSE_STATUS.REJECTED || status === EXPENSE_STATUS.REJECTED) {
+    await checkBudgetAlerts(companyId, getSpendingChanges([existingExpense], [result.Attributes]));
+  }
+
+  return createResponse(200, {
+    success: true,
+    message: `Expense status changed to ${toStatus}`,
+    expense: cleaned
+  });
+}
+
 // Delete an expense
 async function deleteExpense(event, companyId, userId, userRole) {
   const expenseId = event.pathParameters?.expenseId || event.queryStringParameters?.expenseId;
@@ -702,6 +1020,8 @@ async function deleteExpense(event, companyId, userId, userRole) {
     request: event
   });
 
+  await checkBudgetAlerts(companyId, getSpendingChanges([result.Attributes], []));
+
   return createResponse(200, {
     success: true,
     message: 'Expense deleted successfully',
@@ -0,0 +1,559 @@
+// lambda/companyProjectBilling.js
+// Company-scoped client billing per project (invoices, milestones, received payments) and project P&L
+//
+// Routes:
+//   GET    /projects/billing?projectId=...                       - client invoices with balances and the project P&L
+//   GET    /projects/profitability                               - P&L of every project and company totals
+//   POST   /projects/invoices                                    - add an invoice or milestone { projectId, type, invoiceNum, description, issueDate, dueDate, amount, vatTreatment }
+//   PUT    /projects/invoices                                    - update an invoice { projectId, invoiceId, ...fields } (e.g. bill a milestone)
+//   DELETE /projects/invoices?projectId=...&invoiceId=...        - remove an invoice without payments
+//   POST   /projects/invoices/payments                           - record a payment received { projectId, invoiceId, date, amount, paymentMethod, reference }
+//   DELETE /projects/invoices/payments?projectId=...&invoiceId=...&paymentId=... - remove a received payment
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  generateClientInvoiceId,
+  generatePaymentId,
+  getCurrentTimestamp,
+  getToday,
+  dynamoOperation,
+  queryAllPages,
+  COMPANY_TABLE_NAMES,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyProjectBilling');
+const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.PROJECT);
+const { withSecureCors } = require('./shared/cors-config');
+const { getCompanyVatRates, getVatRateForDate, roundCurrency, VAT_TREATMENTS } = require('./shared/vat-utils');
+const {
+  CLIENT_INVOICE_TYPES,
+  MAX_CLIENT_INVOICES,
+  MAX_PAYMENTS_PER_INVOICE,
+  validateClientInvoiceInput,
+  validateClientPaymentInput,
+  calculateInvoiceBalance,
+  summarizeClientInvoices,
+  buildProjectProfitability
+} = require('./shared/client-billing');
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+    const path = event.path || '';
+
+    // Income is company-wide financial data - same access as the financial reports
+    if (event.httpMethod === 'GET') {
+      if (!hasPermission(userRole, PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+        return createErrorResponse(403, 'You do not have permission to view client billing. Only admins and managers can view it.');
+      }
+      if (path.endsWith('/profitability')) {
+        return await getCompanyProfitability(event, companyId, userId, userRole);
+      }
+      return await getProjectBilling(event, companyId, userId, userRole);
+    }
+
+    if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+      return createErrorResponse(403, 'You do not have permission to manage client billing. Only admins and managers can manage it.');
+    }
+
+    if (path.endsWith('/payments')) {
+      switch (event.httpMethod) {
+        case 'POST':
+          return await addClientPayment(event, companyId, userId, userRole);
+        case 'DELETE':
+          return await deleteClientPayment(event, companyId, userId, userRole);
+        default:
+          return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+    }
+
+    switch (event.httpMethod) {
+      case 'POST':
+        return await createClientInvoice(event, companyId, userId, userRole);
+      case 'PUT':
+        return await updateClientInvoice(event, companyId, userId, userRole);
+      case 'DELETE':
+        return await deleteClientInvoice(event, companyId, userId, userRole);
+      default:
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+  } catch (error) {
+    logger.error('ERROR in companyProjectBilling handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error during client billing operation');
+  }
+});
+
+async function getProject(companyId, projectId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: { companyId, projectId }
+  });
+  return result.Item;
+}
+
+// VAT rate of the company in effect on a date
+async function getVatRate(companyId, date) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.COMPANIES,
+    Key: { companyId }
+  });
+  return getVatRateForDate(getCompanyVatRates(result.Item || {}), date);
+}
+
+// Invoice numbers are unique across the company's projects
+async function findInvoiceNumber(companyId, invoiceNum, excludeInvoiceId) {
+  const projects = await queryAllPages({
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    KeyConditionExpression: 'companyId = :companyId',
+    FilterExpression: 'attribute_exists(clientInvoices)',
+    ProjectionExpression: 'projectId, clientInvoices',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  });
+  return projects.some(project => (project.clientInvoices || []).some(invoice =>
+    invoice.invoiceNum === invoiceNum && invoice.invoiceId !== excludeInvoiceId));
+}
+
+// Persist a project's invoices together with its billed/received totals
+// Conditioned on clientInvoicesUpdatedAt so concurrent billing edits cannot overwrite each other
+async function saveClientInvoices(project, invoices) {
+  const today = getToday();
+  const totals = invoices.reduce((sum, invoice) => {
+    const { paidAmount } = calculateInvoiceBalance(invoice, today);
+    if (invoice.type === CLIENT_INVOICE_TYPES.INVOICE) {
+      sum.billed += invoice.amount;
+    }
+    sum.received += paidAmount;
+    return sum;
+  }, { billed: 0, received: 0 });
+
+  const timestamp = getCurrentTimestamp();
+  const expressionAttributeValues = {
+    ':invoices': invoices,
+    ':billed': roundCurrency(totals.billed),
+    ':received': roundCurrency(totals.received),
+    ':timestamp': timestamp
+  };
+
+  let conditionExpression = 'attribute_exists(projectId) AND attribute_not_exists(clientInvoicesUpdatedAt)';
+  if (project.clientInvoicesUpdatedAt) {
+    conditionExpression = 'clientInvoicesUpdatedAt = :previousUpdatedAt';
+    expressionAttributeValues[':previousUpdatedAt'] = project.clientInvoicesUpdatedAt;
+  }
+
+  const result = await dynamoOperation('update', {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: { companyId: project.companyId, projectId: project.projectId },
+    UpdateExpression: 'SET clientInvoices = :invoices, billedAmount = :billed, receivedAmount = :received, ' +
+      'clientInvoicesUpdatedAt = :timestamp, updatedAt = :timestamp',
+    ConditionExpression: conditionExpression,
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW'
+  });
+
+  return result.Attributes;
+}
+
+// Save and map a concurrent edit to 409
+async function saveOrConflict(project, invoices) {
+  try {
+    return { project: await saveClientInvoices(project, invoices) };
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return { error: createErrorResponse(409, 'Client billing was modified by another user. Please refresh and try again.') };
+    }
+    throw error;
+  }
+}
+
+// Expenses charged to a project (directly or through an allocation line)
+async function queryProjectExpenses(companyId, projectId) {
+  return queryAllPages({
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    KeyConditionExpression: 'companyId = :companyId',
+    FilterExpression: '(#projectId = :projectId OR contains(#allocationProjectIds, :projectId))',
+    ExpressionAttributeNames: { '#projectId': 'projectId', '#allocationProjectIds': 'allocationProjectIds' },
+    ExpressionAttributeValues: { ':companyId': companyId, ':projectId': projectId }
+  });
+}
+
+function buildBillingResponse(project, expenses) {
+  const today = getToday();
+  return {
+    projectId: project.projectId,
+    invoices: summarizeClientInvoices(project, today),
+    profitability: buildProjectProfitability(project, expenses, today)
+  };
+}
+
+// Client invoices of a project with balances, and the project P&L
+async function getProjectBilling(event, companyId, userId, userRole) {
+  const { projectId } = event.queryStringParameters || {};
+  if (!projectId) {
+    return createErrorResponse(400, 'Missing projectId parameter');
+  }
+
+  const project = await getProject(companyId, projectId);
+  if (!project) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const expenses = await queryProjectExpenses(companyId, projectId);
+
+  return createResponse(200, {
+    success: true,
+    ...buildBillingResponse(project, expenses)
+  });
+}
+
+// P&L of every project, most profitable first, with company totals
+async function getCompanyProfitability(event, companyId, userId, userRole) {
+  const [projects, expenses] = await Promise.all([
+    queryAllPages({
+      TableName: COMPANY_TABLE_NAMES.PROJECTS,
+      KeyConditionExpression: 'companyId = :companyId',
+      ExpressionAttributeValues: { ':companyId': companyId }
+    }),
+    queryAllPages({
+      TableName: COMPANY_TABLE_NAMES.EXPENSES,
+      KeyConditionExpression: 'companyId = :companyId',
+      ExpressionAttributeValues: { ':companyId': companyId }
+    })
+  ]);
+
+  const today = getToday();
+  const reports = projects
+    .map(project => buildProjectProfitability(project, expenses, today))
+    .sort((a, b) => b.grossProfit - a.grossProfit);
+
+  const sum = (pick) => roundCurrency(reports.reduce((total, report) => total + pick(report), 0));
+  const totals = {
+    billed: sum(report => report.income.billed),
+    received: sum(report => report.income.received),
+    outstanding: sum(report => report.income.outstanding),
+    overdue: sum(report => report.income.overdue),
+    costs: sum(report => report.costs.total),
+    grossProfit: sum(report => report.grossProfit),
+    cashBalance: sum(report => report.cashBalance)
+  };
+
+  return createResponse(200, {
+    success: true,
+    projects: reports,
+    totals
+  });
+}
+
+// Add an invoice or a payment milestone to a project
+async function createClientInvoice(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { projectId } = requestBody;
+  if (!projectId) {
+    return createErrorResponse(400, 'Missing required field: projectId');
+  }
+
+  const project = await getProject(companyId, projectId);
+  if (!project) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const existingInvoices = project.clientInvoices || [];
+  if (existingInvoices.length >= MAX_CLIENT_INVOICES) {
+    return createErrorResponse(400, `A project can have at most ${MAX_CLIENT_INVOICES} client invoices`);
+  }
+
+  const vatRate = await getVatRate(companyId, requestBody.issueDate);
+  const { valid, errors, invoice } = validateClientInvoiceInput(requestBody, vatRate);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  if (invoice.invoiceNum && await findInvoiceNumber(companyId, invoice.invoiceNum)) {
+    return createErrorResponse(409, `Client invoice ${invoice.invoiceNum} already exists`);
+  }
+
+  const timestamp = getCurrentTimestamp();
+  const newInvoice = {
+    invoiceId: generateClientInvoiceId(),
+    ...invoice,
+    payments: [],
+    createdBy: userId,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  const { project: updatedProject, error } = await saveOrConflict(project, [...existingInvoices, newInvoice]);
+  if (error) {
+    return error;
+  }
+
+  auditLog.logCreate({
+    resourceId: newInvoice.invoiceId,
+    companyId,
+    userId,
+    userRole,
+    data: { projectId, ...newInvoice },
+    request: event
+  });
+
+  const expenses = await queryProjectExpenses(companyId, projectId);
+
+  return createResponse(201, {
+    success: true,
+    message: newInvoice.type === CLIENT_INVOICE_TYPES.MILESTONE ? 'Milestone added successfully' : 'Client invoice added successfully',
+    invoice: newInvoice,
+    ...buildBillingResponse(updatedProject, expenses)
+  });
+}
+
+// Update an invoice - billing a milestone is an update to type 'invoice' with its invoice number
+async function updateClientInvoice(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { projectId, invoiceId } = requestBody;
+  if (!projectId || !invoiceId) {
+    return createErrorResponse(400, 'Missing required fields: projectId and invoiceId');
+  }
+
+  const project = await getProject(companyId, projectId);
+  if (!project) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const existingInvoices = project.clientInvoices || [];
+  const existingInvoice = existingInvoices.find(invoice => invoice.invoiceId === invoiceId);
+  if (!existingInvoice) {
+    return createErrorResponse(404, 'Client invoice not found');
+  }
+
+  // Unchanged fields keep their stored values; the amount is re-entered as stored (including VAT)
+  const fields = ['type', 'invoiceNum', 'description', 'issueDate', 'dueDate', 'notes'];
+  const merged = {};
+  fields.forEach(field => {
+    merged[field] = requestBody[field] !== undefined ? requestBody[field] : existingInvoice[field];
+  });
+  const amountChanged = requestBody.amount !== undefined || requestBody.vatTreatment !== undefined;
+  merged.amount = requestBody.amount !== undefined ? requestBody.amount : existingInvoice.amount;
+  merged.vatTreatment = requestBody.vatTreatment !== undefined ? requestBody.vatTreatment : existingInvoice.vatTreatment;
+  // A stored pre-VAT amount was entered without VAT - keep entering it that way
+  if (!amountChanged && existingInvoice.vatTreatment === VAT_TREATMENTS.PRE_VAT) {
+    merged.amount = existingInvoice.baseAmount;
+  }
+
+  const vatRate = await getVatRate(companyId, merged.issueDate);
+  const { valid, errors, invoice } = validateClientInvoiceInput(merged, vatRate);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const { paidAmount } = calculateInvoiceBalance(existingInvoice, getToday());
+  if (invoice.amount < paidAmount) {
+    return createErrorResponse(400, `Amount cannot be less than the ₪${paidAmount} already received`);
+  }
+
+  if (invoice.invoiceNum && invoice.invoiceNum !== existingInvoice.invoiceNum &&
+      await findInvoiceNumber(companyId, invoice.invoiceNum, invoiceId)) {
+    return createErrorResponse(409, `Client invoice ${invoice.invoiceNum} already exists`);
+  }
+
+  const updatedInvoice = {
+    ...existingInvoice,
+    ...invoice,
+    updatedAt: getCurrentTimestamp()
+  };
+  const invoices = existingInvoices.map(entry => (entry.invoiceId === invoiceId ? updatedInvoice : entry));
+
+  const { project: updatedProject, error } = await saveOrConflict(project, invoices);
+  if (error) {
+    return error;
+  }
+
+  auditLog.logUpdate({
+    resourceId: invoiceId,
+    companyId,
+    userId,
+    userRole,
+    before: { projectId, ...existingInvoice },
+    after: { projectId, ...updatedInvoice },
+    request: event
+  });
+
+  const expenses = await queryProjectExpenses(companyId, projectId);
+
+  return createResponse(200, {
+    success: true,
+    message: 'Client invoice updated successfully',
+    invoice: updatedInvoice,
+    ...buildBillingResponse(updatedProject, expenses)
+  });
+}
+
+// Remove an invoice or milestone - payments must be removed first
+async function deleteClientInvoice(event, companyId, userId, userRole) {
+  const { projectId, invoiceId } = event.queryStringParameters || {};
+  if (!projectId || !invoiceId) {
+    return createErrorResponse(400, 'Missing projectId or invoiceId parameter');
+  }
+
+  const project = await getProject(companyId, projectId);
+  if (!project) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const existingInvoices = project.clientInvoices || [];
+  const invoiceToDelete = existingInvoices.find(invoice => invoice.invoiceId === invoiceId);
+  if (!invoiceToDelete) {
+    return createErrorResponse(404, 'Client invoice not found');
+  }
+  if ((invoiceToDelete.payments || []).length > 0) {
+    return createErrorResponse(400, 'Cannot delete a client invoice with received payments. Remove the payments first.');
+  }
+
+  const { project: updatedProject, error } = await saveOrConflict(
+    project,
+    existingInvoices.filter(invoice => invoice.invoiceId !== invoiceId)
+  );
+  if (error) {
+    return error;
+  }
+
+  auditLog.logDelete({
+    resourceId: invoiceId,
+    companyId,
+    userId,
+    userRole,
+    deletedData: { projectId, ...invoiceToDelete },
+    request: event
+  });
+
+  const expenses = await queryProjectExpenses(companyId, projectId);
+
+  return createResponse(200, {
+    success: true,
+    message: 'Client invoice deleted successfully',
+    ...buildBillingResponse(updatedProject, expenses)
+  });
+}
+
+// Record a payment received from the client against an invoice or milestone
+async function addClientPayment(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { projectId, invoiceId } = requestBody;
+  if (!projectId || !invoiceId) {
+    return createErrorResponse(400, 'Missing required fields: projectId and invoiceId');
+  }
+
+  const { valid, errors, payment } = validateClientPaymentInput(requestBody);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const project = await getProject(companyId, projectId);
+  if (!project) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const existingInvoices = project.clientInvoices || [];
+  const invoice = existingInvoices.find(entry => entry.invoiceId === invoiceId);
+  if (!invoice) {
+    return createErrorResponse(404, 'Client invoice not found');
+  }
+
+  const existingPayments = invoice.payments || [];
+  if (existingPayments.length >= MAX_PAYMENTS_PER_INVOICE) {
+    return createErrorResponse(400, `A client invoice can have at most ${MAX_PAYMENTS_PER_INVOICE} payments`);
+  }
+
+  const { outstandingAmount } = calculateInvoiceBalance(invoice, getToday());
+  if (payment.amount > outstandingAmount) {
+    return createErrorResponse(400, `Payment amount exceeds the outstanding balance of ₪${outstandingAmount}`);
+  }
+
+  const newPayment = {
+    paymentId: generatePaymentId(),
+    ...payment,
+    createdBy: userId,
+    createdAt: getCurrentTimestamp()
+  };
+  const invoices = existingInvoices.map(entry => (entry.invoiceId === invoiceId
+    ? { ...entry, payments: [...existingPayments, newPayment] }
+    : entry));
+
+  const { project: updatedProject, error } = await saveOrConflict(project, invoices);
+  if (error) {
+    return error;
+  }
+
+  auditLog.logCreate({
+    resourceId: newPayment.paymentId,
+    companyId,
+    userId,
+    userRole,
+    data: { projectId, invoiceId, ...newPayment },
+    request: event
+  });
+
+  const expenses = await queryProjectExpenses(companyId, projectId);
+
+  return createResponse(201, {
+    success: true,
+    message: 'Client payment recorded successfully',
+    payment: newPayment,
+    ...buildBillingResponse(updatedProject, expenses)
+  });
+}
+
+// Remove a payment received from the client
+async function deleteClientPayment(event, companyId, userId, userRole) {
+  const { projectId, invoiceId, paymentId } = event.queryStringParameters || {};
+  if (!projectId || !invoiceId || !paymentId) {
+    return createErrorResponse(400, 'Missing projectId, invoiceId or paymentId parameter');
+  }
+
+  const project = await getProject(companyId, projectId);
+  if (!project) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const existingInvoices = project.clientInvoices || [];
+  const invoice = existingInvoices.find(entry => entry.invoiceId === invoiceId);
+  const paymentToDelete = invoice && (invoice.payments || []).find(p => p.paymentId === paymentId);
+  if (!paymentToDelete) {
+    return createErrorResponse(404, 'Payment not found');
+  }
+
+  const invoices = existingInvoices.map(entry => (entry.invoiceId === invoiceId
+    ? { ...entry, payments: entry.payments.filter(p => p.paymentId !== paymentId) }
+    : entry));
+
+  const { project: updatedProject, error } = await saveOrConflict(project, invoices);
+  if (error) {
+    return error;
+  }
+
+  auditLog.logDelete({
+    resourceId: paymentId,
+    companyId,
+    userId,
+    userRole,
+    deletedData: { projectId, invoiceId, ...paymentToDelete },
+    request: event
+  });
+
+  const expenses = await queryProjectExpenses(companyId, projectId);
+
+  return createResponse(200, {
+    success: true,
+    message: 'Client payment deleted successfully',
+    ...buildBillingResponse(updatedProject, expenses)
+  });
+}
@@ -1,5 +1,13 @@
 // lambda/companyProjects.js
 // Company-scoped projects management Lambda function
+//
+// Routes:
+//   GET    /projects                       - list projects
+//   GET    /projects/budget?projectId=...  - budget vs. actual per budget line (admin and manager)
+//   POST   /projects                       - create a project { name, startDate, budget?, budgetLines?, ... }
+//   POST   /projects/alerts                - acknowledge a budget alert { projectId, alertId } (admin and manager)
+//   PUT    /projects                       - update a project { projectId, ...fields }
+//   DELETE /projects?projectId=...         - delete a project
 
 const {
   createResponse,
@@ -9,6 +17,7 @@ const {
   getCurrentTimestamp,
   debugLog,
   dynamoOperation,
+  queryAllPages,
   COMPANY_TABLE_NAMES,
   SYSTEM_PROJECTS,
   USER_ROLES,
@@ -26,6 +35,12 @@ const {
   decrementProjectCounter
 } = require('./shared/limit-checker');
 const { withSecureCors, CACHE_DURATIONS } = require('./shared/cors-config');
+const {
+  validateBudgetLines,
+  getBudgetLinesTotal,
+  buildBudgetVsActual
+} = require('./shared/project-budget');
+const { checkBudgetAlerts } = require('./shared/budget-alerts');
 
 // Apply 60 second cache for GET requests (projects rarely change)
 exports.handler = withSecureCors(async (event) => {
@@ -39,9 +54,23 @@ exports.handler = withSecureCors(async (event) => {
 
     switch (event.httpMethod) {
       case 'GET':
+        if (event.path && event.path.endsWith('/budget')) {
+          // Totals include every user's expenses - same access as the financial reports
+          if (!hasPermission(userRole, PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+            return createErrorResponse(403, 'You do not have permission to view budget reports. Only admins and managers can view them.');
+          }
+          return await getProjectBudget(event, companyId, userId, userRole);
+        }
         // All authenticated users can view projects
         return await getProjects(companyId, userId, userRole, event);
       case 'POST':
+        if (event.path && event.path.endsWith('/alerts')) {
+          // Alerts are raised for admins and managers
+          if (!hasPermission(userRole, PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+            return createErrorResponse(403, 'You do not have permission to acknowledge budget alerts. Only admins and managers can acknowledge them.');
+          }
+          return await acknowledgeBudgetAlert(event, companyId, userId, userRole);
+        }
         // Check CREATE permission
         if (!hasPermission(userRole, PERMISSIONS.CREATE_PROJECTS)) {
           return createErrorResponse(403, 'You do not have permission to create projects. Contact an admin to upgrade your role.');
@@ -98,6 +127,11 @@ async function getProjects(companyId, userId, userRole, event) {
     return new Date(b.createdAt) - new Date(a.createdAt);
   });
 
+  // Client billing (income) is only visible to roles that see the financial reports
+  if (!hasPermission(userRole, PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+    projects = projects.map(({ clientInvoices, billedAmount, receivedAmount, ...project }) => project);
+  }
+
   // Audit log for READ operation
   auditLog.logRead({
     companyId,
@@ -114,6 +148,62 @@ async function getProjects(companyId, userId, userRole, event) {
   });
 }
 
+// Query all company items matching a filter expression, following pagination
+async function queryCompanyItems(tableName, companyId, filterExpression, names, values) {
+  const params = {
+    TableName: tableName,
+    KeyConditionExpression: 'companyId = :companyId',
+    FilterExpression: filterExpression,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: { ':companyId': companyId, ...values }
+  };
+
+  return queryAllPages(params);
+}
+
+// Budget vs. actual per budget line: committed (works), actual (expenses) and remaining
+async function getProjectBudget(event, companyId, userId, userRole) {
+  const { projectId } = event.queryStringParameters || {};
+  if (!projectId) {
+    return createErrorResponse(400, 'Missing projectId parameter');
+  }
+
+  const projectResult = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: { companyId, projectId }
+  });
+  if (!projectResult.Item) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  // Split expenses belong to the project when any of their allocation lines does
+  const [works, expenses] = await Promise.all([
+    queryCompanyItems(COMPANY_TABLE_NAMES.WORKS, companyId,
+      '#projectId = :projectId',
+      { '#projectId': 'projectId' },
+      { ':projectId': projectId }),
+    queryCompanyItems(COMPANY_TABLE_NAMES.EXPENSES, companyId,
+      '(#projectId = :projectId OR contains(#allocationProjectIds, :projectId))',
+      { '#projectId': 'projectId', '#allocationProjectIds': 'allocationProjectIds' },
+      { ':projectId': projectId })
+  ]);
+
+  const report = buildBudgetVsActual(projectResult.Item, works, expenses);
+
+  auditLog.logRead({
+    resourceId: projectId,
+    companyId,
+    userId,
+    userRole,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    report
+  });
+}
+
 // Create a new project
 async function createProject(event, companyId, userId, userRole) {
   // Check if company can create new project (tier limit check)
@@ -148,6 +238,18 @@ async function createProject(event, companyId, userId, userRole) {
     updatedAt: getCurrentTimestamp()
   };
 
+  // With budget lines the project budget is the sum of its lines
+  if (requestBody.budgetLines !== undefined) {
+    const budgetLinesResult = validateBudgetLines(requestBody.budgetLines);
+    if (!budgetLinesResult.valid) {
+      return createErrorResponse(400, `Invalid budget lines: ${budgetLinesResult.errors.join(', ')}`);
+    }
+    project.budgetLines = budgetLinesResult.lines;
+    if (project.budgetLines.length > 0) {
+      project.budget = getBudgetLinesTotal(project.budgetLines);
+    }
+  }
+
   // Validate required fields
   const required = ['name', 'startDate'];
   const missing = required.filter(field => !project[field]);
@@ -235,7 +337,8 @@ async function updateProject(event, companyId, userId, userRole) {
   const expressionAttributeNames = {};
   const expressionAttributeValues = {};
   
-  const updateableFields = ['name', 'startDate', 'endDate', 'description', 'status', 'budget', 'spentAmount', 'location', 'clientName'];
+  // spentAmount is a counter kept by expense changes (see shared/budget-alerts.js), not set by clients
+  const updateableFields = ['name', 'startDate', 'endDate', 'description', 'status', 'budget', 'location', 'clientName'];
   
   updateableFields.forEach(field => {
     if (requestBody[field] !== undefined) {
@@ -243,7 +346,7 @@ async function updateProject(event, companyId, userId, userRole) {
       expressionAttributeNames[`#${field}`] = field;
       
       // Handle numeric fields
-      if (field === 'budget' || field === 'spentAmount') {
+      if (field === 'budget') {
         expressionAttributeValues[`:${field}`] = parseFloat(requestBody[field]);
       } else {
         expressionAttributeValues[`:${field}`] = requestBody[field];
@@ -251,6 +354,25 @@ async function updateProject(event, companyId, userId, userRole) {
     }
   });
   
+  // Lines keep their IDs so assigned works and expenses stay on them
+  // With budget lines the project budget is the sum of its lines
+  if (requestBody.budgetLines !== undefined) {
+    const budgetLinesResult = validateBudgetLines(requestBody.budgetLines, existingProject.budgetLines || []);
+    if (!budgetLinesResult.valid) {
+      return createErrorResponse(400, `Invalid budget lines: ${budgetLinesResult.errors.join(', ')}`);
+    }
+    updateExpressions.push('#budgetLines = :budgetLines');
+    expressionAttributeNames['#budgetLines'] = 'budgetLines';
+    expressionAttributeValues[':budgetLines'] = budgetLinesResult.lines;
+    if (budgetLinesResult.lines.length > 0) {
+      if (!expressionAttributeNames['#budget']) {
+        updateExpressions.push('#budget = :budget');
+        expressionAttributeNames['#budget'] = 'budget';
+      }
+      expressionAttributeValues[':budget'] = getBudgetLinesTotal(budgetLinesResult.lines);
+    }
+  }
+
   if (updateExpressions.length === 0) {
     return createErrorResponse(400, 'No fields to update');
   }
@@ -283,6 +405,11 @@ async function updateProject(event, companyId, userId, userRole) {
     request: event
   });
 
+  // A changed budget may cross (or drop below) an alert threshold
+  if (expressionAttributeNames['#budget'] && result.Attributes.budget !== existingProject.budget) {
+    await checkBudgetAlerts(companyId, { [projectId]: { spent: 0, works: {} } });
+  }
+
   return createResponse(200, {
     success: true,
     message: 'Project updated successfully',
@@ -290,6 +417,63 @@ async function updateProject(event, companyId, userId, userRole) {
   });
 }
 
+// Mark a budget alert of a project as acknowledged
+async function acknowledgeBudgetAlert(event, companyId, userId, userRole) {
+  const { projectId, alertId } = JSON.parse(event.body || '{}');
+
+  if (!projectId || !alertId) {
+    return createErrorResponse(400, 'Missing projectId or alertId');
+  }
+
+  const projectResult = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: { companyId, projectId }
+  });
+  if (!projectResult.Item) {
+    return createErrorResponse(404, 'Project not found');
+  }
+
+  const alertIndex = (projectResult.Item.budgetAlerts || []).findIndex(alert => alert.alertId === alertId);
+  if (alertIndex === -1) {
+    return createErrorResponse(404, 'Budget alert not found');
+  }
+
+  let result;
+  try {
+    // The condition guards against the list shifting (old alerts dropped) since it was read
+    result = await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.PROJECTS,
+      Key: { companyId, projectId },
+      UpdateExpression: `SET #budgetAlerts[${alertIndex}].acknowledgedAt = :now, #budgetAlerts[${alertIndex}].acknowledgedBy = :userId`,
+      ConditionExpression: `#budgetAlerts[${alertIndex}].alertId = :alertId`,
+      ExpressionAttributeNames: { '#budgetAlerts': 'budgetAlerts' },
+      ExpressionAttributeValues: { ':now': getCurrentTimestamp(), ':userId': userId, ':alertId': alertId },
+      ReturnValues: 'ALL_NEW'
+    });
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Budget alerts were changed. Please refresh and try again.');
+    }
+    throw error;
+  }
+
+  auditLog.logUpdate({
+    resourceId: projectId,
+    companyId,
+    userId,
+    userRole,
+    before: { budgetAlert: projectResult.Item.budgetAlerts[alertIndex] },
+    after: { budgetAlert: result.Attributes.budgetAlerts[alertIndex] },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Budget alert acknowledged',
+    alert: result.Attributes.budgetAlerts[alertIndex]
+  });
+}
+
 // Delete a project
 async function deleteProject(event, companyId, userId, userRole) {
   const projectId = event.pathParameters?.projectId || event.queryStringParameters?.projectId;
@@ -0,0 +1,260 @@
+// lambda/companyRecurringExpenses.js
+// Recurring expense templates (admin and manager only)
+//
+// Routes:
+//   GET    /expenses/recurring                  - list templates
+//   POST   /expenses/recurring                  - create a template { name, amount, frequency, startDate, endDate?, paymentMethod, ... }
+//   PUT    /expenses/recurring                  - update a template { templateId, ...fields }
+//   DELETE /expenses/recurring?templateId=...   - delete a template (generated expenses are kept)
+//
+// Expenses are generated by the scheduled generateRecurringExpenses Lambda.
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  generateRecurringTemplateId,
+  getCurrentTimestamp,
+  PERMISSIONS,
+  SYSTEM_PROJECTS,
+  SYSTEM_CONTRACTORS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyRecurringExpenses');
+const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.EXPENSE);
+const { withSecureCors } = require('./shared/cors-config');
+const {
+  MAX_RECURRING_TEMPLATES,
+  validateRecurringTemplate,
+  getScheduleState,
+  findInvoicePrefixConflict,
+  loadRecurringTemplates,
+  saveRecurringTemplates
+} = require('./shared/recurring-expenses');
+const {
+  validateContractorExists,
+  validateAllocationTargets
+} = require('./shared/expense-create');
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+
+    if (!hasPermission(userRole, PERMISSIONS.MANAGE_EXPENSES)) {
+      return createErrorResponse(403, 'You do not have permission to manage recurring expenses. Only admins and managers can manage them.');
+    }
+
+    switch (event.httpMethod) {
+      case 'GET':
+        return await listTemplates(event, companyId, userId, userRole);
+      case 'POST':
+        return await createTemplate(event, companyId, userId, userRole);
+      case 'PUT':
+        return await updateTemplate(event, companyId, userId, userRole);
+      case 'DELETE':
+        return await deleteTemplate(event, companyId, userId, userRole);
+      default:
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Recurring expenses were modified by another user. Please refresh and try again.');
+    }
+    logger.error('ERROR in companyRecurringExpenses handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error during recurring expenses operation');
+  }
+});
+
+// Check that the template's project, work and contractor exist
+// Returns an error message or null
+async function validateTemplateReferences(companyId, fields) {
+  try {
+    const projectId = fields.projectId || SYSTEM_PROJECTS.GENERAL_EXPENSES.projectId;
+    await validateAllocationTargets(companyId, [{ projectId, workId: fields.workId }]);
+    if (fields.contractorId && fields.contractorId !== SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId) {
+      await validateContractorExists(companyId, fields.contractorId);
+    }
+  } catch (fkError) {
+    return `Foreign key validation error: ${fkError.message}`;
+  }
+  return null;
+}
+
+// List the company's recurring templates
+async function listTemplates(event, companyId, userId, userRole) {
+  const { templates } = await loadRecurringTemplates(companyId);
+
+  auditLog.logRead({
+    resourceId: 'recurring-templates',
+    companyId,
+    userId,
+    userRole,
+    count: templates.length,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    templates: [...templates].sort((a, b) => (a.nextRunDate || '9999').localeCompare(b.nextRunDate || '9999'))
+  });
+}
+
+// Create a recurring template
+async function createTemplate(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+
+  const { valid, errors, fields } = validateRecurringTemplate(requestBody);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const referenceError = await validateTemplateReferences(companyId, fields);
+  if (referenceError) {
+    return createErrorResponse(400, referenceError);
+  }
+
+  const { templates, updatedAt } = await loadRecurringTemplates(companyId);
+  if (templates.length >= MAX_RECURRING_TEMPLATES) {
+    return createErrorResponse(400, `A company can have at most ${MAX_RECURRING_TEMPLATES} recurring expenses`);
+  }
+
+  const prefixConflict = findInvoicePrefixConflict(templates, fields);
+  if (prefixConflict) {
+    return createErrorResponse(409, `Invoice prefix ${fields.invoiceNum} is already used by recurring expense "${prefixConflict.name}" for this contractor`);
+  }
+
+  const timestamp = getCurrentTimestamp();
+  const template = {
+    templateId: generateRecurringTemplateId(),
+    ...fields,
+    nextOccurrence: 0,
+    generatedCount: 0,
+    createdBy: userId, // Generated expenses are created on behalf of this user
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+  Object.assign(template, getScheduleState(template));
+
+  await saveRecurringTemplates(companyId, [...templates, template], updatedAt);
+
+  auditLog.logCreate({
+    resourceId: template.templateId,
+    companyId,
+    userId,
+    userRole,
+    data: template,
+    metadata: { recurringTemplate: true },
+    request: event
+  });
+
+  return createResponse(201, {
+    success: true,
+    message: 'Recurring expense created successfully',
+    template
+  });
+}
+
+// Update a recurring template
+// Changing the start date or frequency restarts the schedule from the new start date
+async function updateTemplate(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { templateId } = requestBody;
+
+  if (!templateId) {
+    return createErrorResponse(400, 'Missing required field: templateId');
+  }
+
+  const { templates, updatedAt } = await loadRecurringTemplates(companyId);
+  const existing = templates.find(t => t.templateId === templateId);
+  if (!existing) {
+    return createErrorResponse(404, 'Recurring expense not found');
+  }
+
+  const { valid, errors, fields } = validateRecurringTemplate({ ...existing, ...requestBody });
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const referenceError = await validateTemplateReferences(companyId, fields);
+  if (referenceError) {
+    return createErrorResponse(400, referenceError);
+  }
+
+  const prefixConflict = findInvoicePrefixConflict(templates, { ...fields, templateId });
+  if (prefixConflict) {
+    return createErrorResponse(409, `Invoice prefix ${fields.invoiceNum} is already used by recurring expense "${prefixConflict.name}" for this contractor`);
+  }
+
+  const scheduleChanged = fields.startDate !== existing.startDate || fields.frequency !== existing.frequency;
+  const template = {
+    ...existing,
+    ...fields,
+    nextOccurrence: scheduleChanged ? 0 : existing.nextOccurrence,
+    lastError: null,
+    updatedAt: getCurrentTimestamp()
+  };
+  const schedule = getScheduleState(template);
+  template.nextRunDate = schedule.nextRunDate;
+  // A template whose schedule has ended cannot be re-activated without extending endDate
+  template.active = fields.active && schedule.active;
+
+  await saveRecurringTemplates(
+    companyId,
+    templates.map(t => (t.templateId === templateId ? template : t)),
+    updatedAt
+  );
+
+  auditLog.logUpdate({
+    resourceId: templateId,
+    companyId,
+    userId,
+    userRole,
+    before: existing,
+    after: template,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Recurring expense updated successfully',
+    template
+  });
+}
+
+// Delete a recurring template - expenses it already generated are not affected
+async function deleteTemplate(event, companyId, userId, userRole) {
+  const { templateId } = event.queryStringParameters || {};
+  if (!templateId) {
+    return createErrorResponse(400, 'Missing templateId parameter');
+  }
+
+  const { templates, updatedAt } = await loadRecurringTemplates(companyId);
+  const existing = templates.find(t => t.templateId === templateId);
+  if (!existing) {
+    return createErrorResponse(404, 'Recurring expense not found');
+  }
+
+  await saveRecurringTemplates(companyId, templates.filter(t => t.templateId !== templateId), updatedAt);
+
+  auditLog.logDelete({
+    resourceId: templateId,
+    companyId,
+    userId,
+    userRole,
+    deletedData: existing,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Recurring expense deleted successfully'
+  });
+}
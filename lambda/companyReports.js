@@ -0,0 +1,308 @@
+// lambda/companyReports.js
+// Company-wide financial reports (admin and manager only)
+//
+// Routes:
+//   GET /reports/vat?year=2025&period=1&frequency=bimonthly - input VAT report (דוח מע"מ תשומות)
+//       Defaults to the last completed reporting period when year/period are omitted
+//   GET /reports/withholding?year=2025 - annual withholding tax per contractor (form 856 data)
+//       Defaults to the previous calendar year
+//   GET /reports/contractor-statement?contractorId=...&from=2025-01-01&to=2025-06-30 - contractor account
+//       statement (כרטסת) with a running balance. Defaults to all history up to today
+//   GET /reports/materials?search=מלט&from=2025-01-01&to=2025-06-30 - spending per material across
+//       projects, from the receipt line items of the expenses. Defaults to all history up to today
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  getCurrentTimestamp,
+  addDays,
+  dynamoOperation,
+  queryAllPages,
+  COMPANY_TABLE_NAMES,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyReports');
+const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.REPORT);
+const { withSecureCors } = require('./shared/cors-config');
+const {
+  VAT_REPORTING_FREQUENCIES,
+  getVatReportingPeriod,
+  getVatReportingPeriodForDate,
+  buildVatReport
+} = require('./shared/vat-report');
+const { buildWithholdingSummary } = require('./shared/withholding-tax');
+const { buildContractorStatement } = require('./shared/contractor-statement');
+const { buildMaterialSpendReport } = require('./shared/expense-line-items');
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+
+    if (event.httpMethod !== 'GET') {
+      return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+
+    if (!hasPermission(userRole, PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+      return createErrorResponse(403, 'You do not have permission to view financial reports. Only admins and managers can view them.');
+    }
+
+    if (event.path && event.path.endsWith('/vat')) {
+      return await getVatReport(event, companyId, userId, userRole);
+    }
+
+    if (event.path && event.path.endsWith('/withholding')) {
+      return await getWithholdingReport(event, companyId, userId, userRole);
+    }
+
+    if (event.path && event.path.endsWith('/contractor-statement')) {
+      return await getContractorStatement(event, companyId, userId, userRole);
+    }
+
+    if (event.path && event.path.endsWith('/materials')) {
+      return await getMaterialsReport(event, companyId, userId, userRole);
+    }
+
+    return createErrorResponse(404, 'Report not found');
+  } catch (error) {
+    logger.error('ERROR in companyReports handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error while generating report');
+  }
+});
+
+// Query all company expenses matching a filter expression
+async function queryExpenses(companyId, filterExpression, names, values) {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    KeyConditionExpression: 'companyId = :companyId',
+    FilterExpression: filterExpression,
+    ExpressionAttributeValues: { ':companyId': companyId, ...values }
+  };
+  if (names) {
+    params.ExpressionAttributeNames = names;
+  }
+
+  return queryAllPages(params);
+}
+
+// Load company contractors keyed by contractorId
+async function getContractorsById(companyId) {
+  const items = await queryAllPages({
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    KeyConditionExpression: 'companyId = :companyId',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  });
+
+  const contractors = {};
+  items.forEach(c => { contractors[c.contractorId] = c; });
+  return contractors;
+}
+
+// Load company project names keyed by projectId
+async function getProjectNames(companyId) {
+  const items = await queryAllPages({
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    KeyConditionExpression: 'companyId = :companyId',
+    ProjectionExpression: 'projectId, #name',
+    ExpressionAttributeNames: { '#name': 'name' },
+    ExpressionAttributeValues: { ':companyId': companyId }
+  });
+
+  const projects = {};
+  items.forEach(project => { projects[project.projectId] = project.name; });
+  return projects;
+}
+
+// Input VAT report for a monthly or bi-monthly reporting period
+async function getVatReport(event, companyId, userId, userRole) {
+  const queryParams = event.queryStringParameters || {};
+  const frequency = queryParams.frequency || VAT_REPORTING_FREQUENCIES.BIMONTHLY;
+
+  if (!Object.values(VAT_REPORTING_FREQUENCIES).includes(frequency)) {
+    return createErrorResponse(400, `frequency must be one of: ${Object.values(VAT_REPORTING_FREQUENCIES).join(', ')}`);
+  }
+
+  let period;
+  if (queryParams.year || queryParams.period) {
+    period = getVatReportingPeriod(parseInt(queryParams.year, 10), parseInt(queryParams.period, 10), frequency);
+    if (!period) {
+      const maxPeriod = frequency === VAT_REPORTING_FREQUENCIES.MONTHLY ? 12 : 6;
+      return createErrorResponse(400, `year and period are required together; period must be between 1 and ${maxPeriod}`);
+    }
+  } else {
+    // The period being filed is the one that ended before the current period started
+    const today = getCurrentTimestamp().split('T')[0];
+    const currentPeriod = getVatReportingPeriodForDate(today, frequency);
+    period = getVatReportingPeriodForDate(addDays(currentPeriod.from, -1), frequency);
+  }
+
+  const [expenses, contractors] = await Promise.all([
+    queryExpenses(companyId, '#date BETWEEN :from AND :to', { '#date': 'date' }, { ':from': period.from, ':to': period.to }),
+    getContractorsById(companyId)
+  ]);
+
+  const report = buildVatReport(expenses, contractors, period);
+
+  auditLog.logRead({
+    resourceId: `vat-report-${period.from}`,
+    companyId,
+    userId,
+    userRole,
+    count: report.lines.length,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    ...report
+  });
+}
+
+// Annual withholding tax summary per contractor (data behind form 856)
+async function getWithholdingReport(event, companyId, userId, userRole) {
+  const queryParams = event.queryStringParameters || {};
+  // Form 856 is filed after the tax year ends, so default to last year
+  const currentYear = parseInt(getCurrentTimestamp().slice(0, 4), 10);
+  const year = queryParams.year ? parseInt(queryParams.year, 10) : currentYear - 1;
+
+  if (isNaN(year) || year < 2000 || year > currentYear) {
+    return createErrorResponse(400, `year must be between 2000 and ${currentYear}`);
+  }
+
+  // Payments can be made in a later year than the expense date, so scan all ledgers
+  const [expenses, contractors] = await Promise.all([
+    queryExpenses(companyId, 'attribute_exists(payments)'),
+    getContractorsById(companyId)
+  ]);
+
+  const summary = buildWithholdingSummary(expenses, contractors, year);
+
+  auditLog.logRead({
+    resourceId: `withholding-report-${year}`,
+    companyId,
+    userId,
+    userRole,
+    count: summary.contractors.length,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    ...summary
+  });
+}
+
+// Account statement of one contractor: invoices, payments and the balance still owed
+async function getContractorStatement(event, companyId, userId, userRole) {
+  const queryParams = event.queryStringParameters || {};
+  const { contractorId, from } = queryParams;
+  const to = queryParams.to || getCurrentTimestamp().split('T')[0];
+
+  if (!contractorId) {
+    return createErrorResponse(400, 'Missing contractorId parameter');
+  }
+
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !dateRegex.test(from)) || !dateRegex.test(to)) {
+    return createErrorResponse(400, 'from and to must be in YYYY-MM-DD format');
+  }
+  if (from && from > to) {
+    return createErrorResponse(400, 'from must not be after to');
+  }
+
+  const contractorResult = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    Key: { companyId, contractorId }
+  });
+  if (!contractorResult.Item) {
+    return createErrorResponse(404, 'Contractor not found');
+  }
+
+  // The opening balance needs the contractor's whole history, not just the range
+  const [expenses, works, projects] = await Promise.all([
+    queryExpenses(companyId, 'contractorId = :contractorId', null, { ':contractorId': contractorId }),
+    queryAllPages({
+      TableName: COMPANY_TABLE_NAMES.WORKS,
+      KeyConditionExpression: 'companyId = :companyId',
+      FilterExpression: 'contractorId = :contractorId',
+      ExpressionAttributeValues: { ':companyId': companyId, ':contractorId': contractorId }
+    }),
+    getProjectNames(companyId)
+  ]);
+
+  const statement = buildContractorStatement(
+    contractorResult.Item,
+    { works, expenses, projects },
+    { from, to }
+  );
+
+  auditLog.logRead({
+    resourceId: `contractor-statement-${contractorId}`,
+    companyId,
+    userId,
+    userRole,
+    count: statement.entries.length,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    ...statement
+  });
+}
+
+// Spending per material (cement, rebar...) across projects, from receipt line items
+async function getMaterialsReport(event, companyId, userId, userRole) {
+  const queryParams = event.queryStringParameters || {};
+  const { from } = queryParams;
+  const to = queryParams.to || getCurrentTimestamp().split('T')[0];
+  const search = (queryParams.search || '').trim();
+
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !dateRegex.test(from)) || !dateRegex.test(to)) {
+    return createErrorResponse(400, 'from and to must be in YYYY-MM-DD format');
+  }
+  if (from && from > to) {
+    return createErrorResponse(400, 'from must not be after to');
+  }
+  if (search.length > 100) {
+    return createErrorResponse(400, 'search must not exceed 100 characters');
+  }
+
+  const [expenses, projects] = await Promise.all([
+    queryExpenses(
+      companyId,
+      `attribute_exists(lineItems) AND #date ${from ? 'BETWEEN :from AND :to' : '<= :to'}`,
+      { '#date': 'date' },
+      { ...(from ? { ':from': from } : {}), ':to': to }
+    ),
+    getProjectNames(companyId)
+  ]);
+
+  const report = buildMaterialSpendReport(expenses, { search, projects });
+
+  auditLog.logRead({
+    resourceId: `materials-report-${from || 'all'}`,
+    companyId,
+    userId,
+    userRole,
+    count: report.materials.length,
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    from: from || null,
+    to,
+    ...report
+  });
+}
@@ -0,0 +1,291 @@
+// lambda/companyWorkBilling.js
+// Company-scoped progress billing (חשבונות חלקיים) and retention (עיכבון) on subcontractor works
+//
+// Routes:
+//   GET    /works/bills?workId=...                    - bills, retention and the amount suggested by the work's progress
+//   POST   /works/bills                               - add a progress bill { workId, date, billNumber, progress, amount, notes }
+//   DELETE /works/bills?workId=...&billId=...         - remove the latest bill
+//   POST   /works/bills/release                       - release the retention of a completed work { workId, date }
+
+const {
+  createResponse,
+  createErrorResponse,
+  getCompanyUserFromEvent,
+  generateProgressBillId,
+  getCurrentTimestamp,
+  getToday,
+  dynamoOperation,
+  COMPANY_TABLE_NAMES,
+  PERMISSIONS,
+  hasPermission
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('companyWorkBilling');
+const { createAuditLogger, RESOURCE_TYPES, AUDIT_ACTIONS } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.WORK);
+const { withSecureCors } = require('./shared/cors-config');
+const {
+  MAX_PROGRESS_BILLS,
+  summarizeProgressBilling,
+  buildProgressBill,
+  buildRetentionRelease
+} = require('./shared/progress-billing');
+
+exports.handler = withSecureCors(async (event) => {
+  try {
+    // Get company and user context from JWT token
+    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+    const path = event.path || '';
+
+    // Subcontractor billing is financial data - same access as the financial reports
+    if (event.httpMethod === 'GET') {
+      if (!hasPermission(userRole, PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+        return createErrorResponse(403, 'You do not have permission to view work billing. Only admins and managers can view it.');
+      }
+      return await getWorkBilling(event, companyId);
+    }
+
+    if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+      return createErrorResponse(403, 'You do not have permission to manage work billing. Only admins and managers can manage it.');
+    }
+
+    if (path.endsWith('/release')) {
+      if (event.httpMethod !== 'POST') {
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+      }
+      return await releaseRetention(event, companyId, userId, userRole);
+    }
+
+    switch (event.httpMethod) {
+      case 'POST':
+        return await createProgressBill(event, companyId, userId, userRole);
+      case 'DELETE':
+        return await deleteProgressBill(event, companyId, userId, userRole);
+      default:
+        return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+    }
+  } catch (error) {
+    logger.error('ERROR in companyWorkBilling handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
+    return createErrorResponse(500, 'Internal server error during work billing operation');
+  }
+});
+
+async function getWork(companyId, workId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.WORKS,
+    Key: { companyId, workId }
+  });
+  return result.Item;
+}
+
+// Persist billing fields of a work
+// Conditioned on updatedAt so concurrent edits cannot overwrite each other
+async function saveWorkBilling(work, fields) {
+  const names = Object.keys(fields);
+  const expressionAttributeValues = {
+    ':timestamp': getCurrentTimestamp(),
+    ':previousUpdatedAt': work.updatedAt
+  };
+  const expressionAttributeNames = {};
+  names.forEach(name => {
+    expressionAttributeNames[`#${name}`] = name;
+    expressionAttributeValues[`:${name}`] = fields[name];
+  });
+
+  try {
+    const result = await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.WORKS,
+      Key: { companyId: work.companyId, workId: work.workId },
+      UpdateExpression: `SET ${names.map(name => `#${name} = :${name}`).join(', ')}, updatedAt = :timestamp`,
+      ConditionExpression: 'updatedAt = :previousUpdatedAt',
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    });
+    return { work: result.Attributes };
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return { error: createErrorResponse(409, 'Work was modified by another user. Please refresh and try again.') };
+    }
+    throw error;
+  }
+}
+
+// Bills, retention and suggested amount of a work
+async function getWorkBilling(event, companyId) {
+  const { workId } = event.queryStringParameters || {};
+  if (!workId) {
+    return createErrorResponse(400, 'Missing workId parameter');
+  }
+
+  const work = await getWork(companyId, workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  return createResponse(200, {
+    success: true,
+    ...summarizeProgressBilling(work)
+  });
+}
+
+// Add a progress bill; a progress given with the bill updates the work's progress first
+async function createProgressBill(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  if (!requestBody.workId) {
+    return createErrorResponse(400, 'Missing required field: workId');
+  }
+
+  const work = await getWork(companyId, requestBody.workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  const existingBills = work.progressBills || [];
+  if (existingBills.length >= MAX_PROGRESS_BILLS) {
+    return createErrorResponse(400, `A work can have at most ${MAX_PROGRESS_BILLS} progress bills`);
+  }
+
+  let progress = Number(work.progress) || 0;
+  if (requestBody.progress !== undefined && requestBody.progress !== null && requestBody.progress !== '') {
+    progress = parseFloat(requestBody.progress);
+    if (isNaN(progress) || progress < 0 || progress > 100) {
+      return createErrorResponse(400, 'Progress must be between 0 and 100');
+    }
+  }
+
+  const { valid, errors, bill } = buildProgressBill({ ...work, progress }, requestBody);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const newBill = {
+    billId: generateProgressBillId(),
+    ...bill,
+    createdBy: userId,
+    createdAt: getCurrentTimestamp()
+  };
+
+  const { work: updatedWork, error } = await saveWorkBilling(work, {
+    progressBills: [...existingBills, newBill],
+    progress
+  });
+  if (error) {
+    return error;
+  }
+
+  auditLog.logCreate({
+    resourceId: newBill.billId,
+    companyId,
+    userId,
+    userRole,
+    data: { workId: work.workId, ...newBill },
+    request: event
+  });
+
+  return createResponse(201, {
+    success: true,
+    message: 'Progress bill added successfully',
+    bill: newBill,
+    ...summarizeProgressBilling(updatedWork)
+  });
+}
+
+// Remove the latest bill - earlier bills are the basis of the cumulative amounts after them
+async function deleteProgressBill(event, companyId, userId, userRole) {
+  const { workId, billId } = event.queryStringParameters || {};
+  if (!workId || !billId) {
+    return createErrorResponse(400, 'Missing workId or billId parameter');
+  }
+
+  const work = await getWork(companyId, workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  const existingBills = work.progressBills || [];
+  const bill = existingBills.find(entry => entry.billId === billId);
+  if (!bill) {
+    return createErrorResponse(404, 'Progress bill not found');
+  }
+  if (existingBills[existingBills.length - 1].billId !== billId) {
+    return createErrorResponse(400, 'Only the latest progress bill can be removed');
+  }
+  if (work.retentionRelease) {
+    return createErrorResponse(400, 'Bills cannot be removed after the retention was released');
+  }
+
+  const { work: updatedWork, error } = await saveWorkBilling(work, {
+    progressBills: existingBills.slice(0, -1)
+  });
+  if (error) {
+    return error;
+  }
+
+  auditLog.logDelete({
+    resourceId: billId,
+    companyId,
+    userId,
+    userRole,
+    deletedData: { workId, ...bill },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Progress bill removed successfully',
+    ...summarizeProgressBilling(updatedWork)
+  });
+}
+
+// Pay out the retention held on a completed work
+async function releaseRetention(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  if (!requestBody.workId) {
+    return createErrorResponse(400, 'Missing required field: workId');
+  }
+
+  const work = await getWork(companyId, requestBody.workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  const date = requestBody.date || getToday();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return createErrorResponse(400, 'Date must be in YYYY-MM-DD format');
+  }
+
+  const release = buildRetentionRelease(work, { userId, date, timestamp: getCurrentTimestamp() });
+  if (release.error) {
+    return createErrorResponse(400, release.error);
+  }
+
+  const { work: updatedWork, error } = await saveWorkBilling(work, {
+    retentionRelease: release.retentionRelease
+  });
+  if (error) {
+    return error;
+  }
+
+  auditLog.logAction({
+    action: AUDIT_ACTIONS.STATUS_CHANGE,
+    resourceId: work.workId,
+    companyId,
+    userId,
+    userRole,
+    data: { retentionRelease: release.retentionRelease },
+    metadata: { transition: 'release_retention' },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Retention released successfully',
+    ...summarizeProgressBilling(updatedWork)
+  });
+}
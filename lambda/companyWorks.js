@@ -1,11 +1,19 @@
 // lambda/companyWorks.js
 // Company-scoped works management Lambda function
+//
+// Routes:
+//   GET/POST/PUT/DELETE /works                                   - works CRUD
+//   GET    /works/change-orders?workId=...                       - change orders, contract value and cost history of a work
+//   POST   /works/change-orders                                  - request a change order { workId, description, amount, date, reference, notes }
+//   PUT    /works/change-orders                                  - approve or reject { workId, changeOrderId, status, comment }
+//   DELETE /works/change-orders?workId=...&changeOrderId=...     - withdraw a pending change order
 
 const {
   createResponse,
   createErrorResponse,
   getCompanyUserFromEvent,
   generateWorkId,
+  generateChangeOrderId,
   getCurrentTimestamp,
   debugLog,
   dynamoOperation,
@@ -16,9 +24,27 @@ const {
 } = require('./shared/company-utils');
 const { createLogger } = require('./shared/logger');
 const logger = createLogger('companyWorks');
-const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const { createAuditLogger, RESOURCE_TYPES, AUDIT_ACTIONS } = require('./shared/audit-logger');
 const auditLog = createAuditLogger(RESOURCE_TYPES.WORK);
 const { withSecureCors, CACHE_DURATIONS } = require('./shared/cors-config');
+const { validateBudgetLineExists } = require('./shared/project-budget');
+const { checkBudgetAlerts } = require('./shared/budget-alerts');
+const { roundCurrency } = require('./shared/vat-utils');
+const {
+  RETENTION_RELEASE_STATUS,
+  validateRetentionPercent,
+  buildRetentionRelease
+} = require('./shared/progress-billing');
+const {
+  CHANGE_ORDER_STATUS,
+  COST_CHANGE_REASONS,
+  MAX_CHANGE_ORDERS,
+  validateChangeOrderInput,
+  calculateWorkContractValue,
+  buildCostHistoryEntry,
+  appendCostHistory,
+  decideChangeOrder
+} = require('./shared/change-orders');
 
 // Apply 60 second cache for GET requests (works rarely change)
 exports.handler = withSecureCors(async (event) => {
@@ -28,7 +54,11 @@ exports.handler = withSecureCors(async (event) => {
 
   try {
     // Get company and user context from JWT token
-    const { companyId, userId, userRole } = getCompanyUserFromEvent(event);
+    const { companyId, userId, userRole, userEmail } = getCompanyUserFromEvent(event);
+
+    if ((event.path || '').endsWith('/change-orders')) {
+      return await handleChangeOrders(event, companyId, userId, userRole, userEmail);
+    }
 
     switch (event.httpMethod) {
       case 'GET':
@@ -57,6 +87,12 @@ exports.handler = withSecureCors(async (event) => {
         return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
     }
   } catch (error) {
+    logger.error('ERROR in companyWorks handler:', {
+      error: error.message,
+      stack: error.stack,
+      httpMethod: event.httpMethod,
+      path: event.path
+    });
     return createErrorResponse(500, 'Internal server error during works operation');
   }
 });
@@ -116,6 +152,7 @@ async function getWorks(companyId, userId, userRole) {
 // Create a new work
 async function createWork(event, companyId, userId, userRole) {
   const requestBody = JSON.parse(event.body || '{}');
+  const totalWorkCost = parseFloat(requestBody.totalWorkCost || requestBody.TotalWorkCost || 0);
 
   const work = {
     companyId,
@@ -125,12 +162,15 @@ async function createWork(event, companyId, userId, userRole) {
     contractorId: requestBody.contractorId,
     workName: requestBody.workName || requestBody.WorkName, // Support both naming conventions
     description: requestBody.description || '',
-    totalWorkCost: parseFloat(requestBody.totalWorkCost || requestBody.TotalWorkCost || 0),
+    totalWorkCost, // Revised contract value (original + approved change orders)
+    originalWorkCost: totalWorkCost, // Contract value before change orders
     status: requestBody.status || 'planned',
     startDate: requestBody.startDate || null,
     endDate: requestBody.endDate || null,
     progress: parseFloat(requestBody.progress || 0), // Percentage 0-100
     notes: requestBody.notes || '',
+    budgetLineId: requestBody.budgetLineId || '', // Project budget line (סעיף תקציב)
+    retentionPercent: 0, // Retention (עיכבון) withheld from each progress bill
     createdAt: getCurrentTimestamp(),
     updatedAt: getCurrentTimestamp()
   };
@@ -149,10 +189,22 @@ async function createWork(event, companyId, userId, userRole) {
   }
 
   // Validate progress percentage
-  if (work.progress < 0 || work.progress > 100) {
+  if (isNaN(work.progress) || work.progress < 0 || work.progress > 100) {
     return createErrorResponse(400, 'Progress must be between 0 and 100');
   }
 
+  if (requestBody.retentionPercent !== undefined && requestBody.retentionPercent !== null && requestBody.retentionPercent !== '') {
+    // Retention is part of work billing - same permission as the billing endpoints
+    if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+      return createErrorResponse(403, 'You do not have permission to set retention. Only admins and managers can manage work billing.');
+    }
+    const retention = validateRetentionPercent(requestBody.retentionPercent);
+    if (!retention.valid) {
+      return createErrorResponse(400, retention.error);
+    }
+    work.retentionPercent = retention.retentionPercent;
+  }
+
   // Validate dates if provided
   const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
   if (work.startDate && !dateRegex.test(work.startDate)) {
@@ -162,6 +214,13 @@ async function createWork(event, companyId, userId, userRole) {
     return createErrorResponse(400, 'End date must be in YYYY-MM-DD format');
   }
 
+  if (work.budgetLineId) {
+    const budgetLineError = await validateWorkBudgetLine(companyId, work.projectId, work.budgetLineId);
+    if (budgetLineError) {
+      return createErrorResponse(400, budgetLineError);
+    }
+  }
+
   const params = {
     TableName: COMPANY_TABLE_NAMES.WORKS,
     Item: work,
@@ -187,6 +246,24 @@ async function createWork(event, companyId, userId, userRole) {
   });
 }
 
+// Check that a budget line belongs to the work's project
+// Returns an error message or null
+async function validateWorkBudgetLine(companyId, projectId, budgetLineId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: { companyId, projectId }
+  });
+  if (!result.Item) {
+    return `Project with ID ${projectId} not found`;
+  }
+  try {
+    validateBudgetLineExists(result.Item, budgetLineId);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
 // Update an existing work
 async function updateWork(event, companyId, userId, userRole) {
   const requestBody = JSON.parse(event.body || '{}');
@@ -196,20 +273,18 @@ async function updateWork(event, companyId, userId, userRole) {
     return createErrorResponse(400, 'Missing workId');
   }
 
-  // For users with only EDIT_OWN permission, verify they own this work
-  if (!hasPermission(userRole, PERMISSIONS.EDIT_ALL_WORKS)) {
-    const existingWork = await dynamoOperation('get', {
-      TableName: COMPANY_TABLE_NAMES.WORKS,
-      Key: { companyId, workId }
-    });
+  const existingWork = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.WORKS,
+    Key: { companyId, workId }
+  });
 
-    if (!existingWork.Item) {
-      return createErrorResponse(404, 'Work not found');
-    }
+  if (!existingWork.Item) {
+    return createErrorResponse(404, 'Work not found');
+  }
 
-    if (existingWork.Item.userId !== userId) {
-      return createErrorResponse(403, 'You can only edit works you created');
-    }
+  // For users with only EDIT_OWN permission, verify they own this work
+  if (!hasPermission(userRole, PERMISSIONS.EDIT_ALL_WORKS) && existingWork.Item.userId !== userId) {
+    return createErrorResponse(403, 'You can only edit works you created');
   }
 
   // Build update expression dynamically
@@ -217,18 +292,20 @@ async function updateWork(event, companyId, userId, userRole) {
   const expressionAttributeNames = {};
   const expressionAttributeValues = {};
   
-  const updateableFields = ['projectId', 'contractorId', 'workName', 'description', 'totalWorkCost', 'status', 'startDate', 'endDate', 'progress', 'notes'];
+  const updateableFields = ['projectId', 'contractorId', 'workName', 'description', 'status', 'startDate', 'endDate', 'progress', 'notes'];
   
   updateableFields.forEach(field => {
-    // Support both naming conventions
-    const value = requestBody[field] || (field === 'workName' ? requestBody.WorkName : null) || (field === 'totalWorkCost' ? requestBody.TotalWorkCost : null);
+    // Support both naming conventions (progress may be 0)
+    const value = field === 'progress'
+      ? requestBody.progress
+      : requestBody[field] || (field === 'workName' ? requestBody.WorkName : null);
     
     if (value !== undefined && value !== null) {
       updateExpressions.push(`#${field} = :${field}`);
       expressionAttributeNames[`#${field}`] = field;
       
       // Handle numeric fields
-      if (field === 'totalWorkCost' || field === 'progress') {
+      if (field === 'progress') {
         expressionAttributeValues[`:${field}`] = parseFloat(value);
       } else {
         expressionAttributeValues[`:${field}`] = value;
@@ -236,33 +313,138 @@ async function updateWork(event, companyId, userId, userRole) {
     }
   });
   
+  // The entered cost is the contract value before change orders -
+  // approved change orders stay on top of it in the revised totalWorkCost
+  const contractCost = requestBody.totalWorkCost ?? requestBody.TotalWorkCost;
+  let costChanged = false;
+  if (contractCost !== undefined && contractCost !== null && contractCost !== '') {
+    const originalWorkCost = roundCurrency(parseFloat(contractCost));
+    if (isNaN(originalWorkCost) || originalWorkCost < 0) {
+      return createErrorResponse(400, 'Total work cost must be a non-negative number');
+    }
+
+    const previousCost = Number(existingWork.Item.totalWorkCost) || 0;
+    const { approvedChanges } = calculateWorkContractValue(existingWork.Item);
+    const totalWorkCost = roundCurrency(originalWorkCost + approvedChanges);
+    if (totalWorkCost < 0) {
+      return createErrorResponse(400, 'Total work cost including approved change orders cannot be negative');
+    }
+
+    updateExpressions.push('#originalWorkCost = :originalWorkCost', '#totalWorkCost = :totalWorkCost');
+    expressionAttributeNames['#originalWorkCost'] = 'originalWorkCost';
+    expressionAttributeNames['#totalWorkCost'] = 'totalWorkCost';
+    expressionAttributeValues[':originalWorkCost'] = originalWorkCost;
+    expressionAttributeValues[':totalWorkCost'] = totalWorkCost;
+
+    if (totalWorkCost !== previousCost) {
+      costChanged = true;
+      updateExpressions.push('#costHistory = :costHistory');
+      expressionAttributeNames['#costHistory'] = 'costHistory';
+      expressionAttributeValues[':costHistory'] = appendCostHistory(existingWork.Item.costHistory, buildCostHistoryEntry({
+        previousCost,
+        newCost: totalWorkCost,
+        reason: COST_CHANGE_REASONS.CONTRACT_UPDATE,
+        userId,
+        timestamp: getCurrentTimestamp()
+      }));
+    }
+  }
+
+  // Retention (עיכבון) withheld from progress bills from now on - earlier bills keep their own percentage
+  if (requestBody.retentionPercent !== undefined && requestBody.retentionPercent !== null && requestBody.retentionPercent !== '') {
+    if (!hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+      return createErrorResponse(403, 'You do not have permission to set retention. Only admins and managers can manage work billing.');
+    }
+    const retention = validateRetentionPercent(requestBody.retentionPercent);
+    if (!retention.valid) {
+      return createErrorResponse(400, retention.error);
+    }
+    updateExpressions.push('#retentionPercent = :retentionPercent');
+    expressionAttributeNames['#retentionPercent'] = 'retentionPercent';
+    expressionAttributeValues[':retentionPercent'] = retention.retentionPercent;
+  }
+
+  // Completing the work releases the retention held on its progress bills - for users who
+  // may manage work billing; otherwise it is released later through the billing endpoint
+  let retentionReleased = false;
+  if (requestBody.status === RETENTION_RELEASE_STATUS && existingWork.Item.status !== RETENTION_RELEASE_STATUS &&
+      hasPermission(userRole, PERMISSIONS.MANAGE_PAYMENTS)) {
+    const timestamp = getCurrentTimestamp();
+    const release = buildRetentionRelease({ ...existingWork.Item, status: RETENTION_RELEASE_STATUS }, {
+      userId,
+      date: timestamp.split('T')[0],
+      timestamp
+    });
+    // No release when nothing is held (no bills or no retention)
+    if (!release.error) {
+      retentionReleased = true;
+      updateExpressions.push('#retentionRelease = :retentionRelease');
+      expressionAttributeNames['#retentionRelease'] = 'retentionRelease';
+      expressionAttributeValues[':retentionRelease'] = release.retentionRelease;
+    }
+  }
+
+  // An empty budgetLineId unassigns the work from its budget line
+  if (requestBody.budgetLineId !== undefined) {
+    if (requestBody.budgetLineId) {
+      const projectId = requestBody.projectId || existingWork.Item.projectId;
+      const budgetLineError = await validateWorkBudgetLine(companyId, projectId, requestBody.budgetLineId);
+      if (budgetLineError) {
+        return createErrorResponse(400, budgetLineError);
+      }
+    }
+    updateExpressions.push('#budgetLineId = :budgetLineId');
+    expressionAttributeNames['#budgetLineId'] = 'budgetLineId';
+    expressionAttributeValues[':budgetLineId'] = requestBody.budgetLineId;
+  }
+  
   if (updateExpressions.length === 0) {
     return createErrorResponse(400, 'No fields to update');
   }
   
   // Validate progress if being updated
-  if (requestBody.progress !== undefined && (requestBody.progress < 0 || requestBody.progress > 100)) {
+  if (requestBody.progress !== undefined && requestBody.progress !== null &&
+      (isNaN(parseFloat(requestBody.progress)) || requestBody.progress < 0 || requestBody.progress > 100)) {
     return createErrorResponse(400, 'Progress must be between 0 and 100');
   }
-  
+
   // Always update the updatedAt field
   updateExpressions.push('#updatedAt = :updatedAt');
   expressionAttributeNames['#updatedAt'] = 'updatedAt';
   expressionAttributeValues[':updatedAt'] = getCurrentTimestamp();
 
+  // The revised cost and the released retention were computed from the work read above
+  let conditionExpression = 'attribute_exists(workId)';
+  if (costChanged || retentionReleased) {
+    conditionExpression = 'updatedAt = :previousUpdatedAt';
+    expressionAttributeValues[':previousUpdatedAt'] = existingWork.Item.updatedAt;
+  }
+
   const params = {
     TableName: COMPANY_TABLE_NAMES.WORKS,
     Key: { companyId, workId },
     UpdateExpression: `SET ${updateExpressions.join(', ')}`,
     ExpressionAttributeNames: expressionAttributeNames,
     ExpressionAttributeValues: expressionAttributeValues,
-    ConditionExpression: 'attribute_exists(workId)',
+    ConditionExpression: conditionExpression,
     ReturnValues: 'ALL_NEW'
   };
 
-  const result = await dynamoOperation('update', params);
-  
-  
+  let result;
+  try {
+    result = await dynamoOperation('update', params);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'Work was modified by another user. Please refresh and try again.');
+    }
+    throw error;
+  }
+
+  // A changed cost may put the work over (or back under) its cost
+  if (costChanged && result.Attributes.projectId) {
+    await checkBudgetAlerts(companyId, { [result.Attributes.projectId]: { spent: 0, works: { [workId]: 0 } } });
+  }
+
   return createResponse(200, {
     success: true,
     message: 'Work updated successfully',
@@ -302,4 +484,265 @@ async function deleteWork(event, companyId, userId, userRole) {
     message: 'Work deleted successfully',
     deletedWork: result.Attributes
   });
-}
\ No newline at end of file
+}
+// Change orders (תוספות) - list, request, approve/reject and withdraw
+async function handleChangeOrders(event, companyId, userId, userRole, userEmail) {
+  switch (event.httpMethod) {
+    case 'GET':
+      // All authenticated users can view works and their change orders
+      return await getChangeOrders(event, companyId);
+    case 'POST':
+      if (!hasPermission(userRole, PERMISSIONS.CREATE_WORKS)) {
+        return createErrorResponse(403, 'You do not have permission to request change orders. Contact an admin to upgrade your role.');
+      }
+      return await createChangeOrder(event, companyId, userId, userRole, userEmail);
+    case 'PUT':
+      // Approving changes the contract value - same access as editing any work
+      if (!hasPermission(userRole, PERMISSIONS.EDIT_ALL_WORKS)) {
+        return createErrorResponse(403, 'You do not have permission to approve change orders. Only admins and managers can approve.');
+      }
+      return await decideWorkChangeOrder(event, companyId, userId, userRole);
+    case 'DELETE':
+      if (!hasPermission(userRole, PERMISSIONS.CREATE_WORKS)) {
+        return createErrorResponse(403, 'You do not have permission to withdraw change orders.');
+      }
+      return await deleteChangeOrder(event, companyId, userId, userRole);
+    default:
+      return createErrorResponse(405, `Method ${event.httpMethod} not allowed`);
+  }
+}
+
+async function getWork(companyId, workId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.WORKS,
+    Key: { companyId, workId }
+  });
+  return result.Item;
+}
+
+function buildChangeOrdersResponse(work) {
+  return {
+    workId: work.workId,
+    changeOrders: [...(work.changeOrders || [])].sort((a, b) => (b.date || '').localeCompare(a.date || '')),
+    contractValue: calculateWorkContractValue(work),
+    costHistory: work.costHistory || []
+  };
+}
+
+// Persist a work's change orders together with its contract value and cost history
+// Conditioned on updatedAt so concurrent edits cannot overwrite each other
+async function saveChangeOrders(work, { changeOrders, totalWorkCost, originalWorkCost, costHistory }) {
+  try {
+    const result = await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.WORKS,
+      Key: { companyId: work.companyId, workId: work.workId },
+      UpdateExpression: 'SET changeOrders = :changeOrders, totalWorkCost = :totalWorkCost, ' +
+        'originalWorkCost = :originalWorkCost, costHistory = :costHistory, updatedAt = :timestamp',
+      ConditionExpression: 'updatedAt = :previousUpdatedAt',
+      ExpressionAttributeValues: {
+        ':changeOrders': changeOrders,
+        ':totalWorkCost': totalWorkCost,
+        ':originalWorkCost': originalWorkCost,
+        ':costHistory': costHistory,
+        ':timestamp': getCurrentTimestamp(),
+        ':previousUpdatedAt': work.updatedAt
+      },
+      ReturnValues: 'ALL_NEW'
+    });
+    return { work: result.Attributes };
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return { error: createErrorResponse(409, 'Work was modified by another user. Please refresh and try again.') };
+    }
+    throw error;
+  }
+}
+
+// Change orders of a work with its original and revised contract value
+async function getChangeOrders(event, companyId) {
+  const { workId } = event.queryStringParameters || {};
+  if (!workId) {
+    return createErrorResponse(400, 'Missing workId parameter');
+  }
+
+  const work = await getWork(companyId, workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  return createResponse(200, {
+    success: true,
+    ...buildChangeOrdersResponse(work)
+  });
+}
+
+// Request a change order - it affects the contract value only once approved
+async function createChangeOrder(event, companyId, userId, userRole, userEmail) {
+  const requestBody = JSON.parse(event.body || '{}');
+  if (!requestBody.workId) {
+    return createErrorResponse(400, 'Missing required field: workId');
+  }
+
+  const work = await getWork(companyId, requestBody.workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  const existingOrders = work.changeOrders || [];
+  if (existingOrders.length >= MAX_CHANGE_ORDERS) {
+    return createErrorResponse(400, `A work can have at most ${MAX_CHANGE_ORDERS} change orders`);
+  }
+
+  const { valid, errors, changeOrder } = validateChangeOrderInput(requestBody);
+  if (!valid) {
+    return createErrorResponse(400, `Validation failed: ${errors.join(', ')}`);
+  }
+
+  const timestamp = getCurrentTimestamp();
+  const newChangeOrder = {
+    changeOrderId: generateChangeOrderId(),
+    ...changeOrder,
+    status: CHANGE_ORDER_STATUS.PENDING,
+    requestedBy: userId,
+    requestedByEmail: userEmail || '',
+    requestedAt: timestamp,
+    statusHistory: []
+  };
+
+  const { originalCost } = calculateWorkContractValue(work);
+  const { work: updatedWork, error } = await saveChangeOrders(work, {
+    changeOrders: [...existingOrders, newChangeOrder],
+    totalWorkCost: Number(work.totalWorkCost) || 0,
+    originalWorkCost: originalCost,
+    costHistory: work.costHistory || []
+  });
+  if (error) {
+    return error;
+  }
+
+  auditLog.logCreate({
+    resourceId: newChangeOrder.changeOrderId,
+    companyId,
+    userId,
+    userRole,
+    data: { workId: work.workId, ...newChangeOrder },
+    request: event
+  });
+
+  return createResponse(201, {
+    success: true,
+    message: 'Change order submitted for approval',
+    changeOrder: newChangeOrder,
+    ...buildChangeOrdersResponse(updatedWork)
+  });
+}
+
+// Approve or reject a pending change order; approval updates the work's revised cost
+async function decideWorkChangeOrder(event, companyId, userId, userRole) {
+  const requestBody = JSON.parse(event.body || '{}');
+  const { workId, changeOrderId, status, comment } = requestBody;
+  if (!workId || !changeOrderId || !status) {
+    return createErrorResponse(400, 'Missing required fields: workId, changeOrderId, status');
+  }
+
+  const work = await getWork(companyId, workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  const decision = decideChangeOrder(work, changeOrderId, status, {
+    userId,
+    userRole,
+    comment: typeof comment === 'string' ? comment.trim().slice(0, 500) : '',
+    timestamp: getCurrentTimestamp()
+  });
+  if (decision.error) {
+    return createErrorResponse(decision.statusCode || 400, decision.error);
+  }
+
+  const { work: updatedWork, error } = await saveChangeOrders(work, decision);
+  if (error) {
+    return error;
+  }
+
+  auditLog.logAction({
+    action: AUDIT_ACTIONS.STATUS_CHANGE,
+    resourceId: changeOrderId,
+    companyId,
+    userId,
+    userRole,
+    data: { workId, status },
+    metadata: {
+      fromStatus: CHANGE_ORDER_STATUS.PENDING,
+      toStatus: status,
+      amount: decision.changeOrder.amount,
+      previousCost: work.totalWorkCost,
+      newCost: decision.totalWorkCost,
+      comment
+    },
+    request: event
+  });
+
+  // An approved change order may put the work or project over budget
+  if (status === CHANGE_ORDER_STATUS.APPROVED && updatedWork.projectId) {
+    await checkBudgetAlerts(companyId, { [updatedWork.projectId]: { spent: 0, works: { [workId]: 0 } } });
+  }
+
+  return createResponse(200, {
+    success: true,
+    message: status === CHANGE_ORDER_STATUS.APPROVED ? 'Change order approved' : 'Change order rejected',
+    changeOrder: decision.changeOrder,
+    ...buildChangeOrdersResponse(updatedWork)
+  });
+}
+
+// Withdraw a pending change order (its requester, or anyone who can edit all works)
+async function deleteChangeOrder(event, companyId, userId, userRole) {
+  const { workId, changeOrderId } = event.queryStringParameters || {};
+  if (!workId || !changeOrderId) {
+    return createErrorResponse(400, 'Missing workId or changeOrderId parameter');
+  }
+
+  const work = await getWork(companyId, workId);
+  if (!work) {
+    return createErrorResponse(404, 'Work not found');
+  }
+
+  const existingOrders = work.changeOrders || [];
+  const changeOrder = existingOrders.find(order => order.changeOrderId === changeOrderId);
+  if (!changeOrder) {
+    return createErrorResponse(404, 'Change order not found');
+  }
+  if (changeOrder.status !== CHANGE_ORDER_STATUS.PENDING) {
+    return createErrorResponse(400, 'Only pending change orders can be withdrawn');
+  }
+  if (changeOrder.requestedBy !== userId && !hasPermission(userRole, PERMISSIONS.EDIT_ALL_WORKS)) {
+    return createErrorResponse(403, 'You can only withdraw change orders you requested');
+  }
+
+  const { originalCost } = calculateWorkContractValue(work);
+  const { work: updatedWork, error } = await saveChangeOrders(work, {
+    changeOrders: existingOrders.filter(order => order.changeOrderId !== changeOrderId),
+    totalWorkCost: Number(work.totalWorkCost) || 0,
+    originalWorkCost: originalCost,
+    costHistory: work.costHistory || []
+  });
+  if (error) {
+    return error;
+  }
+
+  auditLog.logDelete({
+    resourceId: changeOrderId,
+    companyId,
+    userId,
+    userRole,
+    deletedData: { workId, ...changeOrder },
+    request: event
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: 'Change order withdrawn',
+    ...buildChangeOrdersResponse(updatedWork)
+  });
+}
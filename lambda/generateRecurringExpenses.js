@@ -0,0 +1,160 @@
+// lambda/generateRecurringExpenses.js
+// Scheduled generator for recurring expense templates
+//
+// Triggered daily by an EventBridge schedule rule (e.g. cron(0 4 * * ? *)), not by API Gateway.
+// For every active template with occurrences due up to today, creates the expenses through
+// createCompanyExpense() - the same validation path as POST /expenses, including the
+// tier limit check - and advances the template's schedule.
+//
+// A repeated run is safe: generated invoice numbers are unique per template and month,
+// so an occurrence that was already created is rejected as a duplicate invoice and skipped.
+
+const {
+  getCurrentTimestamp,
+  dynamoOperation,
+  scanAllPages,
+  COMPANY_TABLE_NAMES
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('generateRecurringExpenses');
+const { createAuditLogger, RESOURCE_TYPES } = require('./shared/audit-logger');
+const auditLog = createAuditLogger(RESOURCE_TYPES.EXPENSE);
+const { createCompanyExpense } = require('./shared/expense-create');
+const { checkBudgetAlerts, getSpendingChanges } = require('./shared/budget-alerts');
+const {
+  getDueOccurrences,
+  getScheduleState,
+  buildExpenseFromTemplate,
+  saveRecurringTemplates
+} = require('./shared/recurring-expenses');
+
+// Role recorded in the status history and audit log of generated expenses
+const GENERATOR_ROLE = 'system';
+
+exports.handler = async () => {
+  const today = getCurrentTimestamp().split('T')[0];
+  const summary = { companies: 0, generated: 0, failed: 0 };
+
+  const companies = await scanCompaniesWithTemplates();
+  for (const company of companies) {
+    summary.companies++;
+    try {
+      const result = await processCompany(company, today);
+      summary.generated += result.generated;
+      summary.failed += result.failed;
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to generate recurring expenses for company', {
+        companyId: company.companyId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.info('Recurring expense generation completed', { date: today, ...summary });
+  return summary;
+};
+
+// All companies that have recurring templates
+async function scanCompaniesWithTemplates() {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.COMPANIES,
+    FilterExpression: 'attribute_exists(recurringExpenses)',
+    ProjectionExpression: 'companyId, recurringExpenses, recurringExpensesUpdatedAt'
+  };
+
+  return scanAllPages(params);
+}
+
+// Generate the due occurrences of a company's templates and save the advanced schedules
+async function processCompany(company, today) {
+  const { companyId } = company;
+  const templates = (company.recurringExpenses || []).map(t => ({ ...t }));
+  const result = { generated: 0, failed: 0 };
+  const generatedExpenses = [];
+  let changed = false;
+  let limitReached = false;
+
+  for (const template of templates) {
+    if (limitReached) break;
+
+    for (const occurrence of getDueOccurrences(template, today)) {
+      const { expense, errorResponse } = await createCompanyExpense(
+        companyId,
+        template.createdBy,
+        GENERATOR_ROLE,
+        buildExpenseFromTemplate(template, occurrence.date),
+        {
+          recurringTemplateId: template.templateId,
+          historyComment: `Generated from recurring expense "${template.name}"`
+        }
+      );
+
+      if (errorResponse && errorResponse.statusCode !== 409) {
+        // Leave the occurrence due so it is retried on the next run
+        const { message } = JSON.parse(errorResponse.body);
+        template.lastError = message;
+        template.lastErrorAt = getCurrentTimestamp();
+        changed = true;
+        result.failed++;
+        logger.warn('Recurring expense was not generated', {
+          companyId,
+          templateId: template.templateId,
+          occurrenceDate: occurrence.date,
+          statusCode: errorResponse.statusCode,
+          message
+        });
+        // 403 = tier limit reached - nothing else can be created for this company
+        limitReached = errorResponse.statusCode === 403;
+        break;
+      }
+
+      // Created now, or already created by an earlier run (409 duplicate invoice)
+      template.nextOccurrence = occurrence.index + 1;
+      template.lastError = null;
+      changed = true;
+
+      if (expense) {
+        template.generatedCount = (template.generatedCount || 0) + 1;
+        template.lastGeneratedAt = expense.createdAt;
+        result.generated++;
+        generatedExpenses.push(expense);
+
+        auditLog.logCreate({
+          resourceId: expense.expenseId,
+          companyId,
+          userId: template.createdBy,
+          userRole: GENERATOR_ROLE,
+          data: expense,
+          metadata: {
+            autoGenerated: true,
+            recurringTemplateId: template.templateId,
+            occurrenceDate: occurrence.date
+          }
+        });
+      }
+    }
+
+    Object.assign(template, getScheduleState(template));
+  }
+
+  if (changed) {
+    try {
+      await saveRecurringTemplates(companyId, templates, company.recurringExpensesUpdatedAt || null);
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      // Templates were edited during the run; the next run skips the occurrences
+      // created here as duplicate invoices and advances the schedule then
+      logger.warn('Recurring templates changed during generation, schedule not saved', { companyId });
+    }
+  }
+
+  if (generatedExpenses.length > 0) {
+    await checkBudgetAlerts(companyId, getSpendingChanges([], generatedExpenses));
+  }
+
+  return result;
+}
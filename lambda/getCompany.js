@@ -15,6 +15,8 @@ const logger = createLogger('getCompany');
 
 const { PADDLE_TABLE_NAMES } = require('./shared/paddle-utils');
 const { withSecureCors, CACHE_DURATIONS } = require('./shared/cors-config');
+const { getCompanyVatRates } = require('./shared/vat-utils');
+const { getBudgetAlertThresholds } = require('./shared/budget-alerts');
 
 // Apply 5 minute cache for company info (rarely changes)
 exports.handler = withSecureCors(async (event) => {
@@ -156,6 +158,7 @@ exports.handler = withSecureCors(async (event) => {
         name: company.name,
         description: company.description,
         industry: company.industry,
+        taxId: company.taxId || '',
         companyAddress: company.companyAddress,
         companyPhone: company.companyPhone,
         companyEmail: company.companyEmail,
@@ -165,6 +168,8 @@ exports.handler = withSecureCors(async (event) => {
         currentProjects: company.currentProjects || 0,
         currentUsers: company.currentUsers || 0,
         currentMonthExpenses: company.currentMonthExpenses || 0,
+        vatRates: getCompanyVatRates(company),
+        budgetAlertThresholds: getBudgetAlertThresholds(company),
         createdAt: company.createdAt,
         updatedAt: company.updatedAt
       },
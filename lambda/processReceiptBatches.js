@@ -0,0 +1,191 @@
+// lambda/processReceiptBatches.js
+// Background OCR of batch-uploaded receipts
+//
+// Triggered every minute by an EventBridge schedule rule (e.g. rate(1 minute)), not by API Gateway.
+// Picks up queued draft expenses (see shared/receipt-batches.js), reads each receipt from
+// S3 with the company's OCR provider and stores the result on the draft for the user to
+// confirm. Short provider hiccups are retried within the run with exponential backoff
+// (executeWithRetry); drafts that still fail on a transient error are queued again for a
+// later run, up to MAX_PROCESSING_ATTEMPTS runs.
+//
+// A draft is locked (status processing) before it is read, conditioned on its updatedAt,
+// so overlapping runs never read the same receipt twice. A run that dies leaves the lock
+// behind; it expires after PROCESSING_LOCK_TIMEOUT_MS. Taking the lock counts as an
+// attempt, so a receipt that keeps crashing or timing out the run is eventually failed.
+
+// AWS SDK v3 - modular imports for smaller bundle size
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+const {
+  getCurrentTimestamp,
+  dynamoOperation,
+  queryAllPages,
+  COMPANY_TABLE_NAMES
+} = require('./shared/company-utils');
+const { createLogger } = require('./shared/logger');
+const logger = createLogger('processReceiptBatches');
+const { executeWithRetry } = require('./shared/webhook-retry-utils');
+const { runReceiptOcr } = require('./shared/receipt-ocr');
+const {
+  DRAFT_STATUS,
+  MAX_PROCESSING_ATTEMPTS,
+  OCR_RETRY_CONFIG,
+  isTransientOcrError,
+  isDraftDue,
+  getDraftFailureUpdate,
+  buildDraftFromOcr
+} = require('./shared/receipt-batches');
+
+const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || 'construction-expenses-receipts-702358134603';
+
+// Receipts read per run - the rest wait for the next run
+const MAX_DRAFTS_PER_RUN = 20;
+
+// Stop picking up receipts when less time than this is left (one OCR call with retries)
+const MIN_REMAINING_TIME_MS = 90 * 1000;
+
+exports.handler = async (event, context) => {
+  const now = Date.now();
+  const summary = { due: 0, ready: 0, requeued: 0, failed: 0, skipped: 0 };
+
+  const drafts = (await queryPendingDrafts())
+    .filter(draft => isDraftDue(draft, now))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, MAX_DRAFTS_PER_RUN);
+  summary.due = drafts.length;
+
+  for (const draft of drafts) {
+    if (context && context.getRemainingTimeInMillis() < MIN_REMAINING_TIME_MS) {
+      summary.skipped += drafts.length - drafts.indexOf(draft);
+      break;
+    }
+    try {
+      summary[await processDraft(draft)]++;
+    } catch (error) {
+      summary.skipped++;
+      logger.error('Failed to process receipt draft', {
+        companyId: draft.companyId,
+        draftId: draft.draftId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.info('Receipt batch processing completed', summary);
+  return summary;
+};
+
+// Drafts waiting for OCR, and drafts of runs that may have died
+async function queryPendingDrafts() {
+  const byStatus = await Promise.all([DRAFT_STATUS.QUEUED, DRAFT_STATUS.PROCESSING].map(status =>
+    queryAllPages({
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      IndexName: 'status-createdAt-index',
+      KeyConditionExpression: '#status = :status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': status }
+    })
+  ));
+  return byStatus.flat();
+}
+
+// Update a draft unless it changed since it was read (another run, or the user discarded it)
+// Returns the new updatedAt, or null when the draft changed
+async function updateDraft(draft, fields) {
+  const updatedAt = getCurrentTimestamp();
+  const names = { '#updatedAt': 'updatedAt' };
+  const values = { ':updatedAt': updatedAt, ':previousUpdatedAt': draft.updatedAt };
+  const assignments = ['#updatedAt = :updatedAt'];
+  Object.entries(fields).forEach(([field, value], index) => {
+    names[`#f${index}`] = field;
+    values[`:f${index}`] = value;
+    assignments.push(`#f${index} = :f${index}`);
+  });
+
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId: draft.companyId, draftId: draft.draftId },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      ConditionExpression: '#updatedAt = :previousUpdatedAt',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    });
+    return updatedAt;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function getReceiptBuffer(receiptKey) {
+  const result = await s3.send(new GetObjectCommand({ Bucket: RECEIPTS_BUCKET, Key: receiptKey }));
+  return Buffer.from(await result.Body.transformToByteArray());
+}
+
+// Read one draft's receipt - returns the summary counter to increment
+async function processDraft(draft) {
+  // Only runs that died took the remaining attempts - a failed run marks the draft failed itself
+  if ((draft.attempts || 0) >= MAX_PROCESSING_ATTEMPTS) {
+    const updated = await updateDraft(draft, {
+      status: DRAFT_STATUS.FAILED,
+      lastError: 'Reading the receipt did not finish',
+      lockedAt: null,
+      nextAttemptAt: null
+    });
+    return updated ? 'failed' : 'skipped';
+  }
+
+  const lockedAt = getCurrentTimestamp();
+  const attempts = (draft.attempts || 0) + 1;
+  const updatedAt = await updateDraft(draft, { status: DRAFT_STATUS.PROCESSING, lockedAt, attempts });
+  if (!updatedAt) {
+    return 'skipped';
+  }
+  const locked = { ...draft, updatedAt, attempts };
+
+  const outcome = await executeWithRetry(async () => {
+    const buffer = await getReceiptBuffer(draft.receiptKey);
+    const { data, error } = await runReceiptOcr(draft.companyId, buffer, draft.fileName);
+    if (error) {
+      // Too many pages, OCR not configured... - retrying will not help
+      throw new Error(error.message);
+    }
+    return data;
+  }, {
+    correlationId: draft.draftId,
+    eventId: draft.batchId,
+    companyId: draft.companyId
+  }, logger, {
+    retryConfig: OCR_RETRY_CONFIG,
+    isRetryable: isTransientOcrError
+  });
+
+  if (outcome.success) {
+    await updateDraft(locked, {
+      ...buildDraftFromOcr(outcome.result),
+      status: DRAFT_STATUS.READY,
+      lastError: null,
+      lockedAt: null,
+      nextAttemptAt: null
+    });
+    return 'ready';
+  }
+
+  const failure = getDraftFailureUpdate(draft, outcome.error, Date.now());
+  await updateDraft(locked, { ...failure, lockedAt: null });
+
+  logger.warn('Receipt OCR failed', {
+    companyId: draft.companyId,
+    draftId: draft.draftId,
+    batchId: draft.batchId,
+    attempts: failure.attempts,
+    status: failure.status,
+    error: failure.lastError
+  });
+  return failure.status === DRAFT_STATUS.FAILED ? 'failed' : 'requeued';
+}
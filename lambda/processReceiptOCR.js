@@ -1,67 +1,91 @@
 // lambda/processReceiptOCR.js
-// Process receipt image with Google Cloud Vision API (primary) or AWS Textract (fallback)
-// Uses Bytes mode (not S3) - receipt stays in memory until form submission
+// Process a receipt image or PDF with the configured OCR provider (see shared/ocr-providers.js)
+// The receipt is sent in the request body. After a successful read the receipt is stored in
+// S3 and the result saved as a draft expense (see shared/receipt-batches.js), so the work is
+// not lost if the expense form is closed - the user can confirm it later from the drafts inbox.
 
 // AWS SDK v3 - modular imports for smaller bundle size
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 
 const {
   createResponse,
   createErrorResponse,
   getCompanyContextFromEvent,
+  generateDraftId,
   getCurrentTimestamp,
+  dynamoOperation,
+  COMPANY_TABLE_NAMES,
   debugLog
 } = require('./shared/company-utils');
 const { withSecureCors } = require('./shared/cors-config');
-const { processWithClaudeOCR } = require('./shared/claude-ocr-parser');
-const { findBestContractorMatch } = require('./shared/contractor-matcher');
+const { runReceiptOcr } = require('./shared/receipt-ocr');
+const {
+  DRAFT_STATUS,
+  DRAFT_SOURCES,
+  buildReceiptKey,
+  getReceiptFileType,
+  buildDraftFromOcr
+} = require('./shared/receipt-batches');
 
-// Initialize AWS clients with SDK v3
-const secretsManager = new SecretsManagerClient({ region: 'us-east-1' });
-const ddbClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
-const dynamodb = DynamoDBDocumentClient.from(ddbClient);
+const s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || 'construction-expenses-receipts-702358134603';
 
 // Constants
-const MAX_RECEIPT_SIZE_BYTES = 5 * 1024 * 1024; // 5MB limit for Claude vision API
-const OCR_CONFIDENCE_THRESHOLD = parseInt(process.env.OCR_CONFIDENCE_THRESHOLD || '70');
-const OPENROUTER_API_KEY_SECRET = process.env.OPENROUTER_API_KEY_SECRET || 'construction-expenses/openrouter-api-key';
+const MAX_RECEIPT_SIZE_BYTES = 5 * 1024 * 1024; // 5MB limit of the OCR request
 
 /**
- * Get OpenRouter API key from environment or AWS Secrets Manager
- * @returns {Promise<string|null>} API key or null if not available
+ * Store the receipt and its OCR result as a ready draft expense
+ * Saving is best effort - the OCR result is still returned to the form if it fails.
+ * @returns {Promise<Object|null>} { draftId, receiptKey }, or null when the draft was not saved
  */
-async function getOpenRouterApiKey() {
-  // Try environment variable first
-  if (process.env.OPENROUTER_API_KEY) {
-    debugLog('Using OpenRouter API key from environment variable');
-    return process.env.OPENROUTER_API_KEY;
+async function saveOcrDraft(companyId, userId, fileName, buffer, data) {
+  const fileType = getReceiptFileType(fileName);
+  if (!fileType) {
+    return null;
   }
 
-  // Fall back to Secrets Manager
   try {
-    const command = new GetSecretValueCommand({
-      SecretId: OPENROUTER_API_KEY_SECRET
+    const receiptKey = buildReceiptKey(companyId, fileType.extension);
+    await s3.send(new PutObjectCommand({
+      Bucket: RECEIPTS_BUCKET,
+      Key: receiptKey,
+      Body: buffer,
+      ContentType: fileType.mimeType
+    }));
+
+    const timestamp = getCurrentTimestamp();
+    const draft = {
+      companyId,
+      draftId: generateDraftId(),
+      userId,
+      source: DRAFT_SOURCES.OCR,
+      status: DRAFT_STATUS.READY,
+      receiptKey,
+      fileName,
+      fileType: fileType.mimeType,
+      fileSize: buffer.length,
+      attempts: 1,
+      ...buildDraftFromOcr(data),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    await dynamoOperation('put', {
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Item: draft,
+      ConditionExpression: 'attribute_not_exists(draftId)'
     });
-    const response = await secretsManager.send(command);
 
-    if (response.SecretString) {
-      debugLog('Using OpenRouter API key from Secrets Manager');
-      return response.SecretString;
-    }
-
-    return null;
+    return { draftId: draft.draftId, receiptKey };
   } catch (error) {
-    debugLog('Failed to retrieve OpenRouter API key', {
-      errorCode: error.code,
+    debugLog('Saving OCR draft failed (non-fatal)', {
+      companyId,
+      fileName,
       errorMessage: error.message
     });
     return null;
   }
 }
 
-
 exports.handler = withSecureCors(async (event) => {
   console.log('[OCR] Handler started');
 
@@ -101,11 +125,11 @@ exports.handler = withSecureCors(async (event) => {
       estimatedSize: `${Math.round(estimatedSizeBytes / 1024)}KB`
     });
 
-    // Check size limit for Textract Bytes mode
+    // Check size limit of the OCR request
     if (estimatedSizeBytes > MAX_RECEIPT_SIZE_BYTES) {
       return createErrorResponse(413,
         `Receipt is too large for instant OCR (${Math.round(estimatedSizeBytes / 1024 / 1024)}MB). ` +
-        `Maximum is 5MB. Please compress the image or upload without OCR.`
+        `Maximum is ${MAX_RECEIPT_SIZE_BYTES / 1024 / 1024}MB. Please compress the file or upload without OCR.`
       );
     }
 
@@ -117,135 +141,18 @@ exports.handler = withSecureCors(async (event) => {
       return createErrorResponse(400, 'Invalid base64 encoding in receiptBase64');
     }
 
-    // Get OpenRouter API key
-    console.log('[OCR] Getting OpenRouter API key...');
-    const openRouterApiKey = await getOpenRouterApiKey();
-    console.log('[OCR] API key retrieved:', !!openRouterApiKey, 'length:', openRouterApiKey?.length);
-
-    if (!openRouterApiKey) {
-      console.log('[OCR] ERROR: No API key available');
-      return createErrorResponse(500, 'OCR service not configured. Please contact support.');
-    }
-
-    // Process with Claude 3.5 Sonnet via OpenRouter
-    let ocrResult;
-    let ocrProvider = 'unknown';
-
-    try {
-      console.log('[OCR] Starting Claude OCR processing...');
-      debugLog('Processing with Claude 3.5 Sonnet via OpenRouter', { companyId });
-
-      const startTime = Date.now();
-      ocrResult = await processWithClaudeOCR(imageBuffer, fileName, openRouterApiKey);
-      const processingTime = Date.now() - startTime;
-
-      debugLog('Claude OCR processing successful', {
-        companyId,
-        processingTimeMs: processingTime,
-        fieldsExtracted: Object.keys(ocrResult.fields).filter(k => ocrResult.fields[k] !== null)
-      });
-
-      ocrProvider = 'claude-3.5-sonnet';
-      ocrResult.processingTime = processingTime;
-
-    } catch (error) {
-      console.log('[OCR] Claude processing error:', error.message);
-      debugLog('Claude OCR processing failed', {
-        companyId,
-        errorMessage: error.message
-      });
-      throw error;
-    }
-
-    // Extract fields from OCR result
-    const { fields, confidence, reasoning, processingTime } = ocrResult;
-
-    // Attempt to match vendor to existing contractors
-    let contractorMatch = null;
-    if (fields.vendor) {
-      try {
-        debugLog('Attempting contractor matching', {
-          companyId,
-          vendorName: fields.vendor
-        });
-
-        const contractorsResult = await dynamodb.send(new QueryCommand({
-          TableName: 'construction-expenses-company-contractors',
-          KeyConditionExpression: 'companyId = :companyId',
-          ExpressionAttributeValues: { ':companyId': companyId }
-        }));
-
-        const contractors = contractorsResult.Items || [];
-
-        if (contractors.length > 0) {
-          contractorMatch = findBestContractorMatch(
-            fields.vendor,
-            contractors,
-            70 // Minimum 70% confidence
-          );
-
-          debugLog('Contractor matching complete', {
-            companyId,
-            vendorName: fields.vendor,
-            matchFound: !!contractorMatch,
-            matchConfidence: contractorMatch?.confidence || 0
-          });
-        } else {
-          debugLog('No contractors found for matching', { companyId });
-        }
-      } catch (matchError) {
-        debugLog('Contractor matching failed (non-fatal)', {
-          companyId,
-          errorMessage: matchError.message
-        });
-        // Don't fail the entire OCR request if contractor matching fails
-      }
+    console.log('[OCR] Starting OCR processing');
+    const { data, error: ocrError } = await runReceiptOcr(companyId, imageBuffer, fileName);
+    if (ocrError) {
+      console.log('[OCR] ERROR:', ocrError.message);
+      return createErrorResponse(ocrError.statusCode, ocrError.message);
     }
 
-    // Check if confidence meets threshold
-    const lowConfidenceFields = Object.entries(confidence)
-      .filter(([field, score]) => score < OCR_CONFIDENCE_THRESHOLD)
-      .map(([field]) => field);
-
-    if (lowConfidenceFields.length > 0) {
-      debugLog('Low confidence OCR fields detected', {
-        companyId,
-        lowConfidenceFields,
-        threshold: OCR_CONFIDENCE_THRESHOLD
-      });
-    }
-
-    debugLog('OCR parsing complete', {
-      companyId,
-      ocrProvider,
-      fieldsExtracted: Object.keys(fields).filter(k => fields[k] !== null),
-      contractorMatched: !!contractorMatch,
-      averageConfidence: Object.values(confidence).length > 0
-        ? Math.round(Object.values(confidence).reduce((a, b) => a + b, 0) / Object.values(confidence).length)
-        : 0
-    });
+    const draft = await saveOcrDraft(companyId, userId, fileName, imageBuffer, data);
 
     return createResponse(200, {
       success: true,
-      data: {
-        extractedFields: {
-          ...fields,
-          confidence,
-          contractorMatch: contractorMatch ? {
-            contractorId: contractorMatch.contractorId,
-            name: contractorMatch.name,
-            confidence: contractorMatch.confidence
-          } : null
-        },
-        ocrMetadata: {
-          processingTimeMs: processingTime,
-          provider: ocrProvider,
-          documentType: 'RECEIPT',
-          fileName,
-          lowConfidenceFields,
-          paymentMethodReasoning: reasoning?.paymentMethod || null
-        }
-      },
+      data: { ...data, draft },
       timestamp: getCurrentTimestamp()
     });
 
@@ -268,37 +175,12 @@ exports.handler = withSecureCors(async (event) => {
       return createErrorResponse(401, 'Invalid company context');
     }
 
-    // Handle specific Textract errors
-    if (error.code === 'UnsupportedDocumentException') {
-      return createErrorResponse(400,
-        'Unsupported receipt format. Please upload JPG, PNG, or PDF.');
-    }
-
-    if (error.code === 'InvalidParameterException') {
-      return createErrorResponse(400,
-        'Invalid receipt image. Please ensure the image is clear and readable.');
-    }
-
-    if (error.code === 'ProvisionedThroughputExceededException') {
+    // Provider rate limits (see claude-ocr-parser)
+    if (error.message.includes('Rate limit exceeded')) {
       return createErrorResponse(429,
         'OCR service is temporarily busy. Please try again in a moment.');
     }
 
-    if (error.code === 'AccessDeniedException') {
-      return createErrorResponse(500,
-        'OCR service access denied. Please contact support.');
-    }
-
-    if (error.code === 'ThrottlingException') {
-      return createErrorResponse(429,
-        'OCR request rate limit exceeded. Please try again in a moment.');
-    }
-
-    if (error.code === 'InvalidS3ObjectException') {
-      return createErrorResponse(400,
-        'Invalid image format. Please ensure the receipt is a valid image file.');
-    }
-
     return createErrorResponse(500, 'OCR processing failed', error);
   }
 });
@@ -18,6 +18,7 @@ const logger = createLogger('registerCompany');
 
 const { sendWelcomeEmail } = require('./shared/email-utils');
 const { withSecureCors } = require('./shared/cors-config');
+const { normalizeIsraeliId } = require('./shared/input-validator');
 
 exports.handler = withSecureCors(async (event) => {
 
@@ -54,6 +55,12 @@ exports.handler = withSecureCors(async (event) => {
       return createErrorResponse(400, 'Passwords do not match');
     }
 
+    // Optional company tax ID (ח.פ / עוסק מורשה), stored as 9 digits
+    const taxId = company.taxId ? normalizeIsraeliId(company.taxId) : '';
+    if (taxId === null) {
+      return createErrorResponse(400, 'Invalid company tax ID (ח.פ / עוסק מורשה)');
+    }
+
     // Create admin user in Cognito User Pool first
     const cognitoParams = {
       UserPoolId: process.env.COGNITO_USER_POOL_ID || 'us-east-1_OBAlNkRnG',
@@ -115,7 +122,8 @@ exports.handler = withSecureCors(async (event) => {
     const companyData = {
       name: company.name,
       description: company.description || '',
-      industry: company.industry || ''
+      industry: company.industry || '',
+      taxId
     };
 
     try {
@@ -16,6 +16,7 @@ const {
   SUBSCRIPTION_TIERS
 } = require('./shared/company-utils');
 const { withSecureCors } = require('./shared/cors-config');
+const { normalizeIsraeliId } = require('./shared/input-validator');
 
 exports.handler = withSecureCors(async (event) => {
 
@@ -34,6 +35,9 @@ exports.handler = withSecureCors(async (event) => {
     const requestBody = JSON.parse(event.body || '{}');
     const { companyName, subscriptionTier } = requestBody;
 
+    // Optional company tax ID (ח.פ / עוסק מורשה), stored as 9 digits
+    const taxId = requestBody.taxId ? normalizeIsraeliId(requestBody.taxId) : '';
+
     // Validate inputs
     if (!companyName || companyName.trim().length === 0) {
       return createErrorResponse(400, 'Company name is required');
@@ -43,6 +47,10 @@ exports.handler = withSecureCors(async (event) => {
       return createErrorResponse(400, 'Valid subscription tier is required (starter, professional, or enterprise)');
     }
 
+    if (taxId === null) {
+      return createErrorResponse(400, 'Invalid company tax ID (ח.פ / עוסק מורשה)');
+    }
+
     // Check if company already exists
     const existingCompany = await dynamoOperation('get', {
       TableName: COMPANY_TABLE_NAMES.COMPANIES,
@@ -85,6 +93,7 @@ exports.handler = withSecureCors(async (event) => {
       name: companyName.trim(),
       description: '',
       industry: '',
+      taxId,
       companyAddress: '',
       companyPhone: '',
       logoUrl: '',
@@ -18,7 +18,10 @@ const AUDIT_ACTIONS = {
   PERMISSION_CHANGE: 'PERMISSION_CHANGE',
   SUBSCRIPTION_CHANGE: 'SUBSCRIPTION_CHANGE',
   FILE_UPLOAD: 'FILE_UPLOAD',
-  EXPORT: 'EXPORT'
+  EXPORT: 'EXPORT',
+  IMPORT: 'IMPORT',
+  STATUS_CHANGE: 'STATUS_CHANGE',
+  MERGE: 'MERGE'
 };
 
 /**
@@ -26,6 +29,7 @@ const AUDIT_ACTIONS = {
  */
 const RESOURCE_TYPES = {
   EXPENSE: 'expense',
+  PAYMENT: 'payment',
   PROJECT: 'project',
   CONTRACTOR: 'contractor',
   WORK: 'work',
@@ -137,6 +141,7 @@ class AuditLogger {
     userId,
     userRole,
     data,
+    metadata = {},
     request,
     success = true,
     errorMessage = null
@@ -151,6 +156,7 @@ class AuditLogger {
       success,
       errorMessage,
       after: data,
+      metadata,
       request
     });
 
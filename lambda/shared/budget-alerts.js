@@ -0,0 +1,506 @@
+// lambda/shared/budget-alerts.js
+// Budget threshold alerts for projects and works
+//
+// Projects and works keep their spending in a `spentAmount` counter. When expenses
+// change, the counters are moved by the amount difference being written, and the new
+// totals are compared against the alert limits. Crossing one of the company's
+// thresholds (percent of the project budget), or spending more on a work than its
+// totalWorkCost, raises an alert.
+// Alerts are kept on the project item (`budgetAlerts` list) and emailed to the
+// company's admins and managers.
+//
+// The counters are kept even when alerting fails: a counter update is retried and
+// then throws, while the alerts and their emails are best-effort.
+//
+// Every threshold alerts once: the project stores the highest threshold already
+// alerted (`budgetAlertThreshold`) and a work its `costOverrunAlerted` flag. Both are
+// lowered again when spending drops (e.g. an expense is rejected), so crossing the
+// threshold again raises a new alert.
+
+const {
+  dynamoOperation,
+  getCurrentTimestamp,
+  generateBudgetAlertId,
+  COMPANY_TABLE_NAMES,
+  USER_ROLES,
+  EXPENSE_STATUS
+} = require('./company-utils');
+const { createLogger } = require('./logger');
+const logger = createLogger('budget-alerts');
+const { roundCurrency } = require('./vat-utils');
+const { splitExpenseByAllocations } = require('./expense-allocations');
+const { sendBudgetAlertEmail } = require('./email-utils');
+const { executeWithRetry } = require('./webhook-retry-utils');
+
+const BUDGET_ALERT_TYPES = {
+  PROJECT_BUDGET: 'project_budget',
+  WORK_COST: 'work_cost'
+};
+
+// Percent of the project budget - used when the company has not configured its own
+const DEFAULT_BUDGET_ALERT_THRESHOLDS = [80, 100, 110];
+
+const MAX_BUDGET_ALERT_THRESHOLDS = 5;
+const MAX_BUDGET_ALERT_PERCENT = 500;
+
+// Alerts kept per project (oldest are dropped first)
+const MAX_PROJECT_ALERTS = 50;
+
+// Cancelled works are not tracked and rejected expenses are not spending
+const EXCLUDED_WORK_STATUSES = ['cancelled'];
+const EXCLUDED_EXPENSE_STATUSES = [EXPENSE_STATUS.REJECTED];
+
+// Alerts are emailed to these roles
+const ALERT_RECIPIENT_ROLES = [USER_ROLES.ADMIN, USER_ROLES.MANAGER];
+
+// Counters are moved while the API request waits, so retries are short
+const SPENT_AMOUNT_RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelayMs: 100,
+  maxDelayMs: 1000,
+  backoffMultiplier: 2
+};
+
+/**
+ * Validate a company's budget alert thresholds
+ * @param {Array<number>} thresholds - Percent of the project budget, e.g. [80, 100, 110]
+ * @returns {Object} { valid: boolean, errors: string[], thresholds: number[] } sorted ascending
+ */
+function validateBudgetAlertThresholds(thresholds) {
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    return { valid: false, errors: ['budgetAlertThresholds must be a non-empty array'], thresholds: [] };
+  }
+  if (thresholds.length > MAX_BUDGET_ALERT_THRESHOLDS) {
+    return { valid: false, errors: [`At most ${MAX_BUDGET_ALERT_THRESHOLDS} budget alert thresholds are allowed`], thresholds: [] };
+  }
+
+  const errors = [];
+  thresholds.forEach((value, index) => {
+    const percent = Number(value);
+    if (value === '' || value === null || isNaN(percent) || percent <= 0 || percent > MAX_BUDGET_ALERT_PERCENT) {
+      errors.push(`budgetAlertThresholds[${index}] must be a percentage between 1 and ${MAX_BUDGET_ALERT_PERCENT}`);
+    }
+  });
+  if (errors.length > 0) {
+    return { valid: false, errors, thresholds: [] };
+  }
+
+  const unique = [...new Set(thresholds.map(value => Math.round(Number(value) * 10) / 10))];
+  return { valid: true, errors: [], thresholds: unique.sort((a, b) => a - b) };
+}
+
+/**
+ * Budget alert thresholds of a company (defaults if none configured)
+ * @param {Object} company - Company record
+ * @returns {Array<number>} Percent thresholds, ascending
+ */
+function getBudgetAlertThresholds(company) {
+  const configured = company && company.budgetAlertThresholds;
+  return Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_BUDGET_ALERT_THRESHOLDS;
+}
+
+/**
+ * Change in project and work spending when expenses are replaced
+ * Rejected expenses are not spending, so rejecting (or reopening) an expense moves its amount too.
+ * @param {Array<Object>} removed - Expenses as they were (e.g. before an update, or deleted)
+ * @param {Array<Object>} added - Expenses as they are now (e.g. after an update, or created)
+ * @returns {Object} { [projectId]: { spent, works: { [workId]: amount } } } - only projects whose spending changed
+ */
+function getSpendingChanges(removed = [], added = []) {
+  const changes = {};
+  const apply = (expenses, sign) => expenses
+    .filter(expense => expense && !EXCLUDED_EXPENSE_STATUSES.includes(expense.status))
+    .flatMap(splitExpenseByAllocations)
+    .filter(portion => portion.projectId)
+    .forEach(portion => {
+      const amount = sign * (Number(portion.amount) || 0);
+      const change = changes[portion.projectId] || (changes[portion.projectId] = { spent: 0, works: {} });
+      change.spent += amount;
+      if (portion.workId) {
+        change.works[portion.workId] = (change.works[portion.workId] || 0) + amount;
+      }
+    });
+  apply(removed, -1);
+  apply(added, 1);
+
+  Object.keys(changes).forEach(projectId => {
+    const change = changes[projectId];
+    change.spent = roundCurrency(change.spent);
+    Object.keys(change.works).forEach(workId => {
+      change.works[workId] = roundCurrency(change.works[workId]);
+      if (change.works[workId] === 0) {
+        delete change.works[workId];
+      }
+    });
+    if (change.spent === 0 && Object.keys(change.works).length === 0) {
+      delete changes[projectId];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Spending on a project and on each of its works
+ * @param {string} projectId - Project ID
+ * @param {Array<Object>} expenses - Expenses charged to the project (split expenses count their portion)
+ * @returns {Object} { spent, works: { [workId]: amount } }
+ */
+function calculateProjectSpending(projectId, expenses) {
+  const works = {};
+  let spent = 0;
+
+  expenses
+    .filter(expense => !EXCLUDED_EXPENSE_STATUSES.includes(expense.status))
+    .flatMap(splitExpenseByAllocations)
+    .filter(portion => portion.projectId === projectId)
+    .forEach(portion => {
+      const amount = Number(portion.amount) || 0;
+      spent += amount;
+      if (portion.workId) {
+        works[portion.workId] = (works[portion.workId] || 0) + amount;
+      }
+    });
+
+  Object.keys(works).forEach(workId => { works[workId] = roundCurrency(works[workId]); });
+  return { spent: roundCurrency(spent), works };
+}
+
+/**
+ * Highest threshold reached by the spending
+ * @param {number} spent - Amount spent
+ * @param {number} budget - Project budget
+ * @param {Array<number>} thresholds - Percent thresholds
+ * @returns {number} The threshold, or 0 if none is reached (or there is no budget)
+ */
+function getCrossedThreshold(spent, budget, thresholds) {
+  if (!(budget > 0)) {
+    return 0;
+  }
+  const percent = spent / budget * 100;
+  return thresholds.filter(threshold => percent >= threshold).reduce((max, threshold) => Math.max(max, threshold), 0);
+}
+
+/**
+ * Decide which alerts a project's current spending raises
+ * @param {Object} project - Project record (budget, budgetAlertThreshold)
+ * @param {Array<Object>} works - The project's works (totalWorkCost, costOverrunAlerted)
+ * @param {Object} spending - Result of calculateProjectSpending
+ * @param {Array<number>} thresholds - Percent thresholds
+ * @returns {Object} { level, projectAlert, overrunWorks, recoveredWorks }
+ *   level: threshold now reached (stored as budgetAlertThreshold)
+ *   projectAlert: { threshold, budget, spent, percent } or null
+ *   overrunWorks: [{ work, spent }] works that newly exceed their cost
+ *   recoveredWorks: works whose overrun alert can be reset
+ */
+function evaluateBudgetAlerts(project, works, spending, thresholds) {
+  const budget = Number(project.budget) || 0;
+  const level = getCrossedThreshold(spending.spent, budget, thresholds);
+
+  const projectAlert = level > (project.budgetAlertThreshold || 0)
+    ? {
+      threshold: level,
+      budget,
+      spent: spending.spent,
+      percent: Math.round(spending.spent / budget * 1000) / 10
+    }
+    : null;
+
+  const overrunWorks = [];
+  const recoveredWorks = [];
+  works
+    .filter(work => !EXCLUDED_WORK_STATUSES.includes(work.status))
+    .forEach(work => {
+      const cost = Number(work.totalWorkCost) || 0;
+      const spent = spending.works[work.workId] || 0;
+      const overrun = cost > 0 && spent > cost;
+      if (overrun && !work.costOverrunAlerted) {
+        overrunWorks.push({ work, spent });
+      } else if (!overrun && work.costOverrunAlerted) {
+        recoveredWorks.push(work);
+      }
+    });
+
+  return { level, projectAlert, overrunWorks, recoveredWorks };
+}
+
+// Move a project's or work's spentAmount counter and return the updated item
+// A zero amount only reads the item; returns null if the item no longer exists.
+// Transient errors are retried, anything else throws.
+async function addSpentAmount(tableName, key, amount) {
+  if (amount === 0) {
+    const result = await dynamoOperation('get', { TableName: tableName, Key: key });
+    return result.Item || null;
+  }
+
+  const outcome = await executeWithRetry(() => dynamoOperation('update', {
+    TableName: tableName,
+    Key: key,
+    UpdateExpression: 'ADD #spentAmount :amount SET spentAmountUpdatedAt = :now',
+    ConditionExpression: 'attribute_exists(companyId)',
+    ExpressionAttributeNames: { '#spentAmount': 'spentAmount' },
+    ExpressionAttributeValues: { ':amount': amount, ':now': getCurrentTimestamp() },
+    ReturnValues: 'ALL_NEW'
+  }), { companyId: key.companyId }, logger, { retryConfig: SPENT_AMOUNT_RETRY_CONFIG });
+
+  if (outcome.success) {
+    return outcome.result.Attributes;
+  }
+  if (outcome.error.name === 'ConditionalCheckFailedException') {
+    return null;
+  }
+  throw outcome.error;
+}
+
+/**
+ * Move the spentAmount counters of the changed projects and works
+ * Throws if a counter cannot be updated - the error is logged with the change, which
+ * scripts/migrate-budget-spent-amounts.js can resync.
+ * @param {string} companyId - Company ID
+ * @param {Object} changes - Result of getSpendingChanges, keyed by project ID
+ * @returns {Promise<Array<Object>>} [{ project, works }] - updated items of the projects that still exist
+ */
+async function applySpendingChanges(companyId, changes) {
+  const updated = [];
+  for (const [projectId, change] of Object.entries(changes)) {
+    try {
+      const project = await addSpentAmount(COMPANY_TABLE_NAMES.PROJECTS, { companyId, projectId }, change.spent);
+      if (!project) {
+        continue;
+      }
+      const works = (await Promise.all(Object.entries(change.works).map(([workId, amount]) =>
+        addSpentAmount(COMPANY_TABLE_NAMES.WORKS, { companyId, workId }, amount)
+      ))).filter(Boolean);
+      updated.push({ project, works });
+    } catch (error) {
+      logger.error('Spent amount update failed', { companyId, projectId, change, error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+  return updated;
+}
+
+// Set or clear a work's overrun flag; returns false if another run already did
+async function setWorkOverrunAlerted(companyId, workId, alerted) {
+  try {
+    await dynamoOperation('update', {
+      TableName: COMPANY_TABLE_NAMES.WORKS,
+      Key: { companyId, workId },
+      UpdateExpression: 'SET costOverrunAlerted = :alerted',
+      ConditionExpression: alerted
+        ? 'attribute_exists(workId) AND (attribute_not_exists(costOverrunAlerted) OR costOverrunAlerted = :notAlerted)'
+        : 'attribute_exists(workId) AND costOverrunAlerted = :notAlerted',
+      ExpressionAttributeValues: { ':alerted': alerted, ':notAlerted': !alerted }
+    });
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Store the alert level and new alerts on the project
+// Raising the level is conditional so concurrent checks alert a threshold only once
+async function saveProjectAlerts(project, level, alerts, key = { companyId: project.companyId, projectId: project.projectId }) {
+  const raiseLevel = level > (project.budgetAlertThreshold || 0);
+  if (level === (project.budgetAlertThreshold || 0) && alerts.length === 0) {
+    return;
+  }
+
+  const existingAlerts = project.budgetAlerts || [];
+  const names = { '#budgetAlertThreshold': 'budgetAlertThreshold' };
+  const values = { ':level': level };
+  const updates = ['#budgetAlertThreshold = :level'];
+
+  if (alerts.length > 0) {
+    names['#budgetAlerts'] = 'budgetAlerts';
+    if (existingAlerts.length + alerts.length > MAX_PROJECT_ALERTS) {
+      values[':alerts'] = [...existingAlerts, ...alerts].slice(-MAX_PROJECT_ALERTS);
+      updates.push('#budgetAlerts = :alerts');
+    } else {
+      values[':alerts'] = alerts;
+      values[':emptyList'] = [];
+      updates.push('#budgetAlerts = list_append(if_not_exists(#budgetAlerts, :emptyList), :alerts)');
+    }
+  }
+
+  await dynamoOperation('update', {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: key,
+    UpdateExpression: `SET ${updates.join(', ')}`,
+    ConditionExpression: raiseLevel
+      ? 'attribute_exists(projectId) AND (attribute_not_exists(#budgetAlertThreshold) OR #budgetAlertThreshold < :level)'
+      : 'attribute_exists(projectId)',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  });
+}
+
+// Raise a project's new alerts from its updated counters
+// Only the changed works can cross (or drop back under) their cost, so only they are passed.
+// Returns the alerts that were raised
+async function checkProjectBudget(companyId, project, works, thresholds) {
+  const spending = {
+    spent: roundCurrency(project.spentAmount),
+    works: Object.fromEntries(works.map(work => [work.workId, roundCurrency(work.spentAmount)]))
+  };
+  const { level, projectAlert, overrunWorks, recoveredWorks } = evaluateBudgetAlerts(project, works, spending, thresholds);
+  const createdAt = getCurrentTimestamp();
+
+  const alerts = [];
+  for (const { work, spent } of overrunWorks) {
+    if (await setWorkOverrunAlerted(companyId, work.workId, true)) {
+      const cost = Number(work.totalWorkCost) || 0;
+      alerts.push({
+        alertId: generateBudgetAlertId(),
+        type: BUDGET_ALERT_TYPES.WORK_COST,
+        workId: work.workId,
+        workName: work.workName || '',
+        budget: cost,
+        spent,
+        percent: Math.round(spent / cost * 1000) / 10,
+        createdAt
+      });
+    }
+  }
+  await Promise.all(recoveredWorks.map(work => setWorkOverrunAlerted(companyId, work.workId, false)));
+
+  const projectAlerts = projectAlert
+    ? [{ alertId: generateBudgetAlertId(), type: BUDGET_ALERT_TYPES.PROJECT_BUDGET, ...projectAlert, createdAt }]
+    : [];
+
+  try {
+    await saveProjectAlerts(project, level, [...projectAlerts, ...alerts]);
+    alerts.unshift(...projectAlerts);
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    // Another check already raised this threshold - keep its level and store only the work alerts
+    await saveProjectAlerts({ ...project, budgetAlertThreshold: level }, level, alerts);
+  }
+
+  return alerts.map(alert => ({ ...alert, projectId: project.projectId, projectName: project.name }));
+}
+
+/**
+ * Email addresses alerts are sent to - the company's active admins and managers
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array<string>>} Email addresses
+ */
+async function getAlertRecipients(companyId) {
+  const result = await dynamoOperation('query', {
+    TableName: COMPANY_TABLE_NAMES.USERS,
+    KeyConditionExpression: 'companyId = :companyId',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  });
+  return (result.Items || [])
+    .filter(user => ALERT_RECIPIENT_ROLES.includes(user.role) && user.status !== 'inactive' && user.email)
+    .map(user => user.email);
+}
+
+// Email raised alerts to the company's admins and managers
+async function emailBudgetAlerts(company, alerts) {
+  logger.info('Budget alerts raised', { companyId: company.companyId, count: alerts.length });
+  const recipients = await getAlertRecipients(company.companyId);
+  if (recipients.length > 0) {
+    await sendBudgetAlertEmail({ to: recipients, companyName: company.name || '', alerts });
+  }
+}
+
+/**
+ * Apply spending changes to projects and works, and raise and email their new budget alerts
+ * A zero amount re-checks a project or work against its limits without changing its spending
+ * (e.g. after its budget or cost changed).
+ * Throws only if the counters cannot be updated (see applySpendingChanges). Raising and
+ * emailing the alerts is best-effort: a failure is logged and does not fail the change.
+ * @param {string} companyId - Company ID
+ * @param {Object} changes - Result of getSpendingChanges, keyed by project ID
+ * @returns {Promise<Array<Object>>} Alerts raised
+ */
+async function checkBudgetAlerts(companyId, changes) {
+  const raised = [];
+  const projectIds = Object.keys(changes);
+  if (projectIds.length === 0) {
+    return raised;
+  }
+
+  const updated = await applySpendingChanges(companyId, changes);
+
+  try {
+    const companyResult = await dynamoOperation('get', {
+      TableName: COMPANY_TABLE_NAMES.COMPANIES,
+      Key: { companyId }
+    });
+    const company = companyResult.Item || {};
+    const thresholds = getBudgetAlertThresholds(company);
+
+    for (const { project, works } of updated) {
+      raised.push(...await checkProjectBudget(companyId, project, works, thresholds));
+    }
+
+    if (raised.length > 0) {
+      await emailBudgetAlerts({ ...company, companyId }, raised);
+    }
+  } catch (error) {
+    logger.error('Budget alert check failed', { companyId, projectIds, error: error.message, stack: error.stack });
+  }
+  return raised;
+}
+
+/**
+ * Raise the budget alert of a project whose spending is kept by the legacy API
+ * Legacy project items are keyed by userId and count their spending in `SpentAmount`
+ * (see updateProjectSpentAmount in multi-table-utils.js). They have no works, so only the
+ * project thresholds are checked - the company's if the item belongs to one, else the
+ * defaults - and alerts are emailed only for company projects.
+ * Never throws - the spending was already written.
+ * @param {Object} project - Legacy project item after its SpentAmount was moved
+ * @returns {Promise<Array<Object>>} Alerts raised
+ */
+async function checkLegacyProjectBudget(project) {
+  const raised = [];
+  try {
+    const company = project.companyId
+      ? (await dynamoOperation('get', { TableName: COMPANY_TABLE_NAMES.COMPANIES, Key: { companyId: project.companyId } })).Item || {}
+      : {};
+    const spending = { spent: roundCurrency(Number(project.SpentAmount) || 0), works: {} };
+    const { level, projectAlert } = evaluateBudgetAlerts(project, [], spending, getBudgetAlertThresholds(company));
+    const alerts = projectAlert
+      ? [{ alertId: generateBudgetAlertId(), type: BUDGET_ALERT_TYPES.PROJECT_BUDGET, ...projectAlert, createdAt: getCurrentTimestamp() }]
+      : [];
+
+    try {
+      await saveProjectAlerts(project, level, alerts, { userId: project.userId, projectId: project.projectId });
+      raised.push(...alerts.map(alert => ({ ...alert, projectId: project.projectId, projectName: project.name })));
+    } catch (error) {
+      // Another check already raised this threshold
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+
+    if (raised.length > 0 && project.companyId) {
+      await emailBudgetAlerts({ ...company, companyId: project.companyId }, raised);
+    }
+  } catch (error) {
+    logger.error('Legacy budget alert check failed', { projectId: project.projectId, error: error.message, stack: error.stack });
+  }
+  return raised;
+}
+
+module.exports = {
+  BUDGET_ALERT_TYPES,
+  DEFAULT_BUDGET_ALERT_THRESHOLDS,
+  validateBudgetAlertThresholds,
+  getBudgetAlertThresholds,
+  getSpendingChanges,
+  calculateProjectSpending,
+  getCrossedThreshold,
+  evaluateBudgetAlerts,
+  getAlertRecipients,
+  applySpendingChanges,
+  checkBudgetAlerts,
+  checkLegacyProjectBudget
+};
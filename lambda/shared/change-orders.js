@@ -0,0 +1,213 @@
+// lambda/shared/change-orders.js
+// Change orders (תוספות / שינויים) on works, with approval and cost history
+//
+// A work's contract value changes as the scope changes. Change orders are stored as a
+// list on the work item (`changeOrders`); the original contract value is kept in
+// `originalWorkCost` and `totalWorkCost` always holds the revised value - the original
+// plus approved change orders - so budget reports and alerts use the current value.
+// Every change to the contract value is recorded in the work's `costHistory`.
+
+const { validateAndSanitize } = require('./input-validator');
+const { roundCurrency } = require('./vat-utils');
+
+const CHANGE_ORDER_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Only pending change orders can be decided; approved and rejected are final
+const CHANGE_ORDER_DECISIONS = [CHANGE_ORDER_STATUS.APPROVED, CHANGE_ORDER_STATUS.REJECTED];
+
+// Why the contract value of a work changed
+const COST_CHANGE_REASONS = {
+  CHANGE_ORDER: 'change_order',
+  CONTRACT_UPDATE: 'contract_update'
+};
+
+// Change orders and history entries per work (both live on the work item)
+const MAX_CHANGE_ORDERS = 100;
+const MAX_COST_HISTORY = 200;
+
+// A change order may reduce the scope, so the amount is a signed delta
+const MAX_CHANGE_ORDER_AMOUNT = 100000000;
+
+/**
+ * Validation schema for a change order request
+ */
+const CHANGE_ORDER_SCHEMA = {
+  description: { type: 'shortText', required: true },
+  date: { type: 'date', required: true },
+  reference: { type: 'shortText' },
+  notes: { type: 'description' }
+};
+
+/**
+ * Validate a change order request
+ * @param {Object} data - Request body { description, amount, date, reference?, notes? }
+ * @returns {Object} { valid: boolean, errors: string[], changeOrder: Object }
+ */
+function validateChangeOrderInput(data = {}) {
+  const { valid, errors, sanitized } = validateAndSanitize(data, CHANGE_ORDER_SCHEMA);
+
+  const amount = parseFloat(data.amount);
+  if (data.amount === undefined || data.amount === null || data.amount === '' || isNaN(amount) ||
+      amount === 0 || Math.abs(amount) > MAX_CHANGE_ORDER_AMOUNT) {
+    errors.push('amount must be a non-zero number between -100,000,000 and 100,000,000');
+  }
+
+  if (!valid || errors.length > 0) {
+    return { valid: false, errors, changeOrder: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    changeOrder: {
+      description: sanitized.description,
+      amount: roundCurrency(amount),
+      date: sanitized.date,
+      reference: sanitized.reference || '',
+      notes: sanitized.notes || ''
+    }
+  };
+}
+
+/**
+ * Original contract value of a work (works created before change orders have none stored)
+ * @param {Object} work - Work record
+ * @returns {number}
+ */
+function getOriginalWorkCost(work) {
+  return Number(work.originalWorkCost ?? work.totalWorkCost) || 0;
+}
+
+/**
+ * Contract value of a work: original, approved and pending changes, and revised value
+ * @param {Object} work - Work record
+ * @returns {Object} { originalCost, approvedChanges, pendingChanges, revisedCost, changeOrderCount }
+ */
+function calculateWorkContractValue(work) {
+  const changeOrders = work.changeOrders || [];
+  const sumOf = (status) => roundCurrency(changeOrders
+    .filter(order => order.status === status)
+    .reduce((sum, order) => sum + order.amount, 0));
+
+  const originalCost = getOriginalWorkCost(work);
+  const approvedChanges = sumOf(CHANGE_ORDER_STATUS.APPROVED);
+  return {
+    originalCost,
+    approvedChanges,
+    pendingChanges: sumOf(CHANGE_ORDER_STATUS.PENDING),
+    revisedCost: roundCurrency(originalCost + approvedChanges),
+    changeOrderCount: changeOrders.length
+  };
+}
+
+/**
+ * Cost history entry for a change of a work's contract value
+ * @param {Object} params - { previousCost, newCost, reason, changeOrderId?, userId, timestamp }
+ * @returns {Object} History entry
+ */
+function buildCostHistoryEntry({ previousCost, newCost, reason, changeOrderId, userId, timestamp }) {
+  return {
+    previousCost,
+    newCost,
+    change: roundCurrency(newCost - previousCost),
+    reason,
+    ...(changeOrderId ? { changeOrderId } : {}),
+    userId,
+    timestamp
+  };
+}
+
+/**
+ * Append an entry to a work's cost history, dropping the oldest entries over the limit
+ * @param {Array<Object>} history - Current history
+ * @param {Object} entry - New entry
+ * @returns {Array<Object>}
+ */
+function appendCostHistory(history = [], entry) {
+  return [...history, entry].slice(-MAX_COST_HISTORY);
+}
+
+/**
+ * Approve or reject a pending change order
+ * Approving adds the change order amount to the work's revised contract value.
+ * @param {Object} work - Work record
+ * @param {string} changeOrderId - Change order to decide
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {Object} context - { userId, userRole, comment, timestamp }
+ * @returns {Object} { error } or { changeOrder, changeOrders, originalWorkCost, totalWorkCost, costHistory }
+ */
+function decideChangeOrder(work, changeOrderId, status, { userId, userRole, comment = '', timestamp }) {
+  if (!CHANGE_ORDER_DECISIONS.includes(status)) {
+    return { error: `Invalid status. Must be one of: ${CHANGE_ORDER_DECISIONS.join(', ')}` };
+  }
+
+  const changeOrders = work.changeOrders || [];
+  const existing = changeOrders.find(order => order.changeOrderId === changeOrderId);
+  if (!existing) {
+    return { error: 'Change order not found', statusCode: 404 };
+  }
+  if (existing.status !== CHANGE_ORDER_STATUS.PENDING) {
+    return { error: `Change order is already ${existing.status}` };
+  }
+  if (status === CHANGE_ORDER_STATUS.REJECTED && !comment) {
+    return { error: 'A comment is required when rejecting a change order' };
+  }
+
+  const changeOrder = {
+    ...existing,
+    status,
+    decidedBy: userId,
+    decidedAt: timestamp,
+    statusHistory: [...(existing.statusHistory || []), {
+      fromStatus: existing.status,
+      toStatus: status,
+      userId,
+      userRole,
+      comment,
+      timestamp
+    }]
+  };
+  const updatedOrders = changeOrders.map(order => (order.changeOrderId === changeOrderId ? changeOrder : order));
+
+  const originalWorkCost = getOriginalWorkCost(work);
+  const previousCost = Number(work.totalWorkCost) || 0;
+  const { revisedCost } = calculateWorkContractValue({ ...work, originalWorkCost, changeOrders: updatedOrders });
+  if (revisedCost < 0) {
+    return { error: 'Approving this change order would make the work cost negative' };
+  }
+
+  const costHistory = status === CHANGE_ORDER_STATUS.APPROVED
+    ? appendCostHistory(work.costHistory, buildCostHistoryEntry({
+      previousCost,
+      newCost: revisedCost,
+      reason: COST_CHANGE_REASONS.CHANGE_ORDER,
+      changeOrderId,
+      userId,
+      timestamp
+    }))
+    : work.costHistory || [];
+
+  return {
+    changeOrder,
+    changeOrders: updatedOrders,
+    originalWorkCost,
+    totalWorkCost: revisedCost,
+    costHistory
+  };
+}
+
+module.exports = {
+  CHANGE_ORDER_STATUS,
+  COST_CHANGE_REASONS,
+  MAX_CHANGE_ORDERS,
+  validateChangeOrderInput,
+  getOriginalWorkCost,
+  calculateWorkContractValue,
+  buildCostHistoryEntry,
+  appendCostHistory,
+  decideChangeOrder
+};
@@ -4,6 +4,9 @@
 
 const axios = require('axios');
 const { debugLog } = require('./company-utils');
+const { normalizeIsraeliId } = require('./input-validator');
+const { MAX_PDF_PAGES, isPdfDocument, estimatePdfPageCount, mergeOcrPages } = require('./ocr-pages');
+const { normalizeOcrLineItems, lineItemsMatchTotal } = require('./expense-line-items');
 
 // OpenRouter API endpoint
 const OPENROUTER_API_ENDPOINT = 'https://openrouter.ai/api/v1/chat/completions';
@@ -57,6 +60,20 @@ Extract the following fields from each invoice image and return them in the spec
   - "שיק" / "צ'ק" / check details table filled → return "צ'ק"
 - If no clear indication, return null
 
+### 7. vendorTaxId (ח.פ / עוסק מורשה)
+- **Location**: Near the vendor name in the header, or in the footer
+- Look for labels: "ח.פ", "ע.מ", "עוסק מורשה", "מס' עוסק", "ת.ז"
+- The vendor's number (usually 9 digits), NOT the customer's
+- Return digits only as a string
+
+### 8. lineItems (שורות החשבונית)
+- **Location**: Main table body - one row per item (common on building-supply receipts)
+- For every row: the item description, quantity (כמות), unit price (מחיר יחידה) and line total (סה"כ)
+- Copy the description as printed (e.g., "מלט אפור 50 ק"ג", "ברזל 12 מ"מ")
+- Numbers without currency symbols; a discount row has a negative lineTotal
+- Do NOT include subtotal, VAT or total rows
+- If the invoice has no item table (a single service), return []
+
 ---
 
 ## Output Format
@@ -67,13 +84,19 @@ Extract the following fields from each invoice image and return them in the spec
   "vendor": "string" or null,
   "description": "string" or null,
   "paymentMethod": "מזומן" | "כרטיס אשראי" | "העברה בנקאית" | "צ'ק" | null,
+  "vendorTaxId": "string" or null,
+  "lineItems": [
+    { "description": "string", "quantity": number, "unitPrice": number or null, "lineTotal": number or null }
+  ],
   "confidence": {
     "amount": 0-100,
     "invoiceNum": 0-100,
     "date": 0-100,
     "vendor": 0-100,
     "description": 0-100,
-    "paymentMethod": 0-100
+    "paymentMethod": 0-100,
+    "vendorTaxId": 0-100,
+    "lineItems": 0-100
   },
   "reasoning": {
     "paymentMethod": "brief explanation" or null
@@ -119,20 +142,49 @@ RULES:
 - Return ONLY valid JSON (no markdown code blocks)
 - Preserve Hebrew UTF-8 encoding`;
 
+// Added to the prompt for PDF documents, which may have several pages
+const PDF_PAGES_PROMPT = `
+
+---
+
+## Multi-Page Documents
+This document is a PDF and may have several pages. Read every page separately and return
+one entry per page instead of a single object:
+{
+  "pages": [
+    { "page": 1, ...the fields, confidence and reasoning above for this page only },
+    { "page": 2, ... }
+  ]
+}
+- Report a field only on the page where it is printed; return null for fields not on that page
+- A page subtotal ("סה"כ לדף", "מעבר לדף הבא") is NOT the amount - only the final total is`;
+
+// Output tokens per page (or image) - room for a full item table
+const MAX_TOKENS_PER_PAGE = 1500;
+
+// Line items that do not add up to the total are shown, but never trusted
+const UNMATCHED_LINE_ITEMS_MAX_CONFIDENCE = 50;
+
 /**
  * Call Claude Vision API via OpenRouter
- * @param {Buffer} imageBuffer - Image buffer to process
+ * PDFs are sent as a file: Claude reads both the text and the image of every page,
+ * so scanned invoices work as well as generated ones.
+ * @param {Buffer} imageBuffer - Image or PDF buffer to process
  * @param {string} apiKey - OpenRouter API key
+ * @param {string} [fileName] - File name, sent with PDFs
  * @returns {Promise<Object>} - Claude API response
  */
-async function callClaudeVisionAPI(imageBuffer, apiKey) {
+async function callClaudeVisionAPI(imageBuffer, apiKey, fileName = 'receipt.pdf') {
   try {
     // Convert buffer to base64
     const base64Image = imageBuffer.toString('base64');
+    const isPdf = isPdfDocument(imageBuffer);
 
     // Detect image type from buffer
     let mediaType = 'image/jpeg';
-    if (imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50) {
+    if (isPdf) {
+      mediaType = 'application/pdf';
+    } else if (imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50) {
       mediaType = 'image/png';
     } else if (imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8) {
       mediaType = 'image/jpeg';
@@ -142,9 +194,27 @@ async function callClaudeVisionAPI(imageBuffer, apiKey) {
       mediaType = 'image/webp';
     }
 
+    const documentContent = isPdf
+      ? {
+        type: 'file',
+        file: {
+          filename: fileName,
+          file_data: `data:${mediaType};base64,${base64Image}`
+        }
+      }
+      : {
+        type: 'image_url',
+        image_url: {
+          url: `data:${mediaType};base64,${base64Image}`
+        }
+      };
+    // A PDF whose pages cannot be counted gets the budget of the longest allowed document
+    const pageCount = isPdf ? (estimatePdfPageCount(imageBuffer) || MAX_PDF_PAGES) : 1;
+
     debugLog('Calling Claude Vision API via OpenRouter', {
       imageSize: imageBuffer.length,
       mediaType,
+      pageCount,
       endpoint: OPENROUTER_API_ENDPOINT
     });
 
@@ -157,20 +227,17 @@ async function callClaudeVisionAPI(imageBuffer, apiKey) {
           {
             role: 'user',
             content: [
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:${mediaType};base64,${base64Image}`
-                }
-              },
+              documentContent,
               {
                 type: 'text',
-                text: OCR_PROMPT
+                text: isPdf ? OCR_PROMPT + PDF_PAGES_PROMPT : OCR_PROMPT
               }
             ]
           }
         ],
-        max_tokens: 500,
+        // Native PDF input - the model sees the page images, not only extracted text
+        ...(isPdf && { plugins: [{ id: 'file-parser', pdf: { engine: 'native' } }] }),
+        max_tokens: MAX_TOKENS_PER_PAGE * pageCount,
         temperature: 0
       },
       {
@@ -221,10 +288,80 @@ async function callClaudeVisionAPI(imageBuffer, apiKey) {
   }
 }
 
+/**
+ * Validate the fields, confidence scores and reasoning of one parsed OCR answer
+ * @param {Object} parsed - Parsed JSON of a document or of one PDF page
+ * @returns {Object} - { fields, confidence, reasoning }
+ */
+function extractOcrFields(parsed) {
+  // Validate and extract fields
+  const fields = {
+    amount: parsed.amount !== null && parsed.amount !== undefined ? parseFloat(parsed.amount) : null,
+    date: parsed.date || null,
+    invoiceNum: parsed.invoiceNum || null,
+    vendor: parsed.vendor || null,
+    description: parsed.description || null,
+    paymentMethod: parsed.paymentMethod || null,
+    // Check digit verified - a misread number is dropped rather than matched to the wrong contractor
+    vendorTaxId: normalizeIsraeliId(parsed.vendorTaxId)
+  };
+  const lineItems = normalizeOcrLineItems(parsed.lineItems);
+  fields.lineItems = lineItems.length > 0 ? lineItems : null;
+
+  // Validate and extract confidence scores
+  const confidence = {
+    amount: Math.max(0, Math.min(100, parsed.confidence?.amount || 0)),
+    date: Math.max(0, Math.min(100, parsed.confidence?.date || 0)),
+    invoiceNum: Math.max(0, Math.min(100, parsed.confidence?.invoiceNum || 0)),
+    vendor: Math.max(0, Math.min(100, parsed.confidence?.vendor || 0)),
+    description: Math.max(0, Math.min(100, parsed.confidence?.description || 0)),
+    paymentMethod: Math.max(0, Math.min(100, parsed.confidence?.paymentMethod || 0))
+  };
+
+  // Most receipts show no tax ID - only score it when one was read
+  if (fields.vendorTaxId) {
+    confidence.vendorTaxId = Math.max(0, Math.min(100, parsed.confidence?.vendorTaxId || 0));
+  }
+
+  // Same for line items - most service invoices have no item table
+  if (fields.lineItems) {
+    confidence.lineItems = Math.max(0, Math.min(100, parsed.confidence?.lineItems || 0));
+  }
+
+  // Extract reasoning
+  const reasoning = {
+    paymentMethod: parsed.reasoning?.paymentMethod || null
+  };
+
+  return { fields, confidence, reasoning };
+}
+
+/**
+ * Build the OCR result of a parsed answer in the OCR_PROMPT format
+ * PDFs are answered page by page - the pages are merged into one set of fields.
+ * @param {Object} parsed - Parsed JSON answer
+ * @returns {Object} - { fields, confidence, reasoning }, plus { fieldPages, pageCount } for PDFs
+ */
+function buildOcrResult(parsed) {
+  const result = Array.isArray(parsed.pages) && parsed.pages.length > 0
+    ? mergeOcrPages(parsed.pages.map((page, index) => ({
+      page: parseInt(page.page) || index + 1,
+      ...extractOcrFields(page)
+    })))
+    : extractOcrFields(parsed);
+
+  // Item tables run over several pages - they are checked against the total once merged
+  const { lineItems, amount } = result.fields;
+  if (lineItems && !lineItemsMatchTotal(lineItems, amount)) {
+    result.confidence.lineItems = Math.min(result.confidence.lineItems, UNMATCHED_LINE_ITEMS_MAX_CONFIDENCE);
+  }
+  return result;
+}
+
 /**
  * Parse Claude API response and extract OCR fields
  * @param {Object} claudeResponse - Response from Claude API
- * @returns {Object} - Parsed fields { fields, confidence, reasoning }
+ * @returns {Object} - Parsed fields { fields, confidence, reasoning }, plus { fieldPages, pageCount } for PDFs
  */
 function parseClaudeResponse(claudeResponse) {
   try {
@@ -250,30 +387,8 @@ function parseClaudeResponse(claudeResponse) {
     // Parse JSON
     const parsed = JSON.parse(jsonContent);
 
-    // Validate and extract fields
-    const fields = {
-      amount: parsed.amount !== null && parsed.amount !== undefined ? parseFloat(parsed.amount) : null,
-      date: parsed.date || null,
-      invoiceNum: parsed.invoiceNum || null,
-      vendor: parsed.vendor || null,
-      description: parsed.description || null,
-      paymentMethod: parsed.paymentMethod || null
-    };
-
-    // Validate and extract confidence scores
-    const confidence = {
-      amount: Math.max(0, Math.min(100, parsed.confidence?.amount || 0)),
-      date: Math.max(0, Math.min(100, parsed.confidence?.date || 0)),
-      invoiceNum: Math.max(0, Math.min(100, parsed.confidence?.invoiceNum || 0)),
-      vendor: Math.max(0, Math.min(100, parsed.confidence?.vendor || 0)),
-      description: Math.max(0, Math.min(100, parsed.confidence?.description || 0)),
-      paymentMethod: Math.max(0, Math.min(100, parsed.confidence?.paymentMethod || 0))
-    };
-
-    // Extract reasoning
-    const reasoning = {
-      paymentMethod: parsed.reasoning?.paymentMethod || null
-    };
+    const result = buildOcrResult(parsed);
+    const { fields, confidence } = result;
 
     debugLog('Claude response parsed successfully', {
       extractedFields: Object.keys(fields).filter(k => fields[k] !== null),
@@ -282,7 +397,7 @@ function parseClaudeResponse(claudeResponse) {
       )
     });
 
-    return { fields, confidence, reasoning };
+    return result;
 
   } catch (error) {
     debugLog('Error parsing Claude response', {
@@ -309,14 +424,14 @@ async function processWithClaudeOCR(imageBuffer, fileName, apiKey) {
     });
 
     // Call Claude Vision API
-    const claudeResult = await callClaudeVisionAPI(imageBuffer, apiKey);
+    const claudeResult = await callClaudeVisionAPI(imageBuffer, apiKey, fileName);
 
     if (!claudeResult.success) {
       throw new Error('Claude API returned unsuccessful response');
     }
 
     // Parse response
-    const { fields, confidence, reasoning } = parseClaudeResponse(claudeResult.data);
+    const { fields, confidence, reasoning, fieldPages, pageCount } = parseClaudeResponse(claudeResult.data);
 
     debugLog('Claude OCR processing complete', {
       fileName,
@@ -332,6 +447,8 @@ async function processWithClaudeOCR(imageBuffer, fileName, apiKey) {
       fields,
       confidence,
       reasoning,
+      fieldPages: fieldPages || null,
+      pageCount: pageCount || 1,
       processingTime: claudeResult.processingTime,
       provider: 'claude-3.5-sonnet'
     };
@@ -349,5 +466,6 @@ async function processWithClaudeOCR(imageBuffer, fileName, apiKey) {
 module.exports = {
   processWithClaudeOCR,
   callClaudeVisionAPI,
-  parseClaudeResponse
+  parseClaudeResponse,
+  buildOcrResult
 };
@@ -0,0 +1,249 @@
+// lambda/shared/client-billing.js
+// Client billing per project - invoices, payment milestones and received payments
+//
+// A project's client invoices are stored as a list on the project item (`clientInvoices`),
+// each with its own list of received payments, so an invoice and its balance are always
+// written together. A milestone is a planned billing point (e.g. "סיום שלד") that becomes
+// an invoice once it is billed. Profitability compares income with the project's expenses
+// before VAT, since VAT is collected and paid on to the tax authority.
+
+const { validateAndSanitize } = require('./input-validator');
+const { EXPENSE_STATUS } = require('./company-utils');
+const { roundCurrency, calculateVATBreakdown, VAT_TREATMENTS } = require('./vat-utils');
+const { splitExpenseByAllocations } = require('./expense-allocations');
+
+const CLIENT_INVOICE_TYPES = {
+  MILESTONE: 'milestone', // Planned billing point, not billed yet
+  INVOICE: 'invoice'      // Billed to the client
+};
+
+// Derived from the type, balance and due date - never stored
+const CLIENT_INVOICE_STATUS = {
+  PLANNED: 'planned',
+  OPEN: 'open',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  OVERDUE: 'overdue'
+};
+
+// Invoices per project and payments per invoice (both live on the project item)
+const MAX_CLIENT_INVOICES = 100;
+const MAX_PAYMENTS_PER_INVOICE = 50;
+
+// Rejected expenses are not a cost of the project
+const EXCLUDED_EXPENSE_STATUSES = [EXPENSE_STATUS.REJECTED];
+
+/**
+ * Validation schema for a client invoice or milestone
+ */
+const CLIENT_INVOICE_SCHEMA = {
+  type: { enum: Object.values(CLIENT_INVOICE_TYPES) },
+  invoiceNum: { type: 'invoiceNumber' },
+  description: { type: 'shortText', required: true },
+  issueDate: { type: 'date', required: true },
+  dueDate: { type: 'date' },
+  amount: { type: 'amount', required: true },
+  vatTreatment: { enum: Object.values(VAT_TREATMENTS) },
+  notes: { type: 'description' }
+};
+
+/**
+ * Validation schema for a payment received from the client
+ */
+const CLIENT_PAYMENT_SCHEMA = {
+  date: { type: 'date', required: true },
+  amount: { type: 'amount', required: true },
+  paymentMethod: { type: 'shortText', required: true },
+  reference: { type: 'shortText' },
+  notes: { type: 'description' }
+};
+
+/**
+ * Validate client invoice input
+ * The amount is entered like an expense amount - including VAT unless vatTreatment says otherwise.
+ * @param {Object} data - Request body
+ * @param {number} vatRate - VAT rate in effect on the issue date
+ * @returns {Object} { valid: boolean, errors: string[], invoice: Object }
+ */
+function validateClientInvoiceInput(data = {}, vatRate) {
+  const { valid, errors, sanitized } = validateAndSanitize(data, CLIENT_INVOICE_SCHEMA);
+
+  const amount = parseFloat(data.amount);
+  if (data.amount !== undefined && (isNaN(amount) || amount <= 0)) {
+    errors.push('amount must be a positive number');
+  }
+
+  const type = sanitized.type || CLIENT_INVOICE_TYPES.INVOICE;
+  if (type === CLIENT_INVOICE_TYPES.INVOICE && !sanitized.invoiceNum) {
+    errors.push('invoiceNum is required for invoices');
+  }
+
+  if (data.dueDate && data.issueDate && data.dueDate < data.issueDate) {
+    errors.push('dueDate must not be before issueDate');
+  }
+
+  if (!valid || errors.length > 0) {
+    return { valid: false, errors, invoice: null };
+  }
+
+  const breakdown = calculateVATBreakdown(amount, { vatRate, vatTreatment: sanitized.vatTreatment });
+  return {
+    valid: true,
+    errors: [],
+    invoice: {
+      type,
+      invoiceNum: sanitized.invoiceNum || '',
+      description: sanitized.description,
+      issueDate: sanitized.issueDate,
+      // Due date defaults to the issue date
+      dueDate: sanitized.dueDate || sanitized.issueDate,
+      notes: sanitized.notes || '',
+      ...breakdown
+    }
+  };
+}
+
+/**
+ * Validate input for a payment received from the client
+ * @param {Object} data - Request body
+ * @returns {Object} { valid: boolean, errors: string[], payment: Object }
+ */
+function validateClientPaymentInput(data = {}) {
+  const { valid, errors, sanitized } = validateAndSanitize(data, CLIENT_PAYMENT_SCHEMA);
+
+  const amount = parseFloat(data.amount);
+  if (data.amount !== undefined && (isNaN(amount) || amount <= 0)) {
+    errors.push('amount must be a positive number');
+  }
+
+  const payment = { ...sanitized };
+  if (!isNaN(amount)) {
+    payment.amount = roundCurrency(amount);
+  }
+
+  return {
+    valid: valid && errors.length === 0,
+    errors,
+    payment
+  };
+}
+
+/**
+ * Balance and status of a client invoice
+ * @param {Object} invoice - Stored invoice
+ * @param {string} today - Current date (YYYY-MM-DD), for overdue invoices
+ * @returns {Object} { paidAmount, outstandingAmount, status }
+ */
+function calculateInvoiceBalance(invoice, today) {
+  const paidAmount = roundCurrency(
+    (invoice.payments || []).reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0)
+  );
+  const outstandingAmount = roundCurrency(Math.max(0, (Number(invoice.amount) || 0) - paidAmount));
+
+  let status;
+  if (outstandingAmount === 0) {
+    status = CLIENT_INVOICE_STATUS.PAID;
+  } else if (invoice.type === CLIENT_INVOICE_TYPES.MILESTONE && paidAmount === 0) {
+    status = CLIENT_INVOICE_STATUS.PLANNED;
+  } else if (invoice.dueDate && invoice.dueDate < today) {
+    status = CLIENT_INVOICE_STATUS.OVERDUE;
+  } else if (paidAmount > 0) {
+    status = CLIENT_INVOICE_STATUS.PARTIALLY_PAID;
+  } else {
+    status = CLIENT_INVOICE_STATUS.OPEN;
+  }
+
+  return { paidAmount, outstandingAmount, status };
+}
+
+/**
+ * Client invoices of a project with their balances, by due date
+ * @param {Object} project - Project record
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {Array<Object>} Invoices with paidAmount, outstandingAmount and status
+ */
+function summarizeClientInvoices(project, today) {
+  return (project.clientInvoices || [])
+    .map(invoice => ({ ...invoice, ...calculateInvoiceBalance(invoice, today) }))
+    .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+}
+
+// Amount already paid out on an expense (a paid expense without a ledger is fully paid)
+function getExpensePaidAmount(expense) {
+  if (expense.paidAmount !== undefined) {
+    return Number(expense.paidAmount) || 0;
+  }
+  return expense.status === EXPENSE_STATUS.PAID ? Number(expense.amount) || 0 : 0;
+}
+
+/**
+ * Profit and loss of a project
+ *
+ * - income.contractValue: everything billed or planned to be billed (before VAT)
+ * - income.billed: invoices issued (before VAT); milestones are not income yet
+ * - income.received / outstanding / overdue: client payments and balances (including VAT)
+ * - costs.total: the project's expenses before VAT (allocated portions for split expenses)
+ * - costs.paid: what was already paid out on them (including VAT)
+ * - grossProfit: billed - costs; projectedProfit: contract value - costs
+ * - cashBalance: received - paid out
+ * @param {Object} project - Project record
+ * @param {Array<Object>} expenses - Company expenses (other projects' portions are ignored)
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {Object} { projectId, projectName, clientName, income, costs, grossProfit, projectedProfit, marginPercent, cashBalance }
+ */
+function buildProjectProfitability(project, expenses, today) {
+  const income = { contractValue: 0, billed: 0, planned: 0, received: 0, outstanding: 0, overdue: 0 };
+
+  summarizeClientInvoices(project, today).forEach(invoice => {
+    const baseAmount = Number(invoice.baseAmount ?? invoice.amount) || 0;
+    income.contractValue += baseAmount;
+    if (invoice.type === CLIENT_INVOICE_TYPES.MILESTONE) {
+      income.planned += baseAmount;
+    } else {
+      income.billed += baseAmount;
+      income.outstanding += invoice.outstandingAmount;
+      if (invoice.status === CLIENT_INVOICE_STATUS.OVERDUE) {
+        income.overdue += invoice.outstandingAmount;
+      }
+    }
+    income.received += invoice.paidAmount;
+  });
+
+  const costs = { total: 0, paid: 0 };
+  expenses
+    .filter(expense => !EXCLUDED_EXPENSE_STATUSES.includes(expense.status))
+    .flatMap(expense => splitExpenseByAllocations(expense).map(portion => ({ portion, expense })))
+    .filter(({ portion }) => portion.projectId === project.projectId)
+    .forEach(({ portion, expense }) => {
+      costs.total += Number(portion.baseAmount ?? portion.amount) || 0;
+      costs.paid += getExpensePaidAmount(expense) * (portion.allocationShare ?? 1);
+    });
+
+  Object.keys(income).forEach(key => { income[key] = roundCurrency(income[key]); });
+  Object.keys(costs).forEach(key => { costs[key] = roundCurrency(costs[key]); });
+  const grossProfit = roundCurrency(income.billed - costs.total);
+
+  return {
+    projectId: project.projectId,
+    projectName: project.name,
+    clientName: project.clientName || '',
+    income,
+    costs,
+    grossProfit,
+    projectedProfit: roundCurrency(income.contractValue - costs.total),
+    marginPercent: income.billed > 0 ? Math.round(grossProfit / income.billed * 1000) / 10 : null,
+    cashBalance: roundCurrency(income.received - costs.paid)
+  };
+}
+
+module.exports = {
+  CLIENT_INVOICE_TYPES,
+  CLIENT_INVOICE_STATUS,
+  MAX_CLIENT_INVOICES,
+  MAX_PAYMENTS_PER_INVOICE,
+  validateClientInvoiceInput,
+  validateClientPaymentInput,
+  calculateInvoiceBalance,
+  summarizeClientInvoices,
+  buildProjectProfitability
+};
@@ -157,11 +157,15 @@ const PERMISSIONS = {
   EDIT_ALL_EXPENSES: "edit_all_expenses",
   EDIT_OWN_EXPENSES: "edit_own_expenses", 
   DELETE_EXPENSES: "delete_expenses",
+  SUBMIT_EXPENSES: "submit_expenses",
+  APPROVE_EXPENSES: "approve_expenses",
+  MANAGE_PAYMENTS: "manage_payments",
   
   // System
   VIEW_ALL_DATA: "view_all_data",
   EXPORT_DATA: "export_data",
-  VIEW_REPORTS: "view_reports"
+  VIEW_REPORTS: "view_reports",
+  VIEW_FINANCIAL_REPORTS: "view_financial_reports" // Company-wide tax and accounting reports
 };
 
 // Role-based permission assignments
@@ -188,6 +192,10 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.CREATE_EXPENSES,
     PERMISSIONS.EDIT_ALL_EXPENSES,
     PERMISSIONS.DELETE_EXPENSES,
+    PERMISSIONS.SUBMIT_EXPENSES,
+    PERMISSIONS.APPROVE_EXPENSES,
+    PERMISSIONS.MANAGE_PAYMENTS,
+    PERMISSIONS.VIEW_FINANCIAL_REPORTS,
     PERMISSIONS.VIEW_ALL_DATA,
     PERMISSIONS.EXPORT_DATA,
     PERMISSIONS.VIEW_REPORTS
@@ -210,6 +218,10 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.CREATE_EXPENSES,
     PERMISSIONS.EDIT_ALL_EXPENSES,
     PERMISSIONS.DELETE_EXPENSES,
+    PERMISSIONS.SUBMIT_EXPENSES,
+    PERMISSIONS.APPROVE_EXPENSES,
+    PERMISSIONS.MANAGE_PAYMENTS,
+    PERMISSIONS.VIEW_FINANCIAL_REPORTS,
     PERMISSIONS.VIEW_ALL_DATA,
     PERMISSIONS.EXPORT_DATA,
     PERMISSIONS.VIEW_REPORTS
@@ -223,6 +235,7 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.EDIT_OWN_WORKS,
     PERMISSIONS.CREATE_EXPENSES,
     PERMISSIONS.EDIT_OWN_EXPENSES,
+    PERMISSIONS.SUBMIT_EXPENSES,
     PERMISSIONS.VIEW_REPORTS
   ],
   [USER_ROLES.VIEWER]: [
@@ -237,6 +250,7 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.EDIT_OWN_WORKS,
     PERMISSIONS.CREATE_EXPENSES,
     PERMISSIONS.EDIT_OWN_EXPENSES,
+    PERMISSIONS.SUBMIT_EXPENSES,
     PERMISSIONS.VIEW_REPORTS
   ]
 };
@@ -249,6 +263,31 @@ const INVITATION_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+// Expense approval workflow status
+const EXPENSE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PAID: 'paid'
+};
+
+// Allowed expense status transitions and the permission each one requires
+// Editors submit (and resubmit rejected) expenses; managers/admins approve, reject and mark paid
+const EXPENSE_STATUS_TRANSITIONS = {
+  [EXPENSE_STATUS.PENDING]: {
+    [EXPENSE_STATUS.APPROVED]: { action: 'approve', permission: PERMISSIONS.APPROVE_EXPENSES },
+    [EXPENSE_STATUS.REJECTED]: { action: 'reject', permission: PERMISSIONS.APPROVE_EXPENSES, requiresComment: true }
+  },
+  [EXPENSE_STATUS.REJECTED]: {
+    [EXPENSE_STATUS.PENDING]: { action: 'resubmit', permission: PERMISSIONS.SUBMIT_EXPENSES }
+  },
+  [EXPENSE_STATUS.APPROVED]: {
+    [EXPENSE_STATUS.PAID]: { action: 'mark_paid', permission: PERMISSIONS.APPROVE_EXPENSES },
+    [EXPENSE_STATUS.REJECTED]: { action: 'reject', permission: PERMISSIONS.APPROVE_EXPENSES, requiresComment: true }
+  },
+  [EXPENSE_STATUS.PAID]: {}
+};
+
 /**
  * Create standardized API response
  * SECURITY: Returns response WITHOUT CORS headers - let middleware handle CORS
@@ -499,6 +538,50 @@ function generateWorkId() {
   return `work_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+function generatePaymentId() {
+  return `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateRecurringTemplateId() {
+  return `rec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateImportId() {
+  return `imp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateBudgetLineId() {
+  return `bl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateBudgetAlertId() {
+  return `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateClientInvoiceId() {
+  return `cinv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateChangeOrderId() {
+  return `co_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateProgressBillId() {
+  return `wbill_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateContractorDocumentId() {
+  return `cdoc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateReceiptBatchId() {
+  return `rbatch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function generateDraftId() {
+  return `draft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
 /**
  * Get current timestamp in ISO format
  */
@@ -506,6 +589,25 @@ function getCurrentTimestamp() {
   return new Date().toISOString();
 }
 
+/**
+ * Get today's date (UTC) in YYYY-MM-DD format
+ */
+function getToday() {
+  return getCurrentTimestamp().split('T')[0];
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
 /**
  * Log debug information
  */
@@ -557,6 +659,44 @@ async function dynamoOperation(operation, params) {
   }
 }
 
+/**
+ * Run a query or scan to completion, following LastEvaluatedKey across DynamoDB pages
+ * @param {string} operation - 'query' or 'scan'
+ * @param {Object} params - Query or scan parameters
+ * @returns {Promise<Array>} All matching items
+ */
+async function readAllPages(operation, params) {
+  const items = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await dynamoOperation(operation, {
+      ...params,
+      ExclusiveStartKey: lastEvaluatedKey
+    });
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return items;
+}
+
+/**
+ * Run a query to completion, following LastEvaluatedKey across DynamoDB pages
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Array>} All matching items
+ */
+async function queryAllPages(params) {
+  return readAllPages('query', params);
+}
+
+/**
+ * Run a scan to completion, following LastEvaluatedKey across DynamoDB pages
+ * @param {Object} params - Scan parameters
+ * @returns {Promise<Array>} All matching items
+ */
+async function scanAllPages(params) {
+  return readAllPages('scan', params);
+}
+
 /**
  * Validate user belongs to company and has required role
  */
@@ -641,6 +781,7 @@ async function createCompanyWithAdmin(companyData, adminData) {
     name: companyData.name,
     description: companyData.description || '',
     industry: companyData.industry || '',
+    taxId: companyData.taxId || '',
     adminUserId: adminData.userId,
 
     // Subscription fields
@@ -703,6 +844,27 @@ function hasPermission(userRole, permission) {
   return permissions.includes(permission);
 }
 
+/**
+ * Look up an expense status transition and check the user's role allows it
+ * @param {string} userRole - Role of the acting user
+ * @param {string} fromStatus - Current expense status
+ * @param {string} toStatus - Requested expense status
+ * @returns {Object} { allowed: boolean, transition?: Object, reason?: string }
+ */
+function getExpenseTransition(userRole, fromStatus, toStatus) {
+  const transition = EXPENSE_STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+
+  if (!transition) {
+    return { allowed: false, reason: `Cannot change expense status from ${fromStatus} to ${toStatus}` };
+  }
+
+  if (!hasPermission(userRole, transition.permission)) {
+    return { allowed: false, transition, reason: `Role ${userRole} is not allowed to ${transition.action} expenses` };
+  }
+
+  return { allowed: true, transition };
+}
+
 /**
  * Check if user can access resource (for own vs all permissions)
  */
@@ -901,6 +1063,8 @@ module.exports = {
   SYSTEM_CONTRACTORS,
   USER_ROLES,
   INVITATION_STATUS,
+  EXPENSE_STATUS,
+  EXPENSE_STATUS_TRANSITIONS,
   PERMISSIONS,
   ROLE_PERMISSIONS,
   createResponse,
@@ -916,14 +1080,30 @@ module.exports = {
   generateProjectId,
   generateContractorId,
   generateWorkId,
+  generatePaymentId,
+  generateRecurringTemplateId,
+  generateImportId,
+  generateBudgetLineId,
+  generateBudgetAlertId,
+  generateClientInvoiceId,
+  generateChangeOrderId,
+  generateProgressBillId,
+  generateContractorDocumentId,
+  generateReceiptBatchId,
+  generateDraftId,
   getCurrentTimestamp,
+  getToday,
+  addDays,
   debugLog,
   dynamoOperation,
+  queryAllPages,
+  scanAllPages,
   validateCompanyUser,
   validateInvitationToken,
   createCompanyWithAdmin,
   getUserPermissions,
   hasPermission,
+  getExpenseTransition,
   canAccessResource,
   filterDataByPermissions,
   requirePermission,
@@ -0,0 +1,186 @@
+// lambda/shared/contractor-documents.js
+// Contractor compliance documents (insurance, licenses, certificates) and their expiry
+//
+// Documents are stored as a list on the contractor item (`documents`); the files themselves
+// go to the receipts bucket through the same pre-signed upload and file-validator checks as
+// receipts. A renewed document is added next to the old one - per document type only the
+// document that expires last counts, so uploading the renewal clears the warning.
+// The daily checkContractorDocuments job flags contractors whose documents expire soon.
+
+const { validateAndSanitize } = require('./input-validator');
+const { addDays } = require('./company-utils');
+
+const CONTRACTOR_DOCUMENT_TYPES = {
+  INSURANCE: 'insurance',                               // פוליסת ביטוח
+  REGISTRY_LICENSE: 'registry_license',                 // רישיון רשם הקבלנים
+  BOOKKEEPING_CERTIFICATE: 'bookkeeping_certificate',   // אישור ניהול ספרים
+  WITHHOLDING_CERTIFICATE: 'withholding_certificate'    // אישור ניכוי במקור
+};
+
+const DOCUMENT_STATUS = {
+  VALID: 'valid',
+  EXPIRING: 'expiring',
+  EXPIRED: 'expired'
+};
+
+// Documents expiring within this many days are flagged
+const EXPIRY_WARNING_DAYS = 30;
+
+// Documents per contractor (they live on the contractor item)
+const MAX_CONTRACTOR_DOCUMENTS = 50;
+
+/**
+ * Validation schema for a contractor document
+ */
+const CONTRACTOR_DOCUMENT_SCHEMA = {
+  type: { required: true, enum: Object.values(CONTRACTOR_DOCUMENT_TYPES) },
+  expiryDate: { type: 'date', required: true },
+  documentNumber: { type: 'shortText' }, // Policy / license / certificate number
+  notes: { type: 'description' }
+};
+
+// Severity order of the statuses, for the contractor's overall status
+const STATUS_SEVERITY = [DOCUMENT_STATUS.VALID, DOCUMENT_STATUS.EXPIRING, DOCUMENT_STATUS.EXPIRED];
+
+/**
+ * S3 key prefix of a contractor's documents - uploads outside it are rejected
+ * @param {string} companyId - Company ID
+ * @param {string} contractorId - Contractor ID
+ * @returns {string} Key prefix
+ */
+function getDocumentKeyPrefix(companyId, contractorId) {
+  return `${companyId}/contractor-documents/${contractorId}/`;
+}
+
+/**
+ * Validate a new contractor document
+ * @param {Object} data - Request body { type, expiryDate, documentKey, documentNumber?, notes? }
+ * @param {Object} context - { companyId, contractorId } the document key must belong to
+ * @returns {Object} { valid: boolean, errors: string[], document: Object }
+ */
+function validateContractorDocument(data = {}, { companyId, contractorId }) {
+  const { valid, errors, sanitized } = validateAndSanitize(data, CONTRACTOR_DOCUMENT_SCHEMA);
+
+  const prefix = getDocumentKeyPrefix(companyId, contractorId);
+  const documentKey = data.documentKey;
+  if (!documentKey || typeof documentKey !== 'string') {
+    errors.push('documentKey is required');
+  } else if (!documentKey.startsWith(prefix) || !/^[\w\-.]+$/.test(documentKey.slice(prefix.length))) {
+    errors.push('documentKey does not belong to this contractor');
+  }
+
+  if (!valid || errors.length > 0) {
+    return { valid: false, errors, document: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    document: {
+      type: sanitized.type,
+      expiryDate: sanitized.expiryDate,
+      documentKey,
+      documentNumber: sanitized.documentNumber || '',
+      notes: sanitized.notes || ''
+    }
+  };
+}
+
+/**
+ * Expiry status of a document on a given date
+ * @param {Object} document - Contractor document
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string} valid / expiring / expired
+ */
+function getDocumentStatus(document, today) {
+  if (document.expiryDate < today) {
+    return DOCUMENT_STATUS.EXPIRED;
+  }
+  if (document.expiryDate <= addDays(today, EXPIRY_WARNING_DAYS)) {
+    return DOCUMENT_STATUS.EXPIRING;
+  }
+  return DOCUMENT_STATUS.VALID;
+}
+
+/**
+ * The document of each type that counts - the one that expires last
+ * @param {Array<Object>} documents - Contractor documents
+ * @returns {Array<Object>} One document per type
+ */
+function getCurrentDocuments(documents = []) {
+  const byType = {};
+  documents.forEach(document => {
+    const current = byType[document.type];
+    if (!current || document.expiryDate > current.expiryDate) {
+      byType[document.type] = document;
+    }
+  });
+  return Object.values(byType);
+}
+
+/**
+ * Compliance status of a contractor on a given date
+ * A contractor without documents is valid - which documents are required is up to the company.
+ * @param {Object} contractor - Contractor record
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} { status, expired: [{ documentId, type, expiryDate }], expiring: [...] }
+ */
+function getContractorCompliance(contractor, today) {
+  const compliance = { status: DOCUMENT_STATUS.VALID, expired: [], expiring: [] };
+
+  getCurrentDocuments(contractor.documents).forEach(document => {
+    const status = getDocumentStatus(document, today);
+    if (status === DOCUMENT_STATUS.VALID) {
+      return;
+    }
+    compliance[status].push({
+      documentId: document.documentId,
+      type: document.type,
+      expiryDate: document.expiryDate
+    });
+    if (STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(compliance.status)) {
+      compliance.status = status;
+    }
+  });
+
+  return compliance;
+}
+
+/**
+ * Current documents whose expiry status changed since the contractor was last notified
+ * Each document notifies once when it starts expiring and once when it has expired.
+ * @param {Object} contractor - Contractor record
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<Object>} [{ document, status }]
+ */
+function getPendingExpiryNotices(contractor, today) {
+  return getCurrentDocuments(contractor.documents)
+    .map(document => ({ document, status: getDocumentStatus(document, today) }))
+    .filter(({ document, status }) => status !== DOCUMENT_STATUS.VALID && document.notifiedStatus !== status);
+}
+
+/**
+ * Latest expiry of the contractor's withholding certificates
+ * Keeps `withholdingCertificateExpiry` (used for the withholding rate) in step with the uploads.
+ * @param {Array<Object>} documents - Contractor documents
+ * @returns {string|null} YYYY-MM-DD or null if there is no withholding certificate
+ */
+function getWithholdingCertificateExpiry(documents = []) {
+  const certificate = getCurrentDocuments(documents)
+    .find(document => document.type === CONTRACTOR_DOCUMENT_TYPES.WITHHOLDING_CERTIFICATE);
+  return certificate ? certificate.expiryDate : null;
+}
+
+module.exports = {
+  CONTRACTOR_DOCUMENT_TYPES,
+  DOCUMENT_STATUS,
+  EXPIRY_WARNING_DAYS,
+  MAX_CONTRACTOR_DOCUMENTS,
+  getDocumentKeyPrefix,
+  validateContractorDocument,
+  getDocumentStatus,
+  getCurrentDocuments,
+  getContractorCompliance,
+  getPendingExpiryNotices,
+  getWithholdingCertificateExpiry
+};
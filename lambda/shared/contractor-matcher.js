@@ -1,8 +1,18 @@
 // lambda/shared/contractor-matcher.js
 // Fuzzy contractor matching using Levenshtein distance
 // Matches OCR vendor names to existing contractors in database
+//
+// Matching order: the receipt's tax ID, then the contractor's vendor aliases
+// (names learned from user corrections and merges), then name similarity.
 
 const { debugLog } = require('./company-utils');
+const { normalizeIsraeliId } = require('./input-validator');
+
+// Aliases kept per contractor (they live on the contractor item)
+const MAX_CONTRACTOR_ALIASES = 50;
+
+// Legal-form words that don't tell two suppliers apart (after punctuation is removed)
+const IGNORED_NAME_WORDS = ['בעמ', 'ltd', 'inc', 'עמ'];
 
 /**
  * Calculate Levenshtein distance between two strings
@@ -40,6 +50,87 @@ function levenshteinDistance(str1, str2) {
   return matrix[len1][len2];
 }
 
+/**
+ * Normalize a contractor or vendor name for comparison
+ * Drops punctuation and legal-form words and sorts the words, so word order
+ * ("חשמל כהן" / "כהן חשמל") does not count as a difference.
+ * @param {string} name - Contractor or vendor name
+ * @returns {string} Normalized name
+ */
+function normalizeContractorName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/["'״׳.,()]/g, '')
+    .replace(/[-_/]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !IGNORED_NAME_WORDS.includes(word))
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Whether a name is the contractor's name or one of its aliases
+ * @param {Object} contractor - Contractor object
+ * @param {string} name - Name to check
+ * @returns {boolean} True if the normalized name matches
+ */
+function hasContractorName(contractor, name) {
+  const normalized = normalizeContractorName(name);
+  return Boolean(normalized) && [contractor.name, ...(contractor.aliases || [])]
+    .some(known => normalizeContractorName(known) === normalized);
+}
+
+/**
+ * Add an alias to a contractor's alias list
+ * The newest alias comes first; the oldest are dropped beyond MAX_CONTRACTOR_ALIASES.
+ * @param {Array<string>} aliases - Current aliases
+ * @param {string} alias - Alias to add
+ * @returns {Array<string>} New alias list
+ */
+function addContractorAlias(aliases = [], alias) {
+  const normalized = normalizeContractorName(alias);
+  return [String(alias).trim(), ...aliases.filter(existing => normalizeContractorName(existing) !== normalized)]
+    .slice(0, MAX_CONTRACTOR_ALIASES);
+}
+
+/**
+ * Remove an alias from a contractor's alias list
+ * @param {Array<string>} aliases - Current aliases
+ * @param {string} alias - Alias to remove
+ * @returns {Array<string>} New alias list
+ */
+function removeContractorAlias(aliases = [], alias) {
+  const normalized = normalizeContractorName(alias);
+  return aliases.filter(existing => normalizeContractorName(existing) !== normalized);
+}
+
+/**
+ * Find the contractor a vendor name was learned for
+ * @param {string} vendorName - Vendor name from OCR
+ * @param {Array<Object>} contractors - Array of contractor objects
+ * @returns {Object|null} - Match { contractorId, name, confidence: 100, matchedBy: 'alias' } or null
+ */
+function findContractorByAlias(vendorName, contractors) {
+  const normalized = normalizeContractorName(vendorName);
+  if (!normalized || !contractors || contractors.length === 0) {
+    return null;
+  }
+
+  const contractor = contractors.find(entry => (entry.aliases || [])
+    .some(alias => normalizeContractorName(alias) === normalized));
+  if (!contractor) {
+    return null;
+  }
+
+  debugLog('Contractor matched by alias', { vendorName, matchedContractor: contractor.name });
+  return {
+    contractorId: contractor.contractorId,
+    name: contractor.name,
+    confidence: 100,
+    matchedBy: 'alias'
+  };
+}
+
 /**
  * Calculate similarity score between vendor name and contractor name
  * @param {string} vendor - Vendor name from OCR
@@ -147,6 +238,35 @@ function findBestContractorMatch(vendorName, contractors, minConfidence = 70) {
   return null;
 }
 
+/**
+ * Find the contractor with a given tax ID (ח.פ / עוסק מורשה / ת.ז)
+ * Both sides are normalized, so "514-713-288" matches "514713288" and
+ * leading zeros don't matter. A tax ID match is exact, unlike name matching.
+ * @param {string} taxId - Tax ID from OCR
+ * @param {Array<Object>} contractors - Array of contractor objects
+ * @returns {Object|null} - Match { contractorId, name, confidence: 100, matchedBy: 'taxId' } or null
+ */
+function findContractorByTaxId(taxId, contractors) {
+  const normalized = normalizeIsraeliId(taxId);
+  if (!normalized || !contractors || contractors.length === 0) {
+    return null;
+  }
+
+  const contractor = contractors.find(entry => entry.taxId && normalizeIsraeliId(entry.taxId) === normalized);
+  if (!contractor) {
+    debugLog('No contractor with tax ID found', { contractorsCount: contractors.length });
+    return null;
+  }
+
+  debugLog('Contractor matched by tax ID', { matchedContractor: contractor.name });
+  return {
+    contractorId: contractor.contractorId,
+    name: contractor.name,
+    confidence: 100,
+    matchedBy: 'taxId'
+  };
+}
+
 /**
  * Get all alternative matches above a threshold
  * Useful for showing user multiple options
@@ -187,8 +307,15 @@ function findAlternativeMatches(vendorName, contractors, minConfidence = 60, max
 }
 
 module.exports = {
+  MAX_CONTRACTOR_ALIASES,
   levenshteinDistance,
+  normalizeContractorName,
+  hasContractorName,
+  addContractorAlias,
+  removeContractorAlias,
+  findContractorByAlias,
   calculateSimilarity,
   findBestContractorMatch,
+  findContractorByTaxId,
   findAlternativeMatches
 };
@@ -0,0 +1,240 @@
+// lambda/shared/contractor-merge.js
+// Duplicate contractor detection and merging
+//
+// OCR, imports and different team members create the same supplier more than once
+// ("חשמל כהן" / "כהן חשמל בע"מ"). A merge keeps one surviving contractor, moves the
+// expenses, works and recurring templates of the duplicates onto it and keeps the
+// duplicates' names as `aliases` on the survivor. The duplicates are then deleted.
+
+const {
+  MAX_CONTRACTOR_ALIASES,
+  calculateSimilarity,
+  normalizeContractorName
+} = require('./contractor-matcher');
+const { validateField, VALIDATION_RULES, normalizeIsraeliId } = require('./input-validator');
+const {
+  MAX_CONTRACTOR_DOCUMENTS,
+  getContractorCompliance,
+  getWithholdingCertificateExpiry
+} = require('./contractor-documents');
+
+// Pairs at or above this name similarity are suggested as duplicates
+const DUPLICATE_MIN_SIMILARITY = 80;
+
+// Duplicates merged into a survivor in one request
+const MAX_MERGE_DUPLICATES = 10;
+
+// Empty fields of the survivor are filled from the duplicates
+const MERGE_FILL_FIELDS = [
+  'contactPerson', 'phone', 'email', 'address', 'specialty', 'licenseNumber', 'taxId',
+  'paymentTerms', 'withholdingRate', 'withholdingCertificateExpiry'
+];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Name and aliases of a contractor, normalized
+function getNormalizedNames(contractor) {
+  return [contractor.name, ...(contractor.aliases || [])]
+    .map(normalizeContractorName)
+    .filter(Boolean);
+}
+
+/**
+ * Similarity of two contractors (0-100) and what it is based on
+ * Contractors with the same tax ID are duplicates; contractors with different
+ * valid tax IDs are different businesses, however similar their names.
+ * @param {Object} a - Contractor
+ * @param {Object} b - Contractor
+ * @returns {Object} { similarity, reason: 'taxId' | 'name' | 'differentTaxId' }
+ */
+function compareContractors(a, b) {
+  const taxIdA = normalizeIsraeliId(a.taxId);
+  const taxIdB = normalizeIsraeliId(b.taxId);
+  if (taxIdA && taxIdB) {
+    return taxIdA === taxIdB
+      ? { similarity: 100, reason: 'taxId' }
+      : { similarity: 0, reason: 'differentTaxId' };
+  }
+
+  let similarity = 0;
+  getNormalizedNames(a).forEach(nameA => {
+    getNormalizedNames(b).forEach(nameB => {
+      similarity = Math.max(similarity, calculateSimilarity(nameA, nameB));
+    });
+  });
+  return { similarity, reason: 'name' };
+}
+
+/**
+ * Suggest likely duplicate pairs among a company's contractors
+ * @param {Array<Object>} contractors - Company contractors
+ * @param {number} minSimilarity - Minimum similarity to suggest a pair
+ * @returns {Array<Object>} [{ contractors: [{ contractorId, name, taxId }, ...], similarity, reason }], most similar first
+ */
+function findDuplicateContractors(contractors = [], minSimilarity = DUPLICATE_MIN_SIMILARITY) {
+  const candidates = contractors.filter(contractor => !contractor.isSystemContractor && contractor.name);
+  const suggestions = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const { similarity, reason } = compareContractors(candidates[i], candidates[j]);
+      if (similarity >= minSimilarity) {
+        suggestions.push({
+          contractors: [candidates[i], candidates[j]].map(contractor => ({
+            contractorId: contractor.contractorId,
+            name: contractor.name,
+            taxId: contractor.taxId || ''
+          })),
+          similarity,
+          reason
+        });
+      }
+    }
+  }
+
+  return suggestions.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Validate a merge request
+ * @param {Object} data - Request body { survivorId, duplicateIds }
+ * @param {string} systemContractorId - The company's default contractor, which cannot be merged away
+ * @returns {Object} { valid: boolean, errors: string[], survivorId, duplicateIds }
+ */
+function validateMergeRequest(data = {}, systemContractorId) {
+  const errors = [];
+
+  const survivorCheck = validateField(data.survivorId, 'survivorId', { ...VALIDATION_RULES.id, required: true });
+  if (!survivorCheck.valid) {
+    errors.push(survivorCheck.error);
+  }
+
+  const duplicateIds = Array.isArray(data.duplicateIds) ? [...new Set(data.duplicateIds)] : [];
+  if (duplicateIds.length === 0) {
+    errors.push('duplicateIds must be a non-empty array');
+  } else if (duplicateIds.length > MAX_MERGE_DUPLICATES) {
+    errors.push(`At most ${MAX_MERGE_DUPLICATES} contractors can be merged at once`);
+  } else if (duplicateIds.some(id => !validateField(id, 'duplicateIds', { ...VALIDATION_RULES.id, required: true }).valid)) {
+    errors.push('duplicateIds contains an invalid ID');
+  } else if (duplicateIds.includes(data.survivorId)) {
+    errors.push('The surviving contractor cannot also be a duplicate');
+  } else if (duplicateIds.includes(systemContractorId)) {
+    errors.push('The default contractor cannot be merged into another contractor');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    survivorId: data.survivorId,
+    duplicateIds
+  };
+}
+
+/**
+ * Fields to set on the surviving contractor
+ * The duplicates' names and aliases become aliases, empty fields are filled from
+ * the duplicates (in the given order) and their documents are moved over.
+ * @param {Object} survivor - Surviving contractor
+ * @param {Array<Object>} duplicates - Contractors merged into it
+ * @param {string} today - YYYY-MM-DD, for the compliance status of the merged documents
+ * @returns {Object} Fields to update
+ */
+function buildMergedContractor(survivor, duplicates, today) {
+  const updates = {};
+
+  const survivorName = normalizeContractorName(survivor.name);
+  const seen = new Set([survivorName]);
+  const aliases = [];
+  [...(survivor.aliases || []), ...duplicates.flatMap(duplicate => [duplicate.name, ...(duplicate.aliases || [])])]
+    .forEach(alias => {
+      const key = normalizeContractorName(alias);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        aliases.push(String(alias).trim());
+      }
+    });
+  updates.aliases = aliases.slice(0, MAX_CONTRACTOR_ALIASES);
+
+  MERGE_FILL_FIELDS.forEach(field => {
+    if (!isEmpty(survivor[field])) {
+      return;
+    }
+    const source = duplicates.find(duplicate => !isEmpty(duplicate[field]));
+    if (source) {
+      updates[field] = source[field];
+    }
+  });
+
+  const documents = [...(survivor.documents || []), ...duplicates.flatMap(duplicate => duplicate.documents || [])];
+  if (documents.length > (survivor.documents || []).length) {
+    updates.documents = documents.slice(0, MAX_CONTRACTOR_DOCUMENTS);
+    updates.complianceStatus = getContractorCompliance({ documents: updates.documents }, today).status;
+
+    const certificateExpiry = getWithholdingCertificateExpiry(updates.documents);
+    const currentExpiry = updates.withholdingCertificateExpiry || survivor.withholdingCertificateExpiry || '';
+    if (certificateExpiry && certificateExpiry > currentExpiry) {
+      updates.withholdingCertificateExpiry = certificateExpiry;
+    }
+  }
+
+  updates.mergedContractorIds = [
+    ...(survivor.mergedContractorIds || []),
+    ...duplicates.flatMap(duplicate => [duplicate.contractorId, ...(duplicate.mergedContractorIds || [])])
+  ];
+
+  return updates;
+}
+
+/**
+ * Invoice numbers that would appear twice on the survivor after a merge
+ * Invoice numbers are unique per contractor, so these are most likely the same
+ * invoice entered under both contractors and are worth a review.
+ * @param {Array<Object>} expenses - Expenses of the survivor and the duplicates
+ * @param {string} survivorId - Surviving contractor
+ * @returns {Array<Object>} [{ invoiceNum, expenseIds }]
+ */
+function findInvoiceConflicts(expenses, survivorId) {
+  const byInvoice = {};
+  expenses.forEach(expense => {
+    if (!expense.invoiceNum) {
+      return;
+    }
+    (byInvoice[expense.invoiceNum] = byInvoice[expense.invoiceNum] || []).push(expense);
+  });
+
+  return Object.entries(byInvoice)
+    .filter(([, entries]) => entries.length > 1 && entries.some(expense => expense.contractorId !== survivorId))
+    .map(([invoiceNum, entries]) => ({ invoiceNum, expenseIds: entries.map(expense => expense.expenseId) }));
+}
+
+/**
+ * Point recurring expense templates of the duplicates to the survivor
+ * @param {Array<Object>} templates - Company recurring templates
+ * @param {Array<string>} duplicateIds - Merged contractor IDs
+ * @param {string} survivorId - Surviving contractor
+ * @returns {Object} { templates, moved: number }
+ */
+function repointTemplates(templates, duplicateIds, survivorId) {
+  let moved = 0;
+  const updated = templates.map(template => {
+    if (!duplicateIds.includes(template.contractorId)) {
+      return template;
+    }
+    moved++;
+    return { ...template, contractorId: survivorId };
+  });
+  return { templates: updated, moved };
+}
+
+module.exports = {
+  DUPLICATE_MIN_SIMILARITY,
+  MAX_MERGE_DUPLICATES,
+  compareContractors,
+  findDuplicateContractors,
+  validateMergeRequest,
+  buildMergedContractor,
+  findInvoiceConflicts,
+  repointTemplates
+};
@@ -0,0 +1,191 @@
+// lambda/shared/contractor-statement.js
+// Contractor account statement (כרטסת קבלן) - invoices, payments and a running balance
+//
+// Expenses are the contractor's invoices (what we owe) and their payment ledgers are what
+// was paid, so the balance is what we still owe the contractor. Works are the committed
+// contract amounts - they are listed next to the ledger but are not owed until invoiced.
+// A payment's gross amount settles the invoice, including tax withheld at source (ניכוי במקור).
+
+const { EXPENSE_STATUS } = require('./company-utils');
+const { isSettlingPayment } = require('./expense-payments');
+const { roundCurrency } = require('./vat-utils');
+const { getOriginalWorkCost } = require('./change-orders');
+const { summarizeProgressBilling } = require('./progress-billing');
+
+const STATEMENT_ENTRY_TYPES = {
+  INVOICE: 'invoice',
+  PAYMENT: 'payment'
+};
+
+// Rejected expenses are not owed; cancelled works are not committed
+const EXCLUDED_EXPENSE_STATUSES = [EXPENSE_STATUS.REJECTED];
+const EXCLUDED_WORK_STATUSES = ['cancelled'];
+
+/**
+ * Ledger entries of one expense: the invoice and the payments that settle it
+ * A paid expense without a payment ledger counts as paid in full on its date.
+ * @param {Object} expense - Expense record
+ * @param {Object} lookups - { projects: { projectId: name }, works: { workId: name } }
+ * @returns {Array<Object>} Entries with date, type, description, debit and credit
+ */
+function getExpenseEntries(expense, lookups = {}) {
+  const common = {
+    expenseId: expense.expenseId,
+    invoiceNum: expense.invoiceNum || '',
+    projectName: (lookups.projects || {})[expense.projectId] || '',
+    workName: (lookups.works || {})[expense.workId] || ''
+  };
+
+  const entries = [{
+    ...common,
+    date: expense.date,
+    type: STATEMENT_ENTRY_TYPES.INVOICE,
+    description: expense.description || '',
+    debit: roundCurrency(expense.amount),
+    credit: 0
+  }];
+
+  const payments = (expense.payments || []).filter(isSettlingPayment);
+  if (payments.length > 0) {
+    payments.forEach(payment => entries.push({
+      ...common,
+      date: payment.date,
+      type: STATEMENT_ENTRY_TYPES.PAYMENT,
+      paymentId: payment.paymentId,
+      paymentMethod: payment.paymentMethod || '',
+      reference: payment.chequeNumber || payment.reference || '',
+      withholdingAmount: payment.withholdingAmount || 0,
+      description: payment.notes || '',
+      debit: 0,
+      credit: roundCurrency(payment.amount)
+    }));
+  } else if (expense.status === EXPENSE_STATUS.PAID) {
+    entries.push({
+      ...common,
+      date: expense.date,
+      type: STATEMENT_ENTRY_TYPES.PAYMENT,
+      paymentMethod: expense.paymentMethod || '',
+      reference: '',
+      withholdingAmount: 0,
+      description: '',
+      debit: 0,
+      credit: roundCurrency(expense.amount)
+    });
+  }
+
+  return entries;
+}
+
+// Invoices before payments on the same date, so the balance never dips below zero mid-day
+function compareEntries(a, b) {
+  if (a.date !== b.date) {
+    return (a.date || '').localeCompare(b.date || '');
+  }
+  return a.type === b.type ? 0 : (a.type === STATEMENT_ENTRY_TYPES.INVOICE ? -1 : 1);
+}
+
+/**
+ * Committed amounts of the contractor's works
+ * @param {Array<Object>} works - The contractor's works
+ * @param {Array<Object>} expenses - The contractor's expenses (for the amount invoiced per work)
+ * @param {Object} projects - { projectId: name }
+ * @returns {Array<Object>} Works with original and revised value, invoiced and retention held
+ */
+function summarizeContractorWorks(works, expenses, projects = {}) {
+  return works
+    .filter(work => !EXCLUDED_WORK_STATUSES.includes(work.status))
+    .map(work => {
+      const invoiced = roundCurrency(expenses
+        .filter(expense => expense.workId === work.workId)
+        .reduce((sum, expense) => sum + (Number(expense.amount) || 0), 0));
+      const revisedCost = Number(work.totalWorkCost) || 0;
+      return {
+        workId: work.workId,
+        workName: work.workName || '',
+        projectName: projects[work.projectId] || '',
+        status: work.status,
+        originalCost: getOriginalWorkCost(work),
+        revisedCost,
+        invoiced,
+        remainingToInvoice: roundCurrency(Math.max(0, revisedCost - invoiced)),
+        retentionHeld: summarizeProgressBilling(work).retentionHeld
+      };
+    });
+}
+
+/**
+ * Account statement of a contractor over a date range
+ *
+ * - openingBalance: what was owed before `from`
+ * - entries: invoices and payments in the range, each with the running balance after it
+ * - closingBalance: what is owed at `to` - the answer to "how much do you still owe me"
+ * @param {Object} contractor - Contractor record
+ * @param {Object} data - { works, expenses, projects: { projectId: name } } of the contractor
+ * @param {Object} range - { from?: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ * @returns {Object} { contractor, from, to, openingBalance, entries, totals, closingBalance, works, commitments }
+ */
+function buildContractorStatement(contractor, { works = [], expenses = [], projects = {} }, { from, to }) {
+  const contractorExpenses = expenses.filter(expense =>
+    expense.contractorId === contractor.contractorId && !EXCLUDED_EXPENSE_STATUSES.includes(expense.status));
+  const contractorWorks = works.filter(work => work.contractorId === contractor.contractorId);
+  const workNames = {};
+  contractorWorks.forEach(work => { workNames[work.workId] = work.workName || ''; });
+
+  const allEntries = contractorExpenses
+    .flatMap(expense => getExpenseEntries(expense, { projects, works: workNames }))
+    .filter(entry => !to || entry.date <= to)
+    .sort(compareEntries);
+
+  let openingBalance = 0;
+  const entries = [];
+  let balance = 0;
+  const totals = { invoiced: 0, paid: 0, withheld: 0 };
+
+  allEntries.forEach(entry => {
+    if (from && entry.date < from) {
+      openingBalance = roundCurrency(openingBalance + entry.debit - entry.credit);
+      balance = openingBalance;
+      return;
+    }
+    balance = roundCurrency(balance + entry.debit - entry.credit);
+    totals.invoiced += entry.debit;
+    totals.paid += entry.credit;
+    totals.withheld += entry.withholdingAmount || 0;
+    entries.push({ ...entry, balance });
+  });
+
+  Object.keys(totals).forEach(key => { totals[key] = roundCurrency(totals[key]); });
+
+  const workSummaries = summarizeContractorWorks(contractorWorks, contractorExpenses, projects);
+  const sumWorks = (field) => roundCurrency(workSummaries.reduce((sum, work) => sum + work[field], 0));
+
+  return {
+    contractor: {
+      contractorId: contractor.contractorId,
+      name: contractor.name || '',
+      taxId: contractor.taxId || '',
+      phone: contractor.phone || ''
+    },
+    from: from || null,
+    to,
+    openingBalance,
+    entries,
+    totals,
+    closingBalance: balance,
+    works: workSummaries,
+    commitments: {
+      originalCost: sumWorks('originalCost'),
+      revisedCost: sumWorks('revisedCost'),
+      invoiced: sumWorks('invoiced'),
+      remainingToInvoice: sumWorks('remainingToInvoice'),
+      retentionHeld: sumWorks('retentionHeld')
+    }
+  };
+}
+
+module.exports = {
+  STATEMENT_ENTRY_TYPES,
+  getExpenseEntries,
+  summarizeContractorWorks,
+  buildContractorStatement
+};
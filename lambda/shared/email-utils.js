@@ -608,9 +608,224 @@ Important: This link is valid for 24 hours only.
   }
 }
 
+// Escape user-provided text (project, work and company names) for HTML email bodies
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send a budget alert email (project budget threshold crossed / work over its cost)
+ * @param {Object} emailData - Email data object
+ * @param {Array<string>} emailData.to - Recipient email addresses (company admins and managers)
+ * @param {string} emailData.companyName - Company name
+ * @param {Array<Object>} emailData.alerts - Alerts raised (see budget-alerts.js)
+ * @returns {Promise} SES send email result
+ */
+async function sendBudgetAlertEmail({ to, companyName, alerts }) {
+  if (!Array.isArray(to) || to.length === 0) {
+    throw new Error('Recipient email is required');
+  }
+  if (!Array.isArray(alerts) || alerts.length === 0) {
+    throw new Error('At least one alert is required');
+  }
+
+  const fromEmail = process.env.FROM_EMAIL || 'noreply@builder-expenses.com';
+  const appLink = process.env.APP_URL || 'https://builder-expenses.com';
+  const formatAmount = (amount) => `₪${Number(amount || 0).toLocaleString('he-IL', { maximumFractionDigits: 2 })}`;
+
+  const describe = (alert) => alert.type === 'work_cost'
+    ? `העבודה "${alert.workName}" בפרויקט "${alert.projectName}" חרגה מעלותה: ${formatAmount(alert.spent)} מתוך ${formatAmount(alert.budget)} (${alert.percent}%)`
+    : `הפרויקט "${alert.projectName}" הגיע ל-${alert.threshold}% מהתקציב: ${formatAmount(alert.spent)} מתוך ${formatAmount(alert.budget)} (${alert.percent}%)`;
+
+  const htmlBody = `
+    <!DOCTYPE html>
+    <html dir="rtl" lang="he">
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        body { font-family: Arial, sans-serif; direction: rtl; text-align: right; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #f5f5f5; padding: 20px; }
+        .content { background-color: white; padding: 30px; border-radius: 8px; }
+        .alert { background-color: #fff3cd; border-right: 4px solid #ffc107; padding: 12px; margin: 10px 0; border-radius: 4px; color: #856404; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="content">
+          <h2>⚠️ התראת תקציב</h2>
+          <p>שלום,</p>
+          <p>ההוצאות בחברה <strong>${escapeHtml(companyName)}</strong> חצו את ספי התקציב הבאים:</p>
+          ${alerts.map(alert => `<div class="alert">${escapeHtml(describe(alert))}</div>`).join('')}
+          <p>
+            <a href="${appLink}" style="display: inline-block; background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+              צפה בפרויקטים
+            </a>
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textBody = `
+התראת תקציב - ${companyName}
+
+${alerts.map(describe).join('\n')}
+
+${appLink}
+  `;
+
+  const params = {
+    Source: fromEmail,
+    Destination: {
+      ToAddresses: to
+    },
+    Message: {
+      Subject: {
+        Data: `התראת תקציב - ${companyName}`,
+        Charset: 'UTF-8'
+      },
+      Body: {
+        Html: {
+          Data: htmlBody,
+          Charset: 'UTF-8'
+        },
+        Text: {
+          Data: textBody,
+          Charset: 'UTF-8'
+        }
+      }
+    }
+  };
+
+  try {
+    const command = new SendEmailCommand(params);
+    const result = await ses.send(command);
+    console.log('[EMAIL] Budget alert email sent to', to.length, 'recipients');
+    return result;
+  } catch (error) {
+    console.error('[EMAIL ERROR] Failed to send budget alert email:', error);
+    throw error;
+  }
+}
+
+// Hebrew names of contractor document types (see contractor-documents.js)
+const CONTRACTOR_DOCUMENT_LABELS = {
+  insurance: 'פוליסת ביטוח',
+  registry_license: 'רישיון רשם הקבלנים',
+  bookkeeping_certificate: 'אישור ניהול ספרים',
+  withholding_certificate: 'אישור ניכוי במקור'
+};
+
+/**
+ * Send a contractor documents expiry email (documents expiring soon or expired)
+ * @param {Object} emailData - Email data object
+ * @param {Array<string>} emailData.to - Recipient email addresses (company admins and managers)
+ * @param {string} emailData.companyName - Company name
+ * @param {Array<Object>} emailData.notices - [{ contractorName, type, expiryDate, status }]
+ * @returns {Promise} SES send email result
+ */
+async function sendContractorDocumentsEmail({ to, companyName, notices }) {
+  if (!Array.isArray(to) || to.length === 0) {
+    throw new Error('Recipient email is required');
+  }
+  if (!Array.isArray(notices) || notices.length === 0) {
+    throw new Error('At least one notice is required');
+  }
+
+  const fromEmail = process.env.FROM_EMAIL || 'noreply@builder-expenses.com';
+  const appLink = process.env.APP_URL || 'https://builder-expenses.com';
+
+  const describe = (notice) => {
+    const documentName = CONTRACTOR_DOCUMENT_LABELS[notice.type] || notice.type;
+    return notice.status === 'expired'
+      ? `${documentName} של הקבלן "${notice.contractorName}" פג תוקף ב-${notice.expiryDate}`
+      : `${documentName} של הקבלן "${notice.contractorName}" יפוג ב-${notice.expiryDate}`;
+  };
+
+  const htmlBody = `
+    <!DOCTYPE html>
+    <html dir="rtl" lang="he">
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        body { font-family: Arial, sans-serif; direction: rtl; text-align: right; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #f5f5f5; padding: 20px; }
+        .content { background-color: white; padding: 30px; border-radius: 8px; }
+        .alert { background-color: #fff3cd; border-right: 4px solid #ffc107; padding: 12px; margin: 10px 0; border-radius: 4px; color: #856404; }
+        .alert.expired { background-color: #f8d7da; border-right-color: #dc3545; color: #721c24; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="content">
+          <h2>📄 מסמכי קבלנים</h2>
+          <p>שלום,</p>
+          <p>המסמכים הבאים של קבלני החברה <strong>${escapeHtml(companyName)}</strong> דורשים חידוש:</p>
+          ${notices.map(notice => `<div class="alert${notice.status === 'expired' ? ' expired' : ''}">${escapeHtml(describe(notice))}</div>`).join('')}
+          <p>
+            <a href="${appLink}" style="display: inline-block; background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
+              צפה בקבלנים
+            </a>
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textBody = `
+מסמכי קבלנים - ${companyName}
+
+${notices.map(describe).join('\n')}
+
+${appLink}
+  `;
+
+  const params = {
+    Source: fromEmail,
+    Destination: {
+      ToAddresses: to
+    },
+    Message: {
+      Subject: {
+        Data: `מסמכי קבלנים לחידוש - ${companyName}`,
+        Charset: 'UTF-8'
+      },
+      Body: {
+        Html: {
+          Data: htmlBody,
+          Charset: 'UTF-8'
+        },
+        Text: {
+          Data: textBody,
+          Charset: 'UTF-8'
+        }
+      }
+    }
+  };
+
+  try {
+    const command = new SendEmailCommand(params);
+    const result = await ses.send(command);
+    console.log('[EMAIL] Contractor documents email sent to', to.length, 'recipients');
+    return result;
+  } catch (error) {
+    console.error('[EMAIL ERROR] Failed to send contractor documents email:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendInvitationEmail,
-  sendPaymentEmail
+  sendPaymentEmail,
+  sendBudgetAlertEmail,
+  sendContractorDocumentsEmail
 };
@@ -0,0 +1,198 @@
+// lambda/shared/expense-allocations.js
+// Allocation of a single expense across several projects and works
+//
+// A supplier invoice often covers material for more than one site. Allocation
+// lines split the expense total by percentage or by fixed amount. The resolved
+// amount of every line is stored with the expense, and project/work totals use
+// those portions instead of the full expense amount.
+
+const { roundCurrency } = require('./vat-utils');
+const { validateField, VALIDATION_RULES } = require('./input-validator');
+
+const ALLOCATION_TYPES = {
+  PERCENTAGE: 'percentage',
+  AMOUNT: 'amount'
+};
+
+// Upper bound on allocation lines per expense (keeps the item well under the DynamoDB size limit)
+const MAX_ALLOCATIONS = 20;
+
+// Lines may differ from the total by at most this much before rounding is absorbed
+const ALLOCATION_TOLERANCE = 0.01;
+
+/**
+ * Validate allocation lines against the expense total and resolve their amounts
+ * Percentage lines are calculated from the total; any rounding difference is
+ * absorbed by the last percentage line so the lines always sum to the total exactly.
+ * @param {Array<Object>} allocations - [{ projectId, workId?, budgetLineId?, type, value }]
+ * @param {number} totalAmount - Expense amount including VAT
+ * @returns {Object} { valid: boolean, errors: string[], allocations: Array<Object> }
+ */
+function validateAllocations(allocations, totalAmount) {
+  const errors = [];
+
+  if (!Array.isArray(allocations)) {
+    return { valid: false, errors: ['allocations must be an array'], allocations: [] };
+  }
+  if (allocations.length > MAX_ALLOCATIONS) {
+    return { valid: false, errors: [`An expense can have at most ${MAX_ALLOCATIONS} allocation lines`], allocations: [] };
+  }
+
+  const lines = [];
+  allocations.forEach((line, index) => {
+    const label = `allocations[${index}]`;
+    if (!line || typeof line !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const projectValidation = validateField(line.projectId, `${label}.projectId`, { ...VALIDATION_RULES.id, required: true });
+    if (!projectValidation.valid) {
+      errors.push(projectValidation.error);
+    }
+    if (line.workId) {
+      const workValidation = validateField(line.workId, `${label}.workId`, VALIDATION_RULES.id);
+      if (!workValidation.valid) {
+        errors.push(workValidation.error);
+      }
+    }
+    if (line.budgetLineId) {
+      const budgetLineValidation = validateField(line.budgetLineId, `${label}.budgetLineId`, VALIDATION_RULES.id);
+      if (!budgetLineValidation.valid) {
+        errors.push(budgetLineValidation.error);
+      }
+    }
+
+    const type = line.type || ALLOCATION_TYPES.PERCENTAGE;
+    if (!Object.values(ALLOCATION_TYPES).includes(type)) {
+      errors.push(`${label}.type must be one of: ${Object.values(ALLOCATION_TYPES).join(', ')}`);
+      return;
+    }
+
+    const value = Number(line.value);
+    if (line.value === '' || line.value === null || isNaN(value) || value <= 0) {
+      errors.push(`${label}.value must be a positive number`);
+      return;
+    }
+    if (type === ALLOCATION_TYPES.PERCENTAGE && value > 100) {
+      errors.push(`${label}.value must not exceed 100%`);
+      return;
+    }
+
+    lines.push({
+      projectId: line.projectId,
+      workId: line.workId || '',
+      ...(line.budgetLineId ? { budgetLineId: line.budgetLineId } : {}),
+      type,
+      value,
+      // Unrounded share, resolved below once all lines are known
+      exactAmount: type === ALLOCATION_TYPES.PERCENTAGE ? totalAmount * value / 100 : value
+    });
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, allocations: [] };
+  }
+
+  const exactTotal = lines.reduce((sum, line) => sum + line.exactAmount, 0);
+  if (Math.abs(exactTotal - totalAmount) > ALLOCATION_TOLERANCE) {
+    return {
+      valid: false,
+      errors: [`Allocation lines sum to ₪${roundCurrency(exactTotal)} but the expense total is ₪${roundCurrency(totalAmount)}`],
+      allocations: []
+    };
+  }
+
+  const resolved = lines.map(({ exactAmount, ...line }) => ({ ...line, amount: roundCurrency(exactAmount) }));
+
+  // Put the rounding remainder on the last percentage line (or the last line if all are fixed)
+  const remainder = roundCurrency(totalAmount - resolved.reduce((sum, line) => sum + line.amount, 0));
+  if (remainder !== 0 && resolved.length > 0) {
+    const percentageLines = resolved.filter(line => line.type === ALLOCATION_TYPES.PERCENTAGE);
+    const target = percentageLines.length > 0 ? percentageLines[percentageLines.length - 1] : resolved[resolved.length - 1];
+    target.amount = roundCurrency(target.amount + remainder);
+  }
+
+  return { valid: true, errors: [], allocations: resolved };
+}
+
+/**
+ * Get the allocation lines of an expense
+ * Expenses without allocations are allocated in full to their projectId/workId
+ * @param {Object} expense - Expense record
+ * @returns {Array<Object>} [{ projectId, workId, budgetLineId?, type, value, amount }]
+ */
+function getExpenseAllocations(expense) {
+  if (Array.isArray(expense.allocations) && expense.allocations.length > 0) {
+    return expense.allocations;
+  }
+  return [{
+    projectId: expense.projectId,
+    workId: expense.workId || '',
+    ...(expense.budgetLineId ? { budgetLineId: expense.budgetLineId } : {}),
+    type: ALLOCATION_TYPES.PERCENTAGE,
+    value: 100,
+    amount: Number(expense.amount) || 0
+  }];
+}
+
+/**
+ * Fields stored on the expense for a set of resolved allocation lines
+ * The first line becomes the expense's primary project/work/budget line, and the
+ * ID lists let listings filter allocated expenses by project or work.
+ * @param {Array<Object>} allocations - Result of validateAllocations
+ * @returns {Object} { projectId, workId, budgetLineId, allocations, allocationProjectIds, allocationWorkIds }
+ */
+function getAllocationFields(allocations) {
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  return {
+    projectId: allocations[0].projectId,
+    workId: allocations[0].workId || '',
+    budgetLineId: allocations[0].budgetLineId || '',
+    allocations,
+    allocationProjectIds: unique(allocations.map(line => line.projectId)),
+    allocationWorkIds: unique(allocations.map(line => line.workId))
+  };
+}
+
+/**
+ * Split an expense into its allocated portions
+ * Each portion carries the line's project/work/budget line and the matching share of the
+ * amount, amount before VAT and VAT, so portions can be summed like expenses.
+ * @param {Object} expense - Expense record
+ * @returns {Array<Object>} Expense copies, one per allocation line
+ */
+function splitExpenseByAllocations(expense) {
+  if (!Array.isArray(expense.allocations) || expense.allocations.length === 0) {
+    return [expense];
+  }
+
+  const total = Number(expense.amount) || 0;
+  return expense.allocations.map(line => {
+    const share = total > 0 ? line.amount / total : 0;
+    const portion = {
+      ...expense,
+      projectId: line.projectId,
+      workId: line.workId || '',
+      budgetLineId: line.budgetLineId || '',
+      amount: line.amount,
+      allocationShare: share
+    };
+    if (expense.baseAmount !== undefined) {
+      portion.baseAmount = roundCurrency(Number(expense.baseAmount) * share);
+    }
+    if (expense.vatAmount !== undefined) {
+      portion.vatAmount = roundCurrency(Number(expense.vatAmount) * share);
+    }
+    return portion;
+  });
+}
+
+module.exports = {
+  ALLOCATION_TYPES,
+  MAX_ALLOCATIONS,
+  validateAllocations,
+  getExpenseAllocations,
+  getAllocationFields,
+  splitExpenseByAllocations
+};
@@ -0,0 +1,412 @@
+// lambda/shared/expense-create.js
+// Expense creation shared by the expenses API and the recurring expense generator
+//
+// createCompanyExpense() runs the full validation path of POST /expenses (tier limit,
+// input checks, foreign keys, duplicate invoices, VAT and withholding) and stores the
+// expense. Callers own the audit log entry and the HTTP response.
+
+const {
+  createErrorResponse,
+  generateExpenseId,
+  getCurrentTimestamp,
+  debugLog,
+  dynamoOperation,
+  COMPANY_TABLE_NAMES,
+  SYSTEM_PROJECTS,
+  SYSTEM_CONTRACTORS,
+  EXPENSE_STATUS
+} = require('./company-utils');
+const { createLogger } = require('./logger');
+const logger = createLogger('expense-create');
+const { checkExpenseLimit, decrementExpenseCounter } = require('./limit-checker');
+const { checkDangerousPatterns } = require('./input-validator');
+const { VALID_PAYMENT_METHODS } = require('./expense-payments');
+const {
+  VAT_TREATMENTS,
+  getCompanyVatRates,
+  getVatRateForDate,
+  calculateVATBreakdown
+} = require('./vat-utils');
+const { getExpenseWithholding } = require('./withholding-tax');
+const { getContractorCompliance } = require('./contractor-documents');
+const { validateAllocations, getAllocationFields } = require('./expense-allocations');
+const { validateLineItems } = require('./expense-line-items');
+const { validateBudgetLineExists } = require('./project-budget');
+const { buildExpenseSearchText } = require('./expense-query');
+
+/**
+ * Load the company's VAT rate schedule (statutory Israeli rates if none configured)
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array<Object>>} [{ rate, effectiveFrom }] sorted by effectiveFrom
+ */
+async function loadCompanyVatRates(companyId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.COMPANIES,
+    Key: { companyId },
+    ProjectionExpression: 'vatRates'
+  });
+  return getCompanyVatRates(result.Item);
+}
+
+/**
+ * Validate an optional vatTreatment value from the request
+ * @param {string} vatTreatment - Requested VAT treatment
+ * @returns {string|null} Error message or null if valid
+ */
+function validateVatTreatment(vatTreatment) {
+  if (vatTreatment === undefined || Object.values(VAT_TREATMENTS).includes(vatTreatment)) {
+    return null;
+  }
+  return `Invalid vatTreatment. Must be one of: ${Object.values(VAT_TREATMENTS).join(', ')}`;
+}
+
+/**
+ * Check a receiptUrl against the formats we store
+ * Accepts S3 keys (companyId/receipts/receipt-timestamp-random.ext) or full S3 URLs
+ * of our receipts bucket (old format, kept for backward compatibility)
+ * @param {string} receiptUrl - Receipt S3 key or URL
+ * @returns {boolean} True if the receipt URL is valid
+ */
+function isValidReceiptUrl(receiptUrl) {
+  const validS3KeyPattern = /^[a-zA-Z0-9_-]+\/receipts\/receipt-\d+-[a-z0-9]+\.(jpg|jpeg|png|gif|webp|pdf)$/i;
+  const validS3UrlPatterns = [
+    /^https:\/\/construction-expenses-receipts-\d+\.s3\.amazonaws\.com\//,
+    /^https:\/\/construction-expenses-receipts-\d+\.s3\.[a-z0-9-]+\.amazonaws\.com\//
+  ];
+  return validS3KeyPattern.test(receiptUrl) || validS3UrlPatterns.some(pattern => pattern.test(receiptUrl));
+}
+
+// Foreign key validation
+async function validateProjectExists(companyId, projectId) {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.PROJECTS,
+    Key: { companyId, projectId }
+  };
+
+  const result = await dynamoOperation('get', params);
+  if (!result.Item) {
+    throw new Error(`Project with ID ${projectId} not found`);
+  }
+
+  return result.Item;
+}
+
+async function validateContractorExists(companyId, contractorId) {
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+    Key: { companyId, contractorId }
+  };
+
+  const result = await dynamoOperation('get', params);
+  if (!result.Item) {
+    throw new Error(`Contractor with ID ${contractorId} not found`);
+  }
+
+  return result.Item;
+}
+
+// Validate that every allocation line points to an existing project, and its work and budget line belong to that project
+async function validateAllocationTargets(companyId, allocations) {
+  const projectIds = [...new Set(allocations.map(line => line.projectId))];
+  const workLines = allocations.filter(line => line.workId);
+
+  const projects = await Promise.all(projectIds.map(projectId => validateProjectExists(companyId, projectId)));
+  allocations.filter(line => line.budgetLineId).forEach(line => {
+    validateBudgetLineExists(projects.find(project => project.projectId === line.projectId), line.budgetLineId);
+  });
+  await Promise.all(workLines.map(async (line) => {
+    const result = await dynamoOperation('get', {
+      TableName: COMPANY_TABLE_NAMES.WORKS,
+      Key: { companyId, workId: line.workId }
+    });
+    if (!result.Item) {
+      throw new Error(`Work with ID ${line.workId} not found`);
+    }
+    if (result.Item.projectId !== line.projectId) {
+      throw new Error(`Work ${line.workId} does not belong to project ${line.projectId}`);
+    }
+  }));
+}
+
+/**
+ * Check whether a contractor already has an expense with this invoice number
+ * Uses the contractor-invoiceNum-index GSI (invoice numbers are unique per contractor,
+ * different contractors can have the same invoice number)
+ * @param {string} contractorId - Contractor ID
+ * @param {string} invoiceNum - Invoice number
+ * @returns {Promise<boolean>} True if the invoice was already recorded
+ */
+async function invoiceExists(contractorId, invoiceNum) {
+  const result = await dynamoOperation('query', {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    IndexName: 'contractor-invoiceNum-index',
+    KeyConditionExpression: 'contractorId = :contractorId AND invoiceNum = :invoiceNum',
+    ExpressionAttributeValues: {
+      ':contractorId': contractorId,
+      ':invoiceNum': invoiceNum
+    },
+    Limit: 1  // We only need to know if one exists
+  });
+  return Boolean(result.Items && result.Items.length > 0);
+}
+
+/**
+ * Validate and store a new expense
+ * Reserves a slot with checkExpenseLimit() first (unless the caller reserved it for a
+ * batch); the slot is released again if the expense is rejected by validation, so
+ * failed attempts do not count.
+ * @param {string} companyId - Company ID
+ * @param {string} userId - User the expense is created for
+ * @param {string} userRole - Role of the creating user
+ * @param {Object} requestBody - Expense fields as sent to POST /expenses
+ * @param {Object} [options]
+ * @param {string} [options.recurringTemplateId] - Template that generated the expense
+ * @param {string} [options.historyComment] - Comment for the initial status history entry
+ * @param {boolean} [options.limitReserved] - Slot already reserved by checkExpenseBatchLimit()
+ * @returns {Promise<Object>} { expense, complianceWarning? } on success or { errorResponse } (HTTP error response)
+ *   complianceWarning lists the contractor's expired documents - they do not block the expense
+ */
+async function createCompanyExpense(companyId, userId, userRole, requestBody, options = {}) {
+  // Check if company can create new expense (tier limit check)
+  const limitCheck = options.limitReserved ? { allowed: true } : await checkExpenseLimit(companyId);
+
+  if (!limitCheck.allowed) {
+    return {
+      errorResponse: createErrorResponse(403, limitCheck.message, {
+        reason: limitCheck.reason,
+        currentUsage: limitCheck.currentUsage,
+        limit: limitCheck.limit,
+        suggestedTier: limitCheck.suggestedTier,
+        upgradeUrl: limitCheck.upgradeUrl
+      })
+    };
+  }
+
+  let result;
+  try {
+    result = await validateAndPutExpense(companyId, userId, userRole, requestBody, options);
+  } catch (error) {
+    await decrementExpenseCounter(companyId);
+    throw error;
+  }
+
+  if (result.errorResponse) {
+    // Release the slot reserved by checkExpenseLimit()
+    await decrementExpenseCounter(companyId);
+  }
+  return result;
+}
+
+// Validation path of POST /expenses - returns { errorResponse } on the first failed check
+async function validateAndPutExpense(companyId, userId, userRole, requestBody, options) {
+  // Security: Check for dangerous patterns in string inputs
+  // Skip URL fields (receiptUrl) as they contain valid special characters (& $ = etc.)
+  const urlFields = ['receiptUrl'];
+  for (const [key, value] of Object.entries(requestBody)) {
+    if (typeof value === 'string' && !urlFields.includes(key)) {
+      const patternCheck = checkDangerousPatterns(value);
+      if (!patternCheck.safe) {
+        logger.warn('Dangerous pattern detected in expense creation', { field: key, companyId, userId });
+        return { errorResponse: createErrorResponse(400, `Invalid characters detected in ${key}`) };
+      }
+    }
+  }
+
+  // Validate receiptUrl if provided - accepts S3 keys OR full S3 URLs from our bucket
+  if (requestBody.receiptUrl && typeof requestBody.receiptUrl === 'string' && !isValidReceiptUrl(requestBody.receiptUrl)) {
+    logger.warn('Invalid receiptUrl pattern', { receiptUrl: requestBody.receiptUrl.substring(0, 100), companyId, userId });
+    return { errorResponse: createErrorResponse(400, 'Invalid receipt URL format') };
+  }
+
+  // Validate required fields early
+  // Note: projectId and contractorId are optional - will default to system values if not provided
+  const required = ['invoiceNum', 'amount', 'paymentMethod', 'date'];
+  const missing = required.filter(field => !requestBody[field]);
+
+  if (missing.length > 0) {
+    return { errorResponse: createErrorResponse(400, `Missing required fields: ${missing.join(', ')}`) };
+  }
+
+  // Auto-assign to General Expenses project if no projectId provided
+  let finalProjectId = requestBody.projectId;
+  if (!finalProjectId || finalProjectId.trim() === '') {
+    finalProjectId = SYSTEM_PROJECTS.GENERAL_EXPENSES.projectId;
+    debugLog('Auto-assigning expense to General Expenses project', { companyId });
+  }
+
+  // Auto-assign to General Contractor if no contractorId provided
+  let finalContractorId = requestBody.contractorId;
+  if (!finalContractorId || finalContractorId.trim() === '') {
+    finalContractorId = SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId;
+    debugLog('Auto-assigning expense to General Contractor', { companyId });
+  }
+
+  // FIX BUG #5: Validate amount early (before creating expense object)
+  const parsedAmount = parseFloat(requestBody.amount);
+  if (isNaN(parsedAmount) || parsedAmount <= 0) {
+    return { errorResponse: createErrorResponse(400, 'Amount must be a positive number') };
+  }
+  if (parsedAmount > 100000000) {
+    return { errorResponse: createErrorResponse(400, 'Amount exceeds maximum limit (100,000,000)') };
+  }
+
+  const vatTreatmentError = validateVatTreatment(requestBody.vatTreatment);
+  if (vatTreatmentError) {
+    return { errorResponse: createErrorResponse(400, vatTreatmentError) };
+  }
+
+  // FIX BUG #4: Validate payment method against allowed values
+  if (!VALID_PAYMENT_METHODS.includes(requestBody.paymentMethod.trim())) {
+    return { errorResponse: createErrorResponse(400, `Invalid payment method. Must be one of: ${VALID_PAYMENT_METHODS.join(', ')}`) };
+  }
+
+  // FIX BUG #1: Validate date format and validity
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(requestBody.date)) {
+    return { errorResponse: createErrorResponse(400, 'Date must be in YYYY-MM-DD format') };
+  }
+  const dateObj = new Date(requestBody.date);
+  if (isNaN(dateObj.getTime())) {
+    return { errorResponse: createErrorResponse(400, 'Invalid date value') };
+  }
+
+  // FIX BUG #2: Validate foreign key relationships
+  // Skip contractor validation if using system contractor (it may not exist in DB yet for migration)
+  const validationPromises = [
+    validateProjectExists(companyId, finalProjectId)
+  ];
+
+  // Only validate contractor exists if not using system default
+  if (finalContractorId !== SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId) {
+    validationPromises.push(validateContractorExists(companyId, finalContractorId));
+  }
+
+  let project;
+  let contractor;
+  try {
+    [project, contractor] = await Promise.all(validationPromises);
+    // Split expenses take their budget lines from the allocation lines
+    if (requestBody.budgetLineId && !requestBody.allocations?.length) {
+      validateBudgetLineExists(project, requestBody.budgetLineId);
+    }
+  } catch (fkError) {
+    return { errorResponse: createErrorResponse(400, `Foreign key validation error: ${fkError.message}`) };
+  }
+
+  // Efficient duplicate invoice check using GSI (O(1) instead of O(n))
+  if (await invoiceExists(finalContractorId, requestBody.invoiceNum)) {
+    return { errorResponse: createErrorResponse(409, `Invoice number ${requestBody.invoiceNum} already exists for this contractor`) };
+  }
+
+  // Calculate VAT breakdown using the rate in effect on the expense date
+  // For pre-VAT amounts the stored amount becomes the total including VAT
+  const vatRates = await loadCompanyVatRates(companyId);
+  const vat = calculateVATBreakdown(parsedAmount, {
+    vatRate: getVatRateForDate(vatRates, requestBody.date),
+    vatTreatment: requestBody.vatTreatment || VAT_TREATMENTS.STANDARD
+  });
+
+  // Split across several projects/works - lines must sum to the total including VAT
+  let allocationFields = {};
+  if (Array.isArray(requestBody.allocations) && requestBody.allocations.length > 0) {
+    const allocationResult = validateAllocations(requestBody.allocations, vat.amount);
+    if (!allocationResult.valid) {
+      return { errorResponse: createErrorResponse(400, `Invalid allocations: ${allocationResult.errors.join(', ')}`) };
+    }
+    try {
+      await validateAllocationTargets(companyId, allocationResult.allocations);
+    } catch (fkError) {
+      return { errorResponse: createErrorResponse(400, `Foreign key validation error: ${fkError.message}`) };
+    }
+    allocationFields = getAllocationFields(allocationResult.allocations);
+  }
+
+  // Receipt line items - must sum to the total including or before VAT
+  let lineItemFields = {};
+  if (Array.isArray(requestBody.lineItems) && requestBody.lineItems.length > 0) {
+    const lineItemResult = validateLineItems(requestBody.lineItems, vat);
+    if (!lineItemResult.valid) {
+      return { errorResponse: createErrorResponse(400, `Invalid line items: ${lineItemResult.errors.join(', ')}`) };
+    }
+    lineItemFields = {
+      lineItems: lineItemResult.lineItems,
+      lineItemsIncludeVat: lineItemResult.includesVat
+    };
+  }
+
+  // Estimated withholding tax (ניכוי במקור) - actual amounts are stored per payment
+  const withholding = getExpenseWithholding({ ...vat, date: requestBody.date }, contractor);
+
+  // New expenses always enter the approval workflow as submitted (pending)
+  // Status changes afterwards go through POST /expenses/status
+  const createdAt = getCurrentTimestamp();
+
+  const expense = {
+    companyId,
+    expenseId: generateExpenseId(),
+    userId, // User who created the expense
+    workId: requestBody.workId || '',
+    projectId: finalProjectId, // May be auto-assigned to General Expenses
+    contractorId: finalContractorId, // May be auto-assigned to General Contractor
+    budgetLineId: requestBody.budgetLineId || '', // Project budget line (סעיף תקציב)
+    ...allocationFields, // Overrides projectId/workId with the first allocation line
+    invoiceNum: requestBody.invoiceNum,
+    amount: vat.amount,
+    baseAmount: vat.baseAmount,     // Amount before VAT (מחיר לפני מע"מ)
+    vatAmount: vat.vatAmount,       // VAT portion (מע"מ)
+    vatRate: vat.vatRate,           // Rate in effect on the expense date (0.17 / 0.18)
+    vatTreatment: vat.vatTreatment, // standard / exempt / zero_rated / pre_vat
+    withholdingRate: withholding.withholdingRate,     // ניכוי במקור rate on the expense date
+    withholdingAmount: withholding.withholdingAmount, // Tax withheld from the amount before VAT
+    netPayable: withholding.netPayable,               // Amount actually paid to the contractor
+    paymentMethod: requestBody.paymentMethod.trim(),
+    date: requestBody.date,
+    description: requestBody.description || '',
+    receiptUrl: requestBody.receiptUrl || '', // URL to uploaded receipt image
+    searchText: buildExpenseSearchText(requestBody), // Lowercased description and invoice number for search
+    ...lineItemFields, // Materials on the receipt (see expense-line-items.js)
+    paidAmount: 0,
+    outstandingAmount: vat.amount,
+    status: EXPENSE_STATUS.PENDING,
+    statusHistory: [{
+      action: 'submit',
+      fromStatus: null,
+      toStatus: EXPENSE_STATUS.PENDING,
+      userId,
+      userRole,
+      comment: options.historyComment || '',
+      timestamp: createdAt
+    }],
+    ...(options.recurringTemplateId ? {
+      autoGenerated: true,
+      recurringTemplateId: options.recurringTemplateId
+    } : {}),
+    createdAt,
+    updatedAt: createdAt
+  };
+
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.EXPENSES,
+    Item: expense,
+    ConditionExpression: 'attribute_not_exists(expenseId)'
+  };
+
+  await dynamoOperation('put', params);
+
+  const compliance = contractor ? getContractorCompliance(contractor, createdAt.split('T')[0]) : null;
+  if (compliance && compliance.expired.length > 0) {
+    return { expense, complianceWarning: { contractorId: finalContractorId, expired: compliance.expired } };
+  }
+  return { expense };
+}
+
+module.exports = {
+  loadCompanyVatRates,
+  validateVatTreatment,
+  isValidReceiptUrl,
+  validateProjectExists,
+  validateContractorExists,
+  validateAllocationTargets,
+  invoiceExists,
+  createCompanyExpense
+};
@@ -0,0 +1,505 @@
+// lambda/shared/expense-import.js
+// Bulk import of expenses from CSV / Excel files
+//
+// The file is read into rows of cell strings (CSV is parsed here, XLSX sheets are
+// read by the browser) and every column is mapped to an EXPENSE_SCHEMA field.
+// Project, contractor and work columns may hold names or IDs; names are resolved
+// against the company's records. Each mapped row is validated the same way as
+// POST /expenses before anything is written, so the user gets a per-row report.
+
+const {
+  queryAllPages,
+  COMPANY_TABLE_NAMES,
+  SYSTEM_PROJECTS,
+  SYSTEM_CONTRACTORS
+} = require('./company-utils');
+const {
+  validateAndSanitize,
+  validateField,
+  VALIDATION_RULES,
+  EXPENSE_SCHEMA
+} = require('./input-validator');
+const { parseAmount } = require('./amount-parser');
+const { parseDate } = require('./date-parser');
+const { VALID_PAYMENT_METHODS } = require('./expense-payments');
+const { VAT_TREATMENTS } = require('./vat-utils');
+
+// Rows per import request (each row is validated and written within one Lambda run)
+const MAX_IMPORT_ROWS = 300;
+
+// Fields a column can be mapped to
+const IMPORT_FIELDS = [
+  'date',
+  'invoiceNum',
+  'amount',
+  'paymentMethod',
+  'description',
+  'projectId',
+  'contractorId',
+  'workId',
+  'vatTreatment'
+];
+
+const REQUIRED_IMPORT_FIELDS = ['date', 'invoiceNum', 'amount'];
+
+// Header names recognised when suggesting a column mapping (compared after normalizeHeader)
+// Includes the column headers of our Excel export
+const COLUMN_ALIASES = {
+  date: ['date', 'תאריך', 'תאריך חשבונית'],
+  invoiceNum: ['invoice', 'invoicenum', 'invoice number', 'invoice no', 'חשבונית', 'מספר חשבונית', 'מס חשבונית'],
+  amount: ['amount', 'total', 'סכום', 'סהכ', 'סכום כולל', 'סכום כולל מעמ'],
+  paymentMethod: ['payment method', 'payment', 'אמצעי תשלום', 'תשלום'],
+  description: ['description', 'details', 'תיאור', 'פירוט'],
+  projectId: ['project', 'פרויקט', 'פרוייקט'],
+  contractorId: ['contractor', 'supplier', 'vendor', 'קבלן', 'ספק', 'קבלן/ספק'],
+  workId: ['work', 'עבודה'],
+  // Not 'מע"מ' - in our export that column holds the VAT amount
+  vatTreatment: ['vat treatment', 'סוג מעמ', 'טיפול במעמ']
+};
+
+// Payment method spellings accepted in addition to the stored Hebrew values
+const PAYMENT_METHOD_ALIASES = {
+  'cash': 'מזומן',
+  'credit card': 'כרטיס אשראי',
+  'credit': 'כרטיס אשראי',
+  'אשראי': 'כרטיס אשראי',
+  'bank transfer': 'העברה בנקאית',
+  'transfer': 'העברה בנקאית',
+  'העברה': 'העברה בנקאית',
+  'cheque': "צ'ק",
+  'check': "צ'ק",
+  'צק': "צ'ק",
+  'שק': "צ'ק",
+  'שיק': "צ'ק"
+};
+
+// VAT treatment values accepted in addition to the codes
+const VAT_TREATMENT_ALIASES = {
+  'כולל מעמ': VAT_TREATMENTS.STANDARD,
+  'לפני מעמ': VAT_TREATMENTS.PRE_VAT,
+  'פטור': VAT_TREATMENTS.EXEMPT,
+  'פטור ממעמ': VAT_TREATMENTS.EXEMPT,
+  'אפס': VAT_TREATMENTS.ZERO_RATED,
+  'מעמ בשיעור אפס': VAT_TREATMENTS.ZERO_RATED
+};
+
+// Placeholders written by our Excel export for empty references
+const EMPTY_REFERENCE_VALUES = ['ללא פרויקט', 'ללא קבלן', 'ללא עבודה'];
+
+/**
+ * Normalize a header or lookup value for comparison
+ * Lower-cases and drops quotes and geresh/gershayim (מע"מ, מע״מ and מעמ compare equal)
+ * @param {any} value - Cell value
+ * @returns {string} Normalized value
+ */
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/["'`׳״.]/g, '')
+    .replace(/[\s_]+/g, ' ');
+}
+
+/**
+ * Parse CSV text into rows of cell strings
+ * Handles quoted cells (with embedded delimiters, quotes and line breaks), CRLF line
+ * endings and a UTF-8 BOM. The delimiter (comma, semicolon or tab) is detected from
+ * the first line, since Excel uses semicolons in some locales.
+ * @param {string} text - CSV file content
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Suggest a column mapping from the header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} { field: columnIndex } for the recognised headers
+ */
+function suggestColumnMap(headers = []) {
+  const columnMap = {};
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(name =>
+      columnMap[name] === undefined && COLUMN_ALIASES[name].includes(normalized)
+    );
+    if (field) {
+      columnMap[field] = index;
+    }
+  });
+  return columnMap;
+}
+
+/**
+ * Validate a column mapping
+ * @param {Object} columnMap - { field: columnIndex }
+ * @param {number} columnCount - Columns in the file
+ * @param {Object} [defaults] - Values used when a field is not mapped
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateColumnMap(columnMap, columnCount, defaults = {}) {
+  if (!columnMap || typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+    return ['columnMap must be an object of { field: columnIndex }'];
+  }
+
+  const errors = [];
+  Object.entries(columnMap).forEach(([field, index]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown import field: ${field}`);
+    } else if (!Number.isInteger(index) || index < 0 || index >= columnCount) {
+      errors.push(`Column for ${field} is out of range`);
+    }
+  });
+
+  const unmapped = REQUIRED_IMPORT_FIELDS.filter(field => columnMap[field] === undefined);
+  if (columnMap.paymentMethod === undefined && !defaults.paymentMethod) {
+    unmapped.push('paymentMethod');
+  }
+  if (unmapped.length > 0) {
+    errors.push(`Required fields are not mapped: ${unmapped.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse an import date - numeric dates are day-first (DD/MM/YYYY, DD.MM.YYYY) as in Israeli files
+ * @param {string} value - Date cell
+ * @returns {string|null} YYYY-MM-DD or null if not a valid date
+ */
+function parseImportDate(value) {
+  const trimmed = String(value ?? '').trim();
+  const dayFirst = trimmed.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+  if (!dayFirst) {
+    return parseDate(trimmed);
+  }
+
+  const day = Number(dayFirst[1]);
+  const month = Number(dayFirst[2]);
+  const year = dayFirst[3].length === 2 ? 2000 + Number(dayFirst[3]) : Number(dayFirst[3]);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Map a payment method cell to a stored payment method
+ * @param {string} value - Payment method cell
+ * @returns {string|null} One of VALID_PAYMENT_METHODS or null
+ */
+function normalizePaymentMethod(value) {
+  const trimmed = String(value ?? '').trim();
+  if (VALID_PAYMENT_METHODS.includes(trimmed)) {
+    return trimmed;
+  }
+  const normalized = normalizeHeader(trimmed);
+  return VALID_PAYMENT_METHODS.find(method => normalizeHeader(method) === normalized) ||
+    PAYMENT_METHOD_ALIASES[normalized] ||
+    null;
+}
+
+/**
+ * Map a VAT treatment cell to a VAT treatment code
+ * @param {string} value - VAT treatment cell
+ * @returns {string|null} One of VAT_TREATMENTS or null
+ */
+function normalizeVatTreatment(value) {
+  const normalized = normalizeHeader(value);
+  return Object.values(VAT_TREATMENTS).find(code => code === normalized) ||
+    VAT_TREATMENT_ALIASES[normalized] ||
+    null;
+}
+
+/**
+ * Build lookups for resolving project, contractor and work cells
+ * @param {Object} records - { projects, contractors, works } of the company
+ * @returns {Object} Reference index for resolveImportReferences()
+ */
+function buildReferenceIndex({ projects = [], contractors = [], works = [] }) {
+  const byIdOrName = (items, idField, nameField) => {
+    const index = new Map();
+    items.forEach(item => {
+      index.set(item[idField], item);
+      const name = normalizeHeader(item[nameField]);
+      // First record wins when two share a name
+      if (name && !index.has(name)) {
+        index.set(name, item);
+      }
+    });
+    return index;
+  };
+
+  return {
+    projects: byIdOrName(projects, 'projectId', 'name'),
+    contractors: byIdOrName(contractors, 'contractorId', 'name'),
+    works
+  };
+}
+
+function isEmptyReference(value) {
+  return value === '' || EMPTY_REFERENCE_VALUES.includes(value);
+}
+
+/**
+ * Resolve the project, contractor and work cells of a row to IDs
+ * Empty cells fall back to the General Expenses project and the General Contractor,
+ * like POST /expenses.
+ * @param {Object} cells - { projectId, contractorId, workId } cell values (names or IDs)
+ * @param {Object} index - Result of buildReferenceIndex()
+ * @param {Object} [options]
+ * @param {boolean} [options.createMissingContractors] - Unknown contractors become new contractors
+ * @returns {Object} { projectId, projectName, contractorId, contractorName, workId, workName, newContractor, errors }
+ */
+function resolveImportReferences(cells, index, options = {}) {
+  const errors = [];
+  const resolved = { workId: '', workName: '', newContractor: false };
+
+  const projectCell = String(cells.projectId ?? '').trim();
+  if (isEmptyReference(projectCell)) {
+    resolved.projectId = SYSTEM_PROJECTS.GENERAL_EXPENSES.projectId;
+    resolved.projectName = SYSTEM_PROJECTS.GENERAL_EXPENSES.name;
+  } else {
+    const project = index.projects.get(projectCell) || index.projects.get(normalizeHeader(projectCell));
+    if (project) {
+      resolved.projectId = project.projectId;
+      resolved.projectName = project.name;
+    } else {
+      errors.push(`Project "${projectCell}" not found`);
+    }
+  }
+
+  const contractorCell = String(cells.contractorId ?? '').trim();
+  if (isEmptyReference(contractorCell)) {
+    resolved.contractorId = SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.contractorId;
+    resolved.contractorName = SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR.name;
+  } else {
+    const contractor = index.contractors.get(contractorCell) || index.contractors.get(normalizeHeader(contractorCell));
+    if (contractor) {
+      resolved.contractorId = contractor.contractorId;
+      resolved.contractorName = contractor.name;
+    } else if (options.createMissingContractors) {
+      const nameValidation = validateField(contractorCell, 'contractor', VALIDATION_RULES.shortText);
+      if (nameValidation.valid) {
+        resolved.contractorId = null; // Assigned when the contractor is created
+        resolved.contractorName = contractorCell;
+        resolved.newContractor = true;
+      } else {
+        errors.push(nameValidation.error);
+      }
+    } else {
+      errors.push(`Contractor "${contractorCell}" not found`);
+    }
+  }
+
+  const workCell = String(cells.workId ?? '').trim();
+  if (!isEmptyReference(workCell) && resolved.projectId) {
+    const work = index.works.find(w =>
+      w.projectId === resolved.projectId &&
+      (w.workId === workCell || normalizeHeader(w.workName) === normalizeHeader(workCell))
+    );
+    if (work) {
+      resolved.workId = work.workId;
+      resolved.workName = work.workName;
+    } else {
+      errors.push(`Work "${workCell}" not found in project ${resolved.projectName}`);
+    }
+  }
+
+  return { ...resolved, errors };
+}
+
+/**
+ * Map and validate the data rows of an import file
+ * Checks every row against EXPENSE_SCHEMA and finds invoices repeated within the file.
+ * Invoices already recorded in the database are checked by the caller.
+ * @param {Array<Array<string>>} rows - Data rows (without the header row)
+ * @param {Object} columnMap - { field: columnIndex }
+ * @param {Object} index - Result of buildReferenceIndex()
+ * @param {Object} [options]
+ * @param {Object} [options.defaults] - { paymentMethod, vatTreatment } for unmapped or empty cells
+ * @param {boolean} [options.createMissingContractors] - Unknown contractors become new contractors
+ * @param {number} [options.firstRowNumber=2] - File line number of the first data row
+ * @returns {Array<Object>} [{ row, valid, errors, expense, newContractor }]
+ */
+function validateImportRows(rows, columnMap, index, options = {}) {
+  const defaults = options.defaults || {};
+  const firstRowNumber = options.firstRowNumber || 2;
+  const seenInvoices = new Map();
+
+  return rows.map((cells, position) => {
+    const row = firstRowNumber + position;
+    const cell = (field) => (columnMap[field] === undefined ? '' : String(cells[columnMap[field]] ?? '').trim());
+    const errors = [];
+
+    // Fields whose cell could not be parsed - reported once, not again by the schema check
+    const unparsed = new Set();
+
+    const rawDate = cell('date');
+    const date = parseImportDate(rawDate);
+    if (rawDate && !date) {
+      errors.push(`Invalid date "${rawDate}"`);
+      unparsed.add('date');
+    }
+
+    const rawAmount = cell('amount');
+    const amount = parseAmount(rawAmount);
+    if (rawAmount && amount === null) {
+      errors.push(`Invalid amount "${rawAmount}"`);
+      unparsed.add('amount');
+    }
+
+    const rawPaymentMethod = cell('paymentMethod') || defaults.paymentMethod || '';
+    const paymentMethod = normalizePaymentMethod(rawPaymentMethod);
+    if (rawPaymentMethod && !paymentMethod) {
+      errors.push(`Unknown payment method "${rawPaymentMethod}"`);
+      unparsed.add('paymentMethod');
+    }
+
+    const rawVatTreatment = cell('vatTreatment') || defaults.vatTreatment || VAT_TREATMENTS.STANDARD;
+    const vatTreatment = normalizeVatTreatment(rawVatTreatment);
+    if (!vatTreatment) {
+      errors.push(`Unknown VAT treatment "${rawVatTreatment}"`);
+    }
+
+    const references = resolveImportReferences({
+      projectId: cell('projectId'),
+      contractorId: cell('contractorId'),
+      workId: cell('workId')
+    }, index, options);
+    errors.push(...references.errors);
+    if (references.errors.length > 0 || references.newContractor) {
+      // Unresolved references were reported above; a contractor that will be created has no ID yet
+      ['projectId', 'contractorId', 'workId'].forEach(field => unparsed.add(field));
+    }
+
+    const expense = {
+      date: date || rawDate,
+      invoiceNum: cell('invoiceNum'),
+      amount: amount === null ? rawAmount : amount,
+      paymentMethod: paymentMethod || rawPaymentMethod,
+      description: cell('description'),
+      vatTreatment: vatTreatment || VAT_TREATMENTS.STANDARD,
+      projectId: references.projectId || '',
+      projectName: references.projectName || '',
+      contractorId: references.contractorId || '',
+      contractorName: references.contractorName || '',
+      workId: references.workId,
+      workName: references.workName
+    };
+
+    // Same field rules as the expense API (values are stored as entered, not HTML-encoded)
+    const schema = {};
+    Object.entries(EXPENSE_SCHEMA)
+      .filter(([field]) => field !== 'status' && !unparsed.has(field))
+      .forEach(([field, rules]) => {
+        schema[field] = { ...rules, sanitize: false };
+      });
+    errors.push(...validateAndSanitize(expense, schema).errors);
+
+    // Invoice numbers are unique per contractor
+    if (expense.invoiceNum) {
+      const invoiceKey = `${references.newContractor ? normalizeHeader(expense.contractorName) : expense.contractorId}|${expense.invoiceNum}`;
+      if (seenInvoices.has(invoiceKey)) {
+        errors.push(`Invoice ${expense.invoiceNum} also appears in row ${seenInvoices.get(invoiceKey)}`);
+      } else {
+        seenInvoices.set(invoiceKey, row);
+      }
+    }
+
+    return {
+      row,
+      valid: errors.length === 0,
+      errors,
+      expense,
+      newContractor: references.newContractor
+    };
+  });
+}
+
+/**
+ * Load the projects, contractors and works that import rows are resolved against
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} { projects, contractors, works }
+ */
+async function loadImportReferences(companyId) {
+  const queryCompany = (TableName) => queryAllPages({
+    TableName,
+    KeyConditionExpression: 'companyId = :companyId',
+    ExpressionAttributeValues: { ':companyId': companyId }
+  });
+
+  const [projects, contractors, works] = await Promise.all([
+    queryCompany(COMPANY_TABLE_NAMES.PROJECTS),
+    queryCompany(COMPANY_TABLE_NAMES.CONTRACTORS),
+    queryCompany(COMPANY_TABLE_NAMES.WORKS)
+  ]);
+
+  return {
+    projects: [SYSTEM_PROJECTS.GENERAL_EXPENSES, ...projects],
+    contractors: [SYSTEM_CONTRACTORS.GENERAL_CONTRACTOR, ...contractors],
+    works
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  REQUIRED_IMPORT_FIELDS,
+  parseCsv,
+  suggestColumnMap,
+  validateColumnMap,
+  parseImportDate,
+  normalizePaymentMethod,
+  normalizeVatTreatment,
+  buildReferenceIndex,
+  resolveImportReferences,
+  validateImportRows,
+  loadImportReferences
+};
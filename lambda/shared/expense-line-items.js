@@ -0,0 +1,302 @@
+// lambda/shared/expense-line-items.js
+// Receipt line items (שורות חשבונית) stored on an expense
+//
+// Building-supply receipts list every material with its quantity, unit price and
+// line total. The lines are stored with the expense so spending on a material
+// (cement, rebar...) can be reported across projects. Suppliers print line prices
+// either including or before VAT, so the lines must add up to one of the two totals;
+// which one is stored as `lineItemsIncludeVat`.
+
+const { EXPENSE_STATUS } = require('./company-utils');
+const { roundCurrency } = require('./vat-utils');
+const { validateField, VALIDATION_RULES } = require('./input-validator');
+const { splitExpenseByAllocations } = require('./expense-allocations');
+
+// Upper bound on lines per expense (keeps the item well under the DynamoDB size limit)
+const MAX_LINE_ITEMS = 100;
+
+// Receipts round every line - the lines may miss the total by 0.5%, and at least by ₪1
+const LINE_ITEMS_TOLERANCE_RATE = 0.005;
+const LINE_ITEMS_MIN_TOLERANCE = 1;
+
+const MAX_QUANTITY = 1000000;
+
+// Units as printed on receipts: יח', ק"ג, מ"ר, שק...
+const MAX_UNIT_LENGTH = 20;
+
+// Rejected expenses were never spent
+const EXCLUDED_STATUSES = [EXPENSE_STATUS.REJECTED];
+
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return isFinite(number) ? number : NaN;
+}
+
+/**
+ * How far the lines may be from the expense total
+ * @param {number} total - Expense total
+ * @returns {number}
+ */
+function getLineItemsTolerance(total) {
+  return Math.max(LINE_ITEMS_MIN_TOLERANCE, Math.abs(total) * LINE_ITEMS_TOLERANCE_RATE);
+}
+
+/**
+ * Validate line items against the expense total
+ * A line needs a description and its total, or its unit price (total = quantity x unit price).
+ * Discount lines may be negative.
+ * @param {Array<Object>} lineItems - [{ description, quantity?, unit?, unitPrice?, lineTotal?, material? }]
+ * @param {Object} totals - { amount, baseAmount } - the expense total including and before VAT
+ * @returns {Object} { valid: boolean, errors: string[], lineItems: Array<Object>, includesVat: boolean }
+ */
+function validateLineItems(lineItems, { amount, baseAmount }) {
+  const errors = [];
+
+  if (!Array.isArray(lineItems)) {
+    return { valid: false, errors: ['lineItems must be an array'], lineItems: [], includesVat: true };
+  }
+  if (lineItems.length > MAX_LINE_ITEMS) {
+    return { valid: false, errors: [`An expense can have at most ${MAX_LINE_ITEMS} line items`], lineItems: [], includesVat: true };
+  }
+
+  const lines = [];
+  lineItems.forEach((line, index) => {
+    const label = `lineItems[${index}]`;
+    if (!line || typeof line !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const description = typeof line.description === 'string' ? line.description.trim() : '';
+    const descriptionValidation = validateField(description, `${label}.description`, { ...VALIDATION_RULES.shortText, required: true });
+    if (!descriptionValidation.valid) {
+      errors.push(descriptionValidation.error);
+      return;
+    }
+
+    const quantity = toNumber(line.quantity) === null ? 1 : toNumber(line.quantity);
+    if (isNaN(quantity) || quantity <= 0 || quantity > MAX_QUANTITY) {
+      errors.push(`${label}.quantity must be a positive number`);
+      return;
+    }
+
+    const unitPrice = toNumber(line.unitPrice);
+    const givenTotal = toNumber(line.lineTotal);
+    if (Number.isNaN(unitPrice) || Number.isNaN(givenTotal)) {
+      errors.push(`${label}.unitPrice and lineTotal must be numbers`);
+      return;
+    }
+    if (unitPrice === null && givenTotal === null) {
+      errors.push(`${label} needs a lineTotal or a unitPrice`);
+      return;
+    }
+
+    // The printed line total wins over quantity x unit price (it includes line discounts)
+    const lineTotal = roundCurrency(givenTotal !== null ? givenTotal : quantity * unitPrice);
+    if (Math.abs(lineTotal) > VALIDATION_RULES.amount.max) {
+      errors.push(`${label}.lineTotal exceeds maximum limit (100,000,000)`);
+      return;
+    }
+
+    const unit = typeof line.unit === 'string' ? line.unit.trim() : '';
+    const material = typeof line.material === 'string' ? line.material.trim() : '';
+    const tagError = [
+      validateField(unit, `${label}.unit`, { maxLength: MAX_UNIT_LENGTH }),
+      validateField(material, `${label}.material`, VALIDATION_RULES.shortText)
+    ].find(result => !result.valid);
+    if (tagError) {
+      errors.push(tagError.error);
+      return;
+    }
+
+    lines.push({
+      description,
+      quantity,
+      ...(unit ? { unit } : {}),
+      unitPrice: unitPrice !== null ? unitPrice : roundCurrency(lineTotal / quantity),
+      lineTotal,
+      ...(material ? { material } : {})
+    });
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, lineItems: [], includesVat: true };
+  }
+
+  const sum = roundCurrency(lines.reduce((total, line) => total + line.lineTotal, 0));
+  if (Math.abs(sum - amount) <= getLineItemsTolerance(amount)) {
+    return { valid: true, errors: [], lineItems: lines, includesVat: true };
+  }
+  if (baseAmount !== undefined && Math.abs(sum - baseAmount) <= getLineItemsTolerance(baseAmount)) {
+    return { valid: true, errors: [], lineItems: lines, includesVat: false };
+  }
+
+  return {
+    valid: false,
+    errors: [`Line items sum to ₪${sum} but the expense total is ₪${roundCurrency(amount)}` +
+      (baseAmount !== undefined && baseAmount !== amount ? ` (₪${roundCurrency(baseAmount)} before VAT)` : '')],
+    lineItems: [],
+    includesVat: true
+  };
+}
+
+/**
+ * Line items read by OCR, cleaned for the expense form
+ * Lines without a description or any price are dropped; nothing is checked against the total yet.
+ * @param {*} lineItems - lineItems of the OCR answer
+ * @returns {Array<Object>} [{ description, quantity, unitPrice, lineTotal }]
+ */
+function normalizeOcrLineItems(lineItems) {
+  if (!Array.isArray(lineItems)) {
+    return [];
+  }
+
+  return lineItems
+    .filter(line => line && typeof line === 'object')
+    .map(line => {
+      const quantity = toNumber(line.quantity);
+      const unitPrice = toNumber(line.unitPrice);
+      const lineTotal = toNumber(line.lineTotal);
+      return {
+        description: typeof line.description === 'string' ? line.description.trim() : '',
+        quantity: quantity > 0 ? quantity : 1,
+        unitPrice: Number.isNaN(unitPrice) ? null : unitPrice,
+        lineTotal: Number.isNaN(lineTotal) ? null : lineTotal
+      };
+    })
+    .filter(line => line.description && (line.unitPrice !== null || line.lineTotal !== null))
+    .map(line => ({
+      ...line,
+      lineTotal: line.lineTotal !== null ? line.lineTotal : roundCurrency(line.quantity * line.unitPrice)
+    }))
+    .slice(0, MAX_LINE_ITEMS);
+}
+
+/**
+ * Whether the lines add up to the total the OCR read, for the confidence of the lines
+ * @param {Array<Object>} lineItems - Result of normalizeOcrLineItems
+ * @param {number|null} amount - Total read from the receipt
+ * @returns {boolean}
+ */
+function lineItemsMatchTotal(lineItems, amount) {
+  if (!lineItems.length || !amount) {
+    return false;
+  }
+  const sum = lineItems.reduce((total, line) => total + line.lineTotal, 0);
+  return Math.abs(sum - amount) <= getLineItemsTolerance(amount);
+}
+
+// Grouping key of a material: its tag, or its description with the spacing normalized
+function getMaterialName(line) {
+  return (line.material || line.description).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Spending per material across projects, from the line items of the expenses
+ * Amounts are reported before VAT and including VAT whichever way the supplier printed
+ * them, and split across projects like the expense itself (see expense-allocations.js).
+ * @param {Array<Object>} expenses - Company expenses
+ * @param {Object} [options]
+ * @param {string} [options.search] - Only lines whose material or description contains this text
+ * @param {Object} [options.projects] - projectId -> project name
+ * @returns {Object} { totals, materials: [...], projects: [...] }, largest first
+ */
+function buildMaterialSpendReport(expenses, { search = '', projects = {} } = {}) {
+  const term = search.trim().toLowerCase();
+  const materials = {};
+  const byProject = {};
+  const totals = { amount: 0, baseAmount: 0, lineCount: 0, expenseCount: 0 };
+
+  expenses
+    .filter(expense => Array.isArray(expense.lineItems) && expense.lineItems.length > 0)
+    .filter(expense => !EXCLUDED_STATUSES.includes(expense.status))
+    .forEach(expense => {
+      const lines = expense.lineItems.filter(line =>
+        !term || `${line.material || ''} ${line.description}`.toLowerCase().includes(term));
+      if (lines.length === 0) {
+        return;
+      }
+      totals.expenseCount++;
+
+      const amount = Number(expense.amount) || 0;
+      const baseAmount = expense.baseAmount !== undefined ? Number(expense.baseAmount) : amount;
+      const vatFactor = baseAmount > 0 ? amount / baseAmount : 1;
+      const includesVat = expense.lineItemsIncludeVat !== false;
+
+      splitExpenseByAllocations(expense).forEach(portion => {
+        const share = portion.allocationShare !== undefined ? portion.allocationShare : 1;
+        const project = byProject[portion.projectId] = byProject[portion.projectId] || {
+          projectId: portion.projectId,
+          projectName: projects[portion.projectId] || '',
+          amount: 0,
+          baseAmount: 0
+        };
+
+        lines.forEach(line => {
+          const lineAmount = (includesVat ? line.lineTotal : line.lineTotal * vatFactor) * share;
+          const lineBaseAmount = (includesVat ? line.lineTotal / vatFactor : line.lineTotal) * share;
+          const name = getMaterialName(line);
+          const material = materials[name] = materials[name] || {
+            material: name,
+            unit: line.unit || '',
+            quantity: 0,
+            amount: 0,
+            baseAmount: 0,
+            expenseIds: new Set()
+          };
+
+          // Quantities in different units cannot be added up
+          if ((line.unit || '') !== material.unit) {
+            material.unit = null;
+          }
+          material.quantity += line.quantity * share;
+          material.amount += lineAmount;
+          material.baseAmount += lineBaseAmount;
+          material.expenseIds.add(expense.expenseId);
+          project.amount += lineAmount;
+          project.baseAmount += lineBaseAmount;
+          totals.amount += lineAmount;
+          totals.baseAmount += lineBaseAmount;
+        });
+      });
+      totals.lineCount += lines.length;
+    });
+
+  return {
+    search: term,
+    totals: {
+      ...totals,
+      amount: roundCurrency(totals.amount),
+      baseAmount: roundCurrency(totals.baseAmount)
+    },
+    materials: Object.values(materials)
+      .map(({ expenseIds, ...material }) => ({
+        ...material,
+        quantity: material.unit === null ? null : Math.round(material.quantity * 1000) / 1000,
+        amount: roundCurrency(material.amount),
+        baseAmount: roundCurrency(material.baseAmount),
+        expenseCount: expenseIds.size
+      }))
+      .sort((a, b) => b.baseAmount - a.baseAmount),
+    projects: Object.values(byProject)
+      .map(project => ({
+        ...project,
+        amount: roundCurrency(project.amount),
+        baseAmount: roundCurrency(project.baseAmount)
+      }))
+      .filter(project => project.amount !== 0)
+      .sort((a, b) => b.baseAmount - a.baseAmount)
+  };
+}
+
+module.exports = {
+  MAX_LINE_ITEMS,
+  getLineItemsTolerance,
+  validateLineItems,
+  normalizeOcrLineItems,
+  lineItemsMatchTotal,
+  buildMaterialSpendReport
+};
@@ -0,0 +1,289 @@
+// lambda/shared/expense-payments.js
+// Payment ledger for expenses - installments, post-dated cheques and partial payments
+//
+// Payments are stored as a list on the expense item so the ledger and the
+// computed balance (paidAmount / outstandingAmount) are always written together.
+
+const { validateAndSanitize, EXPENSE_SCHEMA } = require('./input-validator');
+const { EXPENSE_STATUS, generatePaymentId, getCurrentTimestamp } = require('./company-utils');
+const { roundCurrency } = require('./vat-utils');
+
+// Same list expenses are validated against
+const VALID_PAYMENT_METHODS = EXPENSE_SCHEMA.paymentMethod.enum;
+const CHEQUE_PAYMENT_METHOD = "צ'ק";
+
+// Maximum number of payments recorded against a single expense
+const MAX_PAYMENTS_PER_EXPENSE = 100;
+
+// Cheque lifecycle states
+const CHEQUE_STATUS = {
+  ISSUED: 'issued',
+  DEPOSITED: 'deposited',
+  CLEARED: 'cleared',
+  BOUNCED: 'bounced',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed cheque state changes (cleared and cancelled are final)
+// A bounced cheque may be re-deposited or cancelled
+const CHEQUE_STATUS_TRANSITIONS = {
+  [CHEQUE_STATUS.ISSUED]: [CHEQUE_STATUS.DEPOSITED, CHEQUE_STATUS.CLEARED, CHEQUE_STATUS.BOUNCED, CHEQUE_STATUS.CANCELLED],
+  [CHEQUE_STATUS.DEPOSITED]: [CHEQUE_STATUS.CLEARED, CHEQUE_STATUS.BOUNCED],
+  [CHEQUE_STATUS.BOUNCED]: [CHEQUE_STATUS.DEPOSITED, CHEQUE_STATUS.CANCELLED],
+  [CHEQUE_STATUS.CLEARED]: [],
+  [CHEQUE_STATUS.CANCELLED]: []
+};
+
+// Cheques in these states do not settle the expense
+const VOID_CHEQUE_STATUSES = [CHEQUE_STATUS.BOUNCED, CHEQUE_STATUS.CANCELLED];
+
+// Cheques still expected to hit the bank account
+const OPEN_CHEQUE_STATUSES = [CHEQUE_STATUS.ISSUED, CHEQUE_STATUS.DEPOSITED];
+
+// Upper bound for the upcoming-due window
+const MAX_DUE_WITHIN_DAYS = 365;
+
+/**
+ * Validation schema for a single payment
+ */
+const PAYMENT_SCHEMA = {
+  date: { type: 'date', required: true },
+  amount: { type: 'amount', required: true },
+  paymentMethod: {
+    required: true,
+    maxLength: 50,
+    enum: VALID_PAYMENT_METHODS,
+    sanitize: false
+  },
+  chequeNumber: {
+    maxLength: 10,
+    pattern: /^\d{1,10}$/,
+    message: 'Cheque number must contain digits only'
+  },
+  bankName: { type: 'shortText' },
+  dueDate: { type: 'date' },
+  reference: { type: 'shortText' },
+  notes: { type: 'description' }
+};
+
+/**
+ * Validate payment input from the client
+ * @param {Object} data - Request body
+ * @returns {Object} { valid: boolean, errors: string[], payment: Object }
+ */
+function validatePaymentInput(data = {}) {
+  const { valid, errors, sanitized } = validateAndSanitize(data, PAYMENT_SCHEMA);
+
+  const amount = parseFloat(data.amount);
+  if (data.amount !== undefined && (isNaN(amount) || amount <= 0)) {
+    errors.push('amount must be a positive number');
+  }
+
+  if (data.paymentMethod === CHEQUE_PAYMENT_METHOD && !data.chequeNumber) {
+    errors.push('chequeNumber is required for cheque payments');
+  }
+
+  if (data.dueDate && data.date && data.dueDate < data.date) {
+    errors.push('dueDate must not be before the payment date');
+  }
+
+  const payment = { ...sanitized };
+  if (!isNaN(amount)) {
+    payment.amount = roundCurrency(amount);
+  }
+  if (payment.paymentMethod === CHEQUE_PAYMENT_METHOD) {
+    payment.chequeStatus = CHEQUE_STATUS.ISSUED;
+  }
+  // Due date defaults to the payment date (only post-dated cheques differ)
+  if (!payment.dueDate && payment.date) {
+    payment.dueDate = payment.date;
+  }
+
+  return {
+    valid: valid && errors.length === 0,
+    errors,
+    payment
+  };
+}
+
+/**
+ * Build the ledger entry for a validated payment
+ * @param {Object} payment - Payment from validatePaymentInput
+ * @param {Object} withholding - Withholding fields from getPaymentWithholding
+ * @param {string} userId - User recording the payment
+ * @returns {Object} Payment entry to append to the expense's ledger
+ */
+function buildPayment(payment, withholding, userId) {
+  return {
+    paymentId: generatePaymentId(),
+    ...payment,
+    ...withholding,
+    createdBy: userId,
+    createdAt: getCurrentTimestamp()
+  };
+}
+
+/**
+ * Check whether a payment settles part of the expense
+ * Bounced and cancelled cheques stay in the ledger but do not count as paid
+ * @param {Object} payment - Payment entry
+ * @returns {boolean}
+ */
+function isSettlingPayment(payment) {
+  return !VOID_CHEQUE_STATUSES.includes(payment.chequeStatus);
+}
+
+/**
+ * Compute paid and outstanding amounts for an expense
+ * @param {number} expenseAmount - Total expense amount
+ * @param {Array<Object>} payments - Recorded payments
+ * @returns {Object} { paidAmount, outstandingAmount, isFullyPaid }
+ */
+function calculateExpenseBalance(expenseAmount, payments = []) {
+  const paidAmount = roundCurrency(
+    payments
+      .filter(isSettlingPayment)
+      .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0)
+  );
+  const outstandingAmount = roundCurrency(Math.max(0, (Number(expenseAmount) || 0) - paidAmount));
+
+  return {
+    paidAmount,
+    outstandingAmount,
+    isFullyPaid: outstandingAmount === 0
+  };
+}
+
+/**
+ * Derive the expense status from its balance
+ * An approved expense becomes paid once fully settled, and a paid expense
+ * returns to approved if its balance reopens. Other statuses are unaffected.
+ * @param {string} currentStatus - Current expense status
+ * @param {Object} balance - Result of calculateExpenseBalance
+ * @returns {string} Status the expense should have
+ */
+function deriveStatusFromBalance(currentStatus, balance) {
+  if (currentStatus === EXPENSE_STATUS.APPROVED && balance.isFullyPaid) {
+    return EXPENSE_STATUS.PAID;
+  }
+  if (currentStatus === EXPENSE_STATUS.PAID && !balance.isFullyPaid) {
+    return EXPENSE_STATUS.APPROVED;
+  }
+  return currentStatus;
+}
+
+/**
+ * Check whether a cheque may move from one state to another
+ * @param {string} fromStatus - Current cheque status (missing means issued)
+ * @param {string} toStatus - Requested cheque status
+ * @returns {boolean}
+ */
+function isValidChequeTransition(fromStatus, toStatus) {
+  const allowed = CHEQUE_STATUS_TRANSITIONS[fromStatus || CHEQUE_STATUS.ISSUED] || [];
+  return allowed.includes(toStatus);
+}
+
+/**
+ * Flatten cheque payments of all expenses into a register
+ * @param {Array<Object>} expenses - Expenses with payment ledgers
+ * @param {Object} lookups - Name maps { projects, contractors } keyed by ID
+ * @param {Object} filters - { status, dueFrom, dueTo, contractorId }
+ * @returns {Array<Object>} Cheques sorted by due date
+ */
+function buildChequeRegister(expenses, lookups = {}, filters = {}) {
+  const projects = lookups.projects || {};
+  const contractors = lookups.contractors || {};
+  const cheques = [];
+
+  for (const expense of expenses) {
+    if (filters.contractorId && expense.contractorId !== filters.contractorId) {
+      continue;
+    }
+
+    for (const payment of expense.payments || []) {
+      if (payment.paymentMethod !== CHEQUE_PAYMENT_METHOD) {
+        continue;
+      }
+
+      const chequeStatus = payment.chequeStatus || CHEQUE_STATUS.ISSUED;
+      const dueDate = payment.dueDate || payment.date;
+
+      if (filters.status && chequeStatus !== filters.status) continue;
+      if (filters.dueFrom && dueDate < filters.dueFrom) continue;
+      if (filters.dueTo && dueDate > filters.dueTo) continue;
+
+      cheques.push({
+        expenseId: expense.expenseId,
+        paymentId: payment.paymentId,
+        chequeNumber: payment.chequeNumber,
+        bankName: payment.bankName || '',
+        amount: payment.amount,
+        date: payment.date,
+        dueDate,
+        chequeStatus,
+        contractorId: expense.contractorId,
+        contractorName: contractors[expense.contractorId] || '',
+        projectId: expense.projectId,
+        projectName: projects[expense.projectId] || '',
+        invoiceNum: expense.invoiceNum,
+        description: expense.description || ''
+      });
+    }
+  }
+
+  return cheques.sort((a, b) =>
+    a.dueDate.localeCompare(b.dueDate) || String(a.chequeNumber).localeCompare(String(b.chequeNumber))
+  );
+}
+
+/**
+ * Summarize a cheque register for cash-flow planning
+ * @param {Array<Object>} cheques - Result of buildChequeRegister
+ * @returns {Object} { count, totalAmount, openAmount, byStatus }
+ */
+function summarizeCheques(cheques) {
+  const byStatus = {};
+  Object.values(CHEQUE_STATUS).forEach(status => {
+    byStatus[status] = { count: 0, amount: 0 };
+  });
+
+  let totalAmount = 0;
+  let openAmount = 0;
+  for (const cheque of cheques) {
+    const bucket = byStatus[cheque.chequeStatus];
+    if (bucket) {
+      bucket.count++;
+      bucket.amount = roundCurrency(bucket.amount + cheque.amount);
+    }
+    totalAmount += cheque.amount;
+    if (OPEN_CHEQUE_STATUSES.includes(cheque.chequeStatus)) {
+      openAmount += cheque.amount;
+    }
+  }
+
+  return {
+    count: cheques.length,
+    totalAmount: roundCurrency(totalAmount),
+    openAmount: roundCurrency(openAmount),
+    byStatus
+  };
+}
+
+module.exports = {
+  VALID_PAYMENT_METHODS,
+  CHEQUE_PAYMENT_METHOD,
+  CHEQUE_STATUS,
+  CHEQUE_STATUS_TRANSITIONS,
+  OPEN_CHEQUE_STATUSES,
+  MAX_DUE_WITHIN_DAYS,
+  MAX_PAYMENTS_PER_EXPENSE,
+  PAYMENT_SCHEMA,
+  validatePaymentInput,
+  buildPayment,
+  isSettlingPayment,
+  calculateExpenseBalance,
+  deriveStatusFromBalance,
+  isValidChequeTransition,
+  buildChequeRegister,
+  summarizeCheques
+};
@@ -0,0 +1,293 @@
+// lambda/shared/expense-query.js
+// Server-side filtering, sorting and search for expense listings
+// Translates GET /expenses query parameters into DynamoDB filter expressions
+
+const { validateField, VALIDATION_RULES, EXPENSE_SCHEMA } = require('./input-validator');
+
+// Fields the list endpoint can be sorted by
+const SORT_FIELDS = ['date', 'amount', 'createdAt', 'invoiceNum'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Maximum number of project/contractor IDs a free-text search can expand to
+// (DynamoDB IN operator accepts at most 100 operands)
+const MAX_SEARCH_ID_MATCHES = 50;
+
+/**
+ * Lowercased text that free-text search matches against, stored on each expense
+ * as `searchText` (DynamoDB contains() is case-sensitive)
+ * @param {Object} expense - Expense with description and invoiceNum
+ * @returns {string}
+ */
+function buildExpenseSearchText(expense) {
+  return [expense.description, expense.invoiceNum]
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => String(value))
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * Query parameter definitions for expense listing
+ * Each entry maps a query string parameter to its validation rules
+ */
+const EXPENSE_QUERY_PARAMS = {
+  projectId: { type: 'id' },
+  contractorId: { type: 'id' },
+  workId: { type: 'id' },
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  minAmount: { type: 'amount' },
+  maxAmount: { type: 'amount' },
+  paymentMethod: { enum: EXPENSE_SCHEMA.paymentMethod.enum, maxLength: 50 },
+  status: { enum: EXPENSE_SCHEMA.status.enum, maxLength: 20 },
+  q: { maxLength: 100 },
+  sortBy: { enum: SORT_FIELDS },
+  sortOrder: { enum: SORT_ORDERS }
+};
+
+/**
+ * Parse and validate expense list filters from query string parameters
+ * @param {Object} queryParams - event.queryStringParameters
+ * @returns {Object} { valid: boolean, errors: string[], filters: Object }
+ */
+function parseExpenseFilters(queryParams = {}) {
+  const errors = [];
+  const filters = {};
+
+  for (const [param, rules] of Object.entries(EXPENSE_QUERY_PARAMS)) {
+    let value = queryParams[param];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    value = String(value).trim();
+
+    const fieldRules = rules.type ? { ...VALIDATION_RULES[rules.type], ...rules } : rules;
+    const validation = validateField(value, param, fieldRules);
+    if (!validation.valid) {
+      errors.push(validation.error);
+      continue;
+    }
+
+    if (param === 'minAmount' || param === 'maxAmount') {
+      const numValue = parseFloat(value);
+      if (isNaN(numValue)) {
+        errors.push(`${param} must be a number`);
+        continue;
+      }
+      filters[param] = numValue;
+    } else {
+      filters[param] = value;
+    }
+  }
+
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    errors.push('dateFrom must be before dateTo');
+  }
+
+  if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+    errors.push('minAmount must not exceed maxAmount');
+  }
+
+  if (filters.sortOrder && !filters.sortBy) {
+    filters.sortBy = 'date';
+  }
+  if (filters.sortBy && !filters.sortOrder) {
+    filters.sortOrder = 'desc';
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    filters
+  };
+}
+
+/**
+ * Find IDs of entities whose name contains the search term (case-insensitive)
+ * Used to let free-text search match project and contractor names, which are
+ * stored in separate tables and cannot be searched by the expense query itself.
+ * @param {Array<Object>} items - Projects or contractors
+ * @param {string} idField - ID attribute name (projectId / contractorId)
+ * @param {string} searchTerm - Free text search term
+ * @returns {Array<string>} Matching IDs (capped at MAX_SEARCH_ID_MATCHES)
+ */
+function findIdsByName(items, idField, searchTerm) {
+  if (!searchTerm) {
+    return [];
+  }
+  const term = searchTerm.toLowerCase();
+  return (items || [])
+    .filter(item => (item.name || '').toLowerCase().includes(term))
+    .map(item => item[idField])
+    .slice(0, MAX_SEARCH_ID_MATCHES);
+}
+
+/**
+ * Build a DynamoDB FilterExpression for the given expense filters
+ * @param {Object} filters - Parsed filters from parseExpenseFilters
+ * @param {Object} options - Additional constraints
+ * @param {string} [options.userId] - Restrict to expenses created by this user (editors)
+ * @param {Array<string>} [options.searchProjectIds] - Project IDs whose name matches filters.q
+ * @param {Array<string>} [options.searchContractorIds] - Contractor IDs whose name matches filters.q
+ * @returns {Object|null} { FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues } or null
+ */
+function buildExpenseFilterExpression(filters, options = {}) {
+  const conditions = [];
+  const names = {};
+  const values = {};
+
+  const addEquals = (field, value) => {
+    names[`#${field}`] = field;
+    values[`:${field}`] = value;
+    conditions.push(`#${field} = :${field}`);
+  };
+
+  if (options.userId) {
+    addEquals('userId', options.userId);
+  }
+
+  ['contractorId', 'paymentMethod', 'status'].forEach(field => {
+    if (filters[field] !== undefined) {
+      addEquals(field, filters[field]);
+    }
+  });
+
+  // Expenses split across projects/works also match on any of their allocation lines
+  [['projectId', 'allocationProjectIds'], ['workId', 'allocationWorkIds']].forEach(([field, listField]) => {
+    if (filters[field] !== undefined) {
+      names[`#${field}`] = field;
+      names[`#${listField}`] = listField;
+      values[`:${field}`] = filters[field];
+      conditions.push(`(#${field} = :${field} OR contains(#${listField}, :${field}))`);
+    }
+  });
+
+  // Dates are stored as YYYY-MM-DD strings, so lexical comparison is chronological
+  if (filters.dateFrom || filters.dateTo) {
+    names['#date'] = 'date';
+    if (filters.dateFrom) {
+      values[':dateFrom'] = filters.dateFrom;
+      conditions.push('#date >= :dateFrom');
+    }
+    if (filters.dateTo) {
+      values[':dateTo'] = filters.dateTo;
+      conditions.push('#date <= :dateTo');
+    }
+  }
+
+  if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+    names['#amount'] = 'amount';
+    if (filters.minAmount !== undefined) {
+      values[':minAmount'] = filters.minAmount;
+      conditions.push('#amount >= :minAmount');
+    }
+    if (filters.maxAmount !== undefined) {
+      values[':maxAmount'] = filters.maxAmount;
+      conditions.push('#amount <= :maxAmount');
+    }
+  }
+
+  // Free text: description or invoice number contains the term (case-insensitive, via searchText),
+  // or the expense belongs to a project/contractor whose name matches.
+  // Expenses saved before searchText existed are matched on the raw fields.
+  if (filters.q) {
+    names['#searchText'] = 'searchText';
+    names['#description'] = 'description';
+    names['#invoiceNum'] = 'invoiceNum';
+    values[':q'] = filters.q.toLowerCase();
+    values[':qExact'] = filters.q;
+    const textConditions = [
+      'contains(#searchText, :q)',
+      '(attribute_not_exists(#searchText) AND (contains(#description, :qExact) OR contains(#invoiceNum, :qExact)))'
+    ];
+
+    const addInList = (field, ids) => {
+      if (!ids || ids.length === 0) return;
+      names[`#${field}`] = field;
+      const placeholders = ids.map((id, index) => {
+        values[`:q_${field}_${index}`] = id;
+        return `:q_${field}_${index}`;
+      });
+      textConditions.push(`#${field} IN (${placeholders.join(', ')})`);
+    };
+    addInList('projectId', options.searchProjectIds);
+    addInList('contractorId', options.searchContractorIds);
+
+    conditions.push(`(${textConditions.join(' OR ')})`);
+  }
+
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  return {
+    FilterExpression: conditions.join(' AND '),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  };
+}
+
+/**
+ * Sort expenses in place by the requested field
+ * @param {Array<Object>} expenses - Expenses to sort
+ * @param {string} sortBy - One of SORT_FIELDS
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array<Object>} The sorted array
+ */
+function sortExpenses(expenses, sortBy, sortOrder = 'desc') {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  return expenses.sort((a, b) => {
+    const aValue = a[sortBy];
+    const bValue = b[sortBy];
+    let comparison;
+    if (typeof aValue === 'number' || typeof bValue === 'number') {
+      comparison = (Number(aValue) || 0) - (Number(bValue) || 0);
+    } else {
+      comparison = String(aValue || '').localeCompare(String(bValue || ''));
+    }
+    // Tie-break on expenseId for a stable order across pages
+    if (comparison === 0) {
+      comparison = String(a.expenseId || '').localeCompare(String(b.expenseId || ''));
+    }
+    return comparison * direction;
+  });
+}
+
+/**
+ * Encode a pagination cursor as Base64 for safe URL transmission
+ * @param {Object} cursor - LastEvaluatedKey or { offset } for sorted listings
+ * @returns {string} Base64 cursor
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64');
+}
+
+/**
+ * Decode a Base64 pagination cursor
+ * @param {string} cursor - Base64 cursor from the client
+ * @returns {Object|null} Decoded cursor or null if invalid
+ */
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    return decoded && typeof decoded === 'object' ? decoded : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  SORT_FIELDS,
+  SORT_ORDERS,
+  EXPENSE_QUERY_PARAMS,
+  buildExpenseSearchText,
+  parseExpenseFilters,
+  findIdsByName,
+  buildExpenseFilterExpression,
+  sortExpenses,
+  encodeCursor,
+  decodeCursor
+};
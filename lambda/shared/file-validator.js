@@ -7,6 +7,7 @@ const FileType = require('file-type');
 const FILE_SIZE_LIMITS = {
   RECEIPT: 10 * 1024 * 1024, // 10MB for receipts
   LOGO: 5 * 1024 * 1024, // 5MB for company logos
+  DOCUMENT: 10 * 1024 * 1024, // 10MB for contractor documents (insurance, licenses, certificates)
   GENERAL: 10 * 1024 * 1024 // 10MB default
 };
 
@@ -122,7 +123,7 @@ function validateMimeExtensionMatch(fileName, mimeType) {
 /**
  * Validate file size
  * @param {number} fileSize - File size in bytes
- * @param {string} fileType - Type of file (receipt, logo, general)
+ * @param {string} fileType - Type of file (receipt, logo, document, general)
  * @returns {object} - { valid: boolean, error?: string }
  */
 function validateFileSize(fileSize, fileType = 'general') {
@@ -218,7 +219,7 @@ async function validateFileContent(fileBuffer, expectedMimeType) {
  * @param {string} params.fileName - The file name
  * @param {string} params.fileType - The declared MIME type
  * @param {number} params.fileSize - The file size in bytes (if available)
- * @param {string} params.uploadType - Type of upload (receipt, logo)
+ * @param {string} params.uploadType - Type of upload (receipt, logo, document)
  * @returns {object} - { valid: boolean, error?: string, details?: object }
  */
 function validateUploadRequest(params) {
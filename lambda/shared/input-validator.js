@@ -55,9 +55,54 @@ const VALIDATION_RULES = {
     maxLength: 100,
     pattern: /^[\w\-]+$/,
     message: 'Invalid ID format'
+  },
+  // ח.פ / עוסק מורשה / ת.ז - stored as 9 digits with leading zeros
+  israeliTaxId: {
+    maxLength: 12,
+    pattern: /^[\d\s\-]+$/,
+    check: isValidIsraeliId,
+    normalize: normalizeIsraeliId,
+    message: 'Invalid Israeli tax ID or ID number'
   }
 };
 
+/**
+ * Normalize an Israeli ID number (ת.ז) or business number (ח.פ / עוסק מורשה)
+ * Both use the same check digit: digits are weighted 1,2,1,2... (digits of a
+ * product are summed) and the total must divide by 10. Shorter numbers are
+ * padded with leading zeros to 9 digits.
+ * @param {string|number} value - Number as entered (spaces and dashes allowed)
+ * @returns {string|null} 9-digit number, or null if malformed or the check digit is wrong
+ */
+function normalizeIsraeliId(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const digits = String(value).replace(/[\s\-]/g, '');
+  if (!/^\d{5,9}$/.test(digits) || /^0+$/.test(digits)) {
+    return null;
+  }
+
+  const padded = digits.padStart(9, '0');
+  let sum = 0;
+  for (let i = 0; i < padded.length; i++) {
+    const product = Number(padded[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += product > 9 ? product - 9 : product;
+  }
+
+  return sum % 10 === 0 ? padded : null;
+}
+
+/**
+ * Check an Israeli ID number or business number
+ * @param {string|number} value - Number as entered
+ * @returns {boolean} True if the check digit matches
+ */
+function isValidIsraeliId(value) {
+  return normalizeIsraeliId(value) !== null;
+}
+
 /**
  * Dangerous patterns that indicate potential attacks
  */
@@ -196,6 +241,11 @@ function validateField(value, fieldName, rules) {
     return { valid: false, error: `${fieldName} must be one of: ${rules.enum.join(', ')}` };
   }
 
+  // Custom check (e.g. a check digit)
+  if (rules.check && !rules.check(value)) {
+    return { valid: false, error: rules.message || `${fieldName} is invalid` };
+  }
+
   return { valid: true };
 }
 
@@ -231,6 +281,11 @@ function validateAndSanitize(data, schema) {
       value = sanitizeString(value);
     }
 
+    // Normalize valid values to their stored form
+    if (validation.valid && fieldRules.normalize && value !== undefined && value !== null && value !== '') {
+      value = fieldRules.normalize(value);
+    }
+
     // Only include in sanitized if value exists
     if (value !== undefined && value !== null) {
       sanitized[fieldName] = value;
@@ -288,7 +343,9 @@ const CONTRACTOR_SCHEMA = {
   address: { type: 'description' },
   specialty: { type: 'shortText' },
   licenseNumber: { type: 'shortText' },
-  taxId: { type: 'shortText' },
+  taxId: { type: 'israeliTaxId' },
+  withholdingRate: { type: 'percentage', min: 0, max: 0.5 }, // Fraction (0.05 = 5%)
+  withholdingCertificateExpiry: { type: 'date' },
   paymentTerms: { type: 'shortText' },
   notes: { type: 'description' },
   status: { enum: ['active', 'inactive'], maxLength: 20 },
@@ -348,6 +405,8 @@ module.exports = {
   validateField,
   validateAndSanitize,
   validateRequestBody,
+  normalizeIsraeliId,
+  isValidIsraeliId,
   // Pre-defined schemas
   EXPENSE_SCHEMA,
   PROJECT_SCHEMA,
@@ -122,6 +122,45 @@ async function checkExpenseLimit(companyId) {
   return { allowed: true };
 }
 
+/**
+ * Check if company can create a batch of expenses (with atomic increment)
+ * Reserves all slots at once - either the whole batch fits in the remaining
+ * monthly allowance or nothing is reserved.
+ * @param {string} companyId - Company ID
+ * @param {number} count - Number of expenses in the batch
+ * @returns {object} { allowed: boolean, reason?: string, currentUsage?: number, limit?: number, remaining?: number, suggestedTier?: string }
+ */
+async function checkExpenseBatchLimit(companyId, count) {
+  const company = await getCompany(companyId);
+  const tier = company.subscriptionTier || 'trial';
+  const limits = getTierLimits(tier);
+
+  if (isUnlimited(limits.maxExpensesPerMonth)) {
+    return { allowed: true };
+  }
+
+  const result = count <= limits.maxExpensesPerMonth
+    ? await incrementExpenseCounter(companyId, limits.maxExpensesPerMonth, count)
+    : { success: false, reason: 'LIMIT_EXCEEDED' };
+
+  if (!result.success) {
+    const { current } = (await getCompanyUsage(companyId)).expenses;
+    const remaining = Math.max(0, limits.maxExpensesPerMonth - current);
+    return {
+      allowed: false,
+      reason: 'EXPENSE_LIMIT_REACHED',
+      message: `הייבוא כולל ${count} הוצאות, אך נותרו ${remaining} הוצאות החודש בתוכנית ${limits.name}`,
+      currentUsage: current,
+      limit: limits.maxExpensesPerMonth,
+      remaining,
+      suggestedTier: getSuggestedUpgrade(tier),
+      upgradeUrl: '/pricing.html'
+    };
+  }
+
+  return { allowed: true };
+}
+
 /**
  * Check if company can invite new user (with atomic increment)
  * @param {string} companyId - Company ID
@@ -203,9 +242,10 @@ async function decrementProjectCounter(companyId) {
  * Increment expense counter atomically with limit check and monthly reset
  * @param {string} companyId - Company ID
  * @param {number} limit - Maximum allowed expenses per month
+ * @param {number} [count=1] - Number of expenses to reserve
  * @returns {object} { success: boolean, reason?: string }
  */
-async function incrementExpenseCounter(companyId, limit) {
+async function incrementExpenseCounter(companyId, limit, count = 1) {
   const now = new Date();
   const resetDateThreshold = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
 
@@ -215,10 +255,10 @@ async function incrementExpenseCounter(companyId, limit) {
       TableName: COMPANY_TABLE_NAMES.COMPANIES,
       Key: { companyId },
       UpdateExpression: 'ADD currentMonthExpenses :inc SET updatedAt = :now',
-      ConditionExpression: '(attribute_not_exists(currentMonthExpenses) OR currentMonthExpenses < :limit) AND (attribute_not_exists(expenseCounterResetDate) OR expenseCounterResetDate >= :resetThreshold)',
+      ConditionExpression: '(attribute_not_exists(currentMonthExpenses) OR currentMonthExpenses <= :maxBefore) AND (attribute_not_exists(expenseCounterResetDate) OR expenseCounterResetDate >= :resetThreshold)',
       ExpressionAttributeValues: {
-        ':inc': 1,
-        ':limit': limit,
+        ':inc': count,
+        ':maxBefore': limit - count, // Usage must leave room for the whole count
         ':now': now.toISOString(),
         ':resetThreshold': resetDateThreshold
       }
@@ -232,10 +272,10 @@ async function incrementExpenseCounter(companyId, limit) {
         await dynamoOperation('update', {
           TableName: COMPANY_TABLE_NAMES.COMPANIES,
           Key: { companyId },
-          UpdateExpression: 'SET currentMonthExpenses = :one, expenseCounterResetDate = :now, updatedAt = :now',
+          UpdateExpression: 'SET currentMonthExpenses = :count, expenseCounterResetDate = :now, updatedAt = :now',
           ConditionExpression: 'attribute_not_exists(expenseCounterResetDate) OR expenseCounterResetDate < :resetThreshold',
           ExpressionAttributeValues: {
-            ':one': 1,
+            ':count': count,
             ':now': now.toISOString(),
             ':resetThreshold': resetDateThreshold
           }
@@ -256,14 +296,15 @@ async function incrementExpenseCounter(companyId, limit) {
 /**
  * Decrement expense counter
  * @param {string} companyId - Company ID
+ * @param {number} [count=1] - Number of reserved expenses to release
  */
-async function decrementExpenseCounter(companyId) {
+async function decrementExpenseCounter(companyId, count = 1) {
   await dynamoOperation('update', {
     TableName: COMPANY_TABLE_NAMES.COMPANIES,
     Key: { companyId },
     UpdateExpression: 'ADD currentMonthExpenses :dec SET updatedAt = :now',
     ExpressionAttributeValues: {
-      ':dec': -1,
+      ':dec': -count,
       ':now': new Date().toISOString()
     }
   });
@@ -360,6 +401,7 @@ async function getCompanyUsage(companyId) {
 module.exports = {
   checkProjectLimit,
   checkExpenseLimit,
+  checkExpenseBatchLimit,
   checkUserLimit,
   incrementProjectCounter,
   decrementProjectCounter,
@@ -0,0 +1,295 @@
+// lambda/shared/local-ocr-parser.js
+// Deterministic offline OCR provider for development and tests
+//
+// Reads a receipt without any network call, in this order:
+// 1. A fixture: OCR_FIXTURES_DIR/<sha256 of the file>.json or OCR_FIXTURES_DIR/<file name>.json,
+//    holding the JSON answer in the Claude OCR_PROMPT format (single page or { pages: [...] })
+// 2. The document's text layer: plain text files, and PDFs whose text is stored as
+//    literal strings (generated invoices; scans have no text layer)
+// 3. Nothing readable: every field is null with zero confidence, to be filled by hand
+//
+// The same file always gives the same result, so the OCR-to-expense flow can be
+// developed and tested end to end offline.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { debugLog } = require('./company-utils');
+const { normalizeIsraeliId } = require('./input-validator');
+const { parseAmount } = require('./amount-parser');
+const { parseDate } = require('./date-parser');
+const { buildOcrResult } = require('./claude-ocr-parser');
+const { isPdfDocument, estimatePdfPageCount } = require('./ocr-pages');
+
+const LOCAL_PROVIDER_NAME = 'local';
+
+// Confidence of a field found next to its label in the text layer
+const TEXT_LAYER_CONFIDENCE = 80;
+
+// Vendor taken from the first line of the text - a guess, so it is always reviewed
+const VENDOR_LINE_CONFIDENCE = 60;
+
+const PAYMENT_METHOD_KEYWORDS = [
+  { method: 'מזומן', pattern: /מזומן/ },
+  { method: 'כרטיס אשראי', pattern: /כרטיס אשראי|אשראי/ },
+  { method: 'העברה בנקאית', pattern: /העברה בנקאית/ },
+  { method: 'צ\'ק', pattern: /צ['׳]ק|שיק/ }
+];
+
+// Single-character escapes of PDF literal strings
+const PDF_STRING_ESCAPES = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+
+const EMPTY_FIELDS = {
+  amount: null,
+  date: null,
+  invoiceNum: null,
+  vendor: null,
+  description: null,
+  paymentMethod: null,
+  vendorTaxId: null,
+  lineItems: null
+};
+
+const EMPTY_CONFIDENCE = {
+  amount: 0,
+  date: 0,
+  invoiceNum: 0,
+  vendor: 0,
+  description: 0,
+  paymentMethod: 0
+};
+
+/**
+ * Find the fixture of a receipt, if any
+ * @param {Buffer} buffer - Receipt buffer
+ * @param {string} fileName - Original file name
+ * @param {string} [fixturesDir] - Fixtures directory
+ * @returns {Object|null} Parsed fixture JSON
+ */
+function loadOcrFixture(buffer, fileName, fixturesDir) {
+  if (!fixturesDir) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const candidates = [`${hash}.json`, `${path.basename(fileName || '')}.json`];
+
+  for (const candidate of candidates) {
+    const fixturePath = path.join(fixturesDir, candidate);
+    if (candidate !== '.json' && fs.existsSync(fixturePath)) {
+      return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+  }
+  return null;
+}
+
+// Decode a PDF literal string: escapes, octal codes and UTF-16BE (with a byte order mark)
+function decodePdfString(literal) {
+  const bytes = [];
+  for (let i = 0; i < literal.length; i++) {
+    const char = literal[i];
+    if (char !== '\\') {
+      bytes.push(char.charCodeAt(0) & 0xFF);
+      continue;
+    }
+    const next = literal[++i];
+    const octal = literal.slice(i).match(/^[0-7]{1,3}/);
+    if (octal) {
+      bytes.push(parseInt(octal[0], 8) & 0xFF);
+      i += octal[0].length - 1;
+    } else if (PDF_STRING_ESCAPES[next]) {
+      bytes.push(PDF_STRING_ESCAPES[next]);
+    } else if (next !== '\n' && next !== '\r' && next !== undefined) {
+      bytes.push(next.charCodeAt(0) & 0xFF);
+    }
+  }
+
+  const buffer = Buffer.from(bytes);
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return buffer.slice(2).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8');
+}
+
+// Text drawn by one PDF content stream, a line per text position change
+function extractContentText(content) {
+  const lines = [];
+  let line = '';
+  const tokens = content.match(/\((?:\\[\s\S]|[^\\)])*\)|T\*|\bT[dDm]\b|\bET\b/g) || [];
+
+  tokens.forEach(token => {
+    if (token.startsWith('(')) {
+      line += decodePdfString(token.slice(1, -1));
+    } else if (line) {
+      lines.push(line);
+      line = '';
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Extract the text layer of a PDF
+ * Only literal strings are read - text in font-specific encodings (most scanned
+ * or Hebrew-font PDFs) is not decoded, and such PDFs come back without text.
+ * @param {Buffer} buffer - PDF buffer
+ * @returns {string} Text, one line per text position
+ */
+function extractPdfText(buffer) {
+  const pdf = buffer.toString('latin1');
+  const streamPattern = /<<((?:(?!>>\s*stream)[\s\S])*)>>\s*stream\r?\n([\s\S]*?)\r?\nendstream/g;
+  const texts = [];
+  let match;
+
+  while ((match = streamPattern.exec(pdf)) !== null) {
+    const [, dictionary, data] = match;
+    let content = data;
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1');
+      } catch (error) {
+        continue; // Images and fonts that are not deflated content
+      }
+    }
+    if (/\bBT\b/.test(content)) {
+      texts.push(extractContentText(content));
+    }
+  }
+
+  return texts.filter(Boolean).join('\n');
+}
+
+// Israeli receipts write dates as DD/MM/YY(YY)
+function parseReceiptDate(text) {
+  const match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/);
+  if (!match) {
+    return null;
+  }
+  const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+  return parseDate(`${match[1]}.${match[2]}.${year}`);
+}
+
+/**
+ * Read expense fields from receipt text by their Hebrew (or English) labels
+ * @param {string} text - Receipt text
+ * @returns {Object} - { fields, confidence, reasoning }
+ */
+function parseReceiptText(text) {
+  const fields = { ...EMPTY_FIELDS };
+  const confidence = { ...EMPTY_CONFIDENCE };
+  const reasoning = { paymentMethod: null };
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const body = lines.join('\n');
+
+  if (lines.length === 0) {
+    return { fields, confidence, reasoning };
+  }
+
+  const taxIdMatch = body.match(/(?:ח\.?\s?פ\.?|ע\.?\s?מ\.?|עוסק מורשה|ת\.?\s?ז\.?)\s*[:#]?\s*([\d][\d\s-]{3,11}\d)/);
+  const vendorTaxId = taxIdMatch ? normalizeIsraeliId(taxIdMatch[1]) : null;
+  if (vendorTaxId) {
+    fields.vendorTaxId = vendorTaxId;
+    confidence.vendorTaxId = TEXT_LAYER_CONFIDENCE;
+  }
+
+  // The vendor heads the receipt; skip a leading document title line
+  const vendorLine = lines.find(line => !/^(?:חשבונית|קבלה|invoice|receipt)/i.test(line));
+  if (vendorLine) {
+    fields.vendor = vendorLine;
+    confidence.vendor = VENDOR_LINE_CONFIDENCE;
+  }
+
+  const invoiceMatch = body.match(/(?:חשבונית(?:\s*מס)?|קבלה|invoice)(?:\s*(?:מס['׳]?|no\.?|#))?\s*[:#]?\s*([A-Za-z]*\d[\w/-]*)/i);
+  if (invoiceMatch) {
+    fields.invoiceNum = invoiceMatch[1];
+    confidence.invoiceNum = TEXT_LAYER_CONFIDENCE;
+  }
+
+  const date = parseReceiptDate(body);
+  if (date) {
+    fields.date = date;
+    confidence.date = TEXT_LAYER_CONFIDENCE;
+  }
+
+  // The last total on the receipt is the final one (after VAT and discounts)
+  const totals = [...body.matchAll(/(?:סה["״]?כ(?:\s*לתשלום)?|סכום לתשלום|total)\s*[:]?\s*₪?\s*([\d.,]+)/gi)];
+  const amount = totals.length > 0 ? parseAmount(totals[totals.length - 1][1]) : null;
+  if (amount !== null) {
+    fields.amount = amount;
+    confidence.amount = TEXT_LAYER_CONFIDENCE;
+  }
+
+  const descriptionMatch = body.match(/(?:פרטים|תיאור|description)\s*[:-]\s*(.+)/i);
+  if (descriptionMatch) {
+    fields.description = descriptionMatch[1].trim();
+    confidence.description = TEXT_LAYER_CONFIDENCE;
+  }
+
+  // Only a single payment method is conclusive - a printed list of options is not
+  const methods = PAYMENT_METHOD_KEYWORDS.filter(({ pattern }) => pattern.test(body));
+  if (methods.length === 1) {
+    fields.paymentMethod = methods[0].method;
+    confidence.paymentMethod = TEXT_LAYER_CONFIDENCE;
+    reasoning.paymentMethod = `"${methods[0].method}" appears in the document text`;
+  }
+
+  return { fields, confidence, reasoning };
+}
+
+// Plain text receipts - decoded as UTF-8 without replacement characters
+function readPlainText(buffer) {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') || /[\u0000-\u0008\u000E-\u001F]/.test(text) ? null : text;
+}
+
+/**
+ * Process a receipt with the offline provider
+ * @param {Buffer} buffer - Receipt buffer
+ * @param {string} fileName - File name, also used to find its fixture
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Fixtures directory (default OCR_FIXTURES_DIR)
+ * @returns {Promise<Object>} - Parsed expense fields, in the shape of processWithClaudeOCR
+ */
+async function processWithLocalOCR(buffer, fileName, { fixturesDir = process.env.OCR_FIXTURES_DIR } = {}) {
+  const startTime = Date.now();
+  let result;
+  let source;
+
+  const fixture = loadOcrFixture(buffer, fileName, fixturesDir);
+  if (fixture) {
+    result = buildOcrResult(fixture);
+    source = 'fixture';
+  } else {
+    const text = isPdfDocument(buffer) ? extractPdfText(buffer) : readPlainText(buffer);
+    result = parseReceiptText(text);
+    source = text ? 'textLayer' : 'none';
+  }
+
+  debugLog('Local OCR processing complete', {
+    fileName,
+    source,
+    fieldsExtracted: Object.keys(result.fields).filter(k => result.fields[k] !== null)
+  });
+
+  return {
+    success: true,
+    fields: result.fields,
+    confidence: result.confidence,
+    reasoning: result.reasoning,
+    fieldPages: result.fieldPages || null,
+    pageCount: result.pageCount || (isPdfDocument(buffer) ? Math.max(1, estimatePdfPageCount(buffer)) : 1),
+    processingTime: Date.now() - startTime,
+    provider: LOCAL_PROVIDER_NAME
+  };
+}
+
+module.exports = {
+  processWithLocalOCR,
+  parseReceiptText,
+  extractPdfText,
+  loadOcrFixture
+};
@@ -17,6 +17,7 @@ const {
 
 const { createCorsResponse: secureCorsResponse, createCorsErrorResponse } = require('./cors-config');
 const { COMPANY_TABLE_NAMES } = require('./table-config');
+const { checkLegacyProjectBudget } = require('./budget-alerts');
 
 // Always use real AWS DynamoDB - no mock databases
 const dynamoConfig = {
@@ -353,6 +354,9 @@ async function validateContractorExists(userId, contractorId) {
 
 /**
  * Update project spent amount (helper for expense operations)
+ * Also raises a budget alert if the project crossed a threshold. Legacy items keep
+ * their own `SpentAmount` rather than the company `spentAmount` counter, so they are
+ * checked from the updated item (see checkLegacyProjectBudget in budget-alerts.js).
  */
 async function updateProjectSpentAmount(userId, projectId, amountChange) {
   const params = {
@@ -366,7 +370,10 @@ async function updateProjectSpentAmount(userId, projectId, amountChange) {
     ReturnValues: 'ALL_NEW'
   };
   
-  return await dynamoOperation('update', params);
+  const result = await dynamoOperation('update', params);
+  await checkLegacyProjectBudget(result.Attributes);
+
+  return result;
 }
 
 module.exports = {
@@ -0,0 +1,131 @@
+// lambda/shared/ocr-pages.js
+// Multi-page (PDF) invoice support for receipt OCR
+//
+// Suppliers email PDF invoices of two or three pages: the vendor and invoice number
+// are printed in the header of page 1 while the total and payment details are on the
+// last page. OCR reads every page separately; the pages are then merged into one set
+// of fields, each taken from the page it was found on.
+
+// Pages read from one PDF - longer documents are statements, not invoices
+const MAX_PDF_PAGES = 5;
+
+// Header fields - taken from the first page that has them
+const FIRST_PAGE_FIELDS = ['vendor', 'vendorTaxId', 'invoiceNum', 'date'];
+
+// Totals - taken from the last page that has them (page subtotals come before the final total)
+const LAST_PAGE_FIELDS = ['amount', 'paymentMethod'];
+
+// Joined across pages, for line items that continue on the next page
+const JOINED_FIELDS = ['description'];
+
+// Lists concatenated across pages (the item table continues on the next page)
+const LIST_FIELDS = ['lineItems'];
+
+// Only scored when found - most receipts have neither
+const OPTIONAL_FIELDS = ['vendorTaxId', ...LIST_FIELDS];
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Whether a document buffer is a PDF (by its "%PDF-" header)
+ * @param {Buffer} buffer - Document buffer
+ * @returns {boolean}
+ */
+function isPdfDocument(buffer) {
+  return Boolean(buffer) && buffer.length > 4 && buffer.toString('latin1', 0, 5) === '%PDF-';
+}
+
+/**
+ * Estimate the number of pages of a PDF
+ * Counts the page objects; PDFs that keep them in compressed object streams
+ * report 0, so 0 means "unknown" rather than "empty".
+ * @param {Buffer} buffer - PDF buffer
+ * @returns {number} Page count, or 0 when it cannot be told
+ */
+function estimatePdfPageCount(buffer) {
+  const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Merge the OCR results of a document's pages into one set of fields
+ * @param {Array<Object>} pages - [{ page, fields, confidence, reasoning }] in page order
+ * @returns {Object} { fields, confidence, reasoning, fieldPages: { field: [page, ...] }, pageCount }
+ */
+function mergeOcrPages(pages) {
+  const ordered = [...pages].sort((a, b) => a.page - b.page);
+  const fields = {};
+  const confidence = {};
+  const fieldPages = {};
+  let reasoning = { paymentMethod: null };
+
+  const takeFrom = (field, page) => {
+    fields[field] = page.fields[field];
+    confidence[field] = page.confidence[field] || 0;
+    fieldPages[field] = [page.page];
+  };
+
+  FIRST_PAGE_FIELDS.forEach(field => {
+    const page = ordered.find(entry => hasValue(entry.fields[field]));
+    if (page) {
+      takeFrom(field, page);
+    }
+  });
+
+  LAST_PAGE_FIELDS.forEach(field => {
+    const page = [...ordered].reverse().find(entry => hasValue(entry.fields[field]));
+    if (page) {
+      takeFrom(field, page);
+      if (field === 'paymentMethod') {
+        reasoning = { paymentMethod: page.reasoning?.paymentMethod || null };
+      }
+    }
+  });
+
+  JOINED_FIELDS.forEach(field => {
+    const found = ordered.filter(entry => hasValue(entry.fields[field]));
+    if (found.length > 0) {
+      fields[field] = found.map(entry => String(entry.fields[field]).trim()).join(' / ');
+      // A joined field is only as reliable as its weakest page
+      confidence[field] = Math.min(...found.map(entry => entry.confidence[field] || 0));
+      fieldPages[field] = found.map(entry => entry.page);
+    }
+  });
+
+  LIST_FIELDS.forEach(field => {
+    const found = ordered.filter(entry => hasValue(entry.fields[field]));
+    if (found.length > 0) {
+      fields[field] = found.reduce((list, entry) => list.concat(entry.fields[field]), []);
+      confidence[field] = Math.min(...found.map(entry => entry.confidence[field] || 0));
+      fieldPages[field] = found.map(entry => entry.page);
+    }
+  });
+
+  // Fields no page had keep the single-image shape: null, scored 0
+  // (the tax ID and line items are only scored when read)
+  [...FIRST_PAGE_FIELDS, ...LAST_PAGE_FIELDS, ...JOINED_FIELDS, ...LIST_FIELDS].forEach(field => {
+    if (!(field in fields)) {
+      fields[field] = null;
+      if (!OPTIONAL_FIELDS.includes(field)) {
+        confidence[field] = 0;
+      }
+    }
+  });
+
+  return {
+    fields,
+    confidence,
+    reasoning,
+    fieldPages,
+    pageCount: ordered.length
+  };
+}
+
+module.exports = {
+  MAX_PDF_PAGES,
+  isPdfDocument,
+  estimatePdfPageCount,
+  mergeOcrPages
+};
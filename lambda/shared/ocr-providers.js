@@ -0,0 +1,67 @@
+// lambda/shared/ocr-providers.js
+// Receipt OCR providers
+//
+// Every provider reads a receipt buffer and resolves to the same result shape:
+// { fields, confidence, reasoning, fieldPages, pageCount, processingTime, provider }
+// so processReceiptOCR does not depend on which one ran.
+//
+// The provider is chosen per environment and per subscription tier:
+//   OCR_PROVIDER_<TIER> (e.g. OCR_PROVIDER_TRIAL=local) - for companies on that tier
+//   OCR_PROVIDER (e.g. OCR_PROVIDER=local for offline development) - for everyone else
+//   otherwise DEFAULT_OCR_PROVIDER
+
+const { processWithClaudeOCR } = require('./claude-ocr-parser');
+const { processWithLocalOCR } = require('./local-ocr-parser');
+const { getAllTiers } = require('./tier-config');
+
+const OCR_PROVIDERS = {
+  // Claude 3.5 Sonnet via OpenRouter
+  claude: {
+    requiresApiKey: true,
+    process: (buffer, fileName, { apiKey }) => processWithClaudeOCR(buffer, fileName, apiKey)
+  },
+  // Deterministic offline provider - fixtures or the document's text layer
+  local: {
+    requiresApiKey: false,
+    process: (buffer, fileName) => processWithLocalOCR(buffer, fileName)
+  }
+};
+
+const DEFAULT_OCR_PROVIDER = 'claude';
+
+const TIER_ENV_PREFIX = 'OCR_PROVIDER_';
+
+/**
+ * Whether any tier has its own OCR provider, i.e. the company's tier is needed to choose
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+function hasTierOcrProviders(env = process.env) {
+  return Object.keys(getAllTiers()).some(tier => env[`${TIER_ENV_PREFIX}${tier.toUpperCase()}`]);
+}
+
+/**
+ * Choose the OCR provider for a company
+ * @param {Object} [context]
+ * @param {string} [context.tier] - Company subscription tier
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { id, requiresApiKey, process(buffer, fileName, { apiKey }) }
+ * @throws {Error} When the configured provider does not exist
+ */
+function selectOcrProvider({ tier } = {}, env = process.env) {
+  const tierProvider = tier ? env[`${TIER_ENV_PREFIX}${String(tier).toUpperCase()}`] : null;
+  const id = (tierProvider || env.OCR_PROVIDER || DEFAULT_OCR_PROVIDER).trim().toLowerCase();
+
+  const provider = OCR_PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown OCR provider: ${id}. Available: ${Object.keys(OCR_PROVIDERS).join(', ')}`);
+  }
+  return { id, ...provider };
+}
+
+module.exports = {
+  OCR_PROVIDERS,
+  DEFAULT_OCR_PROVIDER,
+  hasTierOcrProviders,
+  selectOcrProvider
+};
@@ -0,0 +1,160 @@
+// lambda/shared/progress-billing.js
+// Progress billing (חשבונות חלקיים) and retention (עיכבון) on subcontractor works
+//
+// A subcontractor bills a work in parts as it progresses. Bills are stored as a list on the
+// work item (`progressBills`); each bill holds back the work's retention percentage, which
+// is paid out once the work is completed (`retentionRelease`). Amounts are in the terms of
+// the work's contract value (`totalWorkCost`, including approved change orders).
+
+const { validateAndSanitize } = require('./input-validator');
+const { roundCurrency } = require('./vat-utils');
+
+// Bills per work (they live on the work item)
+const MAX_PROGRESS_BILLS = 100;
+
+// Retention is only released once the work is done
+const RETENTION_RELEASE_STATUS = 'completed';
+
+/**
+ * Validation schema for a progress bill
+ */
+const PROGRESS_BILL_SCHEMA = {
+  billNumber: { type: 'shortText' }, // Subcontractor's own numbering (e.g. ח-3)
+  date: { type: 'date', required: true },
+  notes: { type: 'description' }
+};
+
+/**
+ * Validate a retention percentage (0-100)
+ * @param {*} value - Retention percentage from the request
+ * @returns {Object} { valid: boolean, error?: string, retentionPercent?: number }
+ */
+function validateRetentionPercent(value) {
+  const retentionPercent = parseFloat(value);
+  if (isNaN(retentionPercent) || retentionPercent < 0 || retentionPercent > 100) {
+    return { valid: false, error: 'Retention percent must be a number between 0 and 100' };
+  }
+  return { valid: true, retentionPercent: Math.round(retentionPercent * 100) / 100 };
+}
+
+/**
+ * Progress billing position of a work
+ *
+ * - billedToDate: gross amount of all bills (before retention)
+ * - retentionHeld: retention withheld and not released yet
+ * - netPayableToDate: what the subcontractor is owed so far (bills after retention, plus released retention)
+ * - suggestedAmount: what the current progress entitles the subcontractor to bill now
+ * @param {Object} work - Work record
+ * @returns {Object} Billing summary
+ */
+function summarizeProgressBilling(work) {
+  const bills = work.progressBills || [];
+  const contractValue = Number(work.totalWorkCost) || 0;
+  const progress = Number(work.progress) || 0;
+
+  const billedToDate = roundCurrency(bills.reduce((sum, bill) => sum + bill.amount, 0));
+  const retentionWithheld = roundCurrency(bills.reduce((sum, bill) => sum + bill.retentionAmount, 0));
+  const retentionReleased = work.retentionRelease ? work.retentionRelease.amount : 0;
+  const netBilled = roundCurrency(bills.reduce((sum, bill) => sum + bill.netAmount, 0));
+
+  return {
+    workId: work.workId,
+    contractValue,
+    progress,
+    retentionPercent: Number(work.retentionPercent) || 0,
+    billedToDate,
+    remainingToBill: roundCurrency(Math.max(0, contractValue - billedToDate)),
+    retentionHeld: roundCurrency(retentionWithheld - retentionReleased),
+    retentionReleased,
+    netPayableToDate: roundCurrency(netBilled + retentionReleased),
+    suggestedAmount: work.retentionRelease
+      ? 0
+      : roundCurrency(Math.max(0, contractValue * progress / 100 - billedToDate)),
+    bills,
+    retentionRelease: work.retentionRelease || null
+  };
+}
+
+/**
+ * Validate a new progress bill and compute its retention and cumulative amounts
+ * The amount defaults to the amount suggested by the work's progress.
+ * @param {Object} work - Work record (with the progress the bill is based on)
+ * @param {Object} data - Request body { date, billNumber?, amount?, notes? }
+ * @returns {Object} { valid: boolean, errors: string[], bill: Object }
+ */
+function buildProgressBill(work, data = {}) {
+  const { valid, errors, sanitized } = validateAndSanitize(data, PROGRESS_BILL_SCHEMA);
+  const summary = summarizeProgressBilling(work);
+
+  if (work.retentionRelease) {
+    errors.push('Retention was already released - no more bills can be added');
+  }
+
+  const hasAmount = data.amount !== undefined && data.amount !== null && data.amount !== '';
+  const amount = hasAmount ? roundCurrency(parseFloat(data.amount)) : summary.suggestedAmount;
+  if (isNaN(amount) || amount <= 0) {
+    errors.push(hasAmount ? 'amount must be a positive number' : 'Nothing to bill at the current progress');
+  } else if (amount > summary.remainingToBill) {
+    errors.push(`amount exceeds the remaining contract value (${summary.remainingToBill})`);
+  }
+
+  if (!valid || errors.length > 0) {
+    return { valid: false, errors, bill: null };
+  }
+
+  const retentionAmount = roundCurrency(amount * summary.retentionPercent / 100);
+  return {
+    valid: true,
+    errors: [],
+    bill: {
+      billNumber: sanitized.billNumber || '',
+      date: sanitized.date,
+      progress: summary.progress,
+      amount,
+      retentionPercent: summary.retentionPercent,
+      retentionAmount,
+      netAmount: roundCurrency(amount - retentionAmount),
+      cumulativeBilled: roundCurrency(summary.billedToDate + amount),
+      cumulativeRetention: roundCurrency(summary.retentionHeld + retentionAmount),
+      notes: sanitized.notes || ''
+    }
+  };
+}
+
+/**
+ * Release the retention held on a completed work
+ * @param {Object} work - Work record
+ * @param {Object} context - { userId, date, timestamp }
+ * @returns {Object} { error } or { retentionRelease }
+ */
+function buildRetentionRelease(work, { userId, date, timestamp }) {
+  if (work.status !== RETENTION_RELEASE_STATUS) {
+    return { error: 'Retention can only be released once the work is completed' };
+  }
+  if (work.retentionRelease) {
+    return { error: 'Retention was already released' };
+  }
+
+  const { retentionHeld } = summarizeProgressBilling(work);
+  if (retentionHeld <= 0) {
+    return { error: 'No retention is held on this work' };
+  }
+
+  return {
+    retentionRelease: {
+      amount: retentionHeld,
+      date,
+      releasedBy: userId,
+      releasedAt: timestamp
+    }
+  };
+}
+
+module.exports = {
+  MAX_PROGRESS_BILLS,
+  RETENTION_RELEASE_STATUS,
+  validateRetentionPercent,
+  summarizeProgressBilling,
+  buildProgressBill,
+  buildRetentionRelease
+};
@@ -0,0 +1,236 @@
+// lambda/shared/project-budget.js
+// Project budget line items (סעיפי תקציב) and budget-vs-actual per line
+//
+// A project's budget is broken into lines by trade or cost code (electrical, plumbing,
+// concrete, finishing). Lines are stored on the project item (`budgetLines` list) and
+// works and expenses point to a line with `budgetLineId`. An expense without its own
+// line falls under the line of its work.
+
+const { generateBudgetLineId, EXPENSE_STATUS } = require('./company-utils');
+const { validateField, VALIDATION_RULES } = require('./input-validator');
+const { roundCurrency } = require('./vat-utils');
+const { getOriginalWorkCost } = require('./change-orders');
+const { splitExpenseByAllocations } = require('./expense-allocations');
+
+// Lines per project (the list lives on the project item)
+const MAX_BUDGET_LINES = 50;
+
+const COST_CODE_RULES = {
+  maxLength: 20,
+  pattern: /^[\w\-./]+$/,
+  message: 'Cost code contains invalid characters'
+};
+
+// Cancelled works are not a commitment and rejected expenses are not spending
+const EXCLUDED_WORK_STATUSES = ['cancelled'];
+const EXCLUDED_EXPENSE_STATUSES = [EXPENSE_STATUS.REJECTED];
+
+/**
+ * Validate the budget lines of a project
+ * Existing lines keep their lineId so works and expenses stay assigned; lines
+ * without a lineId are new and get one.
+ * @param {Array<Object>} lines - [{ lineId?, name, costCode?, amount }]
+ * @param {Array<Object>} [existingLines] - Lines currently stored on the project
+ * @returns {Object} { valid: boolean, errors: string[], lines: Array<Object> }
+ */
+function validateBudgetLines(lines, existingLines = []) {
+  if (!Array.isArray(lines)) {
+    return { valid: false, errors: ['budgetLines must be an array'], lines: [] };
+  }
+  if (lines.length > MAX_BUDGET_LINES) {
+    return { valid: false, errors: [`A project can have at most ${MAX_BUDGET_LINES} budget lines`], lines: [] };
+  }
+
+  const existingIds = new Set(existingLines.map(line => line.lineId));
+  const seenNames = new Set();
+  const errors = [];
+  const resolved = [];
+
+  lines.forEach((line, index) => {
+    const label = `budgetLines[${index}]`;
+    if (!line || typeof line !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const lineErrors = [];
+    const check = (field, rules) => {
+      const validation = validateField(line[field], `${label}.${field}`, rules);
+      if (!validation.valid) {
+        lineErrors.push(validation.error);
+      }
+    };
+    check('name', { ...VALIDATION_RULES.shortText, maxLength: 100, required: true });
+    check('costCode', COST_CODE_RULES);
+
+    const amount = Number(line.amount);
+    if (line.amount === undefined || line.amount === null || line.amount === '' || isNaN(amount) ||
+        amount < 0 || amount > VALIDATION_RULES.amount.max) {
+      lineErrors.push(`${label}.amount must be a number between 0 and 100,000,000`);
+    }
+
+    if (line.lineId && !existingIds.has(line.lineId)) {
+      lineErrors.push(`${label}.lineId ${line.lineId} does not belong to this project`);
+    }
+
+    const name = typeof line.name === 'string' ? line.name.trim() : '';
+    if (name && seenNames.has(name.toLowerCase())) {
+      lineErrors.push(`Budget line "${name}" appears more than once`);
+    }
+    seenNames.add(name.toLowerCase());
+
+    if (lineErrors.length > 0) {
+      errors.push(...lineErrors);
+      return;
+    }
+
+    resolved.push({
+      lineId: line.lineId || generateBudgetLineId(),
+      name,
+      costCode: line.costCode || '',
+      amount: roundCurrency(amount)
+    });
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, lines: [] };
+  }
+  return { valid: true, errors: [], lines: resolved };
+}
+
+/**
+ * Total budget of a set of lines
+ * @param {Array<Object>} lines - Result of validateBudgetLines
+ * @returns {number} Sum of the line amounts
+ */
+function getBudgetLinesTotal(lines) {
+  return roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+}
+
+/**
+ * Check that a budget line belongs to a project
+ * @param {Object} project - Project record
+ * @param {string} budgetLineId - Line to assign
+ * @throws {Error} If the project has no such line
+ */
+function validateBudgetLineExists(project, budgetLineId) {
+  const lines = project.budgetLines || [];
+  if (!lines.some(line => line.lineId === budgetLineId)) {
+    throw new Error(`Budget line ${budgetLineId} not found in project ${project.projectId}`);
+  }
+}
+
+/**
+ * Budget vs. actual per budget line of a project
+ *
+ * - committed: total cost of the project's works on the line (revised contract values,
+ *   including approved change orders); originalCommitted: the same before change orders
+ * - actual: expenses recorded against the line (allocated portions for split expenses)
+ * - projected: the expected final cost - each work counts at its cost, or at what was
+ *   already spent on it if that is more, plus expenses that are not against a work
+ * - remaining: budget - projected
+ *
+ * Works and expenses without a line are reported under `unassigned`.
+ * @param {Object} project - Project record
+ * @param {Array<Object>} works - Company works (other projects' works are ignored)
+ * @param {Array<Object>} expenses - Company expenses (other projects' portions are ignored)
+ * @returns {Object} { projectId, projectName, lines, unassigned, totals }
+ */
+function buildBudgetVsActual(project, works, expenses) {
+  const createBucket = (budget) => ({
+    budget,
+    actual: 0,
+    workCosts: new Map(),   // workId -> totalWorkCost
+    originalCommitted: 0,   // Works' contract values before change orders
+    workActuals: new Map(), // workId -> actual spent against the work
+    directActual: 0         // Spent without a work (or against a cancelled work)
+  });
+
+  const buckets = new Map();
+  (project.budgetLines || []).forEach(line => buckets.set(line.lineId, createBucket(line.amount)));
+  const unassigned = createBucket(0);
+  const bucketFor = (lineId) => (lineId && buckets.get(lineId)) || unassigned;
+
+  const workLines = new Map();
+  works
+    .filter(work => work.projectId === project.projectId && !EXCLUDED_WORK_STATUSES.includes(work.status))
+    .forEach(work => {
+      workLines.set(work.workId, work.budgetLineId || '');
+      const bucket = bucketFor(work.budgetLineId);
+      bucket.workCosts.set(work.workId, Number(work.totalWorkCost) || 0);
+      bucket.originalCommitted += getOriginalWorkCost(work);
+    });
+
+  expenses
+    .filter(expense => !EXCLUDED_EXPENSE_STATUSES.includes(expense.status))
+    .flatMap(splitExpenseByAllocations)
+    .filter(portion => portion.projectId === project.projectId)
+    .forEach(portion => {
+      const amount = Number(portion.amount) || 0;
+      const bucket = bucketFor(portion.budgetLineId || workLines.get(portion.workId));
+      bucket.actual += amount;
+      if (portion.workId && bucket.workCosts.has(portion.workId)) {
+        bucket.workActuals.set(portion.workId, (bucket.workActuals.get(portion.workId) || 0) + amount);
+      } else {
+        bucket.directActual += amount;
+      }
+    });
+
+  const summarize = (bucket) => {
+    let committed = 0;
+    let projected = bucket.directActual;
+    bucket.workCosts.forEach((cost, workId) => {
+      committed += cost;
+      projected += Math.max(cost, bucket.workActuals.get(workId) || 0);
+    });
+    return {
+      originalCommitted: roundCurrency(bucket.originalCommitted),
+      committed: roundCurrency(committed),
+      actual: roundCurrency(bucket.actual),
+      projected: roundCurrency(projected)
+    };
+  };
+
+  const lines = (project.budgetLines || []).map(line => {
+    const amounts = summarize(buckets.get(line.lineId));
+    const remaining = roundCurrency(line.amount - amounts.projected);
+    return {
+      lineId: line.lineId,
+      name: line.name,
+      costCode: line.costCode || '',
+      budget: line.amount,
+      ...amounts,
+      remaining,
+      percentUsed: line.amount > 0 ? Math.round(amounts.projected / line.amount * 1000) / 10 : null,
+      overBudget: remaining < 0
+    };
+  });
+
+  const unassignedAmounts = summarize(unassigned);
+  const sum = (field) => roundCurrency(lines.reduce((total, line) => total + line[field], 0) + unassignedAmounts[field]);
+  const budget = Number(project.budget) || 0;
+  const projected = sum('projected');
+
+  return {
+    projectId: project.projectId,
+    projectName: project.name,
+    lines,
+    unassigned: unassignedAmounts,
+    totals: {
+      budget,
+      originalCommitted: sum('originalCommitted'),
+      committed: sum('committed'),
+      actual: sum('actual'),
+      projected,
+      remaining: roundCurrency(budget - projected)
+    }
+  };
+}
+
+module.exports = {
+  MAX_BUDGET_LINES,
+  validateBudgetLines,
+  getBudgetLinesTotal,
+  validateBudgetLineExists,
+  buildBudgetVsActual
+};
@@ -0,0 +1,356 @@
+// lambda/shared/receipt-batches.js
+// Batch receipt upload and the draft expenses it produces
+//
+// A batch is a set of receipts uploaded together (e.g. a week of supplier invoices).
+// Each receipt becomes a draft expense that moves through:
+//   uploading  - presigned URL issued, the browser is uploading the file to S3
+//   queued     - uploaded, waiting for the background OCR worker (processReceiptBatches.js)
+//   processing - locked by a worker run
+//   ready      - OCR done, waiting for the user to review and confirm it
+//   failed     - the file is missing, cannot be read, or OCR kept failing
+//   confirming - claimed by a confirm request that is creating the expense
+// A receipt read by the instant OCR of the expense form is saved as a ready draft too, so
+// the result survives closing the form. The user can correct a draft's fields, confirm it
+// (creates the real expense and deletes the draft) or discard it. Drafts do not count
+// against the tier's expense limit until they are confirmed.
+
+const { validateUploadRequest, validateFileName, ALLOWED_MIME_TYPES } = require('./file-validator');
+const { validateField, VALIDATION_RULES } = require('./input-validator');
+const { isTransientError, calculateBackoffDelay } = require('./webhook-retry-utils');
+const { normalizeOcrLineItems, lineItemsMatchTotal } = require('./expense-line-items');
+const { VALID_PAYMENT_METHODS } = require('./expense-payments');
+
+// Receipts accepted in one batch
+const MAX_BATCH_RECEIPTS = 50;
+
+const DRAFT_STATUS = {
+  UPLOADING: 'uploading',
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed',
+  CONFIRMING: 'confirming'
+};
+
+// Where a draft came from
+const DRAFT_SOURCES = {
+  BATCH: 'batch',
+  OCR: 'ocr'
+};
+
+// Draft statuses the user can correct, confirm one by one or discard
+const DRAFT_EDITABLE_STATUSES = [DRAFT_STATUS.READY, DRAFT_STATUS.FAILED];
+
+// Fields the user can correct on a draft (contractorId and projectId replace the OCR match)
+const DRAFT_EDITABLE_FIELDS = ['vendor', 'invoiceNum', 'amount', 'date', 'description', 'paymentMethod',
+  'contractorId', 'projectId'];
+
+// Retries of the OCR call within one worker run (short provider hiccups)
+const OCR_RETRY_CONFIG = {
+  maxRetries: 2,
+  baseDelayMs: 2000,
+  maxDelayMs: 8000,
+  backoffMultiplier: 2
+};
+
+// Worker runs a draft gets before it is marked failed; between runs the draft
+// waits 1, 2, 4... minutes (rate limits usually last longer than one run's retries)
+const MAX_PROCESSING_ATTEMPTS = 4;
+const RESCHEDULE_CONFIG = {
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  backoffMultiplier: 2
+};
+
+// A draft left in processing this long belongs to a worker run that died - pick it up again
+const PROCESSING_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Error text kept on a failed draft
+const MAX_ERROR_LENGTH = 300;
+
+/**
+ * Whether an OCR failure is worth retrying
+ * Provider rate limits, timeouts and 5xx answers are; a bad API key or an unreadable file is not.
+ * @param {Error} error - Error thrown while reading the receipt
+ * @returns {boolean}
+ */
+function isTransientOcrError(error) {
+  return isTransientError(error) ||
+    /Rate limit exceeded|timeout|timed out|ECONNABORTED|socket hang up|status code 5\d\d/i.test(error.message || '');
+}
+
+/**
+ * Validate the files of a batch upload request
+ * @param {Array<Object>} files - [{ fileName, fileType, fileSize }]
+ * @returns {Object} { valid, errors: string[], files: [{ fileName, fileType, fileSize, extension }] }
+ */
+function validateBatchFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return { valid: false, errors: ['files must be a non-empty array'], files: [] };
+  }
+  if (files.length > MAX_BATCH_RECEIPTS) {
+    return { valid: false, errors: [`A batch can contain at most ${MAX_BATCH_RECEIPTS} receipts`], files: [] };
+  }
+
+  const errors = [];
+  const validFiles = [];
+  files.forEach((file, index) => {
+    const { fileName, fileType, fileSize } = file || {};
+    if (!fileName || !fileType || fileSize === undefined) {
+      errors.push(`files[${index}]: fileName, fileType and fileSize are required`);
+      return;
+    }
+
+    const validation = validateUploadRequest({ fileName, fileType, fileSize, uploadType: 'receipt' });
+    if (!validation.valid) {
+      errors.push(`${fileName}: ${validation.error}`);
+      return;
+    }
+
+    validFiles.push({ fileName, fileType: validation.mimeType, fileSize, extension: validation.extension });
+  });
+
+  return { valid: errors.length === 0, errors, files: errors.length === 0 ? validFiles : [] };
+}
+
+/**
+ * S3 key of an uploaded receipt - same format as uploadReceipt.js, so it can be stored
+ * as the expense's receiptUrl
+ * @param {string} companyId - Company ID
+ * @param {string} extension - File extension including the dot
+ * @returns {string}
+ */
+function buildReceiptKey(companyId, extension) {
+  return `${companyId}/receipts/receipt-${Date.now()}-${Math.random().toString(36).substring(7)}${extension}`;
+}
+
+/**
+ * Extension and content type of a receipt read by the instant OCR request
+ * @param {string} fileName - Original file name
+ * @returns {Object|null} { extension, mimeType }, or null when it is not a receipt file type
+ */
+function getReceiptFileType(fileName) {
+  const { valid, extension } = validateFileName(fileName);
+  if (!valid) {
+    return null;
+  }
+  const mimeType = Object.keys(ALLOWED_MIME_TYPES).find(type => ALLOWED_MIME_TYPES[type].includes(extension));
+  return mimeType ? { extension, mimeType } : null;
+}
+
+/**
+ * Whether a worker run should pick up a draft
+ * @param {Object} draft - Draft expense
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+function isDraftDue(draft, now) {
+  if (draft.status === DRAFT_STATUS.QUEUED) {
+    return !draft.nextAttemptAt || new Date(draft.nextAttemptAt).getTime() <= now;
+  }
+  if (draft.status === DRAFT_STATUS.PROCESSING) {
+    return !draft.lockedAt || new Date(draft.lockedAt).getTime() + PROCESSING_LOCK_TIMEOUT_MS <= now;
+  }
+  return false;
+}
+
+/**
+ * Draft fields after a failed OCR run: queued again with a delay, or failed
+ * @param {Object} draft - Draft expense (attempts = completed runs so far)
+ * @param {Error} error - Error of the run
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { status, attempts, lastError, nextAttemptAt }
+ */
+function getDraftFailureUpdate(draft, error, now) {
+  const attempts = (draft.attempts || 0) + 1;
+  const lastError = String(error.message || error).substring(0, MAX_ERROR_LENGTH);
+
+  if (isTransientOcrError(error) && attempts < MAX_PROCESSING_ATTEMPTS) {
+    return {
+      status: DRAFT_STATUS.QUEUED,
+      attempts,
+      lastError,
+      nextAttemptAt: new Date(now + calculateBackoffDelay(attempts - 1, RESCHEDULE_CONFIG)).toISOString()
+    };
+  }
+  return { status: DRAFT_STATUS.FAILED, attempts, lastError, nextAttemptAt: null };
+}
+
+/**
+ * Draft fields from the result of runReceiptOcr()
+ * @param {Object} data - { extractedFields, ocrMetadata }
+ * @returns {Object} { extractedFields, confidence, contractorMatch, ocrMetadata }
+ */
+function buildDraftFromOcr({ extractedFields, ocrMetadata }) {
+  const { confidence, contractorMatch, ...fields } = extractedFields;
+  return {
+    extractedFields: fields,
+    confidence: confidence || {},
+    contractorMatch: contractorMatch || null,
+    ocrMetadata
+  };
+}
+
+/**
+ * Validate the user's corrections of a draft (PUT /expenses/drafts)
+ * Only the fields present are changed; an empty value clears the field.
+ * @param {Object} data - { vendor?, invoiceNum?, amount?, date?, description?, paymentMethod?, contractorId?, projectId? }
+ * @returns {Object} { valid, errors: string[], fields }
+ */
+function validateDraftEdits(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['fields must be an object'], fields: {} };
+  }
+
+  const errors = [];
+  const fields = {};
+  const isEmpty = value => value === undefined || value === null || value === '';
+
+  const unknown = Object.keys(data).filter(field => !DRAFT_EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push(`These fields cannot be edited: ${unknown.join(', ')}`);
+  }
+
+  const check = (field, rules) => {
+    const validation = validateField(isEmpty(data[field]) ? data[field] : String(data[field]), field, rules);
+    if (!validation.valid) {
+      errors.push(validation.error);
+      return false;
+    }
+    return true;
+  };
+  const checkText = (field, rules) => {
+    if (field in data && check(field, rules)) {
+      fields[field] = isEmpty(data[field]) ? null : String(data[field]).trim();
+    }
+  };
+
+  checkText('vendor', VALIDATION_RULES.shortText);
+  checkText('invoiceNum', VALIDATION_RULES.invoiceNumber);
+  checkText('description', VALIDATION_RULES.description);
+
+  if ('amount' in data) {
+    const amount = Number(data.amount);
+    if (isEmpty(data.amount)) {
+      fields.amount = null;
+    } else if (isNaN(amount) || amount <= 0 || amount > VALIDATION_RULES.amount.max) {
+      errors.push('amount must be a positive number up to 100,000,000');
+    } else {
+      fields.amount = amount;
+    }
+  }
+
+  if ('date' in data && check('date', VALIDATION_RULES.date)) {
+    fields.date = isEmpty(data.date) ? null : data.date;
+  }
+
+  if ('paymentMethod' in data) {
+    if (isEmpty(data.paymentMethod)) {
+      fields.paymentMethod = null;
+    } else if (!VALID_PAYMENT_METHODS.includes(data.paymentMethod)) {
+      errors.push(`paymentMethod must be one of: ${VALID_PAYMENT_METHODS.join(', ')}`);
+    } else {
+      fields.paymentMethod = data.paymentMethod;
+    }
+  }
+
+  ['contractorId', 'projectId'].forEach(field => {
+    if (field in data && check(field, VALIDATION_RULES.id)) {
+      fields[field] = data[field] || '';
+    }
+  });
+
+  if (errors.length === 0 && Object.keys(fields).length === 0) {
+    errors.push('No fields to update');
+  }
+
+  return { valid: errors.length === 0, errors, fields };
+}
+
+/**
+ * Draft attributes after the user's corrections (from validateDraftEdits)
+ * Corrected fields are no longer flagged as low confidence. The contractor match is set
+ * by the caller, which looks the contractor up.
+ * @param {Object} draft - Draft expense
+ * @param {Object} fields - Validated corrections
+ * @returns {Object} { extractedFields, ocrMetadata, editedFields, projectId? }
+ */
+function applyDraftEdits(draft, fields) {
+  const { contractorId, projectId, ...readFields } = fields;
+  const edited = Object.keys(fields);
+  const ocrMetadata = draft.ocrMetadata || {};
+
+  return {
+    extractedFields: { ...(draft.extractedFields || {}), ...readFields },
+    ocrMetadata: {
+      ...ocrMetadata,
+      lowConfidenceFields: (ocrMetadata.lowConfidenceFields || []).filter(field => !edited.includes(field))
+    },
+    editedFields: [...new Set([...(draft.editedFields || []), ...edited])],
+    ...(projectId !== undefined ? { projectId } : {})
+  };
+}
+
+/**
+ * Expense request (as sent to POST /expenses) for confirming a draft
+ * The draft's fields are used unless the user corrected them in `overrides`. Line items
+ * are only kept when they add up to the total - the user can fix them in the form.
+ * @param {Object} draft - Draft expense
+ * @param {Object} [overrides] - Fields set by the user (projectId, corrected amount...)
+ * @returns {Object}
+ */
+function buildExpenseFromDraft(draft, overrides = {}) {
+  const fields = draft.extractedFields || {};
+  const lineItems = normalizeOcrLineItems(fields.lineItems);
+
+  return {
+    invoiceNum: fields.invoiceNum || '',
+    amount: fields.amount !== null && fields.amount !== undefined ? fields.amount : '',
+    paymentMethod: fields.paymentMethod || '',
+    date: fields.date || '',
+    description: fields.description || '',
+    contractorId: draft.contractorMatch?.contractorId || '',
+    receiptUrl: draft.receiptKey,
+    ...(draft.projectId ? { projectId: draft.projectId } : {}),
+    ...(lineItemsMatchTotal(lineItems, fields.amount) ? { lineItems } : {}),
+    ...overrides
+  };
+}
+
+/**
+ * Progress of a batch
+ * @param {Array<Object>} drafts - Drafts of the batch
+ * @returns {Object} { total, counts: { status: n }, done }
+ */
+function summarizeBatch(drafts) {
+  const counts = {};
+  Object.values(DRAFT_STATUS).forEach(status => { counts[status] = 0; });
+  drafts.forEach(draft => { counts[draft.status] = (counts[draft.status] || 0) + 1; });
+
+  return {
+    total: drafts.length,
+    counts,
+    done: counts[DRAFT_STATUS.READY] + counts[DRAFT_STATUS.FAILED] === drafts.length
+  };
+}
+
+module.exports = {
+  MAX_BATCH_RECEIPTS,
+  DRAFT_STATUS,
+  DRAFT_SOURCES,
+  DRAFT_EDITABLE_STATUSES,
+  OCR_RETRY_CONFIG,
+  MAX_PROCESSING_ATTEMPTS,
+  PROCESSING_LOCK_TIMEOUT_MS,
+  isTransientOcrError,
+  validateBatchFiles,
+  buildReceiptKey,
+  getReceiptFileType,
+  isDraftDue,
+  getDraftFailureUpdate,
+  buildDraftFromOcr,
+  validateDraftEdits,
+  applyDraftEdits,
+  buildExpenseFromDraft,
+  summarizeBatch
+};
@@ -0,0 +1,281 @@
+// lambda/shared/receipt-ocr.js
+// Reading one receipt with OCR, shared by the instant OCR request (processReceiptOCR.js)
+// and the background batch queue (processReceiptBatches.js)
+//
+// Chooses the OCR provider for the company (see ocr-providers.js), reads the receipt,
+// matches the vendor to one of the company's contractors and returns the fields in the
+// shape the expense form is prefilled from: { extractedFields, ocrMetadata }.
+
+// AWS SDK v3 - modular imports for smaller bundle size
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+const {
+  debugLog,
+  dynamoOperation,
+  COMPANY_TABLE_NAMES
+} = require('./company-utils');
+const { hasTierOcrProviders, selectOcrProvider } = require('./ocr-providers');
+const {
+  findBestContractorMatch,
+  findContractorByTaxId,
+  findContractorByAlias
+} = require('./contractor-matcher');
+const { MAX_PDF_PAGES, isPdfDocument, estimatePdfPageCount } = require('./ocr-pages');
+
+const secretsManager = new SecretsManagerClient({ region: 'us-east-1' });
+
+const OCR_CONFIDENCE_THRESHOLD = parseInt(process.env.OCR_CONFIDENCE_THRESHOLD || '70');
+const OPENROUTER_API_KEY_SECRET = process.env.OPENROUTER_API_KEY_SECRET || 'construction-expenses/openrouter-api-key';
+
+// Minimum name similarity for a vendor to be matched to a contractor
+const CONTRACTOR_MATCH_MIN_CONFIDENCE = 70;
+
+/**
+ * Get OpenRouter API key from environment or AWS Secrets Manager
+ * @returns {Promise<string|null>} API key or null if not available
+ */
+async function getOpenRouterApiKey() {
+  // Try environment variable first
+  if (process.env.OPENROUTER_API_KEY) {
+    debugLog('Using OpenRouter API key from environment variable');
+    return process.env.OPENROUTER_API_KEY;
+  }
+
+  // Fall back to Secrets Manager
+  try {
+    const command = new GetSecretValueCommand({
+      SecretId: OPENROUTER_API_KEY_SECRET
+    });
+    const response = await secretsManager.send(command);
+
+    if (response.SecretString) {
+      debugLog('Using OpenRouter API key from Secrets Manager');
+      return response.SecretString;
+    }
+
+    return null;
+  } catch (error) {
+    debugLog('Failed to retrieve OpenRouter API key', {
+      errorCode: error.code,
+      errorMessage: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Get the company's subscription tier, used to choose its OCR provider
+ * @param {string} companyId - Company ID
+ * @returns {Promise<string|null>} Tier, or null if it cannot be read
+ */
+async function getCompanyTier(companyId) {
+  try {
+    const result = await dynamoOperation('get', {
+      TableName: COMPANY_TABLE_NAMES.COMPANIES,
+      Key: { companyId },
+      ProjectionExpression: 'subscriptionTier'
+    });
+    return result.Item?.subscriptionTier || 'trial';
+  } catch (error) {
+    // The default provider is used - OCR does not fail over the tier lookup
+    debugLog('Failed to read company tier for OCR provider', {
+      companyId,
+      errorMessage: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Why a document cannot be read by OCR, checked before the provider is called
+ * @param {Buffer} buffer - Receipt image or PDF
+ * @returns {string|null} Error message, or null when the document can be read
+ */
+function getReceiptDocumentError(buffer) {
+  // Multi-page PDF invoices are read page by page
+  if (!isPdfDocument(buffer)) {
+    return null;
+  }
+
+  const pdfPageCount = estimatePdfPageCount(buffer);
+  debugLog('PDF receipt received', { pdfPageCount });
+
+  if (pdfPageCount > MAX_PDF_PAGES) {
+    return `PDF has too many pages for OCR (${pdfPageCount}). Maximum is ${MAX_PDF_PAGES}. ` +
+      'Please upload the invoice pages only or upload without OCR.';
+  }
+  return null;
+}
+
+/**
+ * Match the vendor read from the receipt to a company contractor
+ * By tax ID, then learned aliases, then by name. A failed lookup is not an OCR failure.
+ * @param {string} companyId - Company ID
+ * @param {Object} fields - Fields read by OCR
+ * @returns {Promise<Object|null>} { contractorId, name, confidence, matchedBy } or null
+ */
+async function matchReceiptContractor(companyId, fields) {
+  if (!fields.vendor && !fields.vendorTaxId) {
+    return null;
+  }
+
+  try {
+    debugLog('Attempting contractor matching', {
+      companyId,
+      vendorName: fields.vendor
+    });
+
+    const contractorsResult = await dynamoOperation('query', {
+      TableName: COMPANY_TABLE_NAMES.CONTRACTORS,
+      KeyConditionExpression: 'companyId = :companyId',
+      ExpressionAttributeValues: { ':companyId': companyId }
+    });
+
+    const contractors = contractorsResult.Items || [];
+    if (contractors.length === 0) {
+      debugLog('No contractors found for matching', { companyId });
+      return null;
+    }
+
+    const contractorMatch = findContractorByTaxId(fields.vendorTaxId, contractors) ||
+      findContractorByAlias(fields.vendor, contractors) ||
+      findBestContractorMatch(fields.vendor, contractors, CONTRACTOR_MATCH_MIN_CONFIDENCE);
+
+    debugLog('Contractor matching complete', {
+      companyId,
+      vendorName: fields.vendor,
+      matchFound: !!contractorMatch,
+      matchConfidence: contractorMatch?.confidence || 0
+    });
+
+    return contractorMatch ? {
+      contractorId: contractorMatch.contractorId,
+      name: contractorMatch.name,
+      confidence: contractorMatch.confidence,
+      matchedBy: contractorMatch.matchedBy || 'name'
+    } : null;
+  } catch (matchError) {
+    debugLog('Contractor matching failed (non-fatal)', {
+      companyId,
+      errorMessage: matchError.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Fields read with less confidence than OCR_CONFIDENCE_THRESHOLD
+ * @param {Object} confidence - Confidence per field (0-100)
+ * @returns {Array<string>} Field names
+ */
+function getLowConfidenceFields(confidence) {
+  return Object.entries(confidence || {})
+    .filter(([, score]) => score < OCR_CONFIDENCE_THRESHOLD)
+    .map(([field]) => field);
+}
+
+/**
+ * Read a receipt with the company's OCR provider
+ * @param {string} companyId - Company ID
+ * @param {Buffer} buffer - Receipt image or PDF
+ * @param {string} fileName - Original file name
+ * @returns {Promise<Object>} { data: { extractedFields, ocrMetadata } } or
+ *   { error: { statusCode, message } } when the receipt cannot be read at all.
+ *   Provider failures (rate limits, timeouts) are thrown.
+ */
+async function runReceiptOcr(companyId, buffer, fileName) {
+  const documentError = getReceiptDocumentError(buffer);
+  if (documentError) {
+    return { error: { statusCode: 400, message: documentError } };
+  }
+
+  // Choose the OCR provider for this environment and company tier
+  const tier = hasTierOcrProviders() ? await getCompanyTier(companyId) : null;
+  const provider = selectOcrProvider({ tier });
+
+  let apiKey = null;
+  if (provider.requiresApiKey) {
+    apiKey = await getOpenRouterApiKey();
+    if (!apiKey) {
+      debugLog('No OpenRouter API key available', { companyId, provider: provider.id });
+      return { error: { statusCode: 500, message: 'OCR service not configured. Please contact support.' } };
+    }
+  }
+
+  debugLog('Processing receipt with OCR provider', { companyId, provider: provider.id, tier });
+
+  let ocrResult;
+  const startTime = Date.now();
+  try {
+    ocrResult = await provider.process(buffer, fileName, { apiKey });
+  } catch (error) {
+    debugLog('OCR provider processing failed', {
+      companyId,
+      provider: provider.id,
+      errorMessage: error.message
+    });
+    throw error;
+  }
+  const processingTime = Date.now() - startTime;
+
+  const { fields, confidence, reasoning, fieldPages, pageCount, provider: ocrProvider } = ocrResult;
+
+  debugLog('OCR provider processing successful', {
+    companyId,
+    provider: provider.id,
+    processingTimeMs: processingTime,
+    fieldsExtracted: Object.keys(fields).filter(k => fields[k] !== null)
+  });
+
+  const contractorMatch = await matchReceiptContractor(companyId, fields);
+
+  const lowConfidenceFields = getLowConfidenceFields(confidence);
+  if (lowConfidenceFields.length > 0) {
+    debugLog('Low confidence OCR fields detected', {
+      companyId,
+      lowConfidenceFields,
+      threshold: OCR_CONFIDENCE_THRESHOLD
+    });
+  }
+
+  debugLog('OCR parsing complete', {
+    companyId,
+    ocrProvider,
+    fieldsExtracted: Object.keys(fields).filter(k => fields[k] !== null),
+    contractorMatched: !!contractorMatch,
+    averageConfidence: Object.values(confidence).length > 0
+      ? Math.round(Object.values(confidence).reduce((a, b) => a + b, 0) / Object.values(confidence).length)
+      : 0
+  });
+
+  return {
+    data: {
+      extractedFields: {
+        ...fields,
+        confidence,
+        contractorMatch
+      },
+      ocrMetadata: {
+        processingTimeMs: processingTime,
+        provider: ocrProvider,
+        documentType: 'RECEIPT',
+        fileName,
+        lowConfidenceFields,
+        paymentMethodReasoning: reasoning?.paymentMethod || null,
+        pageCount: pageCount || 1,
+        // Page(s) each field was read from, for multi-page PDFs ({ amount: [3], ... })
+        fieldPages: fieldPages || null
+      }
+    }
+  };
+}
+
+module.exports = {
+  OCR_CONFIDENCE_THRESHOLD,
+  getOpenRouterApiKey,
+  getCompanyTier,
+  getReceiptDocumentError,
+  matchReceiptContractor,
+  getLowConfidenceFields,
+  runReceiptOcr
+};
@@ -0,0 +1,285 @@
+// lambda/shared/recurring-expenses.js
+// Recurring expense templates (equipment rental, site container, insurance, rent)
+//
+// Templates are stored on the company record (`recurringExpenses` list). Each template
+// holds the expense fields and a schedule anchored on its start date. `nextOccurrence`
+// counts the occurrences generated so far; occurrence N falls N intervals after the
+// start date, on the same day of month (clamped to the end of shorter months).
+
+const { dynamoOperation, getCurrentTimestamp, COMPANY_TABLE_NAMES } = require('./company-utils');
+const { validateField, VALIDATION_RULES } = require('./input-validator');
+const { VALID_PAYMENT_METHODS } = require('./expense-payments');
+const { VAT_TREATMENTS } = require('./vat-utils');
+
+const RECURRENCE_FREQUENCIES = {
+  MONTHLY: 'monthly',
+  BIMONTHLY: 'bimonthly',
+  YEARLY: 'yearly'
+};
+
+// Months between occurrences for each frequency
+const MONTHS_PER_OCCURRENCE = {
+  [RECURRENCE_FREQUENCIES.MONTHLY]: 1,
+  [RECURRENCE_FREQUENCIES.BIMONTHLY]: 2,
+  [RECURRENCE_FREQUENCIES.YEARLY]: 12
+};
+
+// Templates per company (the list lives on the company item)
+const MAX_RECURRING_TEMPLATES = 50;
+
+// Catch-up cap for a single generator run (e.g. after the schedule was disabled)
+const MAX_OCCURRENCES_PER_RUN = 12;
+
+// Generated invoice numbers append "-YYYY-MM" to the template's prefix
+const MAX_INVOICE_PREFIX_LENGTH = 40;
+
+/**
+ * Date of the Nth occurrence of a schedule
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} frequency - monthly | bimonthly | yearly
+ * @param {number} index - Occurrence index (0 = startDate)
+ * @returns {string} Occurrence date (YYYY-MM-DD)
+ */
+function getOccurrenceDate(startDate, frequency, index) {
+  const [year, month, day] = startDate.split('-').map(Number);
+  const monthIndex = (month - 1) + index * MONTHS_PER_OCCURRENCE[frequency];
+  const targetYear = year + Math.floor(monthIndex / 12);
+  const targetMonth = monthIndex % 12;
+  // Day 0 of the following month is the last day of the target month
+  const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${targetYear}-${pad(targetMonth + 1)}-${pad(Math.min(day, lastDay))}`;
+}
+
+/**
+ * Validate a complete recurring template (new, or an existing one merged with changes)
+ * @param {Object} data - Template fields
+ * @returns {Object} { valid: boolean, errors: string[], fields: Object } fields to store
+ */
+function validateRecurringTemplate(data = {}) {
+  const errors = [];
+  const fields = {};
+
+  const check = (field, rules) => {
+    const validation = validateField(data[field], field, rules);
+    if (!validation.valid) {
+      errors.push(validation.error);
+      return false;
+    }
+    return true;
+  };
+
+  if (check('name', { ...VALIDATION_RULES.shortText, required: true })) {
+    fields.name = String(data.name).trim();
+  }
+
+  const amount = Number(data.amount);
+  if (data.amount === undefined || data.amount === null || data.amount === '' || isNaN(amount) ||
+      amount <= 0 || amount > VALIDATION_RULES.amount.max) {
+    errors.push('amount must be a positive number up to 100,000,000');
+  } else {
+    fields.amount = amount;
+  }
+
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(data.frequency)) {
+    errors.push(`frequency must be one of: ${Object.values(RECURRENCE_FREQUENCIES).join(', ')}`);
+  } else {
+    fields.frequency = data.frequency;
+  }
+
+  if (check('startDate', { ...VALIDATION_RULES.date, required: true })) {
+    fields.startDate = data.startDate;
+  }
+  if (data.endDate === undefined || data.endDate === null || data.endDate === '') {
+    fields.endDate = null;
+  } else if (check('endDate', VALIDATION_RULES.date)) {
+    if (fields.startDate && data.endDate < fields.startDate) {
+      errors.push('endDate must not be before startDate');
+    } else {
+      fields.endDate = data.endDate;
+    }
+  }
+
+  if (!VALID_PAYMENT_METHODS.includes(data.paymentMethod)) {
+    errors.push(`paymentMethod must be one of: ${VALID_PAYMENT_METHODS.join(', ')}`);
+  } else {
+    fields.paymentMethod = data.paymentMethod;
+  }
+
+  const vatTreatment = data.vatTreatment || VAT_TREATMENTS.STANDARD;
+  if (!Object.values(VAT_TREATMENTS).includes(vatTreatment)) {
+    errors.push(`vatTreatment must be one of: ${Object.values(VAT_TREATMENTS).join(', ')}`);
+  } else {
+    fields.vatTreatment = vatTreatment;
+  }
+
+  ['projectId', 'contractorId', 'workId'].forEach(field => {
+    if (check(field, VALIDATION_RULES.id)) {
+      fields[field] = data[field] || '';
+    }
+  });
+
+  if (check('description', VALIDATION_RULES.description)) {
+    fields.description = data.description || '';
+  }
+  if (check('invoiceNum', { ...VALIDATION_RULES.invoiceNumber, maxLength: MAX_INVOICE_PREFIX_LENGTH })) {
+    fields.invoiceNum = data.invoiceNum || '';
+  }
+
+  fields.active = data.active === undefined ? true : Boolean(data.active);
+
+  return { valid: errors.length === 0, errors, fields };
+}
+
+/**
+ * Occurrences of a template that are due on or before a date
+ * @param {Object} template - Recurring template
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @param {number} [max] - Maximum occurrences to return
+ * @returns {Array<Object>} [{ index, date }] in chronological order
+ */
+function getDueOccurrences(template, today, max = MAX_OCCURRENCES_PER_RUN) {
+  const due = [];
+  if (!template.active) {
+    return due;
+  }
+
+  let index = template.nextOccurrence || 0;
+  while (due.length < max) {
+    const date = getOccurrenceDate(template.startDate, template.frequency, index);
+    if (date > today || (template.endDate && date > template.endDate)) {
+      break;
+    }
+    due.push({ index, date });
+    index++;
+  }
+  return due;
+}
+
+/**
+ * Schedule fields after `nextOccurrence` changes
+ * @param {Object} template - Template with startDate, frequency, endDate and nextOccurrence
+ * @returns {Object} { nextRunDate, active } - nextRunDate is null once the schedule has ended
+ */
+function getScheduleState(template) {
+  const nextRunDate = getOccurrenceDate(template.startDate, template.frequency, template.nextOccurrence || 0);
+  if (template.endDate && nextRunDate > template.endDate) {
+    return { nextRunDate: null, active: false };
+  }
+  return { nextRunDate, active: template.active !== false };
+}
+
+/**
+ * Invoice number of a generated expense
+ * Unique per template and month, so a repeated generator run hits the
+ * duplicate-invoice check instead of creating the expense twice.
+ * @param {Object} template - Recurring template
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {string} Invoice number
+ */
+function getRecurringInvoiceNum(template, date) {
+  const prefix = template.invoiceNum || `REC-${template.templateId.split('_').pop()}`;
+  return `${prefix}-${date.slice(0, 7)}`;
+}
+
+/**
+ * Find another template that uses the same invoice prefix for the same contractor
+ * Their generated invoice numbers would collide, and the duplicate-invoice check
+ * would then skip the later template's expenses.
+ * @param {Array<Object>} templates - Company's templates
+ * @param {Object} template - Template being saved (templateId is missing for a new one)
+ * @returns {Object|null} Conflicting template
+ */
+function findInvoicePrefixConflict(templates, template) {
+  if (!template.invoiceNum) {
+    return null;
+  }
+  return templates.find(t =>
+    t.templateId !== template.templateId &&
+    t.invoiceNum === template.invoiceNum &&
+    (t.contractorId || '') === (template.contractorId || '')
+  ) || null;
+}
+
+/**
+ * Build the POST /expenses request body for an occurrence
+ * @param {Object} template - Recurring template
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {Object} Expense fields for createCompanyExpense()
+ */
+function buildExpenseFromTemplate(template, date) {
+  return {
+    description: template.description || template.name,
+    amount: template.amount,
+    vatTreatment: template.vatTreatment,
+    paymentMethod: template.paymentMethod,
+    projectId: template.projectId || '',
+    contractorId: template.contractorId || '',
+    workId: template.workId || '',
+    invoiceNum: getRecurringInvoiceNum(template, date),
+    date
+  };
+}
+
+/**
+ * Load a company's recurring templates
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} { templates, updatedAt } - updatedAt is the list version for saveRecurringTemplates()
+ */
+async function loadRecurringTemplates(companyId) {
+  const result = await dynamoOperation('get', {
+    TableName: COMPANY_TABLE_NAMES.COMPANIES,
+    Key: { companyId },
+    ProjectionExpression: 'recurringExpenses, recurringExpensesUpdatedAt'
+  });
+  const item = result.Item || {};
+  return {
+    templates: item.recurringExpenses || [],
+    updatedAt: item.recurringExpensesUpdatedAt || null
+  };
+}
+
+/**
+ * Save a company's recurring templates
+ * Conditioned on the list version so concurrent edits (or a generator run) are not overwritten;
+ * throws ConditionalCheckFailedException when the list changed since it was loaded
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} templates - Full template list
+ * @param {string|null} previousUpdatedAt - Version returned by loadRecurringTemplates()
+ * @returns {Promise<string>} New list version
+ */
+async function saveRecurringTemplates(companyId, templates, previousUpdatedAt) {
+  const updatedAt = getCurrentTimestamp();
+  const params = {
+    TableName: COMPANY_TABLE_NAMES.COMPANIES,
+    Key: { companyId },
+    UpdateExpression: 'SET recurringExpenses = :templates, recurringExpensesUpdatedAt = :updatedAt',
+    ConditionExpression: 'attribute_exists(companyId) AND attribute_not_exists(recurringExpensesUpdatedAt)',
+    ExpressionAttributeValues: {
+      ':templates': templates,
+      ':updatedAt': updatedAt
+    }
+  };
+  if (previousUpdatedAt) {
+    params.ConditionExpression = 'recurringExpensesUpdatedAt = :previousUpdatedAt';
+    params.ExpressionAttributeValues[':previousUpdatedAt'] = previousUpdatedAt;
+  }
+
+  await dynamoOperation('update', params);
+  return updatedAt;
+}
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  MAX_RECURRING_TEMPLATES,
+  MAX_OCCURRENCES_PER_RUN,
+  getOccurrenceDate,
+  validateRecurringTemplate,
+  getDueOccurrences,
+  getScheduleState,
+  getRecurringInvoiceNum,
+  findInvoicePrefixConflict,
+  buildExpenseFromTemplate,
+  loadRecurringTemplates,
+  saveRecurringTemplates
+};
@@ -36,7 +36,8 @@ const COMPANY_TABLE_NAMES = {
   PROJECTS: getTableName('company-projects'),
   CONTRACTORS: getTableName('company-contractors'),
   EXPENSES: getTableName('company-expenses'),
-  WORKS: getTableName('company-works')
+  WORKS: getTableName('company-works'),
+  EXPENSE_DRAFTS: getTableName('company-expense-drafts')
 };
 
 // Paddle subscription table names
@@ -0,0 +1,200 @@
+// lambda/shared/vat-report.js
+// Periodic VAT report (דוח מע"מ) - input tax (מע"מ תשומות) per reporting period
+//
+// Built from the VAT breakdown stored on each expense (see vat-utils.js), so the
+// report always matches what was recorded when the expense was saved.
+
+const { EXPENSE_STATUS } = require('./company-utils');
+const { VAT_TREATMENTS, roundCurrency } = require('./vat-utils');
+
+// Israeli VAT reporting frequencies - large dealers report monthly, others bi-monthly
+const VAT_REPORTING_FREQUENCIES = {
+  MONTHLY: 'monthly',
+  BIMONTHLY: 'bimonthly'
+};
+
+// Number of reporting periods per year for each frequency
+const PERIODS_PER_YEAR = {
+  [VAT_REPORTING_FREQUENCIES.MONTHLY]: 12,
+  [VAT_REPORTING_FREQUENCIES.BIMONTHLY]: 6
+};
+
+// Reasons an expense needs the bookkeeper's attention before filing
+const VAT_REPORT_ISSUES = {
+  MISSING_TAX_ID: 'missing_tax_id',
+  MISSING_RECEIPT: 'missing_receipt'
+};
+
+// Rejected expenses are not business expenses and never appear in the report
+const EXCLUDED_STATUSES = [EXPENSE_STATUS.REJECTED];
+
+/**
+ * Resolve the date range of a VAT reporting period
+ * @param {number} year - Calendar year (e.g. 2025)
+ * @param {number} period - 1-12 for monthly, 1-6 for bi-monthly (1 = Jan-Feb)
+ * @param {string} frequency - monthly | bimonthly
+ * @returns {Object|null} { year, period, frequency, from, to } or null if invalid
+ */
+function getVatReportingPeriod(year, period, frequency = VAT_REPORTING_FREQUENCIES.BIMONTHLY) {
+  const periodsPerYear = PERIODS_PER_YEAR[frequency];
+  if (!periodsPerYear || !Number.isInteger(year) || year < 2000 || year > 2100 ||
+      !Number.isInteger(period) || period < 1 || period > periodsPerYear) {
+    return null;
+  }
+
+  const monthsPerPeriod = 12 / periodsPerYear;
+  const firstMonth = (period - 1) * monthsPerPeriod + 1;
+  const lastMonth = firstMonth + monthsPerPeriod - 1;
+  // Day 0 of the following month is the last day of lastMonth
+  const lastDay = new Date(Date.UTC(year, lastMonth, 0)).getUTCDate();
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return {
+    year,
+    period,
+    frequency,
+    from: `${year}-${pad(firstMonth)}-01`,
+    to: `${year}-${pad(lastMonth)}-${pad(lastDay)}`
+  };
+}
+
+/**
+ * Find the reporting period that contains a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} frequency - monthly | bimonthly
+ * @returns {Object} Result of getVatReportingPeriod
+ */
+function getVatReportingPeriodForDate(date, frequency = VAT_REPORTING_FREQUENCIES.BIMONTHLY) {
+  const [year, month] = date.split('-').map(Number);
+  const monthsPerPeriod = 12 / PERIODS_PER_YEAR[frequency];
+  return getVatReportingPeriod(year, Math.ceil(month / monthsPerPeriod), frequency);
+}
+
+/**
+ * List the issues that block an expense's input VAT from being claimed
+ * @param {Object} expense - Expense record
+ * @param {Object|undefined} contractor - Supplier of the expense
+ * @returns {string[]} VAT_REPORT_ISSUES values
+ */
+function getVatReportIssues(expense, contractor) {
+  const issues = [];
+  if (!contractor || !String(contractor.taxId || '').trim()) {
+    issues.push(VAT_REPORT_ISSUES.MISSING_TAX_ID);
+  }
+  if (!expense.receiptUrl) {
+    issues.push(VAT_REPORT_ISSUES.MISSING_RECEIPT);
+  }
+  return issues;
+}
+
+/**
+ * Build the input VAT report for a period
+ * @param {Array<Object>} expenses - Company expenses (any dates - filtered here)
+ * @param {Object} contractors - Contractor records keyed by contractorId
+ * @param {Object} period - Result of getVatReportingPeriod
+ * @returns {Object} { period, totals, suppliers, flagged, lines }
+ */
+function buildVatReport(expenses, contractors, period) {
+  const suppliers = {};
+  const flagged = [];
+  const lines = [];
+  const totals = {
+    expenseCount: 0,
+    baseAmount: 0,
+    vatAmount: 0,
+    totalAmount: 0,
+    exemptAmount: 0,
+    flaggedCount: 0,
+    flaggedVatAmount: 0
+  };
+
+  const inPeriod = expenses
+    .filter(e => e.date >= period.from && e.date <= period.to)
+    .filter(e => !EXCLUDED_STATUSES.includes(e.status))
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.invoiceNum).localeCompare(String(b.invoiceNum)));
+
+  for (const expense of inPeriod) {
+    const contractor = contractors[expense.contractorId];
+    const taxId = contractor ? String(contractor.taxId || '').trim() : '';
+    const contractorName = contractor ? contractor.name : '';
+    const vatTreatment = expense.vatTreatment || VAT_TREATMENTS.STANDARD;
+    const vatAmount = Number(expense.vatAmount) || 0;
+    const baseAmount = expense.baseAmount !== undefined ? Number(expense.baseAmount) : Number(expense.amount) - vatAmount;
+    const issues = getVatReportIssues(expense, contractor);
+
+    const line = {
+      expenseId: expense.expenseId,
+      date: expense.date,
+      invoiceNum: expense.invoiceNum,
+      contractorId: expense.contractorId,
+      contractorName,
+      taxId,
+      description: expense.description || '',
+      baseAmount: roundCurrency(baseAmount),
+      vatAmount: roundCurrency(vatAmount),
+      totalAmount: roundCurrency(expense.amount),
+      vatRate: expense.vatRate,
+      vatTreatment,
+      hasReceipt: Boolean(expense.receiptUrl),
+      issues
+    };
+    lines.push(line);
+
+    // Suppliers are grouped by tax ID; suppliers without one are grouped per contractor
+    const supplierKey = taxId || `no-tax-id:${expense.contractorId || ''}`;
+    if (!suppliers[supplierKey]) {
+      suppliers[supplierKey] = {
+        taxId,
+        contractorIds: [],
+        contractorNames: [],
+        expenseCount: 0,
+        baseAmount: 0,
+        vatAmount: 0,
+        totalAmount: 0
+      };
+    }
+    const supplier = suppliers[supplierKey];
+    if (expense.contractorId && !supplier.contractorIds.includes(expense.contractorId)) {
+      supplier.contractorIds.push(expense.contractorId);
+      if (contractorName) supplier.contractorNames.push(contractorName);
+    }
+    supplier.expenseCount++;
+    supplier.baseAmount = roundCurrency(supplier.baseAmount + line.baseAmount);
+    supplier.vatAmount = roundCurrency(supplier.vatAmount + line.vatAmount);
+    supplier.totalAmount = roundCurrency(supplier.totalAmount + line.totalAmount);
+
+    totals.expenseCount++;
+    totals.baseAmount += line.baseAmount;
+    totals.vatAmount += line.vatAmount;
+    totals.totalAmount += line.totalAmount;
+    if (vatTreatment === VAT_TREATMENTS.EXEMPT || vatTreatment === VAT_TREATMENTS.ZERO_RATED) {
+      totals.exemptAmount += line.totalAmount;
+    }
+    if (issues.length > 0) {
+      flagged.push(line);
+      totals.flaggedCount++;
+      totals.flaggedVatAmount += line.vatAmount;
+    }
+  }
+
+  ['baseAmount', 'vatAmount', 'totalAmount', 'exemptAmount', 'flaggedVatAmount'].forEach(field => {
+    totals[field] = roundCurrency(totals[field]);
+  });
+
+  return {
+    period,
+    totals,
+    suppliers: Object.values(suppliers).sort((a, b) => b.vatAmount - a.vatAmount),
+    flagged,
+    lines
+  };
+}
+
+module.exports = {
+  VAT_REPORTING_FREQUENCIES,
+  VAT_REPORT_ISSUES,
+  getVatReportingPeriod,
+  getVatReportingPeriodForDate,
+  getVatReportIssues,
+  buildVatReport
+};
@@ -0,0 +1,165 @@
+// lambda/shared/vat-utils.js
+// Israeli VAT (מע"מ) rates with effective dates and per-expense VAT treatment
+//
+// Companies store their VAT rate history as `vatRates` on the company record.
+// Expenses store the breakdown that applied when they were saved
+// (baseAmount, vatAmount, vatRate, vatTreatment), so later rate changes never
+// alter historical expenses.
+
+// Statutory Israeli VAT rates, used when a company has not configured its own
+const DEFAULT_VAT_RATES = [
+  { rate: 0.17, effectiveFrom: '2015-10-01' },
+  { rate: 0.18, effectiveFrom: '2025-01-01' }
+];
+
+// How the entered amount relates to VAT
+const VAT_TREATMENTS = {
+  STANDARD: 'standard',     // Amount includes VAT at the applicable rate
+  EXEMPT: 'exempt',         // VAT-exempt supply (עוסק פטור, exempt services)
+  ZERO_RATED: 'zero_rated', // Zero-rated supply (מע"מ בשיעור אפס, e.g. Eilat)
+  PRE_VAT: 'pre_vat'        // Amount entered before VAT - VAT is added on top
+};
+
+// Upper bound for a configured rate (sanity check against entering 18 instead of 0.18)
+const MAX_VAT_RATE = 0.5;
+
+/**
+ * Round a monetary value to agorot
+ * @param {number} value - Amount in shekels
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+function roundCurrency(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Validate and normalize a company VAT rate schedule
+ * @param {Array<Object>} rates - [{ rate, effectiveFrom }]
+ * @returns {Object} { valid: boolean, errors: string[], rates: Array<Object> } rates sorted by effectiveFrom
+ */
+function validateVatRates(rates) {
+  const errors = [];
+
+  if (!Array.isArray(rates) || rates.length === 0) {
+    return { valid: false, errors: ['vatRates must be a non-empty array'], rates: [] };
+  }
+
+  if (rates.length > 50) {
+    return { valid: false, errors: ['vatRates must not contain more than 50 entries'], rates: [] };
+  }
+
+  const normalized = [];
+  rates.forEach((entry, index) => {
+    const rate = Number(entry && entry.rate);
+    const effectiveFrom = entry && entry.effectiveFrom;
+
+    if (isNaN(rate) || rate < 0 || rate > MAX_VAT_RATE) {
+      errors.push(`vatRates[${index}].rate must be a fraction between 0 and ${MAX_VAT_RATE} (e.g. 0.18)`);
+      return;
+    }
+    if (typeof effectiveFrom !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+      errors.push(`vatRates[${index}].effectiveFrom must be in YYYY-MM-DD format`);
+      return;
+    }
+    normalized.push({ rate, effectiveFrom });
+  });
+
+  normalized.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].effectiveFrom === normalized[i - 1].effectiveFrom) {
+      errors.push(`Duplicate effectiveFrom date: ${normalized[i].effectiveFrom}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    rates: normalized
+  };
+}
+
+/**
+ * Get the VAT rate schedule for a company, falling back to the statutory rates
+ * @param {Object} company - Company record
+ * @returns {Array<Object>} Rates sorted by effectiveFrom
+ */
+function getCompanyVatRates(company) {
+  const rates = company && Array.isArray(company.vatRates) && company.vatRates.length > 0
+    ? company.vatRates
+    : DEFAULT_VAT_RATES;
+  return [...rates].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+/**
+ * Find the VAT rate in effect on a given date
+ * @param {Array<Object>} rates - Rate schedule
+ * @param {string} date - Expense date (YYYY-MM-DD)
+ * @returns {number} VAT rate as a fraction (0.18)
+ */
+function getVatRateForDate(rates, date) {
+  const schedule = rates && rates.length > 0 ? rates : DEFAULT_VAT_RATES;
+  let applicable = null;
+
+  for (const entry of schedule) {
+    if (!date || entry.effectiveFrom <= date) {
+      applicable = entry;
+    }
+  }
+
+  // Dates before the first configured rate use the earliest rate
+  return (applicable || schedule[0]).rate;
+}
+
+/**
+ * Calculate the VAT breakdown for an expense
+ * @param {number} amount - Amount as entered by the user
+ * @param {Object} options - { vatRate, vatTreatment }
+ * @returns {Object} { amount, baseAmount, vatAmount, vatRate, vatTreatment }
+ *   amount is always the total paid (including VAT where applicable)
+ */
+function calculateVATBreakdown(amount, { vatRate, vatTreatment = VAT_TREATMENTS.STANDARD } = {}) {
+  const entered = Number(amount) || 0;
+
+  if (vatTreatment === VAT_TREATMENTS.EXEMPT || vatTreatment === VAT_TREATMENTS.ZERO_RATED) {
+    return {
+      amount: roundCurrency(entered),
+      baseAmount: roundCurrency(entered),
+      vatAmount: 0,
+      vatRate: 0,
+      vatTreatment
+    };
+  }
+
+  if (vatTreatment === VAT_TREATMENTS.PRE_VAT) {
+    const baseAmount = roundCurrency(entered);
+    const vatAmount = roundCurrency(baseAmount * vatRate);
+    return {
+      amount: roundCurrency(baseAmount + vatAmount),
+      baseAmount,
+      vatAmount,
+      vatRate,
+      vatTreatment
+    };
+  }
+
+  const baseAmount = roundCurrency(entered / (1 + vatRate));
+  return {
+    amount: roundCurrency(entered),
+    baseAmount,
+    vatAmount: roundCurrency(entered - baseAmount),
+    vatRate,
+    vatTreatment: VAT_TREATMENTS.STANDARD
+  };
+}
+
+module.exports = {
+  DEFAULT_VAT_RATES,
+  VAT_TREATMENTS,
+  MAX_VAT_RATE,
+  roundCurrency,
+  validateVatRates,
+  getCompanyVatRates,
+  getVatRateForDate,
+  calculateVATBreakdown
+};
@@ -2,7 +2,9 @@
 // Retry logic and Dead-Letter Queue utilities for Paddle webhook processing
 //
 // Provides exponential backoff retry mechanism and DLQ operations for reliable
-// webhook processing with idempotency checks.
+// webhook processing with idempotency checks. executeWithRetry also takes its own
+// retry configuration and retryable-error check, for other background work
+// (e.g. the receipt batch OCR queue).
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const {
@@ -44,11 +46,12 @@ const RETRY_CONFIG = {
 /**
  * Calculate exponential backoff delay
  * @param {number} retryCount - Current retry attempt (0-indexed)
+ * @param {Object} [retryConfig] - Retry configuration (default RETRY_CONFIG)
  * @returns {number} Delay in milliseconds
  */
-function calculateBackoffDelay(retryCount) {
-  const delay = RETRY_CONFIG.baseDelayMs * Math.pow(RETRY_CONFIG.backoffMultiplier, retryCount);
-  return Math.min(delay, RETRY_CONFIG.maxDelayMs);
+function calculateBackoffDelay(retryCount, retryConfig = RETRY_CONFIG) {
+  const delay = retryConfig.baseDelayMs * Math.pow(retryConfig.backoffMultiplier, retryCount);
+  return Math.min(delay, retryConfig.maxDelayMs);
 }
 
 /**
@@ -101,21 +104,24 @@ function isTransientError(error) {
  * @param {Function} operation - Async function to execute
  * @param {Object} context - Context for logging (correlationId, eventId, etc.)
  * @param {Object} logger - Logger instance
+ * @param {Object} [options]
+ * @param {Object} [options.retryConfig] - Retry configuration (default RETRY_CONFIG)
+ * @param {Function} [options.isRetryable] - Whether an error is retried (default isTransientError)
  * @returns {Promise<Object>} Result object with success status, result/error, and retry info
  */
-async function executeWithRetry(operation, context, logger) {
+async function executeWithRetry(operation, context, logger, { retryConfig = RETRY_CONFIG, isRetryable = isTransientError } = {}) {
   let lastError = null;
   const processingHistory = [];
 
-  for (let attempt = 0; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
+  for (let attempt = 0; attempt <= retryConfig.maxRetries; attempt++) {
     try {
       // Apply delay before retry (not on first attempt)
       if (attempt > 0) {
-        const delay = calculateBackoffDelay(attempt - 1);
+        const delay = calculateBackoffDelay(attempt - 1, retryConfig);
         logger.info('Retry attempt starting', {
           correlationId: context.correlationId,
           attempt,
-          maxRetries: RETRY_CONFIG.maxRetries,
+          maxRetries: retryConfig.maxRetries,
           delayMs: delay,
           eventId: context.eventId,
           companyId: context.companyId
@@ -152,23 +158,23 @@ async function executeWithRetry(operation, context, logger) {
         timestamp: getCurrentTimestamp(),
         error: error.message,
         errorName: error.name,
-        isTransient: isTransientError(error)
+        isTransient: isRetryable(error)
       });
 
       logger.warn('Operation failed', {
         correlationId: context.correlationId,
         attempt,
-        maxRetries: RETRY_CONFIG.maxRetries,
+        maxRetries: retryConfig.maxRetries,
         error: error.message,
         errorName: error.name,
         eventId: context.eventId,
         companyId: context.companyId,
-        isTransient: isTransientError(error),
-        willRetry: attempt < RETRY_CONFIG.maxRetries && isTransientError(error)
+        isTransient: isRetryable(error),
+        willRetry: attempt < retryConfig.maxRetries && isRetryable(error)
       });
 
       // Only retry transient errors
-      if (!isTransientError(error)) {
+      if (!isRetryable(error)) {
         logger.error('Non-transient error, skipping retries', {
           correlationId: context.correlationId,
           error: error.message,
@@ -0,0 +1,206 @@
+// lambda/shared/withholding-tax.js
+// Withholding tax (ניכוי במקור) on contractor payments
+//
+// Contractors subject to withholding store a `withholdingRate` (fraction, e.g. 0.05)
+// and the expiry date of their withholding certificate (אישור ניכוי במקור).
+// Withholding is computed on the amount before VAT. Without a valid certificate
+// the maximum rate applies. Each payment stores the rate and amounts that applied
+// on its payment date, and those stored values feed the annual summary (form 856).
+
+const { roundCurrency } = require('./vat-utils');
+const { validateField, VALIDATION_RULES } = require('./input-validator');
+const { isSettlingPayment } = require('./expense-payments');
+
+// Rate withheld when the contractor has no valid certificate
+const NO_CERTIFICATE_WITHHOLDING_RATE = 0.3;
+
+// Upper bound for a configured rate (sanity check against entering 5 instead of 0.05)
+const MAX_WITHHOLDING_RATE = 0.5;
+
+/**
+ * Validate withholding settings on a contractor create/update request
+ * Empty values clear the setting (contractor not subject to withholding)
+ * @param {Object} data - Request body
+ * @returns {Object} { valid: boolean, errors: string[], fields: Object } fields to store
+ */
+function validateWithholdingFields(data = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (data.withholdingRate !== undefined) {
+    if (data.withholdingRate === null || data.withholdingRate === '') {
+      fields.withholdingRate = null;
+    } else {
+      const rate = Number(data.withholdingRate);
+      if (isNaN(rate) || rate < 0 || rate > MAX_WITHHOLDING_RATE) {
+        errors.push(`withholdingRate must be a fraction between 0 and ${MAX_WITHHOLDING_RATE} (e.g. 0.05)`);
+      } else {
+        fields.withholdingRate = rate;
+      }
+    }
+  }
+
+  if (data.withholdingCertificateExpiry !== undefined) {
+    if (data.withholdingCertificateExpiry === null || data.withholdingCertificateExpiry === '') {
+      fields.withholdingCertificateExpiry = null;
+    } else {
+      const validation = validateField(data.withholdingCertificateExpiry, 'withholdingCertificateExpiry', VALIDATION_RULES.date);
+      if (!validation.valid) {
+        errors.push(validation.error);
+      } else {
+        fields.withholdingCertificateExpiry = data.withholdingCertificateExpiry;
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, fields };
+}
+
+/**
+ * Determine the withholding rate for a contractor on a given date
+ * @param {Object|undefined} contractor - Contractor record
+ * @param {string} date - Payment or expense date (YYYY-MM-DD)
+ * @returns {Object} { subjectToWithholding, certificateValid, rate }
+ */
+function getWithholdingRate(contractor, date) {
+  if (!contractor || contractor.withholdingRate === undefined || contractor.withholdingRate === null) {
+    return { subjectToWithholding: false, certificateValid: false, rate: 0 };
+  }
+
+  const expiry = contractor.withholdingCertificateExpiry;
+  const certificateValid = Boolean(expiry && date && expiry >= date);
+
+  return {
+    subjectToWithholding: true,
+    certificateValid,
+    rate: certificateValid ? Number(contractor.withholdingRate) : NO_CERTIFICATE_WITHHOLDING_RATE
+  };
+}
+
+/**
+ * Calculate the withheld and net amounts of a gross payment
+ * @param {number} grossAmount - Amount paid including VAT
+ * @param {Object} expense - Expense the payment belongs to (for its VAT breakdown)
+ * @param {number} rate - Withholding rate (fraction)
+ * @returns {Object} { withholdingRate, taxableAmount, withholdingAmount, netAmount }
+ */
+function calculateWithholding(grossAmount, expense, rate) {
+  const gross = Number(grossAmount) || 0;
+  const expenseAmount = Number(expense.amount) || 0;
+  // Withholding applies to the part of the payment that is not VAT
+  const baseRatio = expenseAmount > 0 && expense.baseAmount !== undefined
+    ? Number(expense.baseAmount) / expenseAmount
+    : 1;
+  const taxableAmount = roundCurrency(gross * baseRatio);
+  const withholdingAmount = roundCurrency(taxableAmount * rate);
+
+  return {
+    withholdingRate: rate,
+    taxableAmount,
+    withholdingAmount,
+    netAmount: roundCurrency(gross - withholdingAmount)
+  };
+}
+
+/**
+ * Withholding fields to store on a payment for a contractor subject to withholding
+ * @param {Object} payment - Payment with amount and date
+ * @param {Object} expense - Expense the payment belongs to
+ * @param {Object|undefined} contractor - Contractor of the expense
+ * @returns {Object} Fields to merge into the payment (empty if not subject)
+ */
+function getPaymentWithholding(payment, expense, contractor) {
+  const { subjectToWithholding, certificateValid, rate } = getWithholdingRate(contractor, payment.date);
+  if (!subjectToWithholding) {
+    return {};
+  }
+
+  return {
+    ...calculateWithholding(payment.amount, expense, rate),
+    withholdingCertificateValid: certificateValid
+  };
+}
+
+/**
+ * Estimated withholding for an expense, used until payments are recorded
+ * @param {Object} expense - Expense with amount, baseAmount and date
+ * @param {Object|undefined} contractor - Contractor of the expense
+ * @returns {Object} { withholdingRate, withholdingAmount, netPayable }
+ */
+function getExpenseWithholding(expense, contractor) {
+  const { rate } = getWithholdingRate(contractor, expense.date);
+  const { withholdingAmount, netAmount } = calculateWithholding(expense.amount, expense, rate);
+
+  return {
+    withholdingRate: rate,
+    withholdingAmount,
+    netPayable: netAmount
+  };
+}
+
+/**
+ * Build the annual withholding summary per contractor (data behind form 856)
+ * Counts payments made during the year for contractors subject to withholding
+ * (bounced and cancelled cheques are excluded)
+ * @param {Array<Object>} expenses - Expenses with payment ledgers
+ * @param {Object} contractors - Contractor records keyed by contractorId
+ * @param {number} year - Tax year
+ * @returns {Object} { year, contractors: Array<Object>, totals }
+ */
+function buildWithholdingSummary(expenses, contractors, year) {
+  const from = `${year}-01-01`;
+  const to = `${year}-12-31`;
+  const byContractor = {};
+  const totals = { paymentCount: 0, grossAmount: 0, taxableAmount: 0, withholdingAmount: 0, netAmount: 0 };
+
+  for (const expense of expenses) {
+    for (const payment of expense.payments || []) {
+      if (payment.withholdingRate === undefined) continue;
+      if (payment.date < from || payment.date > to) continue;
+      if (!isSettlingPayment(payment)) continue;
+
+      const contractorId = expense.contractorId;
+      if (!byContractor[contractorId]) {
+        const contractor = contractors[contractorId] || {};
+        byContractor[contractorId] = {
+          contractorId,
+          name: contractor.name || '',
+          taxId: contractor.taxId || '',
+          paymentCount: 0,
+          grossAmount: 0,
+          taxableAmount: 0,
+          withholdingAmount: 0,
+          netAmount: 0
+        };
+      }
+
+      const entry = byContractor[contractorId];
+      entry.paymentCount++;
+      entry.grossAmount = roundCurrency(entry.grossAmount + payment.amount);
+      entry.taxableAmount = roundCurrency(entry.taxableAmount + (payment.taxableAmount || 0));
+      entry.withholdingAmount = roundCurrency(entry.withholdingAmount + (payment.withholdingAmount || 0));
+      entry.netAmount = roundCurrency(entry.netAmount + (payment.netAmount ?? payment.amount));
+    }
+  }
+
+  const rows = Object.values(byContractor).sort((a, b) => (a.name || '').localeCompare(b.name || '', 'he'));
+  rows.forEach(row => {
+    totals.paymentCount += row.paymentCount;
+    ['grossAmount', 'taxableAmount', 'withholdingAmount', 'netAmount'].forEach(field => {
+      totals[field] = roundCurrency(totals[field] + row[field]);
+    });
+  });
+
+  return { year, contractors: rows, totals };
+}
+
+module.exports = {
+  NO_CERTIFICATE_WITHHOLDING_RATE,
+  MAX_WITHHOLDING_RATE,
+  validateWithholdingFields,
+  getWithholdingRate,
+  calculateWithholding,
+  getPaymentWithholding,
+  getExpenseWithholding,
+  buildWithholdingSummary
+};
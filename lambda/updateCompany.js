@@ -15,6 +15,9 @@ const {
 const { createLogger } = require('./shared/logger');
 const logger = createLogger('updateCompany');
 const { withSecureCors } = require('./shared/cors-config');
+const { normalizeIsraeliId } = require('./shared/input-validator');
+const { validateVatRates, getCompanyVatRates } = require('./shared/vat-utils');
+const { validateBudgetAlertThresholds, getBudgetAlertThresholds } = require('./shared/budget-alerts');
 
 exports.handler = withSecureCors(async (event) => {
 
@@ -84,11 +87,43 @@ exports.handler = withSecureCors(async (event) => {
       expressionAttributeValues[':companyEmail'] = requestBody.companyEmail.trim();
     }
 
+    // Tax ID (ח.פ / עוסק מורשה) - stored as 9 digits, an empty value clears it
+    if (requestBody.taxId !== undefined) {
+      const taxId = requestBody.taxId ? normalizeIsraeliId(requestBody.taxId) : '';
+      if (taxId === null) {
+        return createErrorResponse(400, 'Invalid company tax ID (ח.פ / עוסק מורשה)');
+      }
+      updateExpressions.push('taxId = :taxId');
+      expressionAttributeValues[':taxId'] = taxId;
+    }
+
     if (requestBody.logoUrl !== undefined) {
       updateExpressions.push('logoUrl = :logoUrl');
       expressionAttributeValues[':logoUrl'] = requestBody.logoUrl.trim();
     }
 
+    // VAT rate schedule: [{ rate: 0.18, effectiveFrom: '2025-01-01' }, ...]
+    // Existing expenses keep the rate stored on them; only new/edited expenses use the schedule
+    if (requestBody.vatRates !== undefined) {
+      const vatValidation = validateVatRates(requestBody.vatRates);
+      if (!vatValidation.valid) {
+        return createErrorResponse(400, `Invalid VAT rates: ${vatValidation.errors.join(', ')}`);
+      }
+      updateExpressions.push('vatRates = :vatRates');
+      expressionAttributeValues[':vatRates'] = vatValidation.rates;
+    }
+
+    // Budget alert thresholds: percent of a project's budget, e.g. [80, 100, 110]
+    // Projects already alerted above a new threshold are not alerted again for it
+    if (requestBody.budgetAlertThresholds !== undefined) {
+      const thresholdValidation = validateBudgetAlertThresholds(requestBody.budgetAlertThresholds);
+      if (!thresholdValidation.valid) {
+        return createErrorResponse(400, `Invalid budget alert thresholds: ${thresholdValidation.errors.join(', ')}`);
+      }
+      updateExpressions.push('budgetAlertThresholds = :budgetAlertThresholds');
+      expressionAttributeValues[':budgetAlertThresholds'] = thresholdValidation.thresholds;
+    }
+
     // Always update the updatedAt timestamp
     updateExpressions.push('updatedAt = :updatedAt');
 
@@ -123,10 +158,13 @@ exports.handler = withSecureCors(async (event) => {
           name: updatedCompany.name,
           description: updatedCompany.description,
           industry: updatedCompany.industry,
+          taxId: updatedCompany.taxId || '',
           companyAddress: updatedCompany.companyAddress,
           companyPhone: updatedCompany.companyPhone,
           companyEmail: updatedCompany.companyEmail,
           logoUrl: updatedCompany.logoUrl,
+          vatRates: getCompanyVatRates(updatedCompany),
+          budgetAlertThresholds: getBudgetAlertThresholds(updatedCompany),
           createdAt: updatedCompany.createdAt,
           updatedAt: updatedCompany.updatedAt
         }
@@ -81,6 +81,7 @@ declare -A TABLE_DEFINITIONS=(
   ["company-projects"]="company-projects.json"
   ["company-contractors"]="company-contractors.json"
   ["company-works"]="company-works.json"
+  ["company-expense-drafts"]="company-expense-drafts.json"
   ["invitations"]="invitations.json"
   ["paddle-subscriptions"]="paddle-subscriptions.json"
   ["paddle-customers"]="paddle-customers.json"
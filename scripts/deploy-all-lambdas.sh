@@ -191,9 +191,19 @@ deploy_lambda "deleteWorkClerk" "construction-expenses-delete-work-clerk" && ((D
 
 # Company functions (kebab-case in AWS)
 deploy_lambda "companyExpenses" "construction-expenses-company-expenses" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyExpensePayments" "construction-expenses-company-expense-payments" && ((DEPLOYED++)) || ((FAILED++))
 deploy_lambda "companyProjects" "construction-expenses-company-projects" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyProjectBilling" "construction-expenses-company-project-billing" && ((DEPLOYED++)) || ((FAILED++))
 deploy_lambda "companyContractors" "construction-expenses-company-contractors" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyContractorDocuments" "construction-expenses-company-contractor-documents" && ((DEPLOYED++)) || ((FAILED++))
 deploy_lambda "companyWorks" "construction-expenses-company-works" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyWorkBilling" "construction-expenses-company-work-billing" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyReports" "construction-expenses-company-reports" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyRecurringExpenses" "construction-expenses-company-recurring-expenses" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "generateRecurringExpenses" "construction-expenses-generate-recurring-expenses" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "checkContractorDocuments" "construction-expenses-check-contractor-documents" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyExpenseImport" "construction-expenses-company-expense-import" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "companyExpenseDrafts" "construction-expenses-company-expense-drafts" && ((DEPLOYED++)) || ((FAILED++))
 deploy_lambda "getCompany" "construction-expenses-get-company" && ((DEPLOYED++)) || ((FAILED++))
 deploy_lambda "getCompanyUsage" "construction-expenses-get-company-usage" && ((DEPLOYED++)) || ((FAILED++))
 deploy_lambda "updateCompany" "construction-expenses-update-company" && ((DEPLOYED++)) || ((FAILED++))
@@ -234,6 +244,7 @@ deploy_lambda "cancelInvitation" "construction-expenses-cancel-invitation" && ((
 
 # OCR Processing
 deploy_lambda "processReceiptOCR" "construction-expenses-process-receipt-ocr" && ((DEPLOYED++)) || ((FAILED++))
+deploy_lambda "processReceiptBatches" "construction-expenses-process-receipt-batches" && ((DEPLOYED++)) || ((FAILED++))
 
 # Check pending invitations (signup flow)
 deploy_lambda "checkPendingInvitations" "construction-expenses-checkPendingInvitations" && ((DEPLOYED++)) || ((FAILED++))
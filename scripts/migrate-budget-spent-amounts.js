@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// scripts/migrate-budget-spent-amounts.js
+// One-time migration script to set the `spentAmount` counters of projects and works from their expenses
+// Expense changes move the counters by the amount difference (see lambda/shared/budget-alerts.js),
+// so they must start from the current totals. Run it before expense writes resume.
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { calculateProjectSpending } = require('../lambda/shared/budget-alerts');
+
+const TABLES = {
+  EXPENSES: 'construction-expenses-company-expenses',
+  PROJECTS: 'construction-expenses-company-projects',
+  WORKS: 'construction-expenses-company-works'
+};
+
+// Initialize DynamoDB client
+const ddbClient = new DynamoDBClient({ region: 'us-east-1' });
+const dynamodb = DynamoDBDocumentClient.from(ddbClient, {
+  marshallOptions: {
+    convertEmptyValues: false,
+    removeUndefinedValues: true
+  }
+});
+
+// Scan a whole table, following pagination
+async function scanTable(tableName, projectionExpression, expressionAttributeNames) {
+  const items = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await dynamodb.send(new ScanCommand({
+      TableName: tableName,
+      ProjectionExpression: projectionExpression,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return items;
+}
+
+async function setSpentAmount(tableName, key, spentAmount) {
+  await dynamodb.send(new UpdateCommand({
+    TableName: tableName,
+    Key: key,
+    UpdateExpression: 'SET spentAmount = :spent, spentAmountUpdatedAt = :now',
+    ConditionExpression: 'attribute_exists(companyId)',
+    ExpressionAttributeValues: { ':spent': spentAmount, ':now': new Date().toISOString() }
+  }));
+}
+
+async function migrate() {
+  console.log('=== Budget Spent Amount Migration Script ===\n');
+
+  let projectsUpdated = 0;
+  let worksUpdated = 0;
+  let errors = 0;
+
+  try {
+    // Group expenses by company
+    const expenses = await scanTable(
+      TABLES.EXPENSES,
+      'companyId, projectId, workId, amount, #status, allocations',
+      { '#status': 'status' }
+    );
+    const expensesByCompany = {};
+    expenses.forEach(expense => {
+      (expensesByCompany[expense.companyId] = expensesByCompany[expense.companyId] || []).push(expense);
+    });
+    console.log(`Expenses scanned: ${expenses.length}`);
+
+    // Project totals; work totals are collected from each project's spending
+    const workSpending = {};
+    const projects = await scanTable(TABLES.PROJECTS, 'companyId, projectId');
+    for (const project of projects) {
+      const spending = calculateProjectSpending(project.projectId, expensesByCompany[project.companyId] || []);
+      Object.entries(spending.works).forEach(([workId, amount]) => {
+        workSpending[`${project.companyId}#${workId}`] = amount;
+      });
+
+      try {
+        await setSpentAmount(TABLES.PROJECTS, { companyId: project.companyId, projectId: project.projectId }, spending.spent);
+        projectsUpdated++;
+      } catch (projectError) {
+        console.error(`[ERROR] Project ${project.projectId}: ${projectError.message}`);
+        errors++;
+      }
+    }
+
+    const works = await scanTable(TABLES.WORKS, 'companyId, workId');
+    for (const work of works) {
+      try {
+        await setSpentAmount(TABLES.WORKS, { companyId: work.companyId, workId: work.workId },
+          workSpending[`${work.companyId}#${work.workId}`] || 0);
+        worksUpdated++;
+      } catch (workError) {
+        console.error(`[ERROR] Work ${work.workId}: ${workError.message}`);
+        errors++;
+      }
+    }
+
+    // Summary
+    console.log('\n=== Migration Complete ===');
+    console.log(`Projects Updated: ${projectsUpdated}`);
+    console.log(`Works Updated: ${worksUpdated}`);
+    console.log(`Errors: ${errors}`);
+
+    if (errors > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\nMigration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// scripts/migrate-expense-search-text.js
+// One-time migration script to add the lowercased `searchText` field to existing expenses
+// Free-text search on GET /expenses matches searchText case-insensitively (see lambda/shared/expense-query.js)
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { buildExpenseSearchText } = require('../lambda/shared/expense-query');
+
+const TABLES = {
+  EXPENSES: 'construction-expenses-company-expenses'
+};
+
+// Initialize DynamoDB client
+const ddbClient = new DynamoDBClient({ region: 'us-east-1' });
+const dynamodb = DynamoDBDocumentClient.from(ddbClient, {
+  marshallOptions: {
+    convertEmptyValues: false,
+    removeUndefinedValues: true
+  }
+});
+
+async function migrate() {
+  console.log('=== Expense Search Text Migration Script ===\n');
+
+  let expensesScanned = 0;
+  let expensesUpdated = 0;
+  let errors = 0;
+
+  try {
+    let lastEvaluatedKey;
+    do {
+      const result = await dynamodb.send(new ScanCommand({
+        TableName: TABLES.EXPENSES,
+        FilterExpression: 'attribute_not_exists(searchText)',
+        ProjectionExpression: 'companyId, expenseId, description, invoiceNum',
+        ExclusiveStartKey: lastEvaluatedKey
+      }));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+
+      for (const expense of result.Items || []) {
+        expensesScanned++;
+        try {
+          await dynamodb.send(new UpdateCommand({
+            TableName: TABLES.EXPENSES,
+            Key: { companyId: expense.companyId, expenseId: expense.expenseId },
+            UpdateExpression: 'SET searchText = :searchText',
+            // An expense edited meanwhile already has its searchText
+            ConditionExpression: 'attribute_exists(expenseId) AND attribute_not_exists(searchText)',
+            ExpressionAttributeValues: { ':searchText': buildExpenseSearchText(expense) }
+          }));
+          expensesUpdated++;
+        } catch (expenseError) {
+          if (expenseError.name === 'ConditionalCheckFailedException') {
+            continue;
+          }
+          console.error(`[ERROR] Expense ${expense.expenseId}: ${expenseError.message}`);
+          errors++;
+        }
+      }
+    } while (lastEvaluatedKey);
+
+    // Summary
+    console.log('\n=== Migration Complete ===');
+    console.log(`Expenses Without Search Text: ${expensesScanned}`);
+    console.log(`Expenses Updated: ${expensesUpdated}`);
+    console.log(`Errors: ${errors}`);
+
+    if (errors > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('\nMigration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrate();
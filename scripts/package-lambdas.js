@@ -76,11 +76,22 @@ const LAMBDA_FUNCTIONS = [
   'registerCompanyClerk',  // Clerk version
   // Company expense management
   'companyExpenses',
+  'companyExpensePayments',  // Payment ledger per expense (installments, cheques)
   'companyProjects',
+  'companyProjectBilling',  // Client invoices, received payments and project P&L
   'companyContractors',
+  'companyContractorDocuments',  // Contractor compliance documents (insurance, licenses, certificates)
   'companyWorks',
+  'companyWorkBilling',  // Progress bills and retention on subcontractor works
+  'companyReports',  // Financial reports (VAT, withholding tax)
+  'companyRecurringExpenses',  // Recurring expense templates
+  'generateRecurringExpenses',  // Scheduled (EventBridge) - generates expenses from recurring templates
+  'checkContractorDocuments',  // Scheduled (EventBridge) - flags contractor documents that expire soon
+  'companyExpenseImport',  // CSV/Excel bulk import with dry-run validation
+  'companyExpenseDrafts',  // Draft expenses inbox and batch receipt upload
   // OCR Processing
-  'processReceiptOCR'  // Smart expense OCR with AWS Textract
+  'processReceiptOCR',  // Smart expense OCR with AWS Textract
+  'processReceiptBatches'  // Scheduled (EventBridge) - background OCR of batch-uploaded receipts
 ];
 
 function ensureDirectoryExists(dirPath) {
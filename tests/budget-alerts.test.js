@@ -0,0 +1,213 @@
+// tests/budget-alerts.test.js
+// Unit tests for project budget threshold and work cost overrun alerts
+
+jest.mock('../lambda/shared/company-utils', () => ({
+  ...jest.requireActual('../lambda/shared/company-utils'),
+  dynamoOperation: jest.fn()
+}));
+jest.mock('../lambda/shared/email-utils', () => ({
+  sendBudgetAlertEmail: jest.fn()
+}));
+
+const { dynamoOperation } = require('../lambda/shared/company-utils');
+const {
+  DEFAULT_BUDGET_ALERT_THRESHOLDS,
+  validateBudgetAlertThresholds,
+  getBudgetAlertThresholds,
+  getSpendingChanges,
+  calculateProjectSpending,
+  getCrossedThreshold,
+  evaluateBudgetAlerts,
+  checkBudgetAlerts,
+  checkLegacyProjectBudget
+} = require('../lambda/shared/budget-alerts');
+
+describe('budget-alerts', () => {
+  describe('thresholds', () => {
+    test('validates, deduplicates and sorts thresholds', () => {
+      expect(validateBudgetAlertThresholds(['110', 80, 100, 80])).toEqual({
+        valid: true,
+        errors: [],
+        thresholds: [80, 100, 110]
+      });
+      expect(validateBudgetAlertThresholds([0, 'abc']).errors).toEqual([
+        'budgetAlertThresholds[0] must be a percentage between 1 and 500',
+        'budgetAlertThresholds[1] must be a percentage between 1 and 500'
+      ]);
+      expect(validateBudgetAlertThresholds([]).valid).toBe(false);
+      expect(validateBudgetAlertThresholds([10, 20, 30, 40, 50, 60]).valid).toBe(false);
+    });
+
+    test('falls back to the default thresholds', () => {
+      expect(getBudgetAlertThresholds({})).toEqual(DEFAULT_BUDGET_ALERT_THRESHOLDS);
+      expect(getBudgetAlertThresholds({ budgetAlertThresholds: [90] })).toEqual([90]);
+    });
+
+    test('getCrossedThreshold returns the highest threshold reached', () => {
+      expect(getCrossedThreshold(79999, 100000, [80, 100, 110])).toBe(0);
+      expect(getCrossedThreshold(80000, 100000, [80, 100, 110])).toBe(80);
+      expect(getCrossedThreshold(125000, 100000, [80, 100, 110])).toBe(110);
+      expect(getCrossedThreshold(5000, 0, [80])).toBe(0);
+    });
+  });
+
+  describe('getSpendingChanges', () => {
+    test('adds created expenses per project and work, split by allocation lines', () => {
+      expect(getSpendingChanges([], [
+        { projectId: 'proj_1', workId: 'work_1', amount: 100, status: 'pending' },
+        {
+          projectId: 'proj_1',
+          amount: 1000,
+          status: 'approved',
+          allocations: [{ projectId: 'proj_1', workId: '', amount: 400 }, { projectId: 'proj_2', workId: 'work_2', amount: 600 }]
+        }
+      ])).toEqual({
+        proj_1: { spent: 500, works: { work_1: 100 } },
+        proj_2: { spent: 600, works: { work_2: 600 } }
+      });
+    });
+
+    test('moves the difference when an expense changes amount or project', () => {
+      const before = { projectId: 'proj_1', workId: 'work_1', amount: 1000, status: 'pending' };
+
+      expect(getSpendingChanges([before], [{ ...before, amount: 1200.5 }]))
+        .toEqual({ proj_1: { spent: 200.5, works: { work_1: 200.5 } } });
+      expect(getSpendingChanges([before], [{ ...before, projectId: 'proj_2', workId: '' }])).toEqual({
+        proj_1: { spent: -1000, works: { work_1: -1000 } },
+        proj_2: { spent: 1000, works: {} }
+      });
+    });
+
+    test('treats rejected expenses as no spending and skips unchanged projects', () => {
+      const expense = { projectId: 'proj_1', workId: 'work_1', amount: 300, status: 'pending' };
+
+      expect(getSpendingChanges([expense], [{ ...expense, status: 'rejected' }]))
+        .toEqual({ proj_1: { spent: -300, works: { work_1: -300 } } });
+      expect(getSpendingChanges([expense], [{ ...expense, status: 'approved', description: 'x' }])).toEqual({});
+      expect(getSpendingChanges([{ ...expense, status: 'rejected' }], [])).toEqual({});
+    });
+  });
+
+  test('calculateProjectSpending sums portions per project and work, skipping rejected expenses', () => {
+    const spending = calculateProjectSpending('proj_1', [
+      { projectId: 'proj_1', workId: 'work_1', amount: 1000, status: 'approved' },
+      { projectId: 'proj_1', workId: '', amount: 500.25, status: 'pending' },
+      { projectId: 'proj_1', workId: 'work_1', amount: 9999, status: 'rejected' },
+      {
+        projectId: 'proj_2',
+        amount: 1000,
+        status: 'paid',
+        allocations: [
+          { projectId: 'proj_2', workId: '', amount: 700 },
+          { projectId: 'proj_1', workId: 'work_1', amount: 300 }
+        ]
+      }
+    ]);
+
+    expect(spending).toEqual({ spent: 1800.25, works: { work_1: 1300 } });
+  });
+
+  describe('evaluateBudgetAlerts', () => {
+    const thresholds = [80, 100, 110];
+    const works = [
+      { workId: 'work_1', workName: 'חשמל', totalWorkCost: 1000, status: 'in_progress' },
+      { workId: 'work_2', workName: 'אינסטלציה', totalWorkCost: 500, status: 'planned', costOverrunAlerted: true },
+      { workId: 'work_3', workName: 'ריצוף', totalWorkCost: 100, status: 'cancelled' }
+    ];
+
+    test('raises a project alert for a newly crossed threshold and flags work overruns', () => {
+      const result = evaluateBudgetAlerts(
+        { projectId: 'proj_1', budget: 10000, budgetAlertThreshold: 80 },
+        works,
+        { spent: 10500, works: { work_1: 1200, work_2: 400, work_3: 5000 } },
+        thresholds
+      );
+
+      expect(result.level).toBe(100);
+      expect(result.projectAlert).toEqual({ threshold: 100, budget: 10000, spent: 10500, percent: 105 });
+      expect(result.overrunWorks).toEqual([{ work: works[0], spent: 1200 }]);
+      expect(result.recoveredWorks).toEqual([works[1]]);
+    });
+
+    test('does not alert a threshold twice and lowers the level when spending drops', () => {
+      const project = { projectId: 'proj_1', budget: 10000, budgetAlertThreshold: 100 };
+
+      const same = evaluateBudgetAlerts(project, [], { spent: 10500, works: {} }, thresholds);
+      expect(same.projectAlert).toBeNull();
+      expect(same.level).toBe(100);
+
+      const dropped = evaluateBudgetAlerts(project, [], { spent: 8500, works: {} }, thresholds);
+      expect(dropped.projectAlert).toBeNull();
+      expect(dropped.level).toBe(80);
+    });
+
+    test('projects without a budget only raise work alerts', () => {
+      const result = evaluateBudgetAlerts(
+        { projectId: 'proj_1', budget: 0 },
+        works.slice(0, 1),
+        { spent: 2000, works: { work_1: 2000 } },
+        thresholds
+      );
+
+      expect(result.level).toBe(0);
+      expect(result.projectAlert).toBeNull();
+      expect(result.overrunWorks).toHaveLength(1);
+    });
+  });
+
+  describe('checkBudgetAlerts', () => {
+    const project = { companyId: 'comp_1', projectId: 'proj_1', name: 'Villa', budget: 10000, spentAmount: 500 };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('keeps the counters when raising the alerts fails', async () => {
+      dynamoOperation.mockImplementation(async (operation, params) => {
+        if (operation === 'update' && params.TableName.includes('projects')) {
+          return { Attributes: project };
+        }
+        throw new Error('Company lookup failed');
+      });
+
+      await expect(checkBudgetAlerts('comp_1', { proj_1: { spent: 500, works: {} } })).resolves.toEqual([]);
+      expect(dynamoOperation).toHaveBeenCalledWith('update', expect.objectContaining({
+        Key: { companyId: 'comp_1', projectId: 'proj_1' },
+        ExpressionAttributeValues: expect.objectContaining({ ':amount': 500 })
+      }));
+    });
+
+    test('throws when a counter cannot be updated', async () => {
+      const error = Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' });
+      dynamoOperation.mockRejectedValue(error);
+
+      await expect(checkBudgetAlerts('comp_1', { proj_1: { spent: 500, works: {} } })).rejects.toBe(error);
+      expect(dynamoOperation).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores projects that no longer exist', async () => {
+      dynamoOperation.mockImplementation(async (operation) => {
+        if (operation === 'update') {
+          throw Object.assign(new Error('Condition failed'), { name: 'ConditionalCheckFailedException' });
+        }
+        return { Item: {} };
+      });
+
+      await expect(checkBudgetAlerts('comp_1', { proj_1: { spent: 500, works: {} } })).resolves.toEqual([]);
+    });
+  });
+
+  test('checkLegacyProjectBudget alerts from the legacy SpentAmount and stores the alert on the legacy item', async () => {
+    jest.clearAllMocks();
+    dynamoOperation.mockResolvedValue({});
+
+    const alerts = await checkLegacyProjectBudget({ userId: 'user_1', projectId: 'proj_1', name: 'Villa', budget: 10000, SpentAmount: 8200 });
+
+    expect(alerts).toEqual([expect.objectContaining({ type: 'project_budget', threshold: 80, spent: 8200, projectId: 'proj_1' })]);
+    expect(dynamoOperation).toHaveBeenCalledTimes(1);
+    expect(dynamoOperation).toHaveBeenCalledWith('update', expect.objectContaining({
+      Key: { userId: 'user_1', projectId: 'proj_1' },
+      ExpressionAttributeValues: expect.objectContaining({ ':level': 80 })
+    }));
+  });
+});
@@ -0,0 +1,102 @@
+// tests/change-orders.test.js
+// Unit tests for change orders on works and their effect on the contract value
+
+const {
+  validateChangeOrderInput,
+  getOriginalWorkCost,
+  calculateWorkContractValue,
+  decideChangeOrder
+} = require('../lambda/shared/change-orders');
+
+describe('change-orders', () => {
+  test('validateChangeOrderInput accepts signed amounts and rejects zero', () => {
+    expect(validateChangeOrderInput({ description: 'ביטול ריצוף מרפסת', amount: '-2500.456', date: '2025-04-01' })).toEqual({
+      valid: true,
+      errors: [],
+      changeOrder: { description: 'ביטול ריצוף מרפסת', amount: -2500.46, date: '2025-04-01', reference: '', notes: '' }
+    });
+
+    const result = validateChangeOrderInput({ description: '', amount: 0, date: '2025-04-01' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'amount must be a non-zero number between -100,000,000 and 100,000,000'
+    ]));
+  });
+
+  describe('calculateWorkContractValue', () => {
+    test('adds approved change orders to the original cost', () => {
+      const work = {
+        originalWorkCost: 100000,
+        totalWorkCost: 112000,
+        changeOrders: [
+          { changeOrderId: 'co_1', amount: 15000, status: 'approved' },
+          { changeOrderId: 'co_2', amount: -3000, status: 'approved' },
+          { changeOrderId: 'co_3', amount: 8000, status: 'pending' },
+          { changeOrderId: 'co_4', amount: 50000, status: 'rejected' }
+        ]
+      };
+
+      expect(calculateWorkContractValue(work)).toEqual({
+        originalCost: 100000,
+        approvedChanges: 12000,
+        pendingChanges: 8000,
+        revisedCost: 112000,
+        changeOrderCount: 4
+      });
+    });
+
+    test('treats the cost of works without change orders as the original', () => {
+      expect(getOriginalWorkCost({ totalWorkCost: 45000 })).toBe(45000);
+      expect(calculateWorkContractValue({ totalWorkCost: 45000 }).revisedCost).toBe(45000);
+    });
+  });
+
+  describe('decideChangeOrder', () => {
+    const work = {
+      workId: 'work_1',
+      totalWorkCost: 100000,
+      changeOrders: [
+        { changeOrderId: 'co_1', amount: 20000, status: 'pending' },
+        { changeOrderId: 'co_2', amount: -150000, status: 'pending' }
+      ]
+    };
+    const context = { userId: 'user_1', userRole: 'manager', timestamp: '2025-04-02T10:00:00.000Z' };
+
+    test('approving updates the revised cost and records the cost history', () => {
+      const result = decideChangeOrder(work, 'co_1', 'approved', context);
+
+      expect(result.originalWorkCost).toBe(100000);
+      expect(result.totalWorkCost).toBe(120000);
+      expect(result.changeOrder).toMatchObject({ status: 'approved', decidedBy: 'user_1' });
+      expect(result.changeOrder.statusHistory).toEqual([expect.objectContaining({ fromStatus: 'pending', toStatus: 'approved' })]);
+      expect(result.costHistory).toEqual([{
+        previousCost: 100000,
+        newCost: 120000,
+        change: 20000,
+        reason: 'change_order',
+        changeOrderId: 'co_1',
+        userId: 'user_1',
+        timestamp: '2025-04-02T10:00:00.000Z'
+      }]);
+    });
+
+    test('rejecting requires a comment and keeps the cost', () => {
+      expect(decideChangeOrder(work, 'co_1', 'rejected', context).error).toBe('A comment is required when rejecting a change order');
+
+      const result = decideChangeOrder(work, 'co_1', 'rejected', { ...context, comment: 'לא סוכם' });
+      expect(result.totalWorkCost).toBe(100000);
+      expect(result.costHistory).toEqual([]);
+    });
+
+    test('only pending change orders can be decided and the cost cannot go negative', () => {
+      expect(decideChangeOrder(work, 'co_9', 'approved', context)).toEqual({ error: 'Change order not found', statusCode: 404 });
+      expect(decideChangeOrder(work, 'co_1', 'pending', context).error).toMatch(/^Invalid status/);
+      expect(decideChangeOrder(work, 'co_2', 'approved', context).error)
+        .toBe('Approving this change order would make the work cost negative');
+
+      const approved = { ...work, changeOrders: [{ changeOrderId: 'co_1', amount: 20000, status: 'approved' }] };
+      expect(decideChangeOrder(approved, 'co_1', 'rejected', { ...context, comment: 'x' }).error)
+        .toBe('Change order is already approved');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// tests/client-billing.test.js
+// Unit tests for client invoices, received payments and project profitability
+
+const {
+  validateClientInvoiceInput,
+  validateClientPaymentInput,
+  calculateInvoiceBalance,
+  summarizeClientInvoices,
+  buildProjectProfitability
+} = require('../lambda/shared/client-billing');
+
+describe('client-billing', () => {
+  describe('validateClientInvoiceInput', () => {
+    test('calculates the VAT breakdown and defaults the due date', () => {
+      const { valid, invoice } = validateClientInvoiceInput({
+        invoiceNum: 'C-100',
+        description: 'סיום שלד',
+        issueDate: '2025-03-01',
+        amount: 118000
+      }, 0.18);
+
+      expect(valid).toBe(true);
+      expect(invoice).toMatchObject({
+        type: 'invoice',
+        invoiceNum: 'C-100',
+        dueDate: '2025-03-01',
+        amount: 118000,
+        baseAmount: 100000,
+        vatAmount: 18000
+      });
+    });
+
+    test('requires an invoice number for invoices but not for milestones', () => {
+      const milestone = { type: 'milestone', description: 'גמר', issueDate: '2025-06-01', amount: 50000 };
+      expect(validateClientInvoiceInput(milestone, 0.18).valid).toBe(true);
+
+      const result = validateClientInvoiceInput({ ...milestone, type: 'invoice', dueDate: '2025-05-01', amount: -1 }, 0.18);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        'amount must be a positive number',
+        'invoiceNum is required for invoices',
+        'dueDate must not be before issueDate'
+      ]));
+    });
+  });
+
+  test('validateClientPaymentInput requires date, amount and method', () => {
+    expect(validateClientPaymentInput({ date: '2025-03-10', amount: '1000.456', paymentMethod: 'מזומן' })).toEqual({
+      valid: true,
+      errors: [],
+      payment: { date: '2025-03-10', amount: 1000.46, paymentMethod: 'מזומן' }
+    });
+    expect(validateClientPaymentInput({ date: '2025-03-10', amount: 0 }).valid).toBe(false);
+  });
+
+  describe('calculateInvoiceBalance', () => {
+    const invoice = { type: 'invoice', amount: 1000, dueDate: '2025-03-31', payments: [] };
+
+    test('derives the status from payments and the due date', () => {
+      expect(calculateInvoiceBalance(invoice, '2025-03-15').status).toBe('open');
+      expect(calculateInvoiceBalance(invoice, '2025-04-01').status).toBe('overdue');
+      expect(calculateInvoiceBalance({ ...invoice, payments: [{ amount: 400 }] }, '2025-03-15')).toEqual({
+        paidAmount: 400,
+        outstandingAmount: 600,
+        status: 'partially_paid'
+      });
+      expect(calculateInvoiceBalance({ ...invoice, payments: [{ amount: 1000 }] }, '2025-04-01').status).toBe('paid');
+      expect(calculateInvoiceBalance({ ...invoice, type: 'milestone' }, '2025-04-01').status).toBe('planned');
+    });
+
+    test('summarizeClientInvoices sorts by due date', () => {
+      const project = {
+        clientInvoices: [
+          { ...invoice, invoiceId: 'b', dueDate: '2025-05-01' },
+          { ...invoice, invoiceId: 'a', dueDate: '2025-02-01' }
+        ]
+      };
+      expect(summarizeClientInvoices(project, '2025-03-01').map(i => [i.invoiceId, i.status])).toEqual([
+        ['a', 'overdue'],
+        ['b', 'open']
+      ]);
+    });
+  });
+
+  describe('buildProjectProfitability', () => {
+    const project = {
+      projectId: 'proj_1',
+      name: 'מגדלי הים',
+      clientName: 'יזם בע"מ',
+      clientInvoices: [
+        {
+          invoiceId: 'cinv_1', type: 'invoice', amount: 118000, baseAmount: 100000, dueDate: '2025-02-01',
+          payments: [{ amount: 59000 }]
+        },
+        { invoiceId: 'cinv_2', type: 'milestone', amount: 59000, baseAmount: 50000, dueDate: '2025-09-01', payments: [] }
+      ]
+    };
+
+    test('compares income with expenses before VAT and tracks collections', () => {
+      const expenses = [
+        { projectId: 'proj_1', amount: 47200, baseAmount: 40000, status: 'paid' },
+        { projectId: 'proj_1', amount: 11800, baseAmount: 10000, status: 'approved', paidAmount: 5900 },
+        { projectId: 'proj_1', amount: 99999, baseAmount: 99999, status: 'rejected' },
+        {
+          projectId: 'proj_2',
+          amount: 23600,
+          baseAmount: 20000,
+          status: 'paid',
+          allocations: [
+            { projectId: 'proj_2', amount: 11800 },
+            { projectId: 'proj_1', amount: 11800 }
+          ]
+        }
+      ];
+
+      expect(buildProjectProfitability(project, expenses, '2025-03-01')).toEqual({
+        projectId: 'proj_1',
+        projectName: 'מגדלי הים',
+        clientName: 'יזם בע"מ',
+        income: { contractValue: 150000, billed: 100000, planned: 50000, received: 59000, outstanding: 59000, overdue: 59000 },
+        costs: { total: 60000, paid: 64900 },
+        grossProfit: 40000,
+        projectedProfit: 90000,
+        marginPercent: 40,
+        cashBalance: -5900
+      });
+    });
+
+    test('has no margin before anything is billed', () => {
+      const report = buildProjectProfitability({ projectId: 'proj_1', name: 'x' }, [], '2025-03-01');
+      expect(report.marginPercent).toBeNull();
+      expect(report.grossProfit).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+// tests/contractor-aliases.test.js
+// POST /contractors/aliases - learned vendor names must match the next receipt as read
+
+jest.mock('../lambda/shared/company-utils', () => ({
+  ...jest.requireActual('../lambda/shared/company-utils'),
+  dynamoOperation: jest.fn(),
+  queryAllPages: jest.fn()
+}));
+
+const { dynamoOperation, queryAllPages } = require('../lambda/shared/company-utils');
+const { findContractorByAlias } = require('../lambda/shared/contractor-matcher');
+const { handler } = require('../lambda/companyContractors');
+
+describe('POST /contractors/aliases', () => {
+  let contractors;
+
+  const learnAlias = (body, role = 'editor') => handler({
+    httpMethod: 'POST',
+    path: '/contractors/aliases',
+    headers: {},
+    requestContext: { authorizer: { companyId: 'comp_1', userId: 'user_1', userRole: role } },
+    body: JSON.stringify(body)
+  }, { functionName: 'companyContractors' });
+
+  beforeAll(() => {
+    process.env.CLERK_AUTH_ENABLED = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.CLERK_AUTH_ENABLED;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    contractors = [
+      { companyId: 'comp_1', contractorId: 'cont_1', name: 'חשמלאי', userId: 'user_2', updatedAt: '2025-01-01T00:00:00.000Z' }
+    ];
+    queryAllPages.mockImplementation(async () => contractors);
+    dynamoOperation.mockImplementation(async (operation, params) => {
+      const contractor = contractors.find(entry => entry.contractorId === params.Key.contractorId);
+      Object.assign(contractor, { aliases: params.ExpressionAttributeValues[':aliases'] });
+      return { Attributes: contractor };
+    });
+  });
+
+  test('stores a quoted supplier name as read, so the same name matches later', async () => {
+    const response = await learnAlias({ contractorId: 'cont_1', vendorName: ' כהן חשמל (1998) בע"מ ' });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).learned).toBe(true);
+    expect(contractors[0].aliases).toEqual(['כהן חשמל (1998) בע"מ']);
+    expect(findContractorByAlias('כהן חשמל (1998) בע"מ', contractors)).toMatchObject({ contractorId: 'cont_1' });
+  });
+
+  test('rejects markup in the vendor name', async () => {
+    const response = await learnAlias({ contractorId: 'cont_1', vendorName: '<img src=x>' });
+
+    expect(response.statusCode).toBe(400);
+    expect(dynamoOperation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+// tests/contractor-documents.test.js
+// Unit tests for contractor compliance documents and their expiry
+
+const {
+  validateContractorDocument,
+  getDocumentStatus,
+  getContractorCompliance,
+  getPendingExpiryNotices,
+  getWithholdingCertificateExpiry
+} = require('../lambda/shared/contractor-documents');
+
+describe('contractor-documents', () => {
+  const context = { companyId: 'comp_1', contractorId: 'cont_1' };
+  const today = '2025-06-01';
+
+  describe('validateContractorDocument', () => {
+    test('accepts a document uploaded under the contractor\'s prefix', () => {
+      const { valid, document } = validateContractorDocument({
+        type: 'insurance',
+        expiryDate: '2025-12-31',
+        documentKey: 'comp_1/contractor-documents/cont_1/document-1717-abc.pdf',
+        documentNumber: 'פוליסה 123'
+      }, context);
+
+      expect(valid).toBe(true);
+      expect(document).toEqual({
+        type: 'insurance',
+        expiryDate: '2025-12-31',
+        documentKey: 'comp_1/contractor-documents/cont_1/document-1717-abc.pdf',
+        documentNumber: 'פוליסה 123',
+        notes: ''
+      });
+    });
+
+    test('rejects unknown types and keys of other contractors', () => {
+      const { valid, errors } = validateContractorDocument({
+        type: 'passport',
+        expiryDate: '2025-12-31',
+        documentKey: 'comp_2/contractor-documents/cont_1/document-1.pdf'
+      }, context);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'type must be one of: insurance, registry_license, bookkeeping_certificate, withholding_certificate',
+        'documentKey does not belong to this contractor'
+      ]);
+      expect(validateContractorDocument({
+        type: 'insurance',
+        expiryDate: '2025-12-31',
+        documentKey: 'comp_1/contractor-documents/cont_1/../cont_2/document-1.pdf'
+      }, context).valid).toBe(false);
+    });
+  });
+
+  test('getDocumentStatus flags documents expiring within 30 days', () => {
+    expect(getDocumentStatus({ expiryDate: '2025-05-31' }, today)).toBe('expired');
+    expect(getDocumentStatus({ expiryDate: '2025-06-01' }, today)).toBe('expiring');
+    expect(getDocumentStatus({ expiryDate: '2025-07-01' }, today)).toBe('expiring');
+    expect(getDocumentStatus({ expiryDate: '2025-07-02' }, today)).toBe('valid');
+  });
+
+  describe('compliance', () => {
+    const contractor = {
+      documents: [
+        { documentId: 'cdoc_1', type: 'insurance', expiryDate: '2025-03-31' },
+        { documentId: 'cdoc_2', type: 'insurance', expiryDate: '2026-03-31' }, // Renewal
+        { documentId: 'cdoc_3', type: 'bookkeeping_certificate', expiryDate: '2025-06-20', notifiedStatus: 'expiring' },
+        { documentId: 'cdoc_4', type: 'withholding_certificate', expiryDate: '2025-05-01', notifiedStatus: 'expiring' }
+      ]
+    };
+
+    test('only the latest document of each type counts', () => {
+      expect(getContractorCompliance(contractor, today)).toEqual({
+        status: 'expired',
+        expired: [{ documentId: 'cdoc_4', type: 'withholding_certificate', expiryDate: '2025-05-01' }],
+        expiring: [{ documentId: 'cdoc_3', type: 'bookkeeping_certificate', expiryDate: '2025-06-20' }]
+      });
+      expect(getContractorCompliance({}, today)).toEqual({ status: 'valid', expired: [], expiring: [] });
+    });
+
+    test('notifies each status change of a document once', () => {
+      expect(getPendingExpiryNotices(contractor, today).map(({ document, status }) => [document.documentId, status]))
+        .toEqual([['cdoc_4', 'expired']]);
+    });
+
+    test('getWithholdingCertificateExpiry follows the latest certificate', () => {
+      expect(getWithholdingCertificateExpiry(contractor.documents)).toBe('2025-05-01');
+      expect(getWithholdingCertificateExpiry([
+        ...contractor.documents,
+        { documentId: 'cdoc_5', type: 'withholding_certificate', expiryDate: '2025-12-31' }
+      ])).toBe('2025-12-31');
+      expect(getWithholdingCertificateExpiry([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// tests/contractor-matcher.test.js
+// Unit tests for OCR vendor to contractor matching by tax ID and learned aliases
+
+const {
+  MAX_CONTRACTOR_ALIASES,
+  normalizeContractorName,
+  hasContractorName,
+  addContractorAlias,
+  removeContractorAlias,
+  findContractorByAlias,
+  findContractorByTaxId
+} = require('../lambda/shared/contractor-matcher');
+
+describe('contractor-matcher', () => {
+  const contractors = [
+    { contractorId: 'c1', name: 'חשמל כהן', taxId: '514713288' },
+    { contractorId: 'c2', name: 'לוי אינסטלציה', aliases: ['י. לוי שרברבות בע"מ'] }
+  ];
+
+  test('normalizeContractorName ignores word order and legal form', () => {
+    expect(normalizeContractorName('כהן חשמל בע"מ')).toBe(normalizeContractorName('חשמל כהן'));
+    expect(normalizeContractorName('Cohen-Electric Ltd.')).toBe('cohen electric');
+  });
+
+  describe('aliases', () => {
+    test('hasContractorName checks the name and the aliases', () => {
+      expect(hasContractorName(contractors[0], 'כהן חשמל')).toBe(true);
+      expect(hasContractorName(contractors[1], 'י לוי שרברבות')).toBe(true);
+      expect(hasContractorName(contractors[1], 'לוי')).toBe(false);
+      expect(hasContractorName(contractors[1], '')).toBe(false);
+    });
+
+    test('addContractorAlias puts the newest alias first without duplicates', () => {
+      expect(addContractorAlias(['א', 'ב'], ' ב ')).toEqual(['ב', 'א']);
+      expect(addContractorAlias(undefined, 'ג')).toEqual(['ג']);
+
+      const full = Array.from({ length: MAX_CONTRACTOR_ALIASES }, (_, i) => `alias ${i}`);
+      const aliases = addContractorAlias(full, 'new');
+      expect(aliases).toHaveLength(MAX_CONTRACTOR_ALIASES);
+      expect(aliases[0]).toBe('new');
+      expect(aliases).not.toContain(`alias ${MAX_CONTRACTOR_ALIASES - 1}`);
+    });
+
+    test('removeContractorAlias removes every spelling of the alias', () => {
+      expect(removeContractorAlias(['כהן חשמל בע"מ', 'אחר'], 'חשמל כהן')).toEqual(['אחר']);
+    });
+  });
+
+  test('findContractorByAlias matches learned vendor names exactly', () => {
+    expect(findContractorByAlias('י. לוי שרברבות בעמ', contractors)).toEqual({
+      contractorId: 'c2',
+      name: 'לוי אינסטלציה',
+      confidence: 100,
+      matchedBy: 'alias'
+    });
+    expect(findContractorByAlias('לוי שרברבות', contractors)).toBeNull();
+    expect(findContractorByAlias(null, contractors)).toBeNull();
+  });
+
+  test('findContractorByTaxId normalizes both sides', () => {
+    expect(findContractorByTaxId('514-713-288', contractors)).toEqual({
+      contractorId: 'c1',
+      name: 'חשמל כהן',
+      confidence: 100,
+      matchedBy: 'taxId'
+    });
+    expect(findContractorByTaxId('123456782', contractors)).toBeNull();
+    expect(findContractorByTaxId('514713280', contractors)).toBeNull(); // Wrong check digit
+  });
+});
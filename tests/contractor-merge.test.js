@@ -0,0 +1,169 @@
+// tests/contractor-merge.test.js
+// Unit tests for duplicate contractor detection and merging
+
+jest.mock('../lambda/shared/company-utils', () => ({
+  ...jest.requireActual('../lambda/shared/company-utils'),
+  dynamoOperation: jest.fn(),
+  queryAllPages: jest.fn()
+}));
+
+const { dynamoOperation, queryAllPages, COMPANY_TABLE_NAMES } = require('../lambda/shared/company-utils');
+const { handler } = require('../lambda/companyContractors');
+const {
+  findDuplicateContractors,
+  validateMergeRequest,
+  buildMergedContractor,
+  findInvoiceConflicts,
+  repointTemplates
+} = require('../lambda/shared/contractor-merge');
+
+describe('contractor-merge', () => {
+  describe('findDuplicateContractors', () => {
+    const contractors = [
+      { contractorId: 'GENERAL_CONTRACTOR', name: 'ספק כללי', isSystemContractor: true },
+      { contractorId: 'c1', name: 'חשמל כהן' },
+      { contractorId: 'c2', name: 'כהן חשמל בע"מ' },
+      { contractorId: 'c3', name: 'אינסטלציה לוי', taxId: '514713288' },
+      { contractorId: 'c4', name: 'לוי שרברבות', taxId: '514-713-288' },
+      { contractorId: 'c5', name: 'חשמל כהן', taxId: '039337423' },
+      { contractorId: 'c6', name: 'חשמל כהן', taxId: '123456782' }
+    ];
+
+    test('suggests pairs by tax ID and by name', () => {
+      const pairs = findDuplicateContractors(contractors)
+        .map(({ contractors: pair, reason }) => [pair[0].contractorId, pair[1].contractorId, reason]);
+
+      expect(pairs).toEqual(expect.arrayContaining([
+        ['c1', 'c2', 'name'],
+        ['c3', 'c4', 'taxId'],
+        ['c1', 'c5', 'name']
+      ]));
+      // Different tax IDs are different businesses
+      expect(pairs).not.toContainEqual(['c5', 'c6', expect.anything()]);
+      expect(pairs.some(([a]) => a === 'GENERAL_CONTRACTOR')).toBe(false);
+    });
+
+    test('compares aliases kept by earlier merges', () => {
+      const pairs = findDuplicateContractors([
+        { contractorId: 'c1', name: 'א.ב. בניה', aliases: ['אבי בניה והשקעות'] },
+        { contractorId: 'c2', name: 'אבי בניה והשקעות בע"מ' }
+      ]);
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].similarity).toBe(100);
+    });
+  });
+
+  test('validateMergeRequest rejects merging a contractor into itself or the default contractor', () => {
+    expect(validateMergeRequest({ survivorId: 'c1', duplicateIds: ['c2', 'c2'] }, 'GENERAL_CONTRACTOR'))
+      .toEqual({ valid: true, errors: [], survivorId: 'c1', duplicateIds: ['c2'] });
+    expect(validateMergeRequest({ survivorId: 'c1', duplicateIds: ['c1'] }, 'GENERAL_CONTRACTOR').errors)
+      .toEqual(['The surviving contractor cannot also be a duplicate']);
+    expect(validateMergeRequest({ survivorId: 'c1', duplicateIds: ['GENERAL_CONTRACTOR'] }, 'GENERAL_CONTRACTOR').valid)
+      .toBe(false);
+    expect(validateMergeRequest({ duplicateIds: [] }, 'GENERAL_CONTRACTOR').errors)
+      .toEqual(['survivorId is required', 'duplicateIds must be a non-empty array']);
+  });
+
+  test('buildMergedContractor keeps old names as aliases and fills missing details', () => {
+    const survivor = { contractorId: 'c1', name: 'חשמל כהן', phone: '050-1234567', aliases: ['כהן'] };
+    const duplicates = [
+      { contractorId: 'c2', name: 'כהן חשמל בע"מ', phone: '052-0000000', taxId: '514713288' },
+      {
+        contractorId: 'c3',
+        name: 'י. כהן חשמל',
+        email: 'cohen@example.com',
+        mergedContractorIds: ['c0'],
+        documents: [{ documentId: 'cdoc_1', type: 'withholding_certificate', expiryDate: '2025-12-31' }]
+      }
+    ];
+
+    expect(buildMergedContractor(survivor, duplicates, '2025-06-01')).toEqual({
+      aliases: ['כהן', 'י. כהן חשמל'], // "כהן חשמל בע"מ" is the survivor's name in another order
+      taxId: '514713288',
+      email: 'cohen@example.com',
+      documents: duplicates[1].documents,
+      complianceStatus: 'valid',
+      withholdingCertificateExpiry: '2025-12-31',
+      mergedContractorIds: ['c2', 'c3', 'c0']
+    });
+  });
+
+  test('findInvoiceConflicts lists invoices recorded under both contractors', () => {
+    expect(findInvoiceConflicts([
+      { expenseId: 'e1', contractorId: 'c1', invoiceNum: '100' },
+      { expenseId: 'e2', contractorId: 'c2', invoiceNum: '100' },
+      { expenseId: 'e3', contractorId: 'c2', invoiceNum: '101' },
+      { expenseId: 'e4', contractorId: 'c1', invoiceNum: '102' }
+    ], 'c1')).toEqual([{ invoiceNum: '100', expenseIds: ['e1', 'e2'] }]);
+  });
+
+  test('repointTemplates moves the duplicates\' recurring expenses', () => {
+    const { templates, moved } = repointTemplates([
+      { templateId: 't1', contractorId: 'c2' },
+      { templateId: 't2', contractorId: 'c9' }
+    ], ['c2'], 'c1');
+
+    expect(moved).toBe(1);
+    expect(templates.map(template => template.contractorId)).toEqual(['c1', 'c9']);
+  });
+});
+
+describe('POST /contractors/merge', () => {
+  const contractors = {
+    c1: { companyId: 'comp_1', contractorId: 'c1', name: 'כהן חשמל', updatedAt: '2025-01-01T00:00:00.000Z' },
+    c2: { companyId: 'comp_1', contractorId: 'c2', name: 'כהן חשמל בעמ', updatedAt: '2025-01-01T00:00:00.000Z' }
+  };
+  const draft = {
+    companyId: 'comp_1',
+    draftId: 'draft_1',
+    status: 'ready',
+    contractorMatch: { contractorId: 'c2', name: 'כהן חשמל בעמ', confidence: 90, matchedBy: 'name' }
+  };
+
+  beforeAll(() => {
+    process.env.CLERK_AUTH_ENABLED = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.CLERK_AUTH_ENABLED;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queryAllPages.mockImplementation(async (params) =>
+      params.TableName === COMPANY_TABLE_NAMES.EXPENSE_DRAFTS ? [draft] : []
+    );
+    dynamoOperation.mockImplementation(async (operation, params) => {
+      if (operation === 'get') {
+        return { Item: params.Key.contractorId ? contractors[params.Key.contractorId] : {} };
+      }
+      if (operation === 'update' && params.TableName === COMPANY_TABLE_NAMES.CONTRACTORS) {
+        return { Attributes: { ...contractors.c1, aliases: ['כהן חשמל בעמ'] } };
+      }
+      return {};
+    });
+  });
+
+  test('points receipt drafts matched to a duplicate to the survivor', async () => {
+    const response = await handler({
+      httpMethod: 'POST',
+      path: '/contractors/merge',
+      headers: {},
+      requestContext: { authorizer: { companyId: 'comp_1', userId: 'user_1', userRole: 'admin' } },
+      body: JSON.stringify({ survivorId: 'c1', duplicateIds: ['c2'] })
+    }, { functionName: 'companyContractors' });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).moved.drafts).toBe(1);
+    expect(queryAllPages).toHaveBeenCalledWith(expect.objectContaining({
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      FilterExpression: 'contractorMatch.contractorId IN (:contractor0)'
+    }));
+    expect(dynamoOperation).toHaveBeenCalledWith('update', expect.objectContaining({
+      TableName: COMPANY_TABLE_NAMES.EXPENSE_DRAFTS,
+      Key: { companyId: 'comp_1', draftId: 'draft_1' },
+      ConditionExpression: 'contractorMatch.contractorId = :duplicateId',
+      ExpressionAttributeValues: expect.objectContaining({ ':survivorId': 'c1', ':survivorName': 'כהן חשמל', ':duplicateId': 'c2' })
+    }));
+  });
+});
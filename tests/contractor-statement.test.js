@@ -0,0 +1,86 @@
+// tests/contractor-statement.test.js
+// Unit tests for the contractor account statement (כרטסת קבלן)
+
+const { getExpenseEntries, buildContractorStatement } = require('../lambda/shared/contractor-statement');
+
+describe('contractor-statement', () => {
+  const contractor = { contractorId: 'cont_1', name: 'אבי חשמל', taxId: '123456782' };
+  const projects = { proj_1: 'מגדלי הים' };
+  const works = [
+    {
+      workId: 'work_1', contractorId: 'cont_1', projectId: 'proj_1', workName: 'חשמל בניין A',
+      originalWorkCost: 100000, totalWorkCost: 110000, status: 'in_progress', retentionPercent: 5,
+      progressBills: [{ amount: 40000, retentionAmount: 2000, netAmount: 38000 }]
+    },
+    { workId: 'work_2', contractorId: 'cont_1', projectId: 'proj_1', workName: 'בוטל', totalWorkCost: 9999, status: 'cancelled' },
+    { workId: 'work_3', contractorId: 'cont_2', projectId: 'proj_1', workName: 'אחר', totalWorkCost: 5000, status: 'planned' }
+  ];
+  const expenses = [
+    {
+      expenseId: 'exp_1', contractorId: 'cont_1', projectId: 'proj_1', workId: 'work_1', invoiceNum: '101',
+      date: '2025-01-10', amount: 30000, status: 'approved',
+      payments: [
+        { paymentId: 'pay_1', date: '2025-01-20', amount: 20000, paymentMethod: 'העברה בנקאית' },
+        { paymentId: 'pay_2', date: '2025-02-15', amount: 10000, paymentMethod: "צ'ק", chequeNumber: '555', chequeStatus: 'bounced' }
+      ]
+    },
+    { expenseId: 'exp_2', contractorId: 'cont_1', projectId: 'proj_1', workId: 'work_1', invoiceNum: '102', date: '2025-02-10', amount: 15000, status: 'paid' },
+    { expenseId: 'exp_3', contractorId: 'cont_1', projectId: 'proj_1', invoiceNum: '103', date: '2025-03-05', amount: 8000, status: 'pending' },
+    { expenseId: 'exp_4', contractorId: 'cont_1', projectId: 'proj_1', invoiceNum: '104', date: '2025-03-06', amount: 5000, status: 'rejected' },
+    { expenseId: 'exp_5', contractorId: 'cont_2', projectId: 'proj_1', invoiceNum: '900', date: '2025-03-06', amount: 7000, status: 'pending' }
+  ];
+
+  test('getExpenseEntries skips void cheques and treats paid expenses without a ledger as paid', () => {
+    expect(getExpenseEntries(expenses[0]).map(entry => [entry.type, entry.debit, entry.credit])).toEqual([
+      ['invoice', 30000, 0],
+      ['payment', 0, 20000]
+    ]);
+    expect(getExpenseEntries(expenses[1]).map(entry => [entry.type, entry.date, entry.credit])).toEqual([
+      ['invoice', '2025-02-10', 0],
+      ['payment', '2025-02-10', 15000]
+    ]);
+  });
+
+  test('builds a running balance of the contractor\'s invoices and payments', () => {
+    const statement = buildContractorStatement(contractor, { works, expenses, projects }, { to: '2025-12-31' });
+
+    expect(statement.entries.map(entry => [entry.date, entry.type, entry.balance])).toEqual([
+      ['2025-01-10', 'invoice', 30000],
+      ['2025-01-20', 'payment', 10000],
+      ['2025-02-10', 'invoice', 25000],
+      ['2025-02-10', 'payment', 10000],
+      ['2025-03-05', 'invoice', 18000]
+    ]);
+    expect(statement.entries[0]).toMatchObject({ invoiceNum: '101', projectName: 'מגדלי הים', workName: 'חשמל בניין A' });
+    expect(statement.totals).toEqual({ invoiced: 53000, paid: 35000, withheld: 0 });
+    expect(statement.openingBalance).toBe(0);
+    expect(statement.closingBalance).toBe(18000);
+  });
+
+  test('carries earlier entries into the opening balance', () => {
+    const statement = buildContractorStatement(contractor, { works, expenses, projects }, { from: '2025-02-01', to: '2025-02-28' });
+
+    expect(statement.openingBalance).toBe(10000);
+    expect(statement.entries.map(entry => entry.balance)).toEqual([25000, 10000]);
+    expect(statement.closingBalance).toBe(10000);
+  });
+
+  test('lists committed works with original and revised value', () => {
+    const statement = buildContractorStatement(contractor, { works, expenses, projects }, { to: '2025-12-31' });
+
+    expect(statement.works).toEqual([{
+      workId: 'work_1',
+      workName: 'חשמל בניין A',
+      projectName: 'מגדלי הים',
+      status: 'in_progress',
+      originalCost: 100000,
+      revisedCost: 110000,
+      invoiced: 45000,
+      remainingToInvoice: 65000,
+      retentionHeld: 2000
+    }]);
+    expect(statement.commitments).toEqual({
+      originalCost: 100000, revisedCost: 110000, invoiced: 45000, remainingToInvoice: 65000, retentionHeld: 2000
+    });
+  });
+});
@@ -0,0 +1,54 @@
+// tests/contractor-update.test.js
+// PUT /contractors - tax IDs are validated only when they change
+
+jest.mock('../lambda/shared/company-utils', () => ({
+  ...jest.requireActual('../lambda/shared/company-utils'),
+  dynamoOperation: jest.fn()
+}));
+
+const { dynamoOperation } = require('../lambda/shared/company-utils');
+const { handler } = require('../lambda/companyContractors');
+
+describe('PUT /contractors', () => {
+  // Saved before tax IDs were checked - the check digit is wrong
+  const legacyContractor = { companyId: 'comp_1', contractorId: 'cont_1', name: 'חשמלאי', taxId: '123456789', userId: 'user_1' };
+
+  const updateContractor = (body) => handler({
+    httpMethod: 'PUT',
+    path: '/contractors',
+    headers: {},
+    requestContext: { authorizer: { companyId: 'comp_1', userId: 'user_1', userRole: 'manager' } },
+    body: JSON.stringify({ contractorId: 'cont_1', ...body })
+  }, { functionName: 'companyContractors' });
+
+  beforeAll(() => {
+    process.env.CLERK_AUTH_ENABLED = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.CLERK_AUTH_ENABLED;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamoOperation.mockImplementation(async (operation, params) => (
+      operation === 'get' ? { Item: legacyContractor } : { Attributes: { ...legacyContractor, ...params.ExpressionAttributeValues } }
+    ));
+  });
+
+  test('saves other fields of a contractor with an unchanged legacy tax ID', async () => {
+    const response = await updateContractor({ name: 'חשמלאי ראשי', taxId: '123456789' });
+
+    expect(response.statusCode).toBe(200);
+    const update = dynamoOperation.mock.calls.find(([operation]) => operation === 'update')[1];
+    expect(update.ExpressionAttributeValues[':name']).toBe('חשמלאי ראשי');
+    expect(update.ExpressionAttributeNames).not.toHaveProperty('#taxId');
+  });
+
+  test('rejects a changed tax ID that fails validation', async () => {
+    const response = await updateContractor({ name: 'חשמלאי', taxId: '987654321' });
+
+    expect(response.statusCode).toBe(400);
+    expect(dynamoOperation).not.toHaveBeenCalledWith('update', expect.anything());
+  });
+});
@@ -0,0 +1,92 @@
+// tests/expense-allocations.test.js
+// Unit tests for splitting an expense across projects and works
+
+const {
+  validateAllocations,
+  getExpenseAllocations,
+  getAllocationFields,
+  splitExpenseByAllocations
+} = require('../lambda/shared/expense-allocations');
+
+describe('expense-allocations', () => {
+  describe('validateAllocations', () => {
+    test('resolves percentage and fixed amount lines', () => {
+      const result = validateAllocations([
+        { projectId: 'proj_1', type: 'amount', value: 1000 },
+        { projectId: 'proj_2', workId: 'work_1', type: 'percentage', value: 50 }
+      ], 2000);
+
+      expect(result.valid).toBe(true);
+      expect(result.allocations).toEqual([
+        { projectId: 'proj_1', workId: '', type: 'amount', value: 1000, amount: 1000 },
+        { projectId: 'proj_2', workId: 'work_1', type: 'percentage', value: 50, amount: 1000 }
+      ]);
+    });
+
+    test('puts the rounding remainder on the last percentage line', () => {
+      const result = validateAllocations([
+        { projectId: 'proj_1', type: 'percentage', value: 33.33 },
+        { projectId: 'proj_2', type: 'percentage', value: 33.33 },
+        { projectId: 'proj_3', type: 'percentage', value: 33.34 }
+      ], 100.01);
+
+      expect(result.valid).toBe(true);
+      const amounts = result.allocations.map(line => line.amount);
+      expect(amounts.slice(0, 2)).toEqual([33.33, 33.33]);
+      expect(Math.round(amounts.reduce((a, b) => a + b, 0) * 100) / 100).toBe(100.01);
+    });
+
+    test('rejects lines that do not sum to the total', () => {
+      const result = validateAllocations([
+        { projectId: 'proj_1', type: 'percentage', value: 60 },
+        { projectId: 'proj_2', type: 'amount', value: 300 }
+      ], 1000);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('sum to ₪900');
+    });
+
+    test('rejects malformed lines', () => {
+      expect(validateAllocations('proj_1', 100).valid).toBe(false);
+      expect(validateAllocations([{ type: 'amount', value: 100 }], 100).errors[0]).toContain('projectId is required');
+      expect(validateAllocations([{ projectId: 'proj_1', type: 'share', value: 100 }], 100).valid).toBe(false);
+      expect(validateAllocations([{ projectId: 'proj_1', type: 'percentage', value: 120 }], 100).valid).toBe(false);
+      expect(validateAllocations([{ projectId: 'proj_1', type: 'amount', value: -5 }], 100).valid).toBe(false);
+    });
+  });
+
+  describe('stored fields and portions', () => {
+    const expense = {
+      expenseId: 'e1',
+      projectId: 'proj_1',
+      amount: 1180,
+      baseAmount: 1000,
+      vatAmount: 180,
+      ...getAllocationFields([
+        { projectId: 'proj_1', workId: 'work_1', type: 'percentage', value: 75, amount: 885 },
+        { projectId: 'proj_2', workId: '', type: 'percentage', value: 25, amount: 295 }
+      ])
+    };
+
+    test('uses the first line as the primary project and lists all targets', () => {
+      expect(expense).toMatchObject({
+        projectId: 'proj_1',
+        workId: 'work_1',
+        allocationProjectIds: ['proj_1', 'proj_2'],
+        allocationWorkIds: ['work_1']
+      });
+    });
+
+    test('splits amounts, amount before VAT and VAT by allocation', () => {
+      const portions = splitExpenseByAllocations(expense);
+      expect(portions).toHaveLength(2);
+      expect(portions[1]).toMatchObject({ expenseId: 'e1', projectId: 'proj_2', amount: 295, baseAmount: 250, vatAmount: 45 });
+    });
+
+    test('treats unallocated expenses as one full line', () => {
+      const single = { expenseId: 'e2', projectId: 'proj_3', amount: 500 };
+      expect(splitExpenseByAllocations(single)).toEqual([single]);
+      expect(getExpenseAllocations(single)).toEqual([{ projectId: 'proj_3', workId: '', type: 'percentage', value: 100, amount: 500 }]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+// tests/expense-approval.test.js
+// Unit tests for the expense approval state machine
+
+const {
+  USER_ROLES,
+  EXPENSE_STATUS,
+  getExpenseTransition
+} = require('../lambda/shared/company-utils');
+
+describe('getExpenseTransition', () => {
+  test('managers can approve pending expenses', () => {
+    const result = getExpenseTransition(USER_ROLES.MANAGER, EXPENSE_STATUS.PENDING, EXPENSE_STATUS.APPROVED);
+    expect(result.allowed).toBe(true);
+    expect(result.transition.action).toBe('approve');
+  });
+
+  test('editors cannot approve expenses', () => {
+    const result = getExpenseTransition(USER_ROLES.EDITOR, EXPENSE_STATUS.PENDING, EXPENSE_STATUS.APPROVED);
+    expect(result.allowed).toBe(false);
+    expect(result.transition).toBeDefined();
+  });
+
+  test('editors can resubmit rejected expenses', () => {
+    const result = getExpenseTransition(USER_ROLES.EDITOR, EXPENSE_STATUS.REJECTED, EXPENSE_STATUS.PENDING);
+    expect(result.allowed).toBe(true);
+    expect(result.transition.action).toBe('resubmit');
+  });
+
+  test('rejection requires a comment', () => {
+    const result = getExpenseTransition(USER_ROLES.ADMIN, EXPENSE_STATUS.APPROVED, EXPENSE_STATUS.REJECTED);
+    expect(result.allowed).toBe(true);
+    expect(result.transition.requiresComment).toBe(true);
+  });
+
+  test('rejects transitions outside the workflow', () => {
+    expect(getExpenseTransition(USER_ROLES.ADMIN, EXPENSE_STATUS.PENDING, EXPENSE_STATUS.PAID).allowed).toBe(false);
+    expect(getExpenseTransition(USER_ROLES.ADMIN, EXPENSE_STATUS.PAID, EXPENSE_STATUS.PENDING).allowed).toBe(false);
+    expect(getExpenseTransition(USER_ROLES.ADMIN, EXPENSE_STATUS.PENDING, 'archived').allowed).toBe(false);
+  });
+});
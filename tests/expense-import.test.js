@@ -0,0 +1,117 @@
+// tests/expense-import.test.js
+// Unit tests for CSV/Excel expense import parsing, column mapping and row validation
+
+const {
+  parseCsv,
+  suggestColumnMap,
+  validateColumnMap,
+  parseImportDate,
+  normalizePaymentMethod,
+  buildReferenceIndex,
+  validateImportRows
+} = require('../lambda/shared/expense-import');
+
+describe('expense-import', () => {
+  describe('parseCsv', () => {
+    test('handles quotes, CRLF, BOM and blank lines', () => {
+      const csv = '\uFEFFתאריך,סכום,תיאור\r\n15/03/2025,"1,234.50","בטון ""B30"", משלוח"\r\n\r\n16/03/2025,200,"שורה\nשנייה"';
+      expect(parseCsv(csv)).toEqual([
+        ['תאריך', 'סכום', 'תיאור'],
+        ['15/03/2025', '1,234.50', 'בטון "B30", משלוח'],
+        ['16/03/2025', '200', 'שורה\nשנייה']
+      ]);
+    });
+
+    test('detects semicolon delimiters', () => {
+      expect(parseCsv('date;amount\n2025-01-01;1,5')).toEqual([['date', 'amount'], ['2025-01-01', '1,5']]);
+    });
+  });
+
+  describe('column mapping', () => {
+    test('suggests a mapping from Hebrew and English headers', () => {
+      expect(suggestColumnMap(['תאריך', 'מס\' חשבונית', 'סה"כ', 'ספק', 'Project', 'מע"מ'])).toEqual({
+        date: 0,
+        invoiceNum: 1,
+        amount: 2,
+        contractorId: 3,
+        projectId: 4
+      });
+    });
+
+    test('requires the mandatory fields and a payment method or default', () => {
+      const columnMap = { date: 0, invoiceNum: 1, amount: 2 };
+      expect(validateColumnMap(columnMap, 3)).toEqual(['Required fields are not mapped: paymentMethod']);
+      expect(validateColumnMap(columnMap, 3, { paymentMethod: 'מזומן' })).toEqual([]);
+      expect(validateColumnMap({ ...columnMap, amount: 5 }, 3, { paymentMethod: 'מזומן' })).toEqual(['Column for amount is out of range']);
+    });
+  });
+
+  test('parses day-first dates and payment method aliases', () => {
+    expect(parseImportDate('5.3.2025')).toBe('2025-03-05');
+    expect(parseImportDate('05/03/25')).toBe('2025-03-05');
+    expect(parseImportDate('2025-03-05')).toBe('2025-03-05');
+    expect(parseImportDate('31/02/2025')).toBeNull();
+    expect(normalizePaymentMethod('Bank Transfer')).toBe('העברה בנקאית');
+    expect(normalizePaymentMethod('צ׳ק')).toBe("צ'ק");
+    expect(normalizePaymentMethod('bitcoin')).toBeNull();
+  });
+
+  describe('validateImportRows', () => {
+    const index = buildReferenceIndex({
+      projects: [{ projectId: 'proj_1', name: 'מגדלי הים' }],
+      contractors: [{ contractorId: 'contr_1', name: 'חשמל בע"מ' }],
+      works: [{ workId: 'work_1', projectId: 'proj_1', workName: 'חשמל קומה 1' }]
+    });
+    const columnMap = { date: 0, invoiceNum: 1, amount: 2, contractorId: 3, projectId: 4, workId: 5 };
+
+    test('resolves names to IDs and applies defaults', () => {
+      const [result] = validateImportRows(
+        [['01/02/2025', 'INV-1', '₪1,180', 'חשמל בעמ', 'מגדלי הים', 'חשמל קומה 1']],
+        columnMap,
+        index,
+        { defaults: { paymentMethod: 'מזומן' } }
+      );
+      expect(result.valid).toBe(true);
+      expect(result.row).toBe(2);
+      expect(result.expense).toMatchObject({
+        date: '2025-02-01',
+        amount: 1180,
+        paymentMethod: 'מזומן',
+        vatTreatment: 'standard',
+        projectId: 'proj_1',
+        contractorId: 'contr_1',
+        workId: 'work_1'
+      });
+    });
+
+    test('reports unknown references, bad values and repeated invoices per row', () => {
+      const results = validateImportRows([
+        ['01/02/2025', 'INV-1', '100', 'חשמל בע"מ', '', ''],
+        ['2025-02-30', 'INV-2', 'abc', 'ספק חדש', 'פרויקט לא קיים', ''],
+        ['02/02/2025', 'INV-1', '50', 'contr_1', '', '']
+      ], columnMap, index, { defaults: { paymentMethod: 'מזומן' } });
+
+      expect(results[0].valid).toBe(true);
+      expect(results[0].expense.projectId).toBe('proj_GENERAL_EXPENSES');
+      expect(results[1].errors).toEqual([
+        'Invalid date "2025-02-30"',
+        'Invalid amount "abc"',
+        'Project "פרויקט לא קיים" not found',
+        'Contractor "ספק חדש" not found'
+      ]);
+      expect(results[2].errors).toEqual(['Invoice INV-1 also appears in row 2']);
+    });
+
+    test('marks unknown contractors as new when creating missing contractors', () => {
+      const [result] = validateImportRows(
+        [['01/02/2025', 'INV-9', '100', 'ספק חדש', '', '']],
+        columnMap,
+        index,
+        { defaults: { paymentMethod: 'מזומן' }, createMissingContractors: true }
+      );
+      expect(result.valid).toBe(true);
+      expect(result.newContractor).toBe(true);
+      expect(result.expense.contractorName).toBe('ספק חדש');
+    });
+  });
+});
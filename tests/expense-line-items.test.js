@@ -0,0 +1,185 @@
+// tests/expense-line-items.test.js
+// Unit tests for receipt line items and the material spending report
+
+const {
+  validateLineItems,
+  normalizeOcrLineItems,
+  lineItemsMatchTotal,
+  buildMaterialSpendReport
+} = require('../lambda/shared/expense-line-items');
+const { parseClaudeResponse } = require('../lambda/shared/claude-ocr-parser');
+
+describe('expense-line-items', () => {
+  describe('validateLineItems', () => {
+    test('derives missing totals and unit prices', () => {
+      const result = validateLineItems([
+        { description: ' מלט אפור 50 ק"ג ', quantity: 10, unit: 'שק', unitPrice: 32.5 },
+        { description: 'ברזל 12 מ"מ', quantity: 2, lineTotal: 675 }
+      ], { amount: 1000, baseAmount: 847.46 });
+
+      expect(result.valid).toBe(true);
+      expect(result.includesVat).toBe(true);
+      expect(result.lineItems).toEqual([
+        { description: 'מלט אפור 50 ק"ג', quantity: 10, unit: 'שק', unitPrice: 32.5, lineTotal: 325 },
+        { description: 'ברזל 12 מ"מ', quantity: 2, unitPrice: 337.5, lineTotal: 675 }
+      ]);
+    });
+
+    test('accepts lines priced before VAT and negative discount lines', () => {
+      const result = validateLineItems([
+        { description: 'בלוקים', quantity: 100, unitPrice: 10 },
+        { description: 'הנחה', lineTotal: -152.54 }
+      ], { amount: 1000, baseAmount: 847.46 });
+
+      expect(result.valid).toBe(true);
+      expect(result.includesVat).toBe(false);
+    });
+
+    test('allows rounding of 0.5% or at least one shekel', () => {
+      expect(validateLineItems([{ description: 'חול', lineTotal: 100.9 }], { amount: 100, baseAmount: 100 }).valid).toBe(true);
+      expect(validateLineItems([{ description: 'חול', lineTotal: 10040 }], { amount: 10000, baseAmount: 10000 }).valid).toBe(true);
+      expect(validateLineItems([{ description: 'חול', lineTotal: 10060 }], { amount: 10000, baseAmount: 10000 }).valid).toBe(false);
+    });
+
+    test('rejects lines that match neither total', () => {
+      const result = validateLineItems([{ description: 'מלט', lineTotal: 500 }], { amount: 1180, baseAmount: 1000 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Line items sum to ₪500 but the expense total is ₪1180 (₪1000 before VAT)']);
+    });
+
+    test('rejects incomplete lines', () => {
+      const totals = { amount: 100, baseAmount: 100 };
+
+      expect(validateLineItems('x', totals).errors).toEqual(['lineItems must be an array']);
+      expect(validateLineItems([{ lineTotal: 100 }], totals).errors).toEqual(['lineItems[0].description is required']);
+      expect(validateLineItems([{ description: 'מלט', quantity: 0, lineTotal: 100 }], totals).errors)
+        .toEqual(['lineItems[0].quantity must be a positive number']);
+      expect(validateLineItems([{ description: 'מלט' }], totals).errors).toEqual(['lineItems[0] needs a lineTotal or a unitPrice']);
+      expect(validateLineItems([{ description: 'מלט', lineTotal: 'abc' }], totals).errors)
+        .toEqual(['lineItems[0].unitPrice and lineTotal must be numbers']);
+    });
+  });
+
+  describe('OCR line items', () => {
+    test('normalizeOcrLineItems drops rows without a description or price', () => {
+      expect(normalizeOcrLineItems([
+        { description: 'מלט', quantity: '4', unitPrice: '30' },
+        { description: 'סה"כ' },
+        { description: '', lineTotal: 50 },
+        null
+      ])).toEqual([{ description: 'מלט', quantity: 4, unitPrice: 30, lineTotal: 120 }]);
+      expect(normalizeOcrLineItems(undefined)).toEqual([]);
+    });
+
+    test('lineItemsMatchTotal compares the lines with the total read', () => {
+      const lines = [{ lineTotal: 60 }, { lineTotal: 40 }];
+      expect(lineItemsMatchTotal(lines, 100)).toBe(true);
+      expect(lineItemsMatchTotal(lines, 150)).toBe(false);
+      expect(lineItemsMatchTotal(lines, null)).toBe(false);
+    });
+
+    test('parseClaudeResponse lowers the confidence of lines that miss the total', () => {
+      const answer = amount => ({
+        choices: [{
+          message: {
+            content: JSON.stringify({
+              amount,
+              lineItems: [{ description: 'מלט', quantity: 2, unitPrice: 50, lineTotal: 100 }],
+              confidence: { amount: 95, lineItems: 90 }
+            })
+          }
+        }]
+      });
+
+      const matched = parseClaudeResponse(answer(100));
+      expect(matched.fields.lineItems).toEqual([{ description: 'מלט', quantity: 2, unitPrice: 50, lineTotal: 100 }]);
+      expect(matched.confidence.lineItems).toBe(90);
+      expect(parseClaudeResponse(answer(400)).confidence.lineItems).toBe(50);
+    });
+
+    test('parseClaudeResponse joins the item table of several pages', () => {
+      const content = JSON.stringify({
+        pages: [
+          { page: 1, vendor: 'חומרי בניין לוי', lineItems: [{ description: 'מלט', lineTotal: 300 }], confidence: { vendor: 95, lineItems: 90 } },
+          { page: 2, amount: 500, lineItems: [{ description: 'ברזל', lineTotal: 200 }], confidence: { amount: 97, lineItems: 80 } }
+        ]
+      });
+
+      const result = parseClaudeResponse({ choices: [{ message: { content } }] });
+
+      expect(result.fields.lineItems.map(line => line.description)).toEqual(['מלט', 'ברזל']);
+      expect(result.confidence.lineItems).toBe(80);
+      expect(result.fieldPages.lineItems).toEqual([1, 2]);
+    });
+  });
+
+  describe('buildMaterialSpendReport', () => {
+    const expenses = [
+      {
+        expenseId: 'exp_1',
+        projectId: 'proj_1',
+        status: 'approved',
+        amount: 1180,
+        baseAmount: 1000,
+        lineItemsIncludeVat: false,
+        lineItems: [
+          { description: 'מלט אפור', quantity: 20, unit: 'שק', unitPrice: 30, lineTotal: 600 },
+          { description: 'ברזל 12 מ"מ', quantity: 1, unit: 'טון', unitPrice: 400, lineTotal: 400 }
+        ]
+      },
+      {
+        expenseId: 'exp_2',
+        projectId: 'proj_1',
+        status: 'pending',
+        amount: 708,
+        baseAmount: 600,
+        lineItemsIncludeVat: true,
+        allocations: [
+          { projectId: 'proj_1', workId: '', type: 'percentage', value: 50, amount: 354 },
+          { projectId: 'proj_2', workId: '', type: 'percentage', value: 50, amount: 354 }
+        ],
+        lineItems: [
+          { description: 'מלט  אפור', quantity: 10, unit: 'שק', unitPrice: 70.8, lineTotal: 708 }
+        ]
+      },
+      {
+        expenseId: 'exp_3',
+        projectId: 'proj_2',
+        status: 'rejected',
+        amount: 118,
+        baseAmount: 100,
+        lineItems: [{ description: 'מלט אפור', quantity: 1, unitPrice: 118, lineTotal: 118 }]
+      },
+      { expenseId: 'exp_4', projectId: 'proj_2', amount: 50, baseAmount: 50 }
+    ];
+    const projects = { proj_1: 'בניין A', proj_2: 'בניין B' };
+
+    test('totals every material before and including VAT, skipping rejected expenses', () => {
+      const report = buildMaterialSpendReport(expenses, { projects });
+
+      expect(report.totals).toEqual({ amount: 1888, baseAmount: 1600, lineCount: 3, expenseCount: 2 });
+      expect(report.materials).toEqual([
+        { material: 'מלט אפור', unit: 'שק', quantity: 30, amount: 1416, baseAmount: 1200, expenseCount: 2 },
+        { material: 'ברזל 12 מ"מ', unit: 'טון', quantity: 1, amount: 472, baseAmount: 400, expenseCount: 1 }
+      ]);
+    });
+
+    test('splits allocated expenses across their projects', () => {
+      const { projects: byProject } = buildMaterialSpendReport(expenses, { projects });
+
+      expect(byProject).toEqual([
+        { projectId: 'proj_1', projectName: 'בניין A', amount: 1534, baseAmount: 1300 },
+        { projectId: 'proj_2', projectName: 'בניין B', amount: 354, baseAmount: 300 }
+      ]);
+    });
+
+    test('search keeps only the matching lines', () => {
+      const report = buildMaterialSpendReport(expenses, { search: 'ברזל', projects });
+
+      expect(report.materials.map(row => row.material)).toEqual(['ברזל 12 מ"מ']);
+      expect(report.totals).toEqual({ amount: 472, baseAmount: 400, lineCount: 1, expenseCount: 1 });
+      expect(report.projects).toEqual([{ projectId: 'proj_1', projectName: 'בניין A', amount: 472, baseAmount: 400 }]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// tests/expense-payments.test.js
+// Unit tests for the expense payment ledger helpers
+
+const {
+  VALID_PAYMENT_METHODS,
+  validatePaymentInput,
+  buildPayment,
+  calculateExpenseBalance,
+  deriveStatusFromBalance,
+  isValidChequeTransition,
+  buildChequeRegister,
+  summarizeCheques
+} = require('../lambda/shared/expense-payments');
+const { addDays } = require('../lambda/shared/company-utils');
+
+describe('expense-payments', () => {
+  describe('validatePaymentInput', () => {
+    test('accepts a post-dated cheque and keeps the method unescaped', () => {
+      const result = validatePaymentInput({
+        date: '2025-03-01',
+        amount: '2500.50',
+        paymentMethod: "צ'ק",
+        chequeNumber: '004512',
+        bankName: 'לאומי',
+        dueDate: '2025-05-01'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.payment.paymentMethod).toBe("צ'ק");
+      expect(result.payment.amount).toBe(2500.5);
+      expect(result.payment.dueDate).toBe('2025-05-01');
+    });
+
+    test('defaults the due date to the payment date', () => {
+      const result = validatePaymentInput({ date: '2025-03-01', amount: 100, paymentMethod: 'מזומן' });
+      expect(result.valid).toBe(true);
+      expect(result.payment.dueDate).toBe('2025-03-01');
+    });
+
+    test('requires a cheque number for cheque payments', () => {
+      const result = validatePaymentInput({ date: '2025-03-01', amount: 100, paymentMethod: "צ'ק" });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('chequeNumber is required for cheque payments');
+    });
+
+    test('rejects unknown methods, zero amounts and due dates before the payment date', () => {
+      expect(validatePaymentInput({ date: '2025-03-01', amount: 100, paymentMethod: 'bitcoin' }).valid).toBe(false);
+      expect(validatePaymentInput({ date: '2025-03-01', amount: 0, paymentMethod: 'מזומן' }).valid).toBe(false);
+      expect(validatePaymentInput({
+        date: '2025-03-01', amount: 100, paymentMethod: 'מזומן', dueDate: '2025-02-01'
+      }).valid).toBe(false);
+    });
+
+    test('uses the expense payment methods', () => {
+      expect(VALID_PAYMENT_METHODS).toEqual(['העברה בנקאית', "צ'ק", 'מזומן', 'כרטיס אשראי']);
+    });
+  });
+
+  describe('buildPayment', () => {
+    test('adds the ID, withholding and creator to a validated payment', () => {
+      const { payment } = validatePaymentInput({ date: '2025-03-01', amount: 1000, paymentMethod: 'מזומן' });
+      const entry = buildPayment(payment, { withholdingRate: 5, withholdingAmount: 50 }, 'user_1');
+
+      expect(entry.paymentId).toMatch(/^pay_/);
+      expect(entry).toMatchObject({
+        date: '2025-03-01',
+        dueDate: '2025-03-01',
+        amount: 1000,
+        paymentMethod: 'מזומן',
+        withholdingRate: 5,
+        withholdingAmount: 50,
+        createdBy: 'user_1'
+      });
+      expect(entry.createdAt).toBeDefined();
+    });
+  });
+
+  describe('calculateExpenseBalance', () => {
+    test('sums installments without floating point drift', () => {
+      const balance = calculateExpenseBalance(1000, [{ amount: 333.33 }, { amount: 333.33 }, { amount: 333.34 }]);
+      expect(balance).toEqual({ paidAmount: 1000, outstandingAmount: 0, isFullyPaid: true });
+    });
+
+    test('reports the outstanding balance of a partially paid expense', () => {
+      const balance = calculateExpenseBalance(1000, [{ amount: 400 }]);
+      expect(balance.outstandingAmount).toBe(600);
+      expect(balance.isFullyPaid).toBe(false);
+    });
+
+    test('ignores bounced and cancelled cheques', () => {
+      const balance = calculateExpenseBalance(1000, [
+        { amount: 500, chequeStatus: 'cleared' },
+        { amount: 500, chequeStatus: 'bounced' }
+      ]);
+      expect(balance.paidAmount).toBe(500);
+      expect(balance.isFullyPaid).toBe(false);
+    });
+  });
+
+  describe('deriveStatusFromBalance', () => {
+    const paid = { isFullyPaid: true };
+    const open = { isFullyPaid: false };
+
+    test('approved expenses become paid once settled and revert when reopened', () => {
+      expect(deriveStatusFromBalance('approved', paid)).toBe('paid');
+      expect(deriveStatusFromBalance('paid', open)).toBe('approved');
+    });
+
+    test('does not skip the approval step', () => {
+      expect(deriveStatusFromBalance('pending', paid)).toBe('pending');
+      expect(deriveStatusFromBalance('rejected', paid)).toBe('rejected');
+    });
+  });
+
+  describe('cheque register', () => {
+    const expenses = [
+      {
+        expenseId: 'exp_1',
+        contractorId: 'contr_1',
+        projectId: 'proj_1',
+        payments: [
+          { paymentId: 'pay_1', paymentMethod: "צ'ק", chequeNumber: '100', amount: 1000, date: '2025-01-01', dueDate: '2025-03-01' },
+          { paymentId: 'pay_2', paymentMethod: "צ'ק", chequeNumber: '101', amount: 1000, date: '2025-01-01', dueDate: '2025-02-01', chequeStatus: 'cleared' },
+          { paymentId: 'pay_3', paymentMethod: 'מזומן', amount: 500, date: '2025-01-01' }
+        ]
+      },
+      {
+        expenseId: 'exp_2',
+        contractorId: 'contr_2',
+        payments: [
+          { paymentId: 'pay_4', paymentMethod: "צ'ק", chequeNumber: '200', amount: 250, date: '2025-01-10', dueDate: '2025-01-20', chequeStatus: 'bounced' }
+        ]
+      }
+    ];
+    const lookups = { projects: { proj_1: 'מגדל' }, contractors: { contr_1: 'כהן', contr_2: 'לוי' } };
+
+    test('lists only cheques, sorted by due date, with names resolved', () => {
+      const cheques = buildChequeRegister(expenses, lookups);
+      expect(cheques.map(c => c.paymentId)).toEqual(['pay_4', 'pay_2', 'pay_1']);
+      expect(cheques[2]).toMatchObject({ chequeStatus: 'issued', contractorName: 'כהן', projectName: 'מגדל' });
+    });
+
+    test('filters by due date window and status', () => {
+      expect(buildChequeRegister(expenses, lookups, { dueFrom: '2025-02-01', dueTo: '2025-02-28' })
+        .map(c => c.paymentId)).toEqual(['pay_2']);
+      expect(buildChequeRegister(expenses, lookups, { status: 'bounced' }).map(c => c.paymentId)).toEqual(['pay_4']);
+    });
+
+    test('summarizes open amounts by status', () => {
+      const summary = summarizeCheques(buildChequeRegister(expenses, lookups));
+      expect(summary.count).toBe(3);
+      expect(summary.openAmount).toBe(1000);
+      expect(summary.byStatus.bounced).toEqual({ count: 1, amount: 250 });
+    });
+
+    test('enforces the cheque lifecycle', () => {
+      expect(isValidChequeTransition(undefined, 'deposited')).toBe(true);
+      expect(isValidChequeTransition('bounced', 'deposited')).toBe(true);
+      expect(isValidChequeTransition('cleared', 'bounced')).toBe(false);
+      expect(isValidChequeTransition('cancelled', 'issued')).toBe(false);
+    });
+
+    test('adds days across month boundaries', () => {
+      expect(addDays('2025-01-28', 7)).toBe('2025-02-04');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// tests/expense-query.test.js
+// Unit tests for server-side expense filtering and sorting
+
+const {
+  buildExpenseSearchText,
+  parseExpenseFilters,
+  findIdsByName,
+  buildExpenseFilterExpression,
+  sortExpenses,
+  encodeCursor,
+  decodeCursor
+} = require('../lambda/shared/expense-query');
+
+describe('expense-query', () => {
+  describe('parseExpenseFilters', () => {
+    test('returns empty filters for no parameters', () => {
+      const result = parseExpenseFilters({});
+      expect(result.valid).toBe(true);
+      expect(result.filters).toEqual({});
+    });
+
+    test('parses valid filters and converts amounts to numbers', () => {
+      const result = parseExpenseFilters({
+        projectId: 'proj_123',
+        dateFrom: '2025-01-01',
+        dateTo: '2025-12-31',
+        minAmount: '100',
+        maxAmount: '5000.50',
+        paymentMethod: "צ'ק",
+        status: 'approved'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.filters.minAmount).toBe(100);
+      expect(result.filters.maxAmount).toBe(5000.5);
+      expect(result.filters.paymentMethod).toBe("צ'ק");
+    });
+
+    test('rejects malformed values', () => {
+      const result = parseExpenseFilters({
+        dateFrom: '01/01/2025',
+        status: 'archived',
+        sortBy: 'userId'
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    test('rejects inverted ranges', () => {
+      expect(parseExpenseFilters({ dateFrom: '2025-12-01', dateTo: '2025-01-01' }).valid).toBe(false);
+      expect(parseExpenseFilters({ minAmount: '500', maxAmount: '100' }).valid).toBe(false);
+    });
+
+    test('defaults sort order to descending', () => {
+      expect(parseExpenseFilters({ sortBy: 'amount' }).filters.sortOrder).toBe('desc');
+      expect(parseExpenseFilters({ sortOrder: 'asc' }).filters.sortBy).toBe('date');
+    });
+  });
+
+  describe('buildExpenseFilterExpression', () => {
+    test('returns null when no filters apply', () => {
+      expect(buildExpenseFilterExpression({})).toBeNull();
+    });
+
+    test('combines equality, date and amount conditions', () => {
+      const result = buildExpenseFilterExpression(
+        { contractorId: 'contr_1', dateFrom: '2025-01-01', maxAmount: 1000 },
+        { userId: 'user_1' }
+      );
+
+      expect(result.FilterExpression).toBe(
+        '#userId = :userId AND #contractorId = :contractorId AND #date >= :dateFrom AND #amount <= :maxAmount'
+      );
+      expect(result.ExpressionAttributeValues).toEqual({
+        ':userId': 'user_1',
+        ':contractorId': 'contr_1',
+        ':dateFrom': '2025-01-01',
+        ':maxAmount': 1000
+      });
+    });
+
+    test('matches project and work filters on allocation lines', () => {
+      const result = buildExpenseFilterExpression({ projectId: 'proj_1', workId: 'work_1' });
+
+      expect(result.FilterExpression).toContain('(#projectId = :projectId OR contains(#allocationProjectIds, :projectId))');
+      expect(result.FilterExpression).toContain('(#workId = :workId OR contains(#allocationWorkIds, :workId))');
+      expect(result.ExpressionAttributeValues).toEqual({ ':projectId': 'proj_1', ':workId': 'work_1' });
+    });
+
+    test('expands free text to matching project and contractor IDs', () => {
+      const result = buildExpenseFilterExpression(
+        { q: 'בטון' },
+        { searchProjectIds: ['proj_1'], searchContractorIds: ['contr_1', 'contr_2'] }
+      );
+
+      expect(result.FilterExpression).toContain('contains(#searchText, :q)');
+      expect(result.FilterExpression).toContain('#projectId IN (:q_projectId_0)');
+      expect(result.FilterExpression).toContain('#contractorId IN (:q_contractorId_0, :q_contractorId_1)');
+    });
+
+    test('searches the lowercased search text, with the raw fields for older expenses', () => {
+      const result = buildExpenseFilterExpression({ q: 'Cement INV' });
+
+      expect(result.FilterExpression).toContain('contains(#searchText, :q)');
+      expect(result.FilterExpression).toContain(
+        '(attribute_not_exists(#searchText) AND (contains(#description, :qExact) OR contains(#invoiceNum, :qExact)))'
+      );
+      expect(result.ExpressionAttributeValues[':q']).toBe('cement inv');
+      expect(result.ExpressionAttributeValues[':qExact']).toBe('Cement INV');
+    });
+  });
+
+  test('buildExpenseSearchText lowercases the description and invoice number', () => {
+    expect(buildExpenseSearchText({ description: 'Portland Cement', invoiceNum: 'INV-42' })).toBe('portland cement inv-42');
+    expect(buildExpenseSearchText({ description: '', invoiceNum: 1001 })).toBe('1001');
+    expect(buildExpenseSearchText({})).toBe('');
+  });
+
+  describe('findIdsByName', () => {
+    test('matches names case-insensitively', () => {
+      const contractors = [
+        { contractorId: 'c1', name: 'Cohen Electric' },
+        { contractorId: 'c2', name: 'Levi Plumbing' }
+      ];
+      expect(findIdsByName(contractors, 'contractorId', 'electric')).toEqual(['c1']);
+      expect(findIdsByName(contractors, 'contractorId', '')).toEqual([]);
+    });
+  });
+
+  describe('sortExpenses', () => {
+    const expenses = () => [
+      { expenseId: 'a', date: '2025-02-01', amount: 300 },
+      { expenseId: 'b', date: '2025-01-01', amount: 1200 },
+      { expenseId: 'c', date: '2025-03-01', amount: 50 }
+    ];
+
+    test('sorts by date descending', () => {
+      expect(sortExpenses(expenses(), 'date', 'desc').map(e => e.expenseId)).toEqual(['c', 'a', 'b']);
+    });
+
+    test('sorts numerically by amount', () => {
+      expect(sortExpenses(expenses(), 'amount', 'asc').map(e => e.expenseId)).toEqual(['c', 'a', 'b']);
+    });
+  });
+
+  describe('cursor encoding', () => {
+    test('round-trips cursors', () => {
+      const key = { companyId: 'comp_1', expenseId: 'exp_1' };
+      expect(decodeCursor(encodeCursor(key))).toEqual(key);
+    });
+
+    test('returns null for invalid cursors', () => {
+      expect(decodeCursor('not-base64-json')).toBeNull();
+      expect(decodeCursor(undefined)).toBeNull();
+    });
+  });
+});
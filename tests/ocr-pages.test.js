@@ -0,0 +1,127 @@
+// tests/ocr-pages.test.js
+// Unit tests for multi-page (PDF) invoice OCR
+
+const {
+  isPdfDocument,
+  estimatePdfPageCount,
+  mergeOcrPages
+} = require('../lambda/shared/ocr-pages');
+const { parseClaudeResponse } = require('../lambda/shared/claude-ocr-parser');
+
+describe('ocr-pages', () => {
+  const pdf = Buffer.from(
+    '%PDF-1.4\n1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n' +
+    '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj\n' +
+    '3 0 obj << /Type /Page /Parent 2 0 R >> endobj\n' +
+    '4 0 obj <</Type/Page/Parent 2 0 R>> endobj\n%%EOF',
+    'latin1'
+  );
+
+  test('isPdfDocument checks the PDF header', () => {
+    expect(isPdfDocument(pdf)).toBe(true);
+    expect(isPdfDocument(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00]))).toBe(false);
+    expect(isPdfDocument(Buffer.alloc(0))).toBe(false);
+  });
+
+  test('estimatePdfPageCount counts page objects but not the page tree', () => {
+    expect(estimatePdfPageCount(pdf)).toBe(2);
+    expect(estimatePdfPageCount(Buffer.from('%PDF-1.5\n<< /Type /ObjStm >>', 'latin1'))).toBe(0);
+  });
+
+  describe('mergeOcrPages', () => {
+    const pages = [
+      {
+        page: 1,
+        fields: { vendor: 'חשמל כהן', vendorTaxId: '514713288', invoiceNum: '0136', date: '2025-11-24', description: 'התקנת לוח', amount: 4000, paymentMethod: null },
+        confidence: { vendor: 95, vendorTaxId: 90, invoiceNum: 92, date: 88, description: 85, amount: 70, paymentMethod: 0 },
+        reasoning: { paymentMethod: null }
+      },
+      {
+        page: 3,
+        fields: { vendor: null, invoiceNum: null, date: null, description: null, amount: 11700, paymentMethod: 'העברה בנקאית' },
+        confidence: { vendor: 0, invoiceNum: 0, date: 0, description: 0, amount: 96, paymentMethod: 80 },
+        reasoning: { paymentMethod: 'פרטי חשבון בתחתית' }
+      },
+      {
+        page: 2,
+        fields: { vendor: 'חשמל כהן', date: '2025-11-25', description: 'החלפת שקעים', amount: 7000 },
+        confidence: { vendor: 60, date: 90, description: 75, amount: 65 },
+        reasoning: {}
+      }
+    ];
+
+    test('takes the header from the first page and the total from the last page', () => {
+      const { fields, confidence, fieldPages, reasoning, pageCount } = mergeOcrPages(pages);
+
+      expect(fields).toEqual({
+        vendor: 'חשמל כהן',
+        vendorTaxId: '514713288',
+        invoiceNum: '0136',
+        date: '2025-11-24',
+        amount: 11700,
+        paymentMethod: 'העברה בנקאית',
+        description: 'התקנת לוח / החלפת שקעים',
+        lineItems: null
+      });
+      expect(confidence).toEqual({
+        vendor: 95,
+        vendorTaxId: 90,
+        invoiceNum: 92,
+        date: 88,
+        amount: 96,
+        paymentMethod: 80,
+        description: 75
+      });
+      expect(fieldPages).toEqual({
+        vendor: [1],
+        vendorTaxId: [1],
+        invoiceNum: [1],
+        date: [1],
+        amount: [3],
+        paymentMethod: [3],
+        description: [1, 2]
+      });
+      expect(reasoning).toEqual({ paymentMethod: 'פרטי חשבון בתחתית' });
+      expect(pageCount).toBe(3);
+    });
+
+    test('fields found on no page are null with zero confidence', () => {
+      const { fields, confidence, fieldPages } = mergeOcrPages([
+        { page: 1, fields: { vendor: 'לוי' }, confidence: { vendor: 90 }, reasoning: {} }
+      ]);
+
+      expect(fields.amount).toBeNull();
+      expect(fields.vendorTaxId).toBeNull();
+      expect(confidence.amount).toBe(0);
+      expect(confidence).not.toHaveProperty('vendorTaxId');
+      expect(fieldPages).toEqual({ vendor: [1] });
+    });
+  });
+
+  test('parseClaudeResponse merges a page-by-page answer', () => {
+    const content = JSON.stringify({
+      pages: [
+        { page: 1, vendor: 'חשמל כהן', vendorTaxId: '514-713-288', amount: null, confidence: { vendor: 95, vendorTaxId: 90 } },
+        { page: 2, vendor: null, amount: '1170.50', confidence: { amount: 97 } }
+      ]
+    });
+
+    const result = parseClaudeResponse({ choices: [{ message: { content } }] });
+
+    expect(result.fields.vendor).toBe('חשמל כהן');
+    expect(result.fields.vendorTaxId).toBe('514713288');
+    expect(result.fields.amount).toBe(1170.5);
+    expect(result.fieldPages).toEqual({ vendor: [1], vendorTaxId: [1], amount: [2] });
+    expect(result.pageCount).toBe(2);
+  });
+
+  test('parseClaudeResponse keeps the single-image answer unchanged', () => {
+    const content = JSON.stringify({ vendor: 'לוי', amount: 100, confidence: { vendor: 90, amount: 95 } });
+
+    const result = parseClaudeResponse({ choices: [{ message: { content } }] });
+
+    expect(result.fields.vendor).toBe('לוי');
+    expect(result.confidence.amount).toBe(95);
+    expect(result).not.toHaveProperty('fieldPages');
+  });
+});
@@ -0,0 +1,124 @@
+// tests/ocr-providers.test.js
+// Unit tests for OCR provider selection and the offline provider
+
+const path = require('path');
+const zlib = require('zlib');
+const { selectOcrProvider, hasTierOcrProviders } = require('../lambda/shared/ocr-providers');
+const {
+  processWithLocalOCR,
+  parseReceiptText,
+  extractPdfText
+} = require('../lambda/shared/local-ocr-parser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'ocr');
+
+// Minimal PDF with one content stream
+function buildPdf(content, { deflate = false } = {}) {
+  const data = deflate ? zlib.deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n1 0 obj << /Type /Page >> endobj\n2 0 obj << /Length ${data.length}${deflate ? ' /Filter /FlateDecode' : ''} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream\nendobj\n%%EOF', 'latin1')
+  ]);
+}
+
+describe('ocr-providers', () => {
+  describe('selectOcrProvider', () => {
+    test('uses the environment provider, with per-tier overrides', () => {
+      expect(selectOcrProvider({}, {}).id).toBe('claude');
+      expect(selectOcrProvider({}, { OCR_PROVIDER: 'local' }).id).toBe('local');
+      expect(selectOcrProvider({ tier: 'trial' }, { OCR_PROVIDER: 'claude', OCR_PROVIDER_TRIAL: 'local' }).id).toBe('local');
+      expect(selectOcrProvider({ tier: 'enterprise' }, { OCR_PROVIDER_TRIAL: 'local' }).id).toBe('claude');
+    });
+
+    test('only the network provider needs an API key', () => {
+      expect(selectOcrProvider({}, { OCR_PROVIDER: 'claude' }).requiresApiKey).toBe(true);
+      expect(selectOcrProvider({}, { OCR_PROVIDER: 'local' }).requiresApiKey).toBe(false);
+    });
+
+    test('rejects unknown providers', () => {
+      expect(() => selectOcrProvider({}, { OCR_PROVIDER: 'textract' }))
+        .toThrow('Unknown OCR provider: textract. Available: claude, local');
+    });
+
+    test('hasTierOcrProviders only looks at subscription tiers', () => {
+      expect(hasTierOcrProviders({ OCR_PROVIDER: 'local' })).toBe(false);
+      expect(hasTierOcrProviders({ OCR_PROVIDER_STARTER: 'local' })).toBe(true);
+    });
+  });
+
+  describe('local provider', () => {
+    const receiptText = [
+      'חשבונית מס 0136',
+      'חשמל כהן בע"מ',
+      'ח.פ 514-713-288',
+      'תאריך: 24/11/25',
+      'פרטים: התקנת לוח חשמל',
+      'סה"כ לפני מע"מ: 10,000',
+      'סה"כ לתשלום: 11,700.00',
+      'שולם בהעברה בנקאית'
+    ].join('\n');
+
+    test('parseReceiptText reads fields by their labels', () => {
+      const { fields, confidence, reasoning } = parseReceiptText(receiptText);
+
+      expect(fields).toEqual({
+        amount: 11700,
+        date: '2025-11-24',
+        invoiceNum: '0136',
+        vendor: 'חשמל כהן בע"מ',
+        description: 'התקנת לוח חשמל',
+        paymentMethod: 'העברה בנקאית',
+        vendorTaxId: '514713288',
+        lineItems: null
+      });
+      expect(confidence.vendor).toBeLessThan(confidence.amount);
+      expect(reasoning.paymentMethod).toContain('העברה בנקאית');
+    });
+
+    test('parseReceiptText leaves unreadable fields empty', () => {
+      const { fields, confidence } = parseReceiptText('');
+      expect(Object.values(fields).every(value => value === null)).toBe(true);
+      expect(confidence).toEqual({ amount: 0, date: 0, invoiceNum: 0, vendor: 0, description: 0, paymentMethod: 0 });
+    });
+
+    test('extractPdfText reads plain and deflated content streams', () => {
+      const content = 'BT /F1 12 Tf 72 720 Td (Cohen Electric) Tj 0 -20 Td [(Invoice ) -250 (#0136)] TJ T* (Total: 1,170.50) Tj ET';
+      const expected = 'Cohen Electric\nInvoice #0136\nTotal: 1,170.50';
+
+      expect(extractPdfText(buildPdf(content))).toBe(expected);
+      expect(extractPdfText(buildPdf(content, { deflate: true }))).toBe(expected);
+      expect(extractPdfText(buildPdf('q 1 0 0 1 0 0 cm Q'))).toBe('');
+    });
+
+    test('processWithLocalOCR returns the same result for the same file', async () => {
+      const buffer = Buffer.from(receiptText, 'utf8');
+      const first = await processWithLocalOCR(buffer, 'receipt.txt', { fixturesDir: FIXTURES_DIR });
+      const second = await processWithLocalOCR(buffer, 'receipt.txt', { fixturesDir: FIXTURES_DIR });
+
+      expect(first.provider).toBe('local');
+      expect(first.fields).toEqual(second.fields);
+      expect(first.fields.amount).toBe(11700);
+      expect(first.pageCount).toBe(1);
+    });
+
+    test('processWithLocalOCR prefers a fixture, including multi-page answers', async () => {
+      const result = await processWithLocalOCR(buildPdf('BT (ignored) Tj ET'), 'invoice-two-pages.pdf', {
+        fixturesDir: FIXTURES_DIR
+      });
+
+      expect(result.fields.vendor).toBe('חשמל כהן');
+      expect(result.fields.amount).toBe(11700);
+      expect(result.fieldPages).toMatchObject({ vendor: [1], amount: [2] });
+      expect(result.pageCount).toBe(2);
+    });
+
+    test('processWithLocalOCR returns empty fields for an image without a fixture', async () => {
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46]);
+      const result = await processWithLocalOCR(jpeg, 'photo.jpg', { fixturesDir: FIXTURES_DIR });
+
+      expect(result.fields.amount).toBeNull();
+      expect(result.confidence.amount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// tests/progress-billing.test.js
+// Unit tests for progress billing and retention on works
+
+const {
+  validateRetentionPercent,
+  summarizeProgressBilling,
+  buildProgressBill,
+  buildRetentionRelease
+} = require('../lambda/shared/progress-billing');
+
+describe('progress-billing', () => {
+  const work = {
+    workId: 'work_1',
+    totalWorkCost: 200000,
+    progress: 30,
+    retentionPercent: 5,
+    status: 'in_progress',
+    progressBills: []
+  };
+
+  test('validateRetentionPercent accepts 0-100', () => {
+    expect(validateRetentionPercent('7.5')).toEqual({ valid: true, retentionPercent: 7.5 });
+    expect(validateRetentionPercent(0).valid).toBe(true);
+    expect(validateRetentionPercent(101).valid).toBe(false);
+    expect(validateRetentionPercent('abc').valid).toBe(false);
+  });
+
+  describe('buildProgressBill', () => {
+    test('suggests the amount from the progress and withholds retention', () => {
+      const { valid, bill } = buildProgressBill(work, { date: '2025-03-31', billNumber: 'ח-1' });
+
+      expect(valid).toBe(true);
+      expect(bill).toEqual({
+        billNumber: 'ח-1',
+        date: '2025-03-31',
+        progress: 30,
+        amount: 60000,
+        retentionPercent: 5,
+        retentionAmount: 3000,
+        netAmount: 57000,
+        cumulativeBilled: 60000,
+        cumulativeRetention: 3000,
+        notes: ''
+      });
+    });
+
+    test('accumulates over earlier bills', () => {
+      const first = buildProgressBill(work, { date: '2025-03-31' }).bill;
+      const second = buildProgressBill({ ...work, progress: 50, progressBills: [first] }, { date: '2025-04-30' }).bill;
+
+      expect(second).toMatchObject({
+        amount: 40000,
+        retentionAmount: 2000,
+        netAmount: 38000,
+        cumulativeBilled: 100000,
+        cumulativeRetention: 5000
+      });
+    });
+
+    test('rejects bills over the contract value and empty suggestions', () => {
+      expect(buildProgressBill(work, { date: '2025-03-31', amount: 250000 }).errors)
+        .toEqual(['amount exceeds the remaining contract value (200000)']);
+      expect(buildProgressBill({ ...work, progress: 0 }, { date: '2025-03-31' }).errors)
+        .toEqual(['Nothing to bill at the current progress']);
+    });
+  });
+
+  describe('retention release', () => {
+    const bills = [
+      { amount: 60000, retentionAmount: 3000, netAmount: 57000 },
+      { amount: 140000, retentionAmount: 7000, netAmount: 133000 }
+    ];
+    const context = { userId: 'user_1', date: '2025-09-01', timestamp: '2025-09-01T08:00:00.000Z' };
+
+    test('is only released on completed works', () => {
+      expect(buildRetentionRelease({ ...work, progressBills: bills }, context).error)
+        .toBe('Retention can only be released once the work is completed');
+      expect(buildRetentionRelease({ ...work, status: 'completed' }, context).error)
+        .toBe('No retention is held on this work');
+    });
+
+    test('pays out the held retention', () => {
+      const completed = { ...work, status: 'completed', progress: 100, progressBills: bills };
+      const { retentionRelease } = buildRetentionRelease(completed, context);
+      expect(retentionRelease).toEqual({
+        amount: 10000,
+        date: '2025-09-01',
+        releasedBy: 'user_1',
+        releasedAt: '2025-09-01T08:00:00.000Z'
+      });
+
+      expect(summarizeProgressBilling({ ...completed, retentionRelease })).toMatchObject({
+        billedToDate: 200000,
+        remainingToBill: 0,
+        retentionHeld: 0,
+        retentionReleased: 10000,
+        netPayableToDate: 200000,
+        suggestedAmount: 0
+      });
+      expect(buildRetentionRelease({ ...completed, retentionRelease }, context).error).toBe('Retention was already released');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// tests/project-budget.test.js
+// Unit tests for project budget lines and budget-vs-actual per line
+
+const {
+  validateBudgetLines,
+  getBudgetLinesTotal,
+  validateBudgetLineExists,
+  buildBudgetVsActual
+} = require('../lambda/shared/project-budget');
+
+describe('project-budget', () => {
+  describe('validateBudgetLines', () => {
+    test('assigns IDs to new lines and keeps existing ones', () => {
+      const result = validateBudgetLines(
+        [
+          { lineId: 'bl_1', name: 'חשמל', costCode: '02-100', amount: '120000' },
+          { name: ' אינסטלציה ', amount: 80000.499 }
+        ],
+        [{ lineId: 'bl_1', name: 'חשמל', amount: 100000 }]
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.lines[0]).toEqual({ lineId: 'bl_1', name: 'חשמל', costCode: '02-100', amount: 120000 });
+      expect(result.lines[1]).toMatchObject({ name: 'אינסטלציה', costCode: '', amount: 80000.5 });
+      expect(result.lines[1].lineId).toMatch(/^bl_/);
+      expect(getBudgetLinesTotal(result.lines)).toBe(200000.5);
+    });
+
+    test('rejects missing names, bad amounts, unknown IDs and repeated names', () => {
+      const result = validateBudgetLines([
+        { name: '', amount: 100 },
+        { name: 'בטון', amount: -5 },
+        { lineId: 'bl_other', name: 'גמר', amount: 10 },
+        { name: 'בטון', amount: 10 }
+      ]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'budgetLines[0].name is required',
+        'budgetLines[1].amount must be a number between 0 and 100,000,000',
+        'budgetLines[2].lineId bl_other does not belong to this project',
+        'Budget line "בטון" appears more than once'
+      ]);
+    });
+  });
+
+  test('validateBudgetLineExists only accepts lines of the project', () => {
+    const project = { projectId: 'proj_1', budgetLines: [{ lineId: 'bl_1' }] };
+    expect(() => validateBudgetLineExists(project, 'bl_1')).not.toThrow();
+    expect(() => validateBudgetLineExists(project, 'bl_2')).toThrow('Budget line bl_2 not found in project proj_1');
+  });
+
+  describe('buildBudgetVsActual', () => {
+    const project = {
+      projectId: 'proj_1',
+      name: 'מגדלי הים',
+      budget: 150000,
+      budgetLines: [
+        { lineId: 'bl_elec', name: 'חשמל', costCode: '', amount: 100000 },
+        { lineId: 'bl_plumb', name: 'אינסטלציה', costCode: '', amount: 50000 }
+      ]
+    };
+    const works = [
+      { workId: 'work_1', projectId: 'proj_1', budgetLineId: 'bl_elec', totalWorkCost: 60000, status: 'in_progress' },
+      { workId: 'work_2', projectId: 'proj_1', budgetLineId: 'bl_plumb', totalWorkCost: 30000, status: 'planned' },
+      { workId: 'work_3', projectId: 'proj_1', budgetLineId: 'bl_plumb', totalWorkCost: 99999, status: 'cancelled' },
+      { workId: 'work_4', projectId: 'proj_2', budgetLineId: 'bl_elec', totalWorkCost: 99999, status: 'planned' }
+    ];
+
+    test('reports committed, actual and remaining per line', () => {
+      const expenses = [
+        // Against work_1, inherits the work's line
+        { expenseId: 'e1', projectId: 'proj_1', workId: 'work_1', amount: 20000, status: 'approved' },
+        // Direct material on the electrical line
+        { expenseId: 'e2', projectId: 'proj_1', workId: '', budgetLineId: 'bl_elec', amount: 5000, status: 'pending' },
+        // Plumbing work overran its contract
+        { expenseId: 'e3', projectId: 'proj_1', workId: 'work_2', amount: 35000, status: 'paid' },
+        // Rejected and unassigned expenses
+        { expenseId: 'e4', projectId: 'proj_1', workId: 'work_1', amount: 70000, status: 'rejected' },
+        { expenseId: 'e5', projectId: 'proj_1', workId: '', amount: 1000, status: 'pending' }
+      ];
+
+      const report = buildBudgetVsActual(project, works, expenses);
+
+      expect(report.lines).toEqual([
+        expect.objectContaining({
+          lineId: 'bl_elec', budget: 100000, committed: 60000, actual: 25000,
+          projected: 65000, remaining: 35000, percentUsed: 65, overBudget: false
+        }),
+        expect.objectContaining({
+          lineId: 'bl_plumb', budget: 50000, committed: 30000, actual: 35000,
+          projected: 35000, remaining: 15000, percentUsed: 70, overBudget: false
+        })
+      ]);
+      expect(report.unassigned).toEqual({ originalCommitted: 0, committed: 0, actual: 1000, projected: 1000 });
+      expect(report.totals).toEqual({
+        budget: 150000, originalCommitted: 90000, committed: 90000, actual: 61000, projected: 101000, remaining: 49000
+      });
+    });
+
+    test('uses the allocation line portion and its budget line for split expenses', () => {
+      const expenses = [{
+        expenseId: 'e1',
+        projectId: 'proj_1',
+        budgetLineId: 'bl_plumb',
+        amount: 1000,
+        status: 'pending',
+        allocations: [
+          { projectId: 'proj_1', workId: '', budgetLineId: 'bl_plumb', amount: 400 },
+          { projectId: 'proj_2', workId: '', amount: 600 }
+        ]
+      }];
+
+      const report = buildBudgetVsActual({ ...project, budgetLines: [project.budgetLines[1]] }, [], expenses);
+
+      expect(report.lines[0]).toMatchObject({ actual: 400, committed: 0, remaining: 49600 });
+      expect(report.totals.actual).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,292 @@
+// tests/receipt-batches.test.js
+// Unit tests for the batch receipt queue and the draft expenses inbox
+
+const {
+  MAX_BATCH_RECEIPTS,
+  MAX_PROCESSING_ATTEMPTS,
+  PROCESSING_LOCK_TIMEOUT_MS,
+  isTransientOcrError,
+  validateBatchFiles,
+  buildReceiptKey,
+  getReceiptFileType,
+  isDraftDue,
+  getDraftFailureUpdate,
+  buildDraftFromOcr,
+  validateDraftEdits,
+  applyDraftEdits,
+  buildExpenseFromDraft,
+  summarizeBatch
+} = require('../lambda/shared/receipt-batches');
+const { executeWithRetry, calculateBackoffDelay } = require('../lambda/shared/webhook-retry-utils');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+describe('receipt-batches', () => {
+  describe('validateBatchFiles', () => {
+    test('accepts receipts and normalizes their types', () => {
+      const result = validateBatchFiles([
+        { fileName: 'invoice.pdf', fileType: 'application/pdf', fileSize: 200000 },
+        { fileName: 'photo.JPG', fileType: 'image/jpeg', fileSize: 1500000 }
+      ]);
+
+      expect(result.valid).toBe(true);
+      expect(result.files.map(file => file.extension)).toEqual(['.pdf', '.jpg']);
+    });
+
+    test('rejects empty, oversized and invalid batches', () => {
+      expect(validateBatchFiles([]).errors).toEqual(['files must be a non-empty array']);
+
+      const tooMany = Array.from({ length: MAX_BATCH_RECEIPTS + 1 }, (_, index) =>
+        ({ fileName: `r${index}.png`, fileType: 'image/png', fileSize: 1000 }));
+      expect(validateBatchFiles(tooMany).errors).toEqual([`A batch can contain at most ${MAX_BATCH_RECEIPTS} receipts`]);
+
+      const result = validateBatchFiles([
+        { fileName: 'ok.png', fileType: 'image/png', fileSize: 1000 },
+        { fileName: 'big.png', fileType: 'image/png', fileSize: 50 * 1024 * 1024 },
+        { fileName: 'missing-size.png', fileType: 'image/png' }
+      ]);
+      expect(result.valid).toBe(false);
+      expect(result.files).toEqual([]);
+      expect(result.errors).toHaveLength(2);
+      expect(result.errors[0]).toMatch(/^big\.png: /);
+      expect(result.errors[1]).toBe('files[2]: fileName, fileType and fileSize are required');
+    });
+  });
+
+  test('buildReceiptKey uses the receipt key format of single uploads', () => {
+    expect(buildReceiptKey('comp_1', '.pdf')).toMatch(/^comp_1\/receipts\/receipt-\d+-[a-z0-9]+\.pdf$/);
+  });
+
+  test('getReceiptFileType derives the content type of an OCR receipt', () => {
+    expect(getReceiptFileType('Invoice.PDF')).toEqual({ extension: '.pdf', mimeType: 'application/pdf' });
+    expect(getReceiptFileType('photo.jpeg')).toEqual({ extension: '.jpeg', mimeType: 'image/jpeg' });
+    expect(getReceiptFileType('notes.txt')).toBeNull();
+    expect(getReceiptFileType('receipt')).toBeNull();
+  });
+
+  describe('isDraftDue', () => {
+    const now = Date.parse('2026-03-01T10:00:00.000Z');
+
+    test('picks up queued drafts once their retry time has come', () => {
+      expect(isDraftDue({ status: 'queued' }, now)).toBe(true);
+      expect(isDraftDue({ status: 'queued', nextAttemptAt: '2026-03-01T09:59:00.000Z' }, now)).toBe(true);
+      expect(isDraftDue({ status: 'queued', nextAttemptAt: '2026-03-01T10:01:00.000Z' }, now)).toBe(false);
+    });
+
+    test('only takes over processing drafts whose lock expired', () => {
+      const expired = new Date(now - PROCESSING_LOCK_TIMEOUT_MS - 1000).toISOString();
+      expect(isDraftDue({ status: 'processing', lockedAt: expired }, now)).toBe(true);
+      expect(isDraftDue({ status: 'processing', lockedAt: '2026-03-01T09:59:00.000Z' }, now)).toBe(false);
+      expect(isDraftDue({ status: 'ready' }, now)).toBe(false);
+      expect(isDraftDue({ status: 'uploading' }, now)).toBe(false);
+    });
+  });
+
+  describe('getDraftFailureUpdate', () => {
+    const now = Date.parse('2026-03-01T10:00:00.000Z');
+
+    test('queues transient failures again with a growing delay', () => {
+      const first = getDraftFailureUpdate({ attempts: 0 }, new Error('Rate limit exceeded. Please try again in a moment.'), now);
+      expect(first).toEqual({
+        status: 'queued',
+        attempts: 1,
+        lastError: 'Rate limit exceeded. Please try again in a moment.',
+        nextAttemptAt: '2026-03-01T10:01:00.000Z'
+      });
+      expect(getDraftFailureUpdate({ attempts: 1 }, new Error('timeout of 30000ms exceeded'), now).nextAttemptAt)
+        .toBe('2026-03-01T10:02:00.000Z');
+    });
+
+    test('fails permanent errors and drafts out of attempts', () => {
+      expect(getDraftFailureUpdate({ attempts: 0 }, new Error('Invalid OpenRouter API key'), now).status).toBe('failed');
+      expect(getDraftFailureUpdate({ attempts: MAX_PROCESSING_ATTEMPTS - 1 }, new Error('ETIMEDOUT'), now))
+        .toMatchObject({ status: 'failed', attempts: MAX_PROCESSING_ATTEMPTS, nextAttemptAt: null });
+    });
+  });
+
+  test('isTransientOcrError recognizes provider hiccups', () => {
+    expect(isTransientOcrError(new Error('Claude Vision API failed: Request failed with status code 502'))).toBe(true);
+    expect(isTransientOcrError(new Error('Claude Vision API failed: socket hang up'))).toBe(true);
+    expect(isTransientOcrError(new Error('Insufficient OpenRouter credits'))).toBe(false);
+    expect(isTransientOcrError(new Error('PDF has too many pages for OCR (9). Maximum is 5.'))).toBe(false);
+  });
+
+  describe('drafts and expenses', () => {
+    const ocrData = {
+      extractedFields: {
+        vendor: 'חומרי בניין לוי',
+        vendorTaxId: '514713288',
+        amount: 1180,
+        date: '2026-02-20',
+        invoiceNum: '4471',
+        description: 'מלט וברזל',
+        paymentMethod: 'העברה בנקאית',
+        lineItems: [
+          { description: 'מלט', quantity: 20, unitPrice: 35.4, lineTotal: 708 },
+          { description: 'ברזל', quantity: 1, unitPrice: 472, lineTotal: 472 }
+        ],
+        confidence: { amount: 97, vendor: 90 },
+        contractorMatch: { contractorId: 'contr_1', name: 'לוי חומרי בניין', confidence: 100, matchedBy: 'taxId' }
+      },
+      ocrMetadata: { provider: 'claude', lowConfidenceFields: [] }
+    };
+
+    test('buildDraftFromOcr keeps the fields, confidence and contractor match apart', () => {
+      const draft = buildDraftFromOcr(ocrData);
+
+      expect(draft.extractedFields).not.toHaveProperty('confidence');
+      expect(draft.extractedFields).not.toHaveProperty('contractorMatch');
+      expect(draft.extractedFields.vendor).toBe('חומרי בניין לוי');
+      expect(draft.confidence).toEqual({ amount: 97, vendor: 90 });
+      expect(draft.contractorMatch.contractorId).toBe('contr_1');
+      expect(draft.ocrMetadata).toBe(ocrData.ocrMetadata);
+    });
+
+    test('buildExpenseFromDraft uses the read fields unless the user corrected them', () => {
+      const draft = { ...buildDraftFromOcr(ocrData), receiptKey: 'comp_1/receipts/receipt-1-abc.pdf' };
+
+      expect(buildExpenseFromDraft(draft)).toEqual({
+        invoiceNum: '4471',
+        amount: 1180,
+        paymentMethod: 'העברה בנקאית',
+        date: '2026-02-20',
+        description: 'מלט וברזל',
+        contractorId: 'contr_1',
+        receiptUrl: 'comp_1/receipts/receipt-1-abc.pdf',
+        lineItems: ocrData.extractedFields.lineItems
+      });
+      expect(buildExpenseFromDraft(draft, { amount: 1200, projectId: 'proj_1' }))
+        .toMatchObject({ amount: 1200, projectId: 'proj_1', invoiceNum: '4471' });
+    });
+
+    test('buildExpenseFromDraft uses the project chosen on the draft', () => {
+      const draft = { ...buildDraftFromOcr(ocrData), receiptKey: 'comp_1/receipts/receipt-1-abc.pdf', projectId: 'proj_2' };
+
+      expect(buildExpenseFromDraft(draft).projectId).toBe('proj_2');
+      expect(buildExpenseFromDraft(draft, { projectId: 'proj_3' }).projectId).toBe('proj_3');
+    });
+
+    test('buildExpenseFromDraft drops line items that miss the total', () => {
+      const draft = buildDraftFromOcr({
+        ...ocrData,
+        extractedFields: { ...ocrData.extractedFields, amount: 2000, contractorMatch: null }
+      });
+      const expense = buildExpenseFromDraft(draft);
+
+      expect(expense).not.toHaveProperty('lineItems');
+      expect(expense.contractorId).toBe('');
+    });
+  });
+
+  describe('validateDraftEdits', () => {
+    test('accepts corrections and clears emptied fields', () => {
+      const result = validateDraftEdits({
+        vendor: '  חומרי בניין לוי ',
+        amount: '1200.50',
+        date: '2026-02-21',
+        paymentMethod: 'מזומן',
+        invoiceNum: '',
+        contractorId: 'contr_2',
+        projectId: ''
+      });
+
+      expect(result).toEqual({
+        valid: true,
+        errors: [],
+        fields: {
+          vendor: 'חומרי בניין לוי',
+          invoiceNum: null,
+          amount: 1200.5,
+          date: '2026-02-21',
+          paymentMethod: 'מזומן',
+          contractorId: 'contr_2',
+          projectId: ''
+        }
+      });
+    });
+
+    test('rejects invalid values and unknown fields', () => {
+      const result = validateDraftEdits({
+        amount: -5,
+        date: '21/02/2026',
+        paymentMethod: 'ביטקוין',
+        receiptKey: 'other/receipt.pdf'
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'These fields cannot be edited: receiptKey',
+        'amount must be a positive number up to 100,000,000',
+        'Date must be in YYYY-MM-DD format',
+        expect.stringMatching(/^paymentMethod must be one of: /)
+      ]);
+    });
+
+    test('requires at least one field', () => {
+      expect(validateDraftEdits({}).errors).toEqual(['No fields to update']);
+      expect(validateDraftEdits(null).errors).toEqual(['fields must be an object']);
+    });
+  });
+
+  test('applyDraftEdits merges corrections and stops flagging them', () => {
+    const draft = {
+      extractedFields: { vendor: 'לוי', amount: 118, date: '2026-02-20' },
+      ocrMetadata: { provider: 'claude', lowConfidenceFields: ['amount', 'date'] },
+      editedFields: ['vendor']
+    };
+
+    expect(applyDraftEdits(draft, { amount: 1180, projectId: 'proj_1', contractorId: 'contr_1' })).toEqual({
+      extractedFields: { vendor: 'לוי', amount: 1180, date: '2026-02-20' },
+      ocrMetadata: { provider: 'claude', lowConfidenceFields: ['date'] },
+      editedFields: ['vendor', 'amount', 'projectId', 'contractorId'],
+      projectId: 'proj_1'
+    });
+    expect(applyDraftEdits({ status: 'failed' }, { amount: 50 })).toEqual({
+      extractedFields: { amount: 50 },
+      ocrMetadata: { lowConfidenceFields: [] },
+      editedFields: ['amount']
+    });
+  });
+
+  test('summarizeBatch counts drafts per status', () => {
+    expect(summarizeBatch([{ status: 'ready' }, { status: 'queued' }, { status: 'failed' }])).toEqual({
+      total: 3,
+      counts: { uploading: 0, queued: 1, processing: 0, ready: 1, failed: 1, confirming: 0 },
+      done: false
+    });
+    expect(summarizeBatch([{ status: 'ready' }, { status: 'failed' }]).done).toBe(true);
+  });
+
+  describe('executeWithRetry with a custom retry configuration', () => {
+    const retryConfig = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 2, backoffMultiplier: 2 };
+
+    test('calculateBackoffDelay follows the given configuration', () => {
+      expect(calculateBackoffDelay(0, { baseDelayMs: 2000, maxDelayMs: 8000, backoffMultiplier: 2 })).toBe(2000);
+      expect(calculateBackoffDelay(5, { baseDelayMs: 2000, maxDelayMs: 8000, backoffMultiplier: 2 })).toBe(8000);
+      expect(calculateBackoffDelay(1)).toBe(2000);
+    });
+
+    test('retries errors the caller marks as retryable', async () => {
+      let calls = 0;
+      const outcome = await executeWithRetry(async () => {
+        calls++;
+        if (calls < 3) throw new Error('Rate limit exceeded');
+        return 'read';
+      }, { correlationId: 'draft_1' }, silentLogger, { retryConfig, isRetryable: isTransientOcrError });
+
+      expect(outcome).toMatchObject({ success: true, result: 'read', retryCount: 2 });
+    });
+
+    test('stops on errors that are not retryable', async () => {
+      let calls = 0;
+      const outcome = await executeWithRetry(async () => {
+        calls++;
+        throw new Error('Invalid OpenRouter API key');
+      }, { correlationId: 'draft_1' }, silentLogger, { retryConfig, isRetryable: isTransientOcrError });
+
+      expect(calls).toBe(1);
+      expect(outcome.success).toBe(false);
+      expect(outcome.error.message).toBe('Invalid OpenRouter API key');
+    });
+  });
+});
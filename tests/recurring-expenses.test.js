@@ -0,0 +1,110 @@
+// tests/recurring-expenses.test.js
+// Unit tests for recurring expense templates and their schedules
+
+const {
+  getOccurrenceDate,
+  validateRecurringTemplate,
+  getDueOccurrences,
+  getScheduleState,
+  findInvoicePrefixConflict,
+  buildExpenseFromTemplate
+} = require('../lambda/shared/recurring-expenses');
+
+describe('recurring-expenses', () => {
+  describe('getOccurrenceDate', () => {
+    test('advances by the schedule interval', () => {
+      expect(getOccurrenceDate('2025-01-15', 'monthly', 3)).toBe('2025-04-15');
+      expect(getOccurrenceDate('2025-11-10', 'bimonthly', 1)).toBe('2026-01-10');
+      expect(getOccurrenceDate('2024-06-01', 'yearly', 2)).toBe('2026-06-01');
+    });
+
+    test('clamps to the end of shorter months without drifting', () => {
+      expect(getOccurrenceDate('2025-01-31', 'monthly', 1)).toBe('2025-02-28');
+      expect(getOccurrenceDate('2025-01-31', 'monthly', 2)).toBe('2025-03-31');
+      expect(getOccurrenceDate('2024-02-29', 'yearly', 1)).toBe('2025-02-28');
+    });
+  });
+
+  describe('validateRecurringTemplate', () => {
+    const base = { name: 'השכרת מכולה', amount: '1180', frequency: 'monthly', startDate: '2025-01-01', paymentMethod: 'העברה בנקאית' };
+
+    test('accepts a template and applies defaults', () => {
+      const result = validateRecurringTemplate(base);
+      expect(result.valid).toBe(true);
+      expect(result.fields).toMatchObject({ amount: 1180, vatTreatment: 'standard', endDate: null, projectId: '', active: true });
+    });
+
+    test('rejects invalid schedules and fields', () => {
+      expect(validateRecurringTemplate({ ...base, frequency: 'weekly' }).valid).toBe(false);
+      expect(validateRecurringTemplate({ ...base, endDate: '2024-12-31' }).errors).toContain('endDate must not be before startDate');
+      expect(validateRecurringTemplate({ ...base, amount: 0 }).valid).toBe(false);
+      expect(validateRecurringTemplate({ ...base, paymentMethod: 'bitcoin' }).valid).toBe(false);
+      expect(validateRecurringTemplate({ ...base, name: '' }).valid).toBe(false);
+    });
+  });
+
+  describe('schedule', () => {
+    const template = {
+      templateId: 'rec_1_abc123',
+      name: 'ביטוח',
+      amount: 500,
+      frequency: 'monthly',
+      startDate: '2025-01-10',
+      endDate: '2025-04-30',
+      paymentMethod: 'כרטיס אשראי',
+      vatTreatment: 'exempt',
+      active: true,
+      nextOccurrence: 1
+    };
+
+    test('returns occurrences due up to today, from the next occurrence', () => {
+      expect(getDueOccurrences(template, '2025-03-10')).toEqual([
+        { index: 1, date: '2025-02-10' },
+        { index: 2, date: '2025-03-10' }
+      ]);
+    });
+
+    test('stops at the end date and for paused templates', () => {
+      expect(getDueOccurrences(template, '2025-12-31').map(o => o.date)).toEqual(['2025-02-10', '2025-03-10', '2025-04-10']);
+      expect(getDueOccurrences({ ...template, active: false }, '2025-12-31')).toEqual([]);
+    });
+
+    test('caps catch-up occurrences per run', () => {
+      expect(getDueOccurrences({ ...template, endDate: null }, '2030-01-01', 5)).toHaveLength(5);
+    });
+
+    test('deactivates templates once the schedule has ended', () => {
+      expect(getScheduleState({ ...template, nextOccurrence: 3 })).toEqual({ nextRunDate: '2025-04-10', active: true });
+      expect(getScheduleState({ ...template, nextOccurrence: 4 })).toEqual({ nextRunDate: null, active: false });
+    });
+
+    test('builds the expense with a per-month invoice number', () => {
+      expect(buildExpenseFromTemplate(template, '2025-02-10')).toMatchObject({
+        description: 'ביטוח',
+        amount: 500,
+        vatTreatment: 'exempt',
+        date: '2025-02-10',
+        invoiceNum: 'REC-abc123-2025-02'
+      });
+      expect(buildExpenseFromTemplate({ ...template, invoiceNum: 'INS' }, '2025-02-10').invoiceNum).toBe('INS-2025-02');
+    });
+  });
+
+  describe('findInvoicePrefixConflict', () => {
+    const templates = [
+      { templateId: 'rec_1', name: 'ביטוח', invoiceNum: 'INS', contractorId: 'cont_1' },
+      { templateId: 'rec_2', name: 'שכירות', invoiceNum: '', contractorId: 'cont_1' }
+    ];
+
+    test('finds another template with the same prefix for the same contractor', () => {
+      expect(findInvoicePrefixConflict(templates, { invoiceNum: 'INS', contractorId: 'cont_1' }))
+        .toMatchObject({ templateId: 'rec_1' });
+    });
+
+    test('allows the same prefix for another contractor, the template itself and no prefix', () => {
+      expect(findInvoicePrefixConflict(templates, { invoiceNum: 'INS', contractorId: 'cont_2' })).toBeNull();
+      expect(findInvoicePrefixConflict(templates, { templateId: 'rec_1', invoiceNum: 'INS', contractorId: 'cont_1' })).toBeNull();
+      expect(findInvoicePrefixConflict(templates, { invoiceNum: '', contractorId: 'cont_1' })).toBeNull();
+    });
+  });
+});
@@ -7,6 +7,8 @@ const {
   validateField,
   validateAndSanitize,
   validateRequestBody,
+  normalizeIsraeliId,
+  isValidIsraeliId,
   VALIDATION_RULES,
   EXPENSE_SCHEMA,
   PROJECT_SCHEMA,
@@ -214,6 +216,36 @@ describe('input-validator', () => {
     });
   });
 
+  describe('Israeli tax ID (ח.פ / עוסק מורשה / ת.ז)', () => {
+    test('normalizes valid numbers to 9 digits', () => {
+      expect(normalizeIsraeliId('514713288')).toBe('514713288');
+      expect(normalizeIsraeliId('514-713-288')).toBe('514713288');
+      expect(normalizeIsraeliId('39337423')).toBe('039337423');
+      expect(normalizeIsraeliId(123456782)).toBe('123456782');
+    });
+
+    test('rejects wrong check digits and malformed values', () => {
+      expect(isValidIsraeliId('123456789')).toBe(false);
+      expect(isValidIsraeliId('12a456782')).toBe(false);
+      expect(isValidIsraeliId('1234567820')).toBe(false); // 10 digits
+      expect(isValidIsraeliId('18')).toBe(false); // Too short
+      expect(isValidIsraeliId('000000000')).toBe(false);
+      expect(isValidIsraeliId(null)).toBe(false);
+    });
+
+    test('CONTRACTOR_SCHEMA stores the normalized tax ID', () => {
+      const valid = validateAndSanitize({ name: 'Builder', taxId: '39337423' }, CONTRACTOR_SCHEMA);
+      expect(valid.valid).toBe(true);
+      expect(valid.sanitized.taxId).toBe('039337423');
+
+      const invalid = validateAndSanitize({ name: 'Builder', taxId: '123456789' }, CONTRACTOR_SCHEMA);
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors).toEqual(['Invalid Israeli tax ID or ID number']);
+
+      expect(validateAndSanitize({ name: 'Builder', taxId: '' }, CONTRACTOR_SCHEMA).valid).toBe(true);
+    });
+  });
+
   describe('validateRequestBody', () => {
     test('parses and validates JSON body', () => {
       const schema = { name: { required: true } };
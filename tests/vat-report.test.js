@@ -0,0 +1,75 @@
+// tests/vat-report.test.js
+// Unit tests for the periodic input VAT report
+
+const {
+  getVatReportingPeriod,
+  getVatReportingPeriodForDate,
+  buildVatReport
+} = require('../lambda/shared/vat-report');
+
+describe('vat-report', () => {
+  describe('reporting periods', () => {
+    test('resolves bi-monthly periods including leap-year February', () => {
+      expect(getVatReportingPeriod(2024, 1, 'bimonthly')).toMatchObject({ from: '2024-01-01', to: '2024-02-29' });
+      expect(getVatReportingPeriod(2025, 6, 'bimonthly')).toMatchObject({ from: '2025-11-01', to: '2025-12-31' });
+    });
+
+    test('resolves monthly periods', () => {
+      expect(getVatReportingPeriod(2025, 4, 'monthly')).toMatchObject({ from: '2025-04-01', to: '2025-04-30' });
+    });
+
+    test('rejects out-of-range periods and unknown frequencies', () => {
+      expect(getVatReportingPeriod(2025, 7, 'bimonthly')).toBeNull();
+      expect(getVatReportingPeriod(2025, 0, 'monthly')).toBeNull();
+      expect(getVatReportingPeriod(2025, 1, 'quarterly')).toBeNull();
+      expect(getVatReportingPeriod(NaN, 1, 'monthly')).toBeNull();
+    });
+
+    test('finds the period containing a date', () => {
+      expect(getVatReportingPeriodForDate('2025-04-15', 'bimonthly').period).toBe(2);
+      expect(getVatReportingPeriodForDate('2025-04-15', 'monthly').period).toBe(4);
+    });
+  });
+
+  describe('buildVatReport', () => {
+    const period = getVatReportingPeriod(2025, 1, 'bimonthly');
+    const contractors = {
+      c1: { contractorId: 'c1', name: 'כהן בניה', taxId: '514000001' },
+      c2: { contractorId: 'c2', name: 'כהן בניה - סניף', taxId: '514000001' },
+      c3: { contractorId: 'c3', name: 'לוי חשמל', taxId: '' }
+    };
+    const expenses = [
+      { expenseId: 'e1', contractorId: 'c1', date: '2025-01-10', invoiceNum: '1', amount: 1180, baseAmount: 1000, vatAmount: 180, vatRate: 0.18, receiptUrl: 'r1' },
+      { expenseId: 'e2', contractorId: 'c2', date: '2025-02-28', invoiceNum: '2', amount: 590, baseAmount: 500, vatAmount: 90, vatRate: 0.18, receiptUrl: 'r2' },
+      { expenseId: 'e3', contractorId: 'c3', date: '2025-02-01', invoiceNum: '3', amount: 236, baseAmount: 200, vatAmount: 36, vatRate: 0.18 },
+      { expenseId: 'e4', contractorId: 'c1', date: '2025-02-05', invoiceNum: '4', amount: 300, baseAmount: 300, vatAmount: 0, vatRate: 0, vatTreatment: 'exempt', receiptUrl: 'r4' },
+      { expenseId: 'e5', contractorId: 'c1', date: '2025-03-01', invoiceNum: '5', amount: 1180, baseAmount: 1000, vatAmount: 180, receiptUrl: 'r5' },
+      { expenseId: 'e6', contractorId: 'c1', date: '2025-01-20', invoiceNum: '6', amount: 1180, baseAmount: 1000, vatAmount: 180, status: 'rejected', receiptUrl: 'r6' }
+    ];
+
+    test('totals input VAT for the period, excluding rejected and out-of-period expenses', () => {
+      const report = buildVatReport(expenses, contractors, period);
+      expect(report.totals).toMatchObject({
+        expenseCount: 4,
+        baseAmount: 2000,
+        vatAmount: 306,
+        totalAmount: 2306,
+        exemptAmount: 300
+      });
+      expect(report.lines.map(l => l.expenseId)).toEqual(['e1', 'e3', 'e4', 'e2']);
+    });
+
+    test('groups suppliers by tax ID', () => {
+      const report = buildVatReport(expenses, contractors, period);
+      const supplier = report.suppliers.find(s => s.taxId === '514000001');
+      expect(supplier).toMatchObject({ expenseCount: 3, vatAmount: 270, contractorIds: ['c1', 'c2'] });
+    });
+
+    test('flags expenses with a missing tax ID or receipt', () => {
+      const report = buildVatReport(expenses, contractors, period);
+      expect(report.flagged).toHaveLength(1);
+      expect(report.flagged[0]).toMatchObject({ expenseId: 'e3', issues: ['missing_tax_id', 'missing_receipt'] });
+      expect(report.totals.flaggedVatAmount).toBe(36);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// tests/vat-utils.test.js
+// Unit tests for VAT rate schedules and per-expense VAT breakdowns
+
+const {
+  DEFAULT_VAT_RATES,
+  VAT_TREATMENTS,
+  validateVatRates,
+  getCompanyVatRates,
+  getVatRateForDate,
+  calculateVATBreakdown
+} = require('../lambda/shared/vat-utils');
+
+describe('vat-utils', () => {
+  describe('getVatRateForDate', () => {
+    test('applies 17% before 2025 and 18% from 2025', () => {
+      expect(getVatRateForDate(DEFAULT_VAT_RATES, '2024-12-31')).toBe(0.17);
+      expect(getVatRateForDate(DEFAULT_VAT_RATES, '2025-01-01')).toBe(0.18);
+    });
+
+    test('uses the earliest rate for dates before the schedule starts', () => {
+      expect(getVatRateForDate(DEFAULT_VAT_RATES, '2010-06-01')).toBe(0.17);
+    });
+
+    test('falls back to the statutory rates when the company has none', () => {
+      expect(getCompanyVatRates({})).toEqual(DEFAULT_VAT_RATES);
+      const custom = [{ rate: 0.19, effectiveFrom: '2026-01-01' }, { rate: 0.18, effectiveFrom: '2025-01-01' }];
+      expect(getCompanyVatRates({ vatRates: custom }).map(r => r.rate)).toEqual([0.18, 0.19]);
+    });
+  });
+
+  describe('calculateVATBreakdown', () => {
+    test('extracts VAT from an amount that includes it', () => {
+      expect(calculateVATBreakdown(1180, { vatRate: 0.18 })).toEqual({
+        amount: 1180, baseAmount: 1000, vatAmount: 180, vatRate: 0.18, vatTreatment: 'standard'
+      });
+    });
+
+    test('adds VAT on top of a pre-VAT amount', () => {
+      const breakdown = calculateVATBreakdown(1000, { vatRate: 0.17, vatTreatment: VAT_TREATMENTS.PRE_VAT });
+      expect(breakdown).toMatchObject({ amount: 1170, baseAmount: 1000, vatAmount: 170, vatRate: 0.17 });
+    });
+
+    test('exempt and zero-rated expenses carry no VAT', () => {
+      for (const vatTreatment of [VAT_TREATMENTS.EXEMPT, VAT_TREATMENTS.ZERO_RATED]) {
+        expect(calculateVATBreakdown(500, { vatRate: 0.18, vatTreatment })).toEqual({
+          amount: 500, baseAmount: 500, vatAmount: 0, vatRate: 0, vatTreatment
+        });
+      }
+    });
+  });
+
+  describe('validateVatRates', () => {
+    test('sorts a valid schedule by effective date', () => {
+      const result = validateVatRates([
+        { rate: 0.18, effectiveFrom: '2025-01-01' },
+        { rate: '0.17', effectiveFrom: '2015-10-01' }
+      ]);
+      expect(result.valid).toBe(true);
+      expect(result.rates).toEqual(DEFAULT_VAT_RATES);
+    });
+
+    test('rejects percentages, bad dates and duplicate dates', () => {
+      expect(validateVatRates([{ rate: 18, effectiveFrom: '2025-01-01' }]).valid).toBe(false);
+      expect(validateVatRates([{ rate: 0.18, effectiveFrom: '01/01/2025' }]).valid).toBe(false);
+      expect(validateVatRates([
+        { rate: 0.17, effectiveFrom: '2025-01-01' },
+        { rate: 0.18, effectiveFrom: '2025-01-01' }
+      ]).errors).toContain('Duplicate effectiveFrom date: 2025-01-01');
+      expect(validateVatRates([]).valid).toBe(false);
+    });
+  });
+});
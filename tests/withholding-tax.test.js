@@ -0,0 +1,106 @@
+// tests/withholding-tax.test.js
+// Unit tests for withholding tax (ניכוי במקור) calculations
+
+const {
+  NO_CERTIFICATE_WITHHOLDING_RATE,
+  validateWithholdingFields,
+  getWithholdingRate,
+  calculateWithholding,
+  getPaymentWithholding,
+  getExpenseWithholding,
+  buildWithholdingSummary
+} = require('../lambda/shared/withholding-tax');
+
+describe('withholding-tax', () => {
+  const contractor = { contractorId: 'c1', name: 'כהן בניה', taxId: '514000001', withholdingRate: 0.05, withholdingCertificateExpiry: '2025-03-31' };
+  const expense = { expenseId: 'e1', contractorId: 'c1', amount: 11800, baseAmount: 10000, vatAmount: 1800, date: '2025-01-15' };
+
+  describe('validateWithholdingFields', () => {
+    test('accepts a rate and certificate expiry', () => {
+      const result = validateWithholdingFields({ withholdingRate: '0.05', withholdingCertificateExpiry: '2025-12-31' });
+      expect(result.valid).toBe(true);
+      expect(result.fields).toEqual({ withholdingRate: 0.05, withholdingCertificateExpiry: '2025-12-31' });
+    });
+
+    test('clears settings with empty values', () => {
+      expect(validateWithholdingFields({ withholdingRate: '', withholdingCertificateExpiry: '' }).fields)
+        .toEqual({ withholdingRate: null, withholdingCertificateExpiry: null });
+    });
+
+    test('rejects percentages and invalid dates', () => {
+      expect(validateWithholdingFields({ withholdingRate: 5 }).valid).toBe(false);
+      expect(validateWithholdingFields({ withholdingCertificateExpiry: '31/12/2025' }).valid).toBe(false);
+    });
+  });
+
+  describe('getWithholdingRate', () => {
+    test('uses the certificate rate while the certificate is valid', () => {
+      expect(getWithholdingRate(contractor, '2025-03-31')).toEqual({ subjectToWithholding: true, certificateValid: true, rate: 0.05 });
+    });
+
+    test('applies the maximum rate once the certificate expires', () => {
+      expect(getWithholdingRate(contractor, '2025-04-01').rate).toBe(NO_CERTIFICATE_WITHHOLDING_RATE);
+      expect(getWithholdingRate({ withholdingRate: 0 }, '2025-01-01').rate).toBe(NO_CERTIFICATE_WITHHOLDING_RATE);
+    });
+
+    test('does not withhold for contractors without withholding settings', () => {
+      expect(getWithholdingRate({ name: 'ספק' }, '2025-01-01')).toMatchObject({ subjectToWithholding: false, rate: 0 });
+      expect(getWithholdingRate(undefined, '2025-01-01').rate).toBe(0);
+    });
+  });
+
+  describe('calculateWithholding', () => {
+    test('withholds from the amount before VAT', () => {
+      expect(calculateWithholding(11800, expense, 0.05)).toEqual({
+        withholdingRate: 0.05, taxableAmount: 10000, withholdingAmount: 500, netAmount: 11300
+      });
+    });
+
+    test('splits partial payments proportionally', () => {
+      expect(calculateWithholding(5900, expense, 0.05)).toMatchObject({ taxableAmount: 5000, withholdingAmount: 250, netAmount: 5650 });
+    });
+
+    test('estimates expense withholding and net payable', () => {
+      expect(getExpenseWithholding(expense, contractor)).toEqual({ withholdingRate: 0.05, withholdingAmount: 500, netPayable: 11300 });
+    });
+
+    test('adds nothing to payments of contractors not subject to withholding', () => {
+      expect(getPaymentWithholding({ amount: 100, date: '2025-01-01' }, expense, {})).toEqual({});
+    });
+  });
+
+  describe('buildWithholdingSummary', () => {
+    const payment = (id, date, amount, extra = {}) => ({
+      paymentId: id,
+      date,
+      amount,
+      ...getPaymentWithholding({ amount, date }, expense, contractor),
+      ...extra
+    });
+    const expenses = [{
+      ...expense,
+      payments: [
+        payment('p1', '2025-02-01', 5900),
+        payment('p2', '2025-05-01', 5900),
+        payment('p3', '2024-12-31', 1180),
+        payment('p4', '2025-06-01', 1180, { chequeStatus: 'bounced' })
+      ]
+    }, {
+      expenseId: 'e2', contractorId: 'c2', amount: 500, payments: [{ paymentId: 'p5', date: '2025-02-01', amount: 500 }]
+    }];
+
+    test('totals payments of the tax year per contractor', () => {
+      const summary = buildWithholdingSummary(expenses, { c1: contractor }, 2025);
+      expect(summary.contractors).toHaveLength(1);
+      expect(summary.contractors[0]).toMatchObject({
+        taxId: '514000001',
+        paymentCount: 2,
+        grossAmount: 11800,
+        taxableAmount: 10000,
+        // 5% within the certificate, 30% after it expired
+        withholdingAmount: 250 + 1500
+      });
+      expect(summary.totals.netAmount).toBe(11800 - 1750);
+    });
+  });
+});